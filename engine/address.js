@@ -0,0 +1,490 @@
+// Email addresses
+// Parses the mailbox forms of RFC 5321 (the envelope paths of MAIL FROM and
+// RCPT TO) and the address lists of RFC 5322 header fields, with the UTF-8
+// extensions of RFC 6531/6532. Errors name the part that is wrong. Punycode
+// (RFC 3492) turns an internationalized domain into the xn-- form that DNS
+// looks up.
+
+class Address {
+    // Size limits of RFC 5321 section 4.5.3.1, in octets
+    static get LIMITS() {
+        return { local: 64, domain: 255, label: 63, address: 254 };
+    }
+
+    // Characters an atom may hold besides letters and digits (RFC 5322 atext)
+    static get ATEXT() {
+        return "!#$%&'*+-/=?^_`{|}~";
+    }
+
+    /**
+     * Error about one part of an address
+     * @param {string} field - 'address', 'local part', 'domain' or 'display name'
+     * @param {string} message - What is wrong
+     * @returns {Error} Error whose message starts with the part; error.field holds it
+     */
+    static error(field, message) {
+        const error = new Error(`${field[0].toUpperCase()}${field.slice(1)}: ${message}`);
+        error.field = field;
+        return error;
+    }
+
+    /**
+     * Whether text has characters beyond ASCII
+     * @param {string} text - Text to check
+     * @returns {boolean} True when SMTPUTF8 (or punycode) is needed to send it
+     */
+    static isUtf8(text) {
+        return /[^\x00-\x7F]/.test(text);
+    }
+
+    /**
+     * Parse an address as it goes into an SMTP path: local-part "@" domain
+     * The local part is a dot-string or a quoted string; the domain is a host
+     * name or an address literal such as [192.0.2.1] or [IPv6:2001:db8::1].
+     * @param {string} text - Address without angle brackets
+     * @param {Object} options - { utf8 }: allow non-ASCII characters as SMTPUTF8 does (default true)
+     * @returns {Object} { address, local, domain, asciiDomain, literal, utf8 }
+     */
+    static parse(text, options = {}) {
+        const utf8 = options.utf8 !== false;
+        const address = String(text || '').trim();
+        if (address === '') {
+            throw Address.error('address', 'empty');
+        }
+        if (Encoding.utf8(address).length > Address.LIMITS.address) {
+            throw Address.error('address', `longer than ${Address.LIMITS.address} octets`);
+        }
+
+        const local = Address.readLocalPart(address, utf8);
+        if (address[local.length] !== '@') {
+            throw Address.error('address', local.length === address.length ? 'missing "@" between local part and domain' : `"${address[local.length]}" after the local part, "@" expected`);
+        }
+        const domain = address.slice(local.length + 1);
+        if (domain === '') {
+            throw Address.error('domain', 'missing after "@"');
+        }
+        if (domain.includes('@') && !domain.startsWith('[')) {
+            throw Address.error('address', 'more than one "@"; an "@" in the local part needs quotes');
+        }
+        const literal = domain.startsWith('[');
+        const asciiDomain = literal ? Address.checkLiteral(domain) : Address.checkDomain(domain, utf8);
+        return { address, local, domain, asciiDomain, literal, utf8: Address.isUtf8(address) };
+    }
+
+    /**
+     * Whether an address parses
+     * @param {string} text - Address without angle brackets
+     * @param {Object} options - Options of Address.parse()
+     * @returns {boolean} True for a valid address
+     */
+    static isValid(text, options = {}) {
+        try {
+            Address.parse(text, options);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read the local part at the start of an address
+     * @param {string} address - Whole address
+     * @param {boolean} utf8 - Allow non-ASCII characters
+     * @returns {string} Local part as written, quotes included
+     */
+    static readLocalPart(address, utf8) {
+        const allowed = char => /[A-Za-z0-9]/.test(char) || Address.ATEXT.includes(char) || (utf8 && Address.isUtf8(char));
+        let local;
+        const at = address[0] === '"' ? -1 : address.indexOf('@');
+        if (!utf8 && Address.isUtf8(at === -1 ? address.split('"@')[0] : address.slice(0, at))) {
+            throw Address.error('local part', 'non-ASCII characters need SMTPUTF8');
+        }
+        if (address[0] === '"') {
+            // Quoted string: printable ASCII except " and \ as they are, those two escaped with \
+            let i = 1;
+            for (; i < address.length && address[i] !== '"'; i++) {
+                const char = address[i];
+                if (char === '\\') {
+                    i++;
+                    if (i >= address.length || !(/[\x20-\x7E]/.test(address[i]) || (utf8 && Address.isUtf8(address[i])))) {
+                        throw Address.error('local part', 'a backslash must be followed by a printable character');
+                    }
+                } else if (!(/[\x20-\x7E]/.test(char) || (utf8 && Address.isUtf8(char)))) {
+                    throw Address.error('local part', 'control characters are not allowed, even in quotes');
+                }
+            }
+            if (i >= address.length) {
+                throw Address.error('local part', 'the quoted string has no closing quote');
+            }
+            local = address.slice(0, i + 1);
+            if (local === '""') {
+                throw Address.error('local part', 'empty');
+            }
+        } else {
+            local = at === -1 ? address : address.slice(0, at);
+            if (local === '') {
+                throw Address.error('local part', 'empty');
+            }
+            if (local.startsWith('.') || local.endsWith('.')) {
+                throw Address.error('local part', 'cannot start or end with a dot');
+            }
+            if (local.includes('..')) {
+                throw Address.error('local part', 'two dots in a row');
+            }
+            const bad = Array.from(local).find(char => char !== '.' && !allowed(char));
+            if (bad !== undefined) {
+                throw Address.error('local part', bad === ' ' ? 'spaces are only allowed inside quotes' : `"${bad}" is only allowed inside quotes`);
+            }
+        }
+        if (Encoding.utf8(local).length > Address.LIMITS.local) {
+            throw Address.error('local part', `longer than ${Address.LIMITS.local} octets`);
+        }
+        return local;
+    }
+
+    /**
+     * Check a host name domain
+     * @param {string} domain - Domain as written
+     * @param {boolean} utf8 - Allow internationalized labels
+     * @returns {string} ASCII form for DNS
+     */
+    static checkDomain(domain, utf8) {
+        const labels = domain.split('.');
+        if (labels.some(label => label === '')) {
+            throw Address.error('domain', domain.endsWith('.') || domain.startsWith('.') ? 'cannot start or end with a dot' : 'two dots in a row');
+        }
+        const ascii = labels.map((label) => {
+            if (Address.isUtf8(label)) {
+                if (!utf8) {
+                    throw Address.error('domain', `"${label}" is not ASCII; send it as ${Address.toAscii(label)}`);
+                }
+                if (/[\x00-\x2C\x2E\x2F\x3A-\x40\x5B-\x60\x7B-\x7F]/.test(label)) {
+                    throw Address.error('domain', `"${label}" may hold letters, digits and hyphens only`);
+                }
+                label = Address.toAscii(label);
+            }
+            if (!/^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?$/.test(label)) {
+                throw Address.error('domain', /^-|-$/.test(label) ? `"${label}" cannot start or end with a hyphen` : `"${label}" may hold letters, digits and hyphens only`);
+            }
+            if (label.length > Address.LIMITS.label) {
+                throw Address.error('domain', `a label is longer than ${Address.LIMITS.label} octets`);
+            }
+            return label;
+        }).join('.');
+        if (ascii.length > Address.LIMITS.domain) {
+            throw Address.error('domain', `longer than ${Address.LIMITS.domain} octets`);
+        }
+        return ascii;
+    }
+
+    /**
+     * Check an address literal, e.g. [192.0.2.1] or [IPv6:2001:db8::1]
+     * @param {string} domain - Literal with its brackets
+     * @returns {string} The literal unchanged
+     */
+    static checkLiteral(domain) {
+        if (!domain.endsWith(']')) {
+            throw Address.error('domain', 'the address literal has no closing "]"');
+        }
+        const inner = domain.slice(1, -1);
+        const v6 = /^IPv6:(.*)$/i.exec(inner);
+        if (v6 ? !Address.isIPv6(v6[1]) : !Address.isIPv4(inner)) {
+            throw Address.error('domain', v6 ? `"${v6[1]}" is not an IPv6 address` : `"${inner}" is not an IPv4 address (IPv6 needs the IPv6: tag)`);
+        }
+        return domain;
+    }
+
+    /**
+     * Whether text is a dotted IPv4 address
+     * @param {string} text - Candidate
+     * @returns {boolean} True for four numbers 0-255
+     */
+    static isIPv4(text) {
+        const parts = text.split('.');
+        return parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && parseInt(part, 10) <= 255);
+    }
+
+    /**
+     * Whether text is an IPv6 address, with :: and a trailing IPv4 part allowed
+     * @param {string} text - Candidate
+     * @returns {boolean} True for a valid address
+     */
+    static isIPv6(text) {
+        let head = text;
+        const tail = text.slice(text.lastIndexOf(':') + 1);
+        if (tail.includes('.')) {
+            // The IPv4 tail stands for the last two groups
+            if (!Address.isIPv4(tail)) return false;
+            head = `${text.slice(0, text.length - tail.length)}0:0`;
+        }
+        const halves = head.split('::');
+        if (halves.length > 2) return false;
+        const groups = halves.flatMap(half => half === '' ? [] : half.split(':'));
+        if (!groups.every(group => /^[0-9A-Fa-f]{1,4}$/.test(group))) return false;
+        return halves.length === 2 ? groups.length <= 7 : groups.length === 8;
+    }
+
+    /**
+     * Split an address list of a header field or form input
+     * Commas and semicolons inside quotes, angle brackets or comments do not split.
+     * @param {string} text - e.g. 'Bob <bob@example.com>, "Doe, Jane" <jane@example.org>'
+     * @returns {string[]} Trimmed, non-empty entries
+     */
+    static splitList(text) {
+        const entries = [];
+        let current = '';
+        let quoted = false;
+        let angle = 0;
+        let comment = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted && char === '\\') {
+                current += char + (text[++i] || '');
+                continue;
+            }
+            if (char === '"' && comment === 0) quoted = !quoted;
+            else if (!quoted && char === '(') comment++;
+            else if (!quoted && char === ')' && comment > 0) comment--;
+            else if (!quoted && comment === 0 && char === '<') angle++;
+            else if (!quoted && comment === 0 && char === '>' && angle > 0) angle--;
+            else if (!quoted && comment === 0 && angle === 0 && (char === ',' || char === ';')) {
+                entries.push(current);
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        entries.push(current);
+        return entries.map(entry => entry.trim()).filter(Boolean);
+    }
+
+    /**
+     * Parse one mailbox of a header field: an address, or a display name and an address in angle brackets
+     * Comments in parentheses are dropped, as RFC 5322 treats them as white space.
+     * @param {string} text - e.g. 'Bob Smith <bob@example.com>' or 'bob@example.com (Bob)'
+     * @param {Object} options - Options of Address.parse()
+     * @returns {Object} Result of Address.parse() plus name (display name, '' when none)
+     */
+    static parseMailbox(text, options = {}) {
+        const source = Address.stripComments(String(text || '')).trim();
+        const open = Address.outsideQuotes(source, '<');
+        if (open === -1) {
+            if (source.includes('>')) {
+                throw Address.error('address', '">" without "<"');
+            }
+            return { name: '', ...Address.parse(source, options) };
+        }
+        if (!source.endsWith('>')) {
+            throw Address.error('address', 'text after the closing ">"');
+        }
+        const phrase = source.slice(0, open).trim();
+        let name = phrase;
+        if (/^"(?:[^"\\]|\\.)*"$/.test(phrase)) {
+            name = phrase.slice(1, -1).replace(/\\(.)/g, '$1');
+        } else {
+            const special = Array.from(phrase).find(char => '()<>[]:;@\\,."'.includes(char));
+            if (special !== undefined) {
+                throw Address.error('display name', `"${special}" is only allowed inside quotes, e.g. "Doe, Jane" <jane@example.org>`);
+            }
+        }
+        return { name, ...Address.parse(source.slice(open + 1, -1), options) };
+    }
+
+    /**
+     * Envelope address of a list entry, for MAIL FROM and RCPT TO
+     * An entry that does not parse is returned as typed, so the server can refuse it.
+     * @param {string} text - Address or 'Name <address>'
+     * @returns {string} Address without the display name
+     */
+    static envelope(text) {
+        try {
+            return Address.parseMailbox(text).address;
+        } catch (error) {
+            return String(text || '').trim();
+        }
+    }
+
+    /**
+     * Position of a character outside quoted strings
+     * @param {string} text - Text to search
+     * @param {string} char - Character to find
+     * @returns {number} Index of its first unquoted occurrence, or -1
+     */
+    static outsideQuotes(text, char) {
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            if (quoted && text[i] === '\\') {
+                i++;
+            } else if (text[i] === '"') {
+                quoted = !quoted;
+            } else if (!quoted && text[i] === char) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Drop (comments) outside quoted strings; they may nest
+     * @param {string} text - Header text
+     * @returns {string} Text with every comment replaced by a space
+     */
+    static stripComments(text) {
+        let result = '';
+        let quoted = false;
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (depth === 0 && quoted && char === '\\') {
+                result += char + (text[++i] || '');
+                continue;
+            }
+            if (depth === 0 && char === '"') quoted = !quoted;
+            if (!quoted && char === '(') {
+                depth++;
+                continue;
+            }
+            if (!quoted && char === ')' && depth > 0) {
+                depth--;
+                if (depth === 0) result += ' ';
+                continue;
+            }
+            if (depth === 0) result += char;
+        }
+        return result;
+    }
+
+    /**
+     * ASCII form of a domain for DNS (the A-labels of IDNA)
+     * Labels are lower-cased and NFC-normalized, a simplified form of the UTS #46 mapping.
+     * @param {string} domain - Domain, e.g. bücher.example
+     * @returns {string} e.g. xn--bcher-kva.example
+     */
+    static toAscii(domain) {
+        return domain.split('.').map((label) => {
+            if (!Address.isUtf8(label)) return label;
+            return `xn--${Address.punycodeEncode(label.normalize('NFC').toLowerCase())}`;
+        }).join('.');
+    }
+
+    /**
+     * Readable form of a domain with xn-- labels
+     * @param {string} domain - Domain, e.g. xn--bcher-kva.example
+     * @returns {string} e.g. bücher.example; labels that do not decode stay as they are
+     */
+    static toUnicode(domain) {
+        return domain.split('.').map((label) => {
+            if (!/^xn--/i.test(label)) return label;
+            try {
+                return Address.punycodeDecode(label.slice(4).toLowerCase());
+            } catch (error) {
+                return label;
+            }
+        }).join('.');
+    }
+
+    /**
+     * Address with its domain in ASCII form
+     * @param {string} address - Email address
+     * @returns {string} Same local part, domain as A-labels
+     */
+    static toAsciiAddress(address) {
+        const at = address.lastIndexOf('@');
+        return at === -1 || address[at + 1] === '[' ? address : `${address.slice(0, at + 1)}${Address.toAscii(address.slice(at + 1))}`;
+    }
+
+    // Bias adaptation of RFC 3492 section 6.1
+    static punycodeAdapt(delta, points, first) {
+        delta = first ? Math.floor(delta / 700) : delta >> 1;
+        delta += Math.floor(delta / points);
+        let k = 0;
+        while (delta > 455) { // ((base - tMin) * tMax) / 2
+            delta = Math.floor(delta / 35);
+            k += 36;
+        }
+        return k + Math.floor(36 * delta / (delta + 38));
+    }
+
+    // Threshold of RFC 3492 for the digit at position k
+    static punycodeThreshold(k, bias) {
+        return k <= bias ? 1 : k >= bias + 26 ? 26 : k - bias;
+    }
+
+    /**
+     * Punycode of one label (RFC 3492 section 6.3)
+     * @param {string} label - Label with non-ASCII characters
+     * @returns {string} Encoded label without the xn-- prefix
+     */
+    static punycodeEncode(label) {
+        const digit = d => String.fromCharCode(d < 26 ? 97 + d : 22 + d);
+        const points = Array.from(label, char => char.codePointAt(0));
+        const basic = points.filter(point => point < 0x80);
+        let output = String.fromCharCode(...basic) + (basic.length > 0 ? '-' : '');
+        let handled = basic.length;
+        let n = 128;
+        let delta = 0;
+        let bias = 72;
+        while (handled < points.length) {
+            const next = Math.min(...points.filter(point => point >= n));
+            delta += (next - n) * (handled + 1);
+            n = next;
+            for (const point of points) {
+                if (point < n) delta++;
+                if (point !== n) continue;
+                let q = delta;
+                for (let k = 36; ; k += 36) {
+                    const t = Address.punycodeThreshold(k, bias);
+                    if (q < t) break;
+                    output += digit(t + (q - t) % (36 - t));
+                    q = Math.floor((q - t) / (36 - t));
+                }
+                output += digit(q);
+                bias = Address.punycodeAdapt(delta, handled + 1, handled === basic.length);
+                delta = 0;
+                handled++;
+            }
+            delta++;
+            n++;
+        }
+        return output;
+    }
+
+    /**
+     * Decode one Punycode label (RFC 3492 section 6.2)
+     * @param {string} encoded - Label without the xn-- prefix
+     * @returns {string} Unicode label
+     */
+    static punycodeDecode(encoded) {
+        const value = (char) => {
+            const code = char.charCodeAt(0);
+            if (code >= 48 && code <= 57) return code - 22;
+            if (code >= 97 && code <= 122) return code - 97;
+            throw new Error(`Invalid Punycode digit "${char}"`);
+        };
+        const delimiter = encoded.lastIndexOf('-');
+        const output = delimiter > 0 ? Array.from(encoded.slice(0, delimiter), char => char.codePointAt(0)) : [];
+        let n = 128;
+        let i = 0;
+        let bias = 72;
+        for (let position = delimiter > 0 ? delimiter + 1 : 0; position < encoded.length;) {
+            const previous = i;
+            let weight = 1;
+            for (let k = 36; ; k += 36) {
+                if (position >= encoded.length) {
+                    throw new Error('Punycode ends in the middle of a number');
+                }
+                const d = value(encoded[position++]);
+                i += d * weight;
+                const t = Address.punycodeThreshold(k, bias);
+                if (d < t) break;
+                weight *= 36 - t;
+            }
+            bias = Address.punycodeAdapt(i - previous, output.length + 1, previous === 0);
+            n += Math.floor(i / (output.length + 1));
+            i %= output.length + 1;
+            output.splice(i, 0, n);
+            i++;
+        }
+        return String.fromCodePoint(...output);
+    }
+}
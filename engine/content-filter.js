@@ -0,0 +1,352 @@
+// Content filter of the receiving MX - spam scoring after DATA
+// Every rule looks at the decoded message and adds points with a reason:
+// keyword patterns, a naive Bayes classifier trained on a small bundled
+// corpus, header anomalies and blocked attachment types. The total decides
+// where the message goes: the inbox, the Junk folder, the quarantine held
+// by the mail administrator, or a 550 reply at the end of DATA. Rules are
+// pluggable, so an exercise can add its own with addRule().
+
+// Training messages of the Bayes rule, a few of each kind
+const SPAM_CORPUS = {
+    spam: [
+        'Congratulations! You have won a FREE lottery prize. Claim your cash reward now',
+        'Cheap viagra and cialis from an online pharmacy, no prescription needed, order now',
+        'URGENT: your account has been suspended. Verify your password at the link below immediately',
+        'Make money fast working from home, earn $5000 per week guaranteed',
+        'Dear friend, I am a prince and need your help to transfer 10 million dollars, you will receive a percentage',
+        'Limited time offer!!! Buy now and save 90% on luxury watches, act now',
+        'You are selected for an exclusive investment opportunity with guaranteed returns, risk free',
+        'Your invoice is attached, open the attachment and enable macros to see the payment details',
+        'Lose weight fast with this miracle pill, doctors hate this one weird trick',
+        'Click here to claim your free gift card, the offer expires today',
+        'Our bank details have changed, please wire the payment to the new account urgently',
+        'Winner notification: your email address won the international lottery, send your bank details to claim the prize',
+        'Bitcoin investment doubles your money in 24 hours, act fast, limited spots',
+        'Hot singles in your area are waiting to meet you, click here now'
+    ],
+    ham: [
+        'Hi Bob, just wanted to confirm our meeting tomorrow at 2 PM. Best regards, Alice',
+        'Please find the minutes of yesterday\'s project meeting below. Let me know if I missed anything',
+        'Can we move the lunch on Friday to 1 PM? The conference room is booked until noon',
+        'Thanks for the review of the draft report, I updated the figures in section 3',
+        'Reminder: the team standup starts at 9:30 tomorrow, the agenda is in the calendar invite',
+        'Hi Carol, here are the slides for the lecture on SMTP and DNS. See you in class',
+        'The build failed on the main branch after the last commit, could you take a look at the tests',
+        'Happy birthday! Hope you have a great day, see you at dinner on Saturday',
+        'Attached is the schedule for next week\'s workshop, please confirm your attendance',
+        'Could you send me the notes from the networks lab, I was sick on Monday',
+        'Project update: the prototype works and we plan the demo for Thursday afternoon',
+        'Thank you for your order, your package will arrive on Wednesday. Kind regards, the bookshop',
+        'Dinner at our place on Sunday? Bring the kids, we will cook pasta',
+        'The quarterly report is ready for review, I shared it in the team folder'
+    ]
+};
+
+// Naive Bayes over which words a message contains
+class BayesClassifier {
+    constructor() {
+        this.documents = { spam: 0, ham: 0 };
+        this.counts = { spam: new Map(), ham: new Map() }; // Token → documents of that kind containing it
+    }
+
+    /**
+     * Distinct lower-case words of a text
+     * @param {string} text - Text to split
+     * @returns {string[]} Tokens of 3 to 20 letters, digits or $
+     */
+    static tokenize(text) {
+        const words = text.toLowerCase().match(/[\p{L}\p{N}$]+/gu) || [];
+        return [...new Set(words.filter(word => word.length >= 3 && word.length <= 20))];
+    }
+
+    /**
+     * Learn from one message
+     * @param {string} text - Message text
+     * @param {string} kind - 'spam' or 'ham'
+     */
+    train(text, kind) {
+        this.documents[kind]++;
+        BayesClassifier.tokenize(text).forEach(token => {
+            this.counts[kind].set(token, (this.counts[kind].get(token) || 0) + 1);
+        });
+    }
+
+    /**
+     * Spam probability of a text
+     * Each known token gives the log ratio of how often it appears in spam and
+     * in ham (add-one smoothed); the 15 most telling tokens are added up, as in
+     * Paul Graham's "A Plan for Spam". Tokens never seen in training say nothing.
+     * @param {string} text - Message text
+     * @returns {Object} { probability, clues: [{ token, ratio }] with the strongest first }
+     */
+    classify(text) {
+        const clues = BayesClassifier.tokenize(text)
+            .filter(token => this.counts.spam.has(token) || this.counts.ham.has(token))
+            .map(token => {
+                const spam = ((this.counts.spam.get(token) || 0) + 1) / (this.documents.spam + 2);
+                const ham = ((this.counts.ham.get(token) || 0) + 1) / (this.documents.ham + 2);
+                return { token, ratio: Math.log(spam / ham) };
+            })
+            .sort((a, b) => Math.abs(b.ratio) - Math.abs(a.ratio))
+            .slice(0, 15);
+        const prior = Math.log((this.documents.spam + 1) / (this.documents.ham + 1));
+        const odds = clues.reduce((sum, clue) => sum + clue.ratio, prior);
+        return { probability: 1 / (1 + Math.exp(-odds)), clues };
+    }
+}
+
+class ContentFilter {
+    /**
+     * @param {Object} settings - Filter settings, see ContentFilter.DEFAULTS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...ContentFilter.DEFAULTS, ...settings };
+        this.rules = ContentFilter.BUILT_IN_RULES; // { id, label, check(message, filter) → { score, details } }
+        this.classifier = new BayesClassifier();
+        Object.entries(SPAM_CORPUS).forEach(([kind, texts]) => texts.forEach(text => this.classifier.train(text, kind)));
+    }
+
+    // Settings of a filter that runs every built-in rule
+    static get DEFAULTS() {
+        return {
+            enabled: true,
+            disabledRules: [], // IDs of rules that are skipped
+            // Case-insensitive regular expressions and the points each one adds
+            keywords: [
+                { pattern: '\\b(viagra|cialis)\\b', score: 3 },
+                { pattern: '\\blotter(y|ies)\\b|\\bjackpot\\b', score: 2 },
+                { pattern: '\\bfree (money|gift|prize|cash)\\b', score: 2 },
+                { pattern: '\\bbank details\\b|\\bIBAN\\b', score: 1.5 },
+                { pattern: '\\bwire (the )?(money|payment|funds)\\b', score: 1.5 },
+                { pattern: '\\b(act now|limited time|urgent(ly)?)\\b', score: 1 },
+                { pattern: '\\bclick here\\b', score: 1 },
+                { pattern: '\\$\\d{3,}', score: 1 }
+            ],
+            blockedExtensions: ['exe', 'scr', 'pif', 'com', 'bat', 'cmd', 'js', 'vbs', 'jar', 'msi'],
+            thresholds: { spam: 5, quarantine: 8, reject: 15 } // Points from which each action applies
+        };
+    }
+
+    // Rules every filter starts with
+    static get BUILT_IN_RULES() {
+        return [
+            { id: 'KEYWORDS', label: 'Keyword patterns', check: (message, filter) => filter.checkKeywords(message) },
+            { id: 'BAYES', label: 'Bayesian classifier', check: (message, filter) => filter.checkBayes(message) },
+            { id: 'HEADERS', label: 'Header anomalies', check: (message, filter) => filter.checkHeaders(message) },
+            { id: 'ATTACHMENTS', label: 'Attachment types', check: (message, filter) => filter.checkAttachments(message) }
+        ];
+    }
+
+    /**
+     * Plug in another rule; it runs after the ones already there
+     * @param {Object} rule - { id, label, check(message, filter) → { score, details } }
+     */
+    addRule(rule) {
+        if (this.rules.some(other => other.id === rule.id)) {
+            throw new Error(`Content filter rule ${rule.id} already exists`);
+        }
+        this.rules = [...this.rules, rule];
+    }
+
+    /**
+     * Decode a message far enough for the rules
+     * @param {string} message - Message with CRLF line breaks
+     * @param {Object} envelope - { sender, recipient }
+     * @returns {Object} { header(name), subject, from, text, attachments: [{ name, type }], envelope }
+     */
+    static parse(message, envelope = {}) {
+        const { headers, body } = DKIM.splitMessage(message);
+        const header = name => {
+            const field = headers.find(other => other.name === name);
+            return field ? field.raw.slice(field.raw.indexOf(':') + 1).replace(/\r\n/g, '').trim() : null;
+        };
+        const parts = { text: [], attachments: [] };
+        ContentFilter.collectParts(header('content-type') || 'text/plain', header('content-disposition') || '',
+            header('content-transfer-encoding') || '7bit', body, parts);
+        return {
+            header,
+            subject: MIME.decodeHeader(header('subject') || ''),
+            from: header('from') || '',
+            text: parts.text.join('\n'),
+            attachments: parts.attachments,
+            envelope
+        };
+    }
+
+    /**
+     * Walk a MIME entity: text parts are decoded, named parts are attachments
+     * @param {string} type - Content-Type value
+     * @param {string} disposition - Content-Disposition value
+     * @param {string} encoding - Content-Transfer-Encoding value
+     * @param {string[]} lines - Body lines of the entity
+     * @param {Object} parts - { text, attachments } being filled
+     */
+    static collectParts(type, disposition, encoding, lines, parts) {
+        const param = (value, name) => {
+            const match = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i').exec(value);
+            return match ? match[1] || match[2] : null;
+        };
+        const boundary = /^multipart\//i.test(type) ? param(type, 'boundary') : null;
+        if (boundary) {
+            let current = null;
+            lines.forEach(line => {
+                if (line === `--${boundary}` || line === `--${boundary}--`) {
+                    if (current) ContentFilter.collectEntity(current, parts);
+                    current = line === `--${boundary}--` ? null : [];
+                } else if (current) {
+                    current.push(line);
+                }
+            });
+            return;
+        }
+
+        const name = param(disposition, 'filename') || param(type, 'name');
+        if (name) {
+            parts.attachments.push({ name: MIME.decodeHeader(name), type: type.split(';')[0].trim().toLowerCase() });
+        } else if (/^text\//i.test(type)) {
+            switch (encoding.toLowerCase()) {
+                case 'base64':
+                    parts.text.push(Encoding.base64Decode(lines.join('')) || '');
+                    break;
+                case 'quoted-printable':
+                    parts.text.push(MIME.decodeQuotedPrintable(lines));
+                    break;
+                default:
+                    parts.text.push(lines.join('\n'));
+            }
+        }
+    }
+
+    /**
+     * Split one body part of a multipart into its headers and content
+     * @param {string[]} lines - Lines between two boundaries
+     * @param {Object} parts - { text, attachments } being filled
+     */
+    static collectEntity(lines, parts) {
+        const { headers, body } = DKIM.splitMessage(lines.join('\r\n'));
+        const header = name => {
+            const field = headers.find(other => other.name === name);
+            return field ? field.raw.slice(field.raw.indexOf(':') + 1).replace(/\r\n/g, '').trim() : '';
+        };
+        ContentFilter.collectParts(header('content-type') || 'text/plain', header('content-disposition'),
+            header('content-transfer-encoding') || '7bit', body, parts);
+    }
+
+    /**
+     * Score a message and pick its destination
+     * @param {string} message - Message as received after DATA
+     * @param {Object} envelope - { sender, recipient }
+     * @returns {Object} { score, results: [{ id, label, score, details }], action, header }
+     *   action is 'inbox', 'spam', 'quarantine' or 'reject'
+     */
+    scan(message, envelope) {
+        const parsed = ContentFilter.parse(message, envelope);
+        const results = this.rules
+            .filter(rule => !this.settings.disabledRules.includes(rule.id))
+            .map(rule => ({ id: rule.id, label: rule.label, ...rule.check(parsed, this) }));
+        const score = Math.round(results.reduce((sum, result) => sum + result.score, 0) * 10) / 10;
+        const { thresholds } = this.settings;
+        const action = score >= thresholds.reject ? 'reject'
+            : score >= thresholds.quarantine ? 'quarantine'
+            : score >= thresholds.spam ? 'spam'
+            : 'inbox';
+        const tests = results.filter(result => result.score !== 0).map(result => `${result.id}=${result.score}`);
+        // Modelled on SpamAssassin's header
+        const header = [
+            `X-Spam-Status: ${action === 'inbox' ? 'No' : 'Yes'}, score=${score.toFixed(1)} required=${thresholds.spam.toFixed(1)}`,
+            `\ttests=${tests.join(',') || 'none'}`
+        ];
+        return { score, results, action, header };
+    }
+
+    /**
+     * Keyword rule: each pattern found in the subject or text adds its points once
+     * @param {Object} message - Result of parse()
+     * @returns {Object} { score, details }
+     */
+    checkKeywords(message) {
+        const text = `${message.subject}\n${message.text}`;
+        const hits = this.settings.keywords.filter(keyword => {
+            try {
+                return new RegExp(keyword.pattern, 'iu').test(text);
+            } catch (error) {
+                return false; // A pattern typed into the form may not compile
+            }
+        });
+        return {
+            score: hits.reduce((sum, keyword) => sum + keyword.score, 0),
+            details: hits.map(keyword => `/${keyword.pattern}/ +${keyword.score}`)
+        };
+    }
+
+    /**
+     * Bayes rule: points by spam probability, like SpamAssassin's BAYES_00 to BAYES_99
+     * @param {Object} message - Result of parse()
+     * @returns {Object} { score, details }
+     */
+    checkBayes(message) {
+        const { probability, clues } = this.classifier.classify(`${message.subject}\n${message.text}`);
+        const score = probability >= 0.99 ? 3.5
+            : probability >= 0.9 ? 2.5
+            : probability >= 0.7 ? 1.5
+            : probability >= 0.3 ? 0
+            : probability >= 0.05 ? -0.5
+            : -1.5;
+        const strongest = clues.slice(0, 5).map(clue => `${clue.token} (${clue.ratio > 0 ? 'spam' : 'ham'})`);
+        return {
+            score,
+            details: [`P(spam) = ${probability.toFixed(3)}`, ...(strongest.length ? [`clues: ${strongest.join(', ')}`] : [])]
+        };
+    }
+
+    /**
+     * Header rule: fields a mail program always writes, and signs of bulk mail
+     * @param {Object} message - Result of parse()
+     * @returns {Object} { score, details }
+     */
+    checkHeaders(message) {
+        const findings = [];
+        if (!message.header('date')) findings.push(['no Date header', 1.5]);
+        if (!message.header('message-id')) findings.push(['no Message-ID header', 1]);
+        if (!message.header('to')) findings.push(['no To header (undisclosed recipients)', 0.5]);
+        const letters = message.subject.replace(/[^\p{L}]/gu, '');
+        if (letters.length >= 8 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+            findings.push(['subject in capitals', 1.5]);
+        }
+        if (/[!?$]{3,}|(!.*){3,}/.test(message.subject)) {
+            findings.push(['subject full of ! ? or $', 1]);
+        }
+        const fromAddress = /([^<\s@]+)@([^>\s]+)/.exec(message.from);
+        const sender = message.envelope.sender || '';
+        // A bounce has no envelope sender to compare
+        if (sender && fromAddress && sender.split('@')[1].toLowerCase() !== fromAddress[2].toLowerCase()) {
+            findings.push([`envelope sender <${sender}> and From domain ${fromAddress[2]} differ`, 1]);
+        }
+        return {
+            score: findings.reduce((sum, [, points]) => sum + points, 0),
+            details: findings.map(([text, points]) => `${text} +${points}`)
+        };
+    }
+
+    /**
+     * Attachment rule: blocked file types, also behind a second extension
+     * @param {Object} message - Result of parse()
+     * @returns {Object} { score, details }
+     */
+    checkAttachments(message) {
+        const blocked = this.settings.blockedExtensions.map(extension => extension.toLowerCase().replace(/^\./, ''));
+        const findings = [];
+        message.attachments.forEach(file => {
+            const extensions = file.name.toLowerCase().split('.').slice(1);
+            if (extensions.length === 0 || !blocked.includes(extensions[extensions.length - 1])) return;
+            findings.push([`${file.name}: blocked type .${extensions[extensions.length - 1]}`, 10]);
+            if (extensions.length > 1) {
+                findings.push([`${file.name}: hides behind .${extensions[extensions.length - 2]}`, 2]);
+            }
+        });
+        return {
+            score: findings.reduce((sum, [, points]) => sum + points, 0),
+            details: findings.map(([text, points]) => `${text} +${points}`)
+        };
+    }
+}
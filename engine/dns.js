@@ -0,0 +1,161 @@
+// Simulated DNS resolver (RFC 1035, RFC 5321 section 5.1, RFC 7505)
+// Answers MX, A and TXT queries from a small zone table that can be edited
+// as text, so the relay can find the mail exchangers of a recipient domain
+// and the receiver can look up SPF, DKIM and DMARC records.
+
+// Zone loaded when none is given: two MX hosts for example.com so the
+// backup MX can take over, a single MX for example.org and an A-only domain.
+// example.com authorizes only its relay MTA and rejects unauthenticated
+// mail; the MTA's own record covers its bounces, which are checked against
+// the HELO name. example.org asks for quarantine. mail.attacker.test is the spoofer.
+// xn--bcher-kva.example.org is bücher.example.org, an internationalized domain
+// that DNS only knows in its punycode form.
+const DNS_DEFAULT_ZONE = [
+    '; name              type  priority  value',
+    'example.com.        MX    10        mx1.example.com.',
+    'example.com.        MX    20        mx2.example.com.',
+    'example.org.        MX    10        mail.example.org.',
+    'xn--bcher-kva.example.org. MX 10    mail.example.org.',
+    'smtp.example.com.   A               192.0.2.10',
+    'mta.example.com.    A               192.0.2.25',
+    'mx1.example.com.    A               198.51.100.10',
+    'mx2.example.com.    A               198.51.100.20',
+    'mail.example.org.   A               203.0.113.25',
+    'example.net.        A               203.0.113.80',
+    'mail.attacker.test. A               203.0.113.66',
+    'example.com.        TXT   "v=spf1 a:mta.example.com -all"',
+    'mta.example.com.    TXT   "v=spf1 a -all"',
+    'mail._domainkey.example.com. TXT "v=DKIM1; k=rsa; p=MIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQCvic+hulkjZw/VU/JT7ocwi4AjrNN3w1sYHqcJOYGU/r2TDdqTPtifNcBodHd3mR7HDYGJeuyfjjyl1nvKAd1MWxoIdq6xvKY6eV9bcOB5MeZiT9Mbcl/6FQSjqJUDj+tDP8wCvW+UL/bAX0qsDDbtcc2enU0RbbS+9+/OPGJrXwIDAQAB"',
+    '_dmarc.example.com. TXT   "v=DMARC1; p=reject; adkim=r; aspf=r"',
+    'example.org.        TXT   "v=spf1 mx ~all"',
+    '_dmarc.example.org. TXT   "v=DMARC1; p=quarantine"'
+].join('\n');
+
+class DNSResolver {
+    /**
+     * @param {string} zone - Zone table, one "name MX priority host", "name A address" or 'name TXT "text"' record per line
+     */
+    constructor(zone = DNS_DEFAULT_ZONE) {
+        this.load(zone);
+    }
+
+    /**
+     * Replace the zone table
+     * Text after ";" is a comment unless it is inside quotes; trailing dots are optional.
+     * @param {string} zone - Zone table text
+     * @returns {Object[]} Parsed records as { name, type, priority, value }
+     */
+    load(zone) {
+        this.zone = zone;
+        this.records = DNSResolver.parseZone(zone);
+        return this.records;
+    }
+
+    /**
+     * Parse zone table text
+     * @param {string} text - Zone table
+     * @returns {Object[]} Records as { name, type, priority, value }; malformed lines are skipped
+     */
+    static parseZone(text) {
+        const records = [];
+        String(text || '').split('\n').forEach(raw => {
+            const line = DNSResolver.stripComment(raw).trim();
+            if (!line) return;
+            const [name, type, ...rest] = line.split(/\s+/);
+            const kind = (type || '').toUpperCase();
+            if (kind === 'TXT' && rest.length > 0) {
+                // Quoted character-strings are joined without a separator (RFC 7208 section 3.3)
+                const data = line.replace(/^\S+\s+\S+\s+/, '');
+                const strings = data.match(/"[^"]*"/g);
+                records.push({ name: DNSResolver.normalize(name), type: 'TXT', priority: null, value: strings ? strings.map(s => s.slice(1, -1)).join('') : data });
+            } else if (kind === 'MX' && rest.length === 2 && /^\d+$/.test(rest[0])) {
+                records.push({ name: DNSResolver.normalize(name), type: 'MX', priority: parseInt(rest[0], 10), value: DNSResolver.normalize(rest[1]) });
+            } else if (kind === 'A' && rest.length === 1) {
+                records.push({ name: DNSResolver.normalize(name), type: 'A', priority: null, value: rest[0] });
+            }
+        });
+        return records;
+    }
+
+    /**
+     * Remove a zone file comment, keeping semicolons inside quoted TXT data
+     * @param {string} line - Zone table line
+     * @returns {string} Line without its comment
+     */
+    static stripComment(line) {
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') quoted = !quoted;
+            if (line[i] === ';' && !quoted) return line.slice(0, i);
+        }
+        return line;
+    }
+
+    /**
+     * Lower-case a domain name and drop the trailing root dot
+     * @param {string} name - Domain name such as "Example.COM."
+     * @returns {string} Name such as "example.com" ("." stays the root)
+     */
+    static normalize(name) {
+        return name === '.' ? '.' : name.toLowerCase().replace(/\.$/, '');
+    }
+
+    /**
+     * Records of one name and type
+     * @param {string} name - Domain name
+     * @param {string} type - 'MX', 'A' or 'TXT'
+     * @returns {Object[]} Matching records
+     */
+    lookup(name, type) {
+        const wanted = DNSResolver.normalize(name);
+        return this.records.filter(record => record.name === wanted && record.type === type);
+    }
+
+    /**
+     * Address of a host
+     * @param {string} host - Host name
+     * @returns {string|null} First A record, or null when the host has none
+     */
+    resolveAddress(host) {
+        const record = this.lookup(host, 'A')[0];
+        return record ? record.value : null;
+    }
+
+    /**
+     * Text records of a name, e.g. SPF policies or DKIM keys
+     * @param {string} name - Domain name
+     * @returns {string[]} TXT data
+     */
+    lookupTxt(name) {
+        return this.lookup(name, 'TXT').map(record => record.value);
+    }
+
+    /**
+     * Find the mail exchangers of a domain in the order a sender must try them
+     * A domain without MX records but with an address is its own implicit MX
+     * (RFC 5321 section 5.1); "MX 0 ." announces that it accepts no mail (RFC 7505).
+     * @param {string} domain - Recipient domain
+     * @returns {Object} { status, hosts, implicit } with status 'NOERROR', 'NXDOMAIN' or 'NULLMX'
+     *     and hosts as { host, priority, address } sorted by priority
+     */
+    resolveMx(domain) {
+        const mx = this.lookup(domain, 'MX');
+        if (mx.length === 0) {
+            const address = this.resolveAddress(domain);
+            if (!address) {
+                return { status: 'NXDOMAIN', hosts: [], implicit: false };
+            }
+            return { status: 'NOERROR', hosts: [{ host: DNSResolver.normalize(domain), priority: 0, address }], implicit: true };
+        }
+        if (mx.length === 1 && mx[0].value === '.') {
+            return { status: 'NULLMX', hosts: [], implicit: false };
+        }
+
+        // Equal priorities keep zone order; a real resolver would shuffle them
+        const hosts = mx
+            .filter(record => record.value !== '.')
+            .sort((a, b) => a.priority - b.priority)
+            .map(record => ({ host: record.value, priority: record.priority, address: this.resolveAddress(record.value) }));
+        return { status: 'NOERROR', hosts, implicit: false };
+    }
+}
@@ -0,0 +1,86 @@
+// Encoding helpers shared by the engine modules
+// Base64 and hex conversions that work on UTF-8 text and raw bytes alike.
+
+class Encoding {
+    /**
+     * Encode text as UTF-8 bytes
+     * @param {string} text - Text to encode
+     * @returns {Uint8Array} UTF-8 bytes
+     */
+    static utf8(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    /**
+     * Decode UTF-8 bytes to text
+     * @param {Uint8Array} bytes - UTF-8 bytes
+     * @returns {string} Decoded text
+     */
+    static fromUtf8(bytes) {
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * Base64-encode text (as UTF-8) or bytes
+     * @param {string|Uint8Array} data - Text or bytes
+     * @returns {string} Base64 string
+     */
+    static base64Encode(data) {
+        const bytes = typeof data === 'string' ? Encoding.utf8(data) : data;
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 to bytes
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array|null} Bytes, or null when the input is not valid base64
+     */
+    static base64DecodeBytes(base64) {
+        const clean = base64.replace(/\s+/g, '');
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean) || clean.length % 4 === 1) {
+            return null;
+        }
+        const binary = atob(clean);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Decode base64 to UTF-8 text
+     * @param {string} base64 - Base64 string
+     * @returns {string|null} Text, or null when the input is not valid base64
+     */
+    static base64Decode(base64) {
+        const bytes = Encoding.base64DecodeBytes(base64);
+        return bytes === null ? null : Encoding.fromUtf8(bytes);
+    }
+
+    /**
+     * Lower-case hex representation of bytes
+     * @param {Uint8Array} bytes - Bytes to format
+     * @returns {string} Hex string
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Bytes of a hex string
+     * @param {string} hex - Hex digits, two per byte
+     * @returns {Uint8Array} Bytes
+     */
+    static fromHex(hex) {
+        const bytes = new Uint8Array(hex.length >> 1);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,279 @@
+// Batch experiments
+// Many simulated sends over a grid of settings, e.g. packet loss from 0 to
+// 90 % against two network delays. Every run gets its own engine on its own
+// Playback clock at infinite speed, so a session that takes a minute in the
+// page is over in a fraction of a second. Run i of every grid point uses the
+// seed base + i: the points share the same luck and differ only in the
+// settings under test.
+
+class Experiment {
+    // Settings a grid can vary, all of them in the scenario's network section
+    static get PARAMETERS() {
+        return {
+            packetLoss: { label: 'Packet loss (%)', min: 0, max: 100 },
+            networkDelay: { label: 'Network delay (ms)', min: 0, max: 60000 },
+            serverDelay: { label: 'Server delay (s)', min: 0, max: 600 }
+        };
+    }
+
+    // Figures each grid point is summarized by
+    static get METRICS() {
+        return {
+            latency: { label: 'Delivery latency (s)', note: 'mean over the delivered messages' },
+            retransmissions: { label: 'Retransmissions per message', note: 'mean over all runs' },
+            failureRate: { label: 'Failure rate (%)', note: 'messages not delivered to every recipient in time' }
+        };
+    }
+
+    // Values one axis may take, so a typo cannot start thousands of runs
+    static get MAX_VALUES() {
+        return 50;
+    }
+
+    // Virtual time a run may use for queue retries before it counts as failed
+    static get DEFAULT_UNTIL() {
+        return 60 * 60 * 1000;
+    }
+
+    /**
+     * Parse the values of one axis
+     * Accepts a list ("0, 10, 25") or a range with a step ("0-90/10").
+     * @param {string} text - Values as typed
+     * @param {string} parameter - Key of Experiment.PARAMETERS
+     * @returns {number[]} Values in the given order, duplicates removed
+     */
+    static values(text, parameter) {
+        const setting = Experiment.PARAMETERS[parameter];
+        if (!setting) {
+            throw new Error(`Unknown experiment parameter "${parameter}"`);
+        }
+        const values = [];
+        text.split(/[,;\s]+/).filter(Boolean).forEach((part) => {
+            const range = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?$/.exec(part);
+            if (range) {
+                const [from, to, step] = [parseFloat(range[1]), parseFloat(range[2]), parseFloat(range[3] || 1)];
+                if (step <= 0 || to < from) {
+                    throw new Error(`${setting.label}: "${part}" is not a range from low to high with a positive step`);
+                }
+                // Rounded so 0.1 steps do not drift into 0.30000000000000004
+                for (let i = 0; from + i * step <= to + 1e-9 && values.length <= Experiment.MAX_VALUES; i++) {
+                    values.push(Math.round((from + i * step) * 1e6) / 1e6);
+                }
+                return;
+            }
+            const value = Number(part);
+            if (part === '' || isNaN(value)) {
+                throw new Error(`${setting.label}: "${part}" is neither a number nor a range like 0-90/10`);
+            }
+            values.push(value);
+        });
+        const unique = [...new Set(values)];
+        if (unique.length === 0) {
+            throw new Error(`${setting.label}: no values given`);
+        }
+        if (unique.length > Experiment.MAX_VALUES) {
+            throw new Error(`${setting.label}: more than ${Experiment.MAX_VALUES} values`);
+        }
+        const outside = unique.find(value => value < setting.min || value > setting.max);
+        if (outside !== undefined) {
+            throw new Error(`${setting.label}: ${outside} is outside ${setting.min}–${setting.max}`);
+        }
+        return unique;
+    }
+
+    /**
+     * Every combination of the axes' values
+     * The first axis changes fastest, so consecutive points form one line of a chart.
+     * @param {Object[]} axes - { parameter, values }
+     * @returns {Object[]} Settings per point, e.g. { packetLoss: 10, networkDelay: 500 }
+     */
+    static grid(axes) {
+        return axes.reduceRight((points, axis) => points.flatMap(point => axis.values.map(value => ({ [axis.parameter]: value, ...point }))), [{}])
+            .map(point => Object.fromEntries(axes.map(axis => [axis.parameter, point[axis.parameter]])));
+    }
+
+    /**
+     * Zero wait that is not stretched: browsers hold chained zero timeouts back to 4 ms,
+     * a message port answers at once. Elsewhere a zero timeout does.
+     * @param {number} ms - Real ms to wait
+     * @returns {Promise<void>} Resolves after the wait
+     */
+    static realDelay(ms) {
+        if (ms > 0 || typeof MessageChannel === 'undefined') {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        }
+        return new Promise((resolve) => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = () => {
+                channel.port1.close();
+                resolve();
+            };
+            channel.port2.postMessage(null);
+        });
+    }
+
+    /**
+     * Send one message on a fresh engine and measure it
+     * @param {Object} scenario - Complete scenario
+     * @param {number} seed - Seed of the engine's random source
+     * @param {Object} options - { start (clock reading), until (virtual ms), clock (extra Playback options), watch(engine) to listen to its events }
+     * @returns {Promise<Object>} { seed, outcome, delivered, recipients, latency (s or null), retransmissions, lostPackets, totalPackets, attempts }
+     */
+    static async runOnce(scenario, seed, options = {}) {
+        const start = options.start !== undefined ? options.start : Date.now();
+        const playback = new Playback({ start, realNow: () => 0, realDelay: Experiment.realDelay, ...(options.clock || {}) });
+        playback.setSpeed(Infinity);
+        playback.until = start + (options.until || Experiment.DEFAULT_UNTIL);
+        const engine = new SMTPEngine({ ...playback.engineOptions, seed });
+        playback.attach(engine);
+        Scenario.configure(engine, scenario);
+
+        const delivered = new Set();
+        let recipients = [];
+        let lastDelivery = null;
+        let attempts = 1;
+        engine.on('delivered', (event) => {
+            // A bounce reaching the sender is a failure report, not a delivery
+            if (event.email.isBounce) return;
+            delivered.add(event.email.recipient);
+            lastDelivery = event.time;
+        });
+        engine.on('clientRetry', () => {
+            attempts++;
+        });
+        engine.on('sessionEnd', (event) => {
+            recipients = event.recipients.map(recipient => recipient.address);
+        });
+        if (options.watch) {
+            options.watch(engine);
+        }
+
+        // A session still running when the clock stops at options.until stays 'unfinished'
+        let outcome = 'unfinished';
+        // An exception in the engine counts as this run's outcome instead of stopping the batch
+        engine.sendEmail(Scenario.sessionConfig(scenario)).then((result) => {
+            outcome = result;
+        }).catch(() => {
+            outcome = 'error';
+        });
+        // Queue retries play out on the clock too; a few quiet turns in a row mean the run is over
+        const busy = () => playback.pumping || playback.pending() > 0 || playback.timers.some(timer => timer.at <= playback.until);
+        for (let quiet = 0; quiet < 3;) {
+            await playback.realDelay(0);
+            quiet = busy() ? 0 : quiet + 1;
+        }
+
+        const complete = recipients.length > 0 && recipients.every(address => delivered.has(address));
+        const stats = engine.getStats();
+        return {
+            seed,
+            outcome,
+            delivered: complete,
+            recipients: recipients.length,
+            latency: complete ? (lastDelivery - start) / 1000 : null,
+            retransmissions: stats.retransmissions,
+            lostPackets: stats.lostPackets,
+            totalPackets: stats.totalPackets,
+            attempts
+        };
+    }
+
+    /**
+     * Figures of one grid point
+     * @param {Object[]} samples - Results of runOnce()
+     * @returns {Object} { runs, delivered, latency: { mean, median, min, max } (null without deliveries), retransmissions, failureRate }
+     */
+    static summarize(samples) {
+        const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const latencies = samples.filter(sample => sample.delivered).map(sample => sample.latency).sort((a, b) => a - b);
+        const middle = Math.floor(latencies.length / 2);
+        return {
+            runs: samples.length,
+            delivered: latencies.length,
+            latency: latencies.length === 0 ? null : {
+                mean: mean(latencies),
+                median: latencies.length % 2 ? latencies[middle] : (latencies[middle - 1] + latencies[middle]) / 2,
+                min: latencies[0],
+                max: latencies[latencies.length - 1]
+            },
+            retransmissions: mean(samples.map(sample => sample.retransmissions)),
+            failureRate: (samples.length - latencies.length) / samples.length * 100
+        };
+    }
+
+    /**
+     * One CSV row per run
+     * @param {Object} result - Result of run()
+     * @returns {string} CSV text with a header line
+     */
+    static toCsv(result) {
+        const parameters = result.axes.map(axis => axis.parameter);
+        const header = [...parameters, 'run', 'seed', 'outcome', 'delivered', 'latency_s', 'retransmissions', 'lost_segments', 'segments', 'attempts'];
+        const rows = result.points.flatMap(point => point.samples.map((sample, index) => [
+            ...parameters.map(parameter => point.settings[parameter]),
+            index + 1,
+            sample.seed,
+            sample.outcome,
+            sample.delivered ? 1 : 0,
+            sample.latency === null ? '' : sample.latency.toFixed(3),
+            sample.retransmissions,
+            sample.lostPackets,
+            sample.totalPackets,
+            sample.attempts
+        ]));
+        return [header, ...rows].map(row => row.join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * @param {Object} scenario - Complete scenario the grid varies
+     * @param {Object} options - { axes: [{ parameter, values }], runs (per point), seed (of run 1), until (virtual ms), clock (extra Playback options) }
+     */
+    constructor(scenario, options) {
+        if (!options.axes || options.axes.length === 0) {
+            throw new Error('An experiment needs at least one parameter to vary');
+        }
+        this.scenario = scenario;
+        this.axes = options.axes.map(axis => ({ parameter: axis.parameter, values: [...axis.values] }));
+        this.runs = Math.max(1, options.runs || 1);
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        this.until = options.until || Experiment.DEFAULT_UNTIL;
+        this.clock = options.clock || {};
+        this.cancelled = false;
+    }
+
+    // Sends in the whole experiment
+    get total() {
+        return Experiment.grid(this.axes).length * this.runs;
+    }
+
+    // Stop after the run in progress
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Run every point of the grid
+     * @param {Function} onProgress - Called after each send with (done, total, settings)
+     * @returns {Promise<Object>} { axes, runs, seed, cancelled, points: [{ settings, samples, summary }] }
+     */
+    async run(onProgress = () => {}) {
+        // One clock start for all runs, so equal seeds give equal sessions at every point
+        const start = Date.now();
+        const points = [];
+        const total = this.total;
+        let done = 0;
+        for (const settings of Experiment.grid(this.axes)) {
+            const scenario = Scenario.merge(this.scenario, { network: settings });
+            const samples = [];
+            for (let run = 0; run < this.runs && !this.cancelled; run++) {
+                samples.push(await Experiment.runOnce(scenario, this.seed + run, { start, until: this.until, clock: this.clock }));
+                onProgress(++done, total, settings);
+            }
+            if (samples.length > 0) {
+                points.push({ settings, samples, summary: Experiment.summarize(samples) });
+            }
+            if (this.cancelled) break;
+        }
+        return { axes: this.axes, runs: this.runs, seed: this.seed, cancelled: this.cancelled, points };
+    }
+}
@@ -0,0 +1,161 @@
+// Fault injection
+// Failures a real mail path runs into that the network model alone never
+// produces: a connection reset in the middle of DATA, a server shutting down
+// with 421, 452 and 552 storage errors, a server that stops answering, and
+// the recipient's MX dropping off while the relay delivers. A fault is armed
+// for one step of the session and fires once, or faults are drawn at random
+// from the seeded source so a replay hits the same ones again.
+
+class FaultInjector {
+    // Steps of a session where a fault can strike
+    static get POINTS() {
+        return {
+            EHLO: 'EHLO / HELO',
+            MAIL: 'MAIL FROM',
+            RCPT: 'RCPT TO',
+            DATA: 'DATA',
+            CONTENT: 'Message content',
+            END: 'End of data (.)',
+            RELAY: 'Relay to the MX'
+        };
+    }
+
+    // Faults and the steps each one can strike at; the first step is the usual one
+    static get KINDS() {
+        return {
+            reset: { label: 'Connection reset', points: ['CONTENT', 'EHLO', 'MAIL', 'RCPT', 'DATA'] },
+            shutdown: { label: 'Server shutdown (421)', points: ['MAIL', 'EHLO', 'RCPT', 'DATA', 'END'] },
+            storage: { label: 'Insufficient storage (452)', points: ['RCPT', 'MAIL', 'END'] },
+            mailboxFull: { label: 'Mailbox full (552)', points: ['RCPT', 'END'] },
+            timeout: { label: 'Reply timeout', points: ['END', 'EHLO', 'MAIL', 'RCPT', 'DATA'] },
+            recipientOffline: { label: 'Recipient goes offline', points: ['RELAY'] }
+        };
+    }
+
+    /**
+     * Step a client command belongs to
+     * @param {string} command - Command line
+     * @returns {string|null} Key of FaultInjector.POINTS, or null for commands no fault strikes at
+     */
+    static point(command) {
+        const verb = command.trim().split(/\s+/)[0].toUpperCase();
+        if (verb === 'HELO' || verb === 'EHLO') return 'EHLO';
+        return ['MAIL', 'RCPT', 'DATA'].includes(verb) ? verb : null;
+    }
+
+    /**
+     * Reply a failing server sends in place of the real one
+     * @param {string} kind - 'shutdown', 'storage' or 'mailboxFull'
+     * @param {string} hostname - Server host name
+     * @param {string} command - Command answered, '.' at the end of data
+     * @returns {Object} Reply { code, lines }
+     */
+    static reply(kind, hostname, command) {
+        const address = /<([^>]*)>/.exec(command);
+        const subject = FaultInjector.point(command) === 'RCPT' && address ? `<${address[1]}>: ` : '';
+        switch (kind) {
+            case 'shutdown':
+                return SMTPServer.reply(421, `4.3.2 ${hostname} Service shutting down, closing transmission channel`);
+            case 'storage':
+                return SMTPServer.reply(452, `4.3.1 ${subject}Insufficient system storage`);
+            case 'mailboxFull':
+                return SMTPServer.reply(552, `5.2.2 ${subject}Mailbox full`);
+            default:
+                throw new Error(`Fault "${kind}" has no reply`);
+        }
+    }
+
+    /**
+     * Checked copy of an armed fault
+     * @param {string} kind - Key of FaultInjector.KINDS
+     * @param {string} point - Key of FaultInjector.POINTS; defaults to the fault's usual step
+     * @returns {Object} { kind, point }
+     */
+    static entry(kind, point) {
+        const fault = FaultInjector.KINDS[kind];
+        if (!fault) {
+            throw new Error(`Unknown fault "${kind}"`);
+        }
+        const step = point || fault.points[0];
+        if (!fault.points.includes(step)) {
+            throw new Error(`${fault.label} cannot strike at ${FaultInjector.POINTS[step] || step}`);
+        }
+        return { kind, point: step };
+    }
+
+    /**
+     * @param {Function} random - Seeded source the random faults are drawn from
+     */
+    constructor(random) {
+        this.random = random;
+        this.chance = 0; // % of the steps a random fault strikes at
+        this.kinds = Object.keys(FaultInjector.KINDS); // Faults drawn at random
+        this.timeout = 30000; // ms the client waits for a reply (RFC 5321 section 4.5.3.2 asks for minutes)
+        this.outage = 30000; // ms the recipient's MX stays offline
+        this.armed = []; // { kind, point } waiting for their step, fired once each
+        this.onChange = () => {};
+    }
+
+    /**
+     * Change how faults are drawn
+     * @param {Object} settings - { chance (%), kinds, timeout (ms), outage (ms) }; missing fields are kept
+     */
+    configure(settings) {
+        ['chance', 'timeout', 'outage'].forEach((key) => {
+            if (typeof settings[key] === 'number' && settings[key] >= 0) this[key] = settings[key];
+        });
+        if (Array.isArray(settings.kinds)) {
+            this.kinds = settings.kinds.filter(kind => FaultInjector.KINDS[kind]);
+        }
+    }
+
+    /**
+     * Arm a fault for the next session that reaches a step
+     * @param {string} kind - Key of FaultInjector.KINDS
+     * @param {string} point - Key of FaultInjector.POINTS; defaults to the fault's usual step
+     */
+    arm(kind, point) {
+        this.armed.push(FaultInjector.entry(kind, point));
+        this.onChange();
+    }
+
+    /**
+     * Remove an armed fault
+     * @param {number} index - Index in this.armed
+     */
+    disarm(index) {
+        this.armed.splice(index, 1);
+        this.onChange();
+    }
+
+    /**
+     * Replace the armed faults, e.g. from a scenario or a snapshot
+     * @param {Object[]} faults - { kind, point }
+     */
+    setArmed(faults) {
+        this.armed = faults.map(fault => FaultInjector.entry(fault.kind, fault.point));
+        this.onChange();
+    }
+
+    /**
+     * Fault striking a session at a step, if any
+     * An armed fault goes first and is used up; otherwise a random one
+     * strikes with the configured chance.
+     * @param {string} point - Key of FaultInjector.POINTS
+     * @returns {string|null} Fault kind, or null
+     */
+    take(point) {
+        const index = this.armed.findIndex(fault => fault.point === point);
+        if (index !== -1) {
+            const [fault] = this.armed.splice(index, 1);
+            this.onChange();
+            return fault.kind;
+        }
+        // Without a chance no number is drawn, so runs without faults keep their seeded course
+        const candidates = this.kinds.filter(kind => FaultInjector.KINDS[kind].points.includes(point));
+        if (this.chance <= 0 || candidates.length === 0 || this.random() * 100 >= this.chance) {
+            return null;
+        }
+        return candidates[Math.floor(this.random() * candidates.length)];
+    }
+}
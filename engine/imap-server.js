@@ -0,0 +1,425 @@
+// Simulated IMAP server (RFC 9051, IMAP4rev1 subset of RFC 3501)
+// IMAPServer serves every folder of the mail store; each connection gets an
+// IMAPSession that goes from not authenticated to authenticated (LOGIN) to
+// selected (SELECT/EXAMINE). Messages stay on the server: FETCH reads them,
+// STORE changes their flags and EXPUNGE removes the ones marked \Deleted.
+
+// Flags a client may set (RFC 9051 section 2.3.2)
+const IMAP_FLAGS = ['\\Seen', '\\Answered', '\\Flagged', '\\Deleted', '\\Draft'];
+
+class IMAPServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.hostname - Name announced in the greeting
+     * @param {MailStore} options.store - Mailboxes to serve
+     */
+    constructor(options = {}) {
+        this.hostname = options.hostname || 'mailbox.example.com';
+        this.store = options.store;
+        this.port = 143;
+    }
+
+    static get CAPABILITIES() {
+        return 'IMAP4rev1 IMAP4rev2 LITERAL+';
+    }
+
+    /**
+     * INTERNALDATE value, e.g. '19-Oct-2026 07:59:35 +0000'
+     * @param {Date} date - Delivery time
+     * @returns {string} date-time in UTC
+     */
+    static formatDate(date) {
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(date.getUTCDate())}-${months[date.getUTCMonth()]}-${date.getUTCFullYear()} ` +
+            `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+    }
+
+    /**
+     * Split command arguments into atoms, quoted strings and parenthesized lists
+     * An atom such as BODY[HEADER.FIELDS (FROM)] keeps its bracketed section whole.
+     * @param {string} text - Arguments after the command name
+     * @returns {Array} Tokens; lists are nested arrays
+     * @throws {Error} On unbalanced quotes or parentheses
+     */
+    static parseArgs(text) {
+        const stack = [[]];
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            if (char === ' ') {
+                i++;
+            } else if (char === '(') {
+                const list = [];
+                stack[stack.length - 1].push(list);
+                stack.push(list);
+                i++;
+            } else if (char === ')') {
+                if (stack.length === 1) throw new Error('unbalanced parentheses');
+                stack.pop();
+                i++;
+            } else if (char === '"') {
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\') i++;
+                    value += text[i++];
+                }
+                if (i >= text.length) throw new Error('unterminated quoted string');
+                stack[stack.length - 1].push(value);
+                i++;
+            } else {
+                let atom = '';
+                while (i < text.length && !' ()'.includes(text[i])) {
+                    if (text[i] === '[') {
+                        const end = text.indexOf(']', i);
+                        if (end === -1) throw new Error('unterminated section');
+                        atom += text.slice(i, end + 1);
+                        i = end + 1;
+                    } else {
+                        atom += text[i++];
+                    }
+                }
+                stack[stack.length - 1].push(atom);
+            }
+        }
+        if (stack.length !== 1) throw new Error('unbalanced parentheses');
+        return stack[0];
+    }
+
+    /**
+     * Accept a new client connection
+     * @returns {IMAPSession} Session with its greeting in session.greeting
+     */
+    connect() {
+        return new IMAPSession(this);
+    }
+}
+
+class IMAPSession {
+    /**
+     * @param {IMAPServer} server - Server that accepted the connection
+     */
+    constructor(server) {
+        this.server = server;
+        this.state = 'not-authenticated'; // → authenticated → selected; logout after LOGOUT
+        this.address = null;
+        this.folder = null; // Selected folder
+        this.readOnly = false; // True after EXAMINE
+        this.messages = []; // Selected folder; sequence numbers are positions + 1
+        this.greeting = { ok: true, lines: [`* OK [CAPABILITY ${IMAPServer.CAPABILITIES}] ${server.hostname} IMAP server ready`] };
+    }
+
+    // True after LOGOUT
+    get isClosed() {
+        return this.state === 'logout';
+    }
+
+    /**
+     * Process one tagged command line
+     * @param {string} line - Command line without CRLF
+     * @returns {Object} Response { ok, lines }: untagged lines, then the tagged completion
+     */
+    handle(line) {
+        const match = line.match(/^(\S+)\s+(\S+)\s?(.*)$/);
+        if (!match) {
+            return { ok: false, lines: ['* BAD Missing tag or command'] };
+        }
+        const [, tag, name, rest] = match;
+        const command = name.toUpperCase();
+        const done = (status, text, untagged = []) => ({ ok: status === 'OK', lines: [...untagged, `${tag} ${status} ${text}`] });
+        if (this.isClosed) {
+            return done('BAD', 'Connection closed');
+        }
+
+        let args;
+        try {
+            args = IMAPServer.parseArgs(rest);
+        } catch (error) {
+            return done('BAD', `Syntax error: ${error.message}`);
+        }
+
+        switch (command) {
+            case 'CAPABILITY':
+                return done('OK', 'CAPABILITY completed', [`* CAPABILITY ${IMAPServer.CAPABILITIES}`]);
+            case 'NOOP':
+                return done('OK', 'NOOP completed', this.state === 'selected' ? this.refresh() : []);
+            case 'LOGOUT':
+                this.state = 'logout';
+                return done('OK', 'LOGOUT completed', [`* BYE ${this.server.hostname} IMAP server logging out`]);
+            case 'LOGIN':
+                return this.login(args, done);
+        }
+
+        if (this.state === 'not-authenticated') {
+            return done('NO', `${command} needs LOGIN first`);
+        }
+        switch (command) {
+            case 'LIST':
+                return done('OK', 'LIST completed', this.list(args));
+            case 'SELECT':
+            case 'EXAMINE':
+                return this.select(args[0], command === 'EXAMINE', done);
+        }
+
+        if (this.state !== 'selected' && ['FETCH', 'STORE', 'EXPUNGE', 'CLOSE', 'UID'].includes(command)) {
+            return done('BAD', `${command} needs a selected folder`);
+        }
+        switch (command) {
+            case 'FETCH':
+                return this.fetch(args, false, done);
+            case 'STORE':
+                return this.storeFlags(args, false, done);
+            case 'UID': {
+                const sub = String(args[0] || '').toUpperCase();
+                if (sub === 'FETCH') return this.fetch(args.slice(1), true, done);
+                if (sub === 'STORE') return this.storeFlags(args.slice(1), true, done);
+                return done('BAD', `UID ${sub} is not supported`);
+            }
+            case 'EXPUNGE':
+                if (this.readOnly) return done('NO', 'Folder is read-only');
+                return done('OK', 'EXPUNGE completed', this.expunge());
+            case 'CLOSE':
+                // Expunges silently unless the folder was opened with EXAMINE
+                if (!this.readOnly) this.expunge();
+                this.state = 'authenticated';
+                this.folder = null;
+                this.messages = [];
+                return done('OK', 'CLOSE completed');
+            default:
+                return done('BAD', `Unknown command ${command}`);
+        }
+    }
+
+    /**
+     * LOGIN user password
+     * @param {Array} args - Parsed arguments
+     * @param {Function} done - Builds the tagged response
+     */
+    login(args, done) {
+        if (this.state !== 'not-authenticated') {
+            return done('BAD', 'Already logged in');
+        }
+        if (args.length !== 2 || Array.isArray(args[0]) || Array.isArray(args[1])) {
+            return done('BAD', 'Syntax: LOGIN user password');
+        }
+        const address = this.server.store.authenticate(args[0], args[1]);
+        if (!address) {
+            return done('NO', '[AUTHENTICATIONFAILED] Invalid credentials');
+        }
+        this.address = address;
+        this.state = 'authenticated';
+        return done('OK', `[CAPABILITY ${IMAPServer.CAPABILITIES}] LOGIN completed`);
+    }
+
+    /**
+     * LIST reference pattern - folders matching a pattern with * and % wildcards
+     * @param {Array} args - [reference, pattern]
+     * @returns {string[]} Untagged LIST lines
+     */
+    list(args) {
+        const pattern = String(args[1] === undefined ? '*' : args[1]);
+        if (pattern === '') {
+            // An empty pattern asks for the hierarchy delimiter only
+            return ['* LIST (\\Noselect) "/" ""'];
+        }
+        const regex = new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*') + '$', 'i');
+        return MailStore.FOLDERS
+            .filter(folder => regex.test(folder))
+            .map(folder => `* LIST (\\HasNoChildren${folder === 'Junk' ? ' \\Junk' : ''}) "/" ${folder}`);
+    }
+
+    /**
+     * SELECT or EXAMINE a folder
+     * @param {string} name - Folder name
+     * @param {boolean} readOnly - True for EXAMINE
+     * @param {Function} done - Builds the tagged response
+     */
+    select(name, readOnly, done) {
+        const folder = MailStore.folderName(name);
+        this.state = 'authenticated';
+        if (!folder) {
+            return done('NO', `[NONEXISTENT] No folder ${name}`);
+        }
+        const mailbox = this.server.store.mailbox(this.address);
+        this.folder = folder;
+        this.readOnly = readOnly;
+        this.messages = [...this.server.store.messages(this.address, folder)];
+        this.state = 'selected';
+
+        const unseen = this.messages.findIndex(message => !message.flags.includes('\\Seen'));
+        const untagged = [
+            `* FLAGS (${IMAP_FLAGS.join(' ')})`,
+            `* ${this.messages.length} EXISTS`,
+            '* 0 RECENT',
+            ...(unseen === -1 ? [] : [`* OK [UNSEEN ${unseen + 1}] First unseen message`]),
+            `* OK [UIDVALIDITY ${mailbox.uidValidity}] UIDs valid`,
+            `* OK [UIDNEXT ${mailbox.nextUid}] Predicted next UID`,
+            `* OK [PERMANENTFLAGS (${readOnly ? '' : IMAP_FLAGS.join(' ')})] Flags permitted`
+        ];
+        return done('OK', `[${readOnly ? 'READ-ONLY' : 'READ-WRITE'}] ${readOnly ? 'EXAMINE' : 'SELECT'} completed`, untagged);
+    }
+
+    // Report messages delivered to the selected folder since the last look
+    refresh() {
+        const current = this.server.store.messages(this.address, this.folder);
+        const added = current.filter(message => !this.messages.includes(message));
+        if (added.length === 0) return [];
+        this.messages.push(...added);
+        return [`* ${this.messages.length} EXISTS`];
+    }
+
+    /**
+     * Resolve a sequence set such as 1:3,5 or 2:*
+     * @param {string} set - Sequence set
+     * @param {boolean} byUid - Interpret the numbers as UIDs
+     * @returns {Object[]|null} Entries { number, message } in order, or null when malformed
+     */
+    resolve(set, byUid) {
+        if (typeof set !== 'string' || !/^[\d*:,]+$/.test(set)) return null;
+        const key = (message, index) => byUid ? message.uid : index + 1;
+        const last = this.messages.length === 0 ? 0 : key(this.messages[this.messages.length - 1], this.messages.length - 1);
+        const value = part => part === '*' ? last : parseInt(part, 10);
+        const ranges = set.split(',').map(part => {
+            const [from, to = from] = part.split(':').map(value);
+            return [Math.min(from, to), Math.max(from, to)];
+        });
+        if (ranges.some(([from, to]) => isNaN(from) || isNaN(to))) return null;
+        return this.messages
+            .map((message, index) => ({ number: index + 1, message }))
+            .filter((entry, index) => ranges.some(([from, to]) => key(entry.message, index) >= from && key(entry.message, index) <= to));
+    }
+
+    /**
+     * Content of a body section, ending with CRLF as sent in a literal
+     * @param {string} message - Whole message
+     * @param {string} section - '', 'HEADER', 'TEXT' or 'HEADER.FIELDS (NAME ...)'
+     * @returns {string|null} Section content, or null for an unsupported section
+     */
+    static section(message, section) {
+        const lines = message.split('\r\n');
+        const end = lines.indexOf('');
+        const header = end === -1 ? lines : lines.slice(0, end);
+        const body = end === -1 ? [] : lines.slice(end + 1);
+        const upper = section.toUpperCase();
+        if (upper === '') return message + '\r\n';
+        if (upper === 'HEADER') return header.join('\r\n') + '\r\n\r\n';
+        if (upper === 'TEXT') return body.length ? body.join('\r\n') + '\r\n' : '';
+
+        const fields = /^HEADER\.FIELDS\s*\(([^)]*)\)$/.exec(upper);
+        if (!fields) return null;
+        const wanted = fields[1].split(/\s+/).filter(Boolean).map(name => name.toLowerCase());
+        const picked = [];
+        let keep = false;
+        header.forEach(line => {
+            if (!/^[ \t]/.test(line)) {
+                keep = wanted.includes(line.slice(0, line.indexOf(':')).trim().toLowerCase());
+            }
+            if (keep) picked.push(line);
+        });
+        return picked.join('\r\n') + (picked.length ? '\r\n' : '') + '\r\n';
+    }
+
+    /**
+     * FETCH sequence-set items
+     * Items that return message text are sent as literals, {size} followed by the octets.
+     * @param {Array} args - [set, item or list of items]
+     * @param {boolean} byUid - UID FETCH
+     * @param {Function} done - Builds the tagged response
+     */
+    fetch(args, byUid, done) {
+        const entries = this.resolve(args[0], byUid);
+        if (entries === null || args[1] === undefined) {
+            return done('BAD', 'Syntax: FETCH sequence-set items');
+        }
+        let items = (Array.isArray(args[1]) ? args[1] : [args[1]]).map(item => String(item).toUpperCase());
+        if (items.length === 1 && items[0] === 'FAST') {
+            items = ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE'];
+        }
+        if (byUid && !items.includes('UID')) {
+            items.unshift('UID');
+        }
+
+        const untagged = [];
+        for (const { number, message } of entries) {
+            const simple = [];
+            const literals = [];
+            let seen = false;
+            for (const item of items) {
+                const body = /^BODY(\.PEEK)?\[(.*)\]$/.exec(item);
+                if (item === 'FLAGS') continue;
+                if (item === 'UID') simple.push(`UID ${message.uid}`);
+                else if (item === 'RFC822.SIZE') simple.push(`RFC822.SIZE ${message.size}`);
+                else if (item === 'INTERNALDATE') simple.push(`INTERNALDATE "${IMAPServer.formatDate(message.deliveredAt)}"`);
+                else if (body || ['RFC822', 'RFC822.HEADER', 'RFC822.TEXT'].includes(item)) {
+                    const section = body ? body[2] : { RFC822: '', 'RFC822.HEADER': 'HEADER', 'RFC822.TEXT': 'TEXT' }[item];
+                    const content = IMAPSession.section(message.message, section);
+                    if (content === null) return done('BAD', `Unsupported section ${item}`);
+                    // Reading the text sets \Seen unless the client peeks (RFC 9051 section 6.4.5)
+                    if (!(body && body[1]) && item !== 'RFC822.HEADER') seen = true;
+                    literals.push(`${body ? `BODY[${body[2]}]` : item} {${SMTPServer.byteLength(content)}}\r\n${content}`);
+                } else {
+                    return done('BAD', `Unknown FETCH item ${item}`);
+                }
+            }
+            if (seen && !this.readOnly && !message.flags.includes('\\Seen')) {
+                this.server.store.setFlags(this.address, message, [...message.flags, '\\Seen']);
+            } else {
+                seen = false;
+            }
+            // A flag change caused by the fetch is reported even when FLAGS was not asked for
+            if (items.includes('FLAGS') || seen) {
+                simple.unshift(`FLAGS (${message.flags.join(' ')})`);
+            }
+            const response = `* ${number} FETCH (${[...simple, ...literals].join(' ')})`;
+            untagged.push(...response.split('\r\n'));
+        }
+        return done('OK', `${byUid ? 'UID ' : ''}FETCH completed`, untagged);
+    }
+
+    /**
+     * STORE sequence-set [+|-]FLAGS[.SILENT] (flags)
+     * @param {Array} args - [set, item, flags]
+     * @param {boolean} byUid - UID STORE
+     * @param {Function} done - Builds the tagged response
+     */
+    storeFlags(args, byUid, done) {
+        if (this.readOnly) {
+            return done('NO', 'Folder is read-only');
+        }
+        const entries = this.resolve(args[0], byUid);
+        const item = /^([+-]?)FLAGS(\.SILENT)?$/i.exec(String(args[1] || ''));
+        if (entries === null || !item || args[2] === undefined) {
+            return done('BAD', 'Syntax: STORE sequence-set [+|-]FLAGS[.SILENT] (flags)');
+        }
+        const flags = (Array.isArray(args[2]) ? args[2] : [args[2]])
+            .map(flag => IMAP_FLAGS.find(known => known.toLowerCase() === String(flag).toLowerCase()) || flag);
+
+        const untagged = [];
+        entries.forEach(({ number, message }) => {
+            const next = item[1] === '+' ? [...message.flags, ...flags]
+                : item[1] === '-' ? message.flags.filter(flag => !flags.includes(flag))
+                    : flags;
+            this.server.store.setFlags(this.address, message, next);
+            if (!item[2]) {
+                untagged.push(`* ${number} FETCH (${byUid ? `UID ${message.uid} ` : ''}FLAGS (${message.flags.join(' ')}))`);
+            }
+        });
+        return done('OK', `${byUid ? 'UID ' : ''}STORE completed`, untagged);
+    }
+
+    /**
+     * Remove the messages marked \Deleted from the selected folder
+     * Numbers are reported from the highest down, so each stays valid as the ones above it disappear.
+     * @returns {string[]} Untagged EXPUNGE lines
+     */
+    expunge() {
+        const removed = this.messages
+            .map((message, index) => ({ number: index + 1, message }))
+            .filter(entry => entry.message.flags.includes('\\Deleted'))
+            .reverse();
+        this.server.store.remove(this.address, removed.map(entry => entry.message));
+        this.messages = this.messages.filter(message => !message.flags.includes('\\Deleted'));
+        return removed.map(entry => `* ${entry.number} EXPUNGE`);
+    }
+}
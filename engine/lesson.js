@@ -0,0 +1,409 @@
+// Guided lessons and quizzes
+// A lesson loads a scenario and runs it on the playback clock, stopping
+// before every server reply so the student first predicts the reply code.
+// LessonTutor does the pausing and the scoring without touching the page;
+// Quiz turns a recorded session trace into multiple-choice questions about
+// the run. Progress is a plain JSON object that the page keeps in storage.
+
+class Lesson {
+    // Guided lessons, keyed by ID; each runs a library scenario with a fixed seed so every student sees the same run
+    static get LIBRARY() {
+        return {
+            firstMessage: {
+                title: 'Your first message',
+                scenario: 'basic',
+                overrides: { network: { packetLoss: 0 } },
+                seed: 1,
+                intro: 'Follow one message from alice to bob: the greeting, EHLO, the envelope (MAIL FROM and RCPT TO), DATA and QUIT. Predict each reply before the server sends it.'
+            },
+            relayRules: {
+                title: 'Who may relay?',
+                scenario: 'relayDenied',
+                seed: 1,
+                intro: 'The server only relays to other domains for clients that logged in. One recipient is local, the other is not: which RCPT TO will be refused, and with which code?'
+            },
+            temporaryFailures: {
+                title: 'Try again later (4xx)',
+                scenario: 'submissionGreylisting',
+                seed: 1,
+                intro: 'This server greylists unknown senders. Watch how a 4xx reply makes the client come back, and predict what the server says the second time.'
+            },
+            refusedClient: {
+                title: 'Refused at the door (5xx)',
+                scenario: 'blockedClient',
+                seed: 1,
+                intro: 'The client\'s network is on the server\'s blocklist. Even the greeting can be a refusal: predict it, then see why the client does not try again.'
+            },
+            lostSegments: {
+                title: 'Lost segments',
+                scenario: 'basic',
+                overrides: { network: { packetLoss: 30 } },
+                seed: 7,
+                intro: 'Almost a third of the TCP segments are lost. The SMTP dialogue does not change, only its timing: TCP retransmits until every command arrives.'
+            }
+        };
+    }
+
+    // Reply codes offered for each kind of prompt in a lesson
+    static get CHOICES() {
+        return {
+            GREETING: [220, 421, 554],
+            HELO: [250, 501, 502],
+            EHLO: [250, 501, 502],
+            STARTTLS: [220, 454, 502],
+            AUTH: [235, 334, 535],
+            AUTH_RESPONSE: [235, 334, 535],
+            MAIL: [250, 450, 503, 530, 552],
+            RCPT: [250, 451, 550, 552],
+            DATA: [250, 354, 503, 554],
+            END: [250, 451, 550, 552],
+            QUIT: [221, 250, 421],
+            OTHER: [250, 500, 502]
+        };
+    }
+
+    // What each kind of prompt is about, shown with the server's actual reply
+    static get EXPLANATIONS() {
+        return {
+            GREETING: 'The server speaks first. 220 invites the client in, 421 means "busy, come back later" and 554 "go away for good".',
+            HELO: 'HELO is the original greeting of RFC 821: one 250 line and no extensions.',
+            EHLO: 'EHLO introduces the client and asks for the ESMTP extensions; the 250 reply lists one extension per line.',
+            STARTTLS: '220 means "go ahead": both sides start the TLS handshake on the same connection.',
+            AUTH: 'AUTH starts a SASL exchange. 334 asks for the next base64 piece, 235 means logged in, 535 wrong credentials.',
+            AUTH_RESPONSE: 'The client answered the 334 challenge. The server either asks again with 334 or decides: 235 or 535.',
+            MAIL: 'MAIL FROM opens a transaction and names the envelope sender, the address bounces go back to.',
+            RCPT: 'Each RCPT TO adds one envelope recipient, and the server decides per recipient.',
+            DATA: 'DATA asks to send the message. 354 means "go ahead, end with a line holding only a dot".',
+            END: 'The lone dot ends the message. A 250 here means the server has taken responsibility for delivering it.',
+            QUIT: '221 closes the session politely; the connection is closed afterwards.',
+            OTHER: ''
+        };
+    }
+
+    /**
+     * Lesson from the library
+     * @param {string} id - Key of Lesson.LIBRARY
+     * @returns {Object} Lesson with its id
+     */
+    static get(id) {
+        const entry = Lesson.LIBRARY[id];
+        if (!entry) {
+            throw new Error(`Unknown lesson "${id}"`);
+        }
+        return { id, ...entry };
+    }
+
+    /**
+     * Complete scenario a lesson runs
+     * @param {Object} lesson - Result of Lesson.get()
+     * @returns {Object} Scenario
+     */
+    static scenario(lesson) {
+        return Scenario.merge(Scenario.fromLibrary(lesson.scenario), lesson.overrides || {});
+    }
+
+    /**
+     * Kind of prompt for a client command
+     * @param {string} command - Command line
+     * @param {number} lastCode - Code of the previous reply in the session; 334 makes the line a SASL response
+     * @returns {string} Key of Lesson.CHOICES
+     */
+    static promptKind(command, lastCode) {
+        if (lastCode === 334) return 'AUTH_RESPONSE';
+        const verb = command.trim().split(/\s+/)[0].toUpperCase();
+        return Lesson.CHOICES[verb] ? verb : 'OTHER';
+    }
+
+    /**
+     * Meaning of a reply code's first digit (RFC 5321 section 4.2.1)
+     * @param {number} code - Reply code
+     * @returns {string} Short description
+     */
+    static codeClass(code) {
+        return {
+            2: 'completed',
+            3: 'go on, the server waits for more',
+            4: 'temporary failure, the client may try again later',
+            5: 'permanent failure, trying again will not help'
+        }[Math.floor(code / 100)] || 'unknown';
+    }
+
+    /**
+     * Explanation shown after a prediction was graded
+     * @param {string} kind - Prompt kind
+     * @param {number} code - Code the server sent
+     * @returns {string} Text
+     */
+    static explain(kind, code) {
+        return `${code}: ${Lesson.codeClass(code)}. ${Lesson.EXPLANATIONS[kind] || ''}`.trim();
+    }
+
+    /**
+     * Question text of a prompt
+     * @param {Object} prompt - { kind, command }
+     * @param {boolean} past - Ask about a recorded run instead of the next reply
+     * @returns {string} e.g. 'What will the server answer to "DATA"?'
+     */
+    static question(prompt, past = false) {
+        const will = past ? 'did' : 'will';
+        if (prompt.kind === 'GREETING') return `The client connects. Which code ${will} the server greet it with?`;
+        if (prompt.kind === 'END') return `The message ends with <CRLF>.<CRLF>. What ${will} the server answer?`;
+        return `What ${will} the server answer to "${prompt.command}"?`;
+    }
+
+    /**
+     * Progress with a finished lesson added
+     * @param {Object} progress - { lessons: { id: entry }, quizzes: [] } as stored, or {} the first time
+     * @param {Object} summary - Result of a lesson { lesson, score, total }
+     * @param {string} at - ISO time of completion
+     * @returns {Object} New progress; each lesson keeps { attempts, best, total, last, completedAt }
+     */
+    static recordLesson(progress, summary, at) {
+        const lessons = { ...(progress.lessons || {}) };
+        const previous = lessons[summary.lesson] || { attempts: 0, best: 0 };
+        lessons[summary.lesson] = {
+            attempts: previous.attempts + 1,
+            best: Math.max(previous.best, summary.score),
+            total: summary.total,
+            last: summary.score,
+            completedAt: at
+        };
+        return { ...progress, lessons };
+    }
+
+    /**
+     * Progress with a quiz result added; the latest 20 results are kept
+     * @param {Object} progress - Stored progress
+     * @param {Object} result - Result of Quiz.grade()
+     * @param {string} at - ISO time the quiz was checked
+     * @returns {Object} New progress
+     */
+    static recordQuiz(progress, result, at) {
+        const quizzes = [...(progress.quizzes || []), { score: result.score, total: result.total, at }].slice(-20);
+        return { ...progress, quizzes };
+    }
+}
+
+class LessonTutor {
+    /**
+     * @param {SMTPEngine} engine - Engine running on the playback clock
+     * @param {Playback} playback - Clock that is paused before each reply
+     * @param {Object} handlers - { prompt(prompt), result(answer), finish(summary) }
+     */
+    constructor(engine, playback, handlers) {
+        this.engine = engine;
+        this.playback = playback;
+        this.handlers = handlers;
+        this.lesson = null; // Lesson being taken, or null
+        this.prompts = []; // Predictions waiting for their reply, in the order the replies arrive
+        this.answers = []; // Graded predictions of the lesson so far
+        this.lastCodes = new Map(); // Session ID → code of its latest reply
+        engine.on('*', event => this.observe(event));
+    }
+
+    // True while a lesson runs
+    get isActive() {
+        return this.lesson !== null;
+    }
+
+    // Prompt still waiting for the student's guess, or null
+    get current() {
+        return this.prompts.find(prompt => prompt.guess === null) || null;
+    }
+
+    /**
+     * Take a lesson; call before its sessions start
+     * @param {Object} lesson - Result of Lesson.get()
+     */
+    start(lesson) {
+        this.lesson = lesson;
+        this.prompts = [];
+        this.answers = [];
+        this.lastCodes.clear();
+    }
+
+    // Leave the lesson; the run goes on without questions
+    stop() {
+        this.lesson = null;
+        this.prompts = [];
+    }
+
+    /**
+     * Ask before replies and grade them as they come
+     * Console sessions are typed by hand and belong to no lesson.
+     * @param {Object} event - Engine event
+     */
+    observe(event) {
+        if (!this.lesson || !event.sessionId) return;
+        switch (event.type) {
+            case 'sessionStart':
+            case 'clientRetry':
+                this.ask({ sessionId: event.sessionId, kind: 'GREETING', command: null });
+                break;
+            case 'command':
+                this.ask({ sessionId: event.sessionId, kind: Lesson.promptKind(event.command, this.lastCodes.get(event.sessionId)), command: event.command });
+                break;
+            case 'content':
+                // BDAT chunks were asked about as commands; only DATA content ends with a dot
+                if (!event.chunks) this.ask({ sessionId: event.sessionId, kind: 'END', command: '.' });
+                break;
+            case 'reply':
+                if (event.from === 'server') this.grade(event);
+                break;
+            case 'sessionEnd':
+                // A connection that broke off leaves its last question unanswered
+                this.prompts = this.prompts.filter(prompt => prompt.sessionId !== event.sessionId);
+                if (!this.engine.isRunning) this.finish();
+                break;
+        }
+    }
+
+    /**
+     * Stop the clock and put a question to the student
+     * @param {Object} prompt - { sessionId, kind, command }
+     */
+    ask(prompt) {
+        const entry = { ...prompt, choices: Lesson.CHOICES[prompt.kind], guess: null };
+        this.prompts.push(entry);
+        this.playback.pause();
+        this.handlers.prompt(entry);
+    }
+
+    /**
+     * Take the student's guess and let the reply come
+     * @param {number} code - Predicted reply code
+     */
+    answer(code) {
+        const prompt = this.current;
+        if (!prompt) return;
+        prompt.guess = code;
+        this.playback.play();
+    }
+
+    /**
+     * Compare a reply with the prediction made for it
+     * A reply that arrives before a guess (the student pressed Play) counts as missed.
+     * @param {Object} event - reply event
+     */
+    grade(event) {
+        this.lastCodes.set(event.sessionId, event.code);
+        const index = this.prompts.findIndex(prompt => prompt.sessionId === event.sessionId);
+        if (index === -1) return;
+        const [prompt] = this.prompts.splice(index, 1);
+        const answer = {
+            sessionId: prompt.sessionId,
+            kind: prompt.kind,
+            command: prompt.command,
+            guess: prompt.guess,
+            code: event.code,
+            text: event.lines[0] || '',
+            correct: prompt.guess === event.code,
+            explanation: Lesson.explain(prompt.kind, event.code)
+        };
+        this.answers.push(answer);
+        this.handlers.result(answer);
+    }
+
+    // Report the score once the lesson's sessions are over
+    finish() {
+        const summary = {
+            lesson: this.lesson.id,
+            score: this.answers.filter(answer => answer.correct).length,
+            total: this.answers.length,
+            answers: this.answers
+        };
+        this.stop();
+        this.handlers.finish(summary);
+    }
+}
+
+class Quiz {
+    /**
+     * Multiple-choice questions about a recorded run
+     * Every server reply to a command becomes a candidate question; replies
+     * other than 2xx are the interesting ones and are picked first. A
+     * question about how each session ended is added.
+     * @param {Object[]} records - SessionTrace records
+     * @param {Object} options - Quiz options
+     * @param {number} options.count - Most questions to ask (default 8)
+     * @param {Function} options.random - Returns a number in [0, 1), used to pick the ordinary replies
+     * @returns {Object[]} Questions { id, text, choices, answer, detail } in the order they happened
+     */
+    static fromTrace(records, options = {}) {
+        const count = options.count || 8;
+        const random = options.random || Math.random;
+        const asked = new Map(); // Session ID → prompts waiting for their replies, several when pipelined
+        const lastCodes = new Map();
+        const sessions = new Set();
+        const candidates = [];
+        const endings = [];
+
+        records.forEach((record, index) => {
+            const id = record.sessionId;
+            if (!id) return;
+            sessions.add(id);
+            if (record.type === 'sessionStart' || record.type === 'clientRetry') {
+                asked.set(id, [{ kind: 'GREETING', command: null }]);
+            } else if (record.type === 'command') {
+                asked.set(id, [...(asked.get(id) || []), { kind: Lesson.promptKind(record.command, lastCodes.get(id)), command: record.command }]);
+            } else if (record.type === 'content' && !record.chunks) {
+                asked.set(id, [...(asked.get(id) || []), { kind: 'END', command: '.' }]);
+            } else if (record.type === 'reply' && record.from === 'server') {
+                lastCodes.set(id, record.code);
+                const prompt = (asked.get(id) || []).shift();
+                if (prompt) {
+                    candidates.push({ index, sessionId: id, ...prompt, code: record.code, text: record.lines[0] || '' });
+                }
+            } else if (record.type === 'sessionEnd') {
+                endings.push({ index, sessionId: id, outcome: record.outcome });
+            }
+        });
+
+        const several = sessions.size > 1;
+        const prefix = sessionId => several ? `[${sessionId}] ` : '';
+        const notable = candidates.filter(candidate => candidate.code >= 300 && candidate.code !== 334 && candidate.kind !== 'DATA');
+        const ordinary = candidates.filter(candidate => !notable.includes(candidate))
+            .map(candidate => ({ candidate, key: random() }))
+            .sort((a, b) => a.key - b.key)
+            .map(entry => entry.candidate);
+        const picked = [...notable, ...ordinary].slice(0, Math.max(0, count - endings.length));
+
+        const questions = picked.map(candidate => ({
+            index: candidate.index,
+            text: prefix(candidate.sessionId) + Lesson.question(candidate, true),
+            choices: [...new Set([...Lesson.CHOICES[candidate.kind], candidate.code])].sort((a, b) => a - b),
+            answer: candidate.code,
+            detail: `${candidate.code} ${candidate.text}. ${Lesson.explain(candidate.kind, candidate.code)}`
+        }));
+        endings.slice(0, count).forEach(ending => questions.push({
+            index: ending.index,
+            text: `${prefix(ending.sessionId)}How did the client's session end?`,
+            choices: ['delivered', 'queued', 'failed'],
+            answer: ending.outcome,
+            detail: {
+                delivered: 'delivered: the server accepted the message and the client was done with it.',
+                queued: 'queued: the server accepted the message but could not pass it on yet, so it waits in the relay queue.',
+                failed: 'failed: the client could not hand the message over.'
+            }[ending.outcome] || ending.outcome
+        }));
+
+        return questions
+            .sort((a, b) => a.index - b.index)
+            .map(({ index, ...question }, number) => ({ id: `Q${number + 1}`, ...question }));
+    }
+
+    /**
+     * Score the answers to a quiz
+     * @param {Object[]} questions - Result of Quiz.fromTrace()
+     * @param {Object} responses - Question ID → chosen answer
+     * @returns {Object} { score, total, results: [{ id, given, correct }] }
+     */
+    static grade(questions, responses) {
+        const results = questions.map(question => ({
+            id: question.id,
+            given: responses[question.id] !== undefined ? responses[question.id] : null,
+            correct: responses[question.id] === question.answer
+        }));
+        return { score: results.filter(result => result.correct).length, total: questions.length, results };
+    }
+}
@@ -0,0 +1,556 @@
+// Sender authentication: SPF (RFC 7208), DKIM (RFC 6376) and DMARC (RFC 7489)
+// The outbound MTA signs each copy with a real RSA key through WebCrypto.
+// The receiving MX checks that the connecting host may send for the envelope
+// domain and verifies DKIM signatures against keys published in the simulated
+// DNS. It then applies the DMARC policy of the domain in the From header.
+
+// Private half of the demo key published at mail._domainkey.example.com.
+// 1024 bits is the smallest size verifiers must accept (RFC 8301). It keeps the zone line short.
+const DKIM_DEMO_PRIVATE_KEY = [
+    'MIICdgIBADANBgkqhkiG9w0BAQEFAASCAmAwggJcAgEAAoGBAK+Jz6G6WSNnD9VT',
+    '8lPuhzCLgCOs03fDWxgepwk5gZT+vZMN2pM+2J81wGh0d3eZHscNgYl67J+OPKXW',
+    'e8oB3UxbGgh2rrG8pjp5X1tw4Hkx5mJP0xtyX/oVBKOolQOP60M/zAK9b5Qv9sBf',
+    'SqwMNu1xzZ6dTRFttL737848YmtfAgMBAAECgYAYIViigcxZGoTJrYWFVifNW4/c',
+    '15gmQXuXQDd0BCy0/6OtwFzImv4KPMhbU49MqIbblBa3gGdgs5vQrEBOD52M9DhR',
+    '+LrHiaxJVDfwf2krjz3W10S2icMeQDbbklGlSr8KxOkwBI2UpnyPva+XvGXEkrRy',
+    '4SmmuavC/UKe38gKSQJBANlPtkOB4mHbSOnL45FK1N6aXAvmmvenhdv/BMQlldI8',
+    'GZw+jTcHM0vSaixKZO91DvWjpS7H2ScKb7xhF6845MUCQQDOyjr7iyTCqIgfft/s',
+    'RHyPRZmgtv//O/aHebwSELNgpAJItS/Mqd8kRVmEUXqS9CNLkmpBH/oJKL34IyeU',
+    'NjnTAkAYbLMpp0GQihsJ3Ba5z9VZJ7RMyiCE0VlkPqeEfEz4kjS2sPkiRDbpwL6a',
+    'N8pcd6W0yi3YsjGgB7ZDUA5fbV+ZAkBqMs+RyYbKdXTa//SNySpTBgJ82B6mfKwC',
+    'LVGZ0XvdwLzvjCWNLRxM61SqsJGLkNfjgsEQyxREyeit25gC9MpDAkEAmf22/8OS',
+    'dSYcrZ29jBxS+j74FrQSMyC1KMs10g85uLznhk0HH1JKlAJIs4GNYZVl3tD/jKH/',
+    'EWfsY0IG6/YFQQ=='
+].join('');
+
+// Header fields signed when present (RFC 6376 section 5.4.1)
+const DKIM_SIGNED_HEADERS = ['from', 'to', 'cc', 'subject', 'date', 'message-id', 'mime-version', 'content-type'];
+
+// Most DNS-querying SPF terms one check may evaluate (RFC 7208 section 4.6.4)
+const SPF_LOOKUP_LIMIT = 10;
+
+class SPF {
+    // Result of a matching mechanism by its qualifier
+    static get QUALIFIERS() {
+        return { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+    }
+
+    /**
+     * Check whether a host may send mail for a domain (check_host(), RFC 7208 section 4)
+     * @param {DNSResolver} dns - Resolver holding the TXT, A and MX records
+     * @param {string} ip - IPv4 address of the connecting SMTP client
+     * @param {string} domain - MAIL FROM domain, or the HELO name when the reverse-path is empty
+     * @returns {Object} { result, mechanism, record, reason } with result 'pass', 'fail',
+     *     'softfail', 'neutral', 'none' or 'permerror'
+     */
+    static check(dns, ip, domain) {
+        try {
+            return SPF.evaluate(dns, ip, domain, { lookups: 0 });
+        } catch (error) {
+            return { result: 'permerror', mechanism: null, record: null, reason: error.message };
+        }
+    }
+
+    /**
+     * Evaluate the SPF record of one domain, following include: and redirect=
+     * @param {DNSResolver} dns - Resolver
+     * @param {string} ip - Client address
+     * @param {string} domain - Domain whose record is evaluated
+     * @param {Object} state - { lookups } shared by the whole check
+     * @returns {Object} { result, mechanism, record, reason }
+     * @throws {Error} On a permanent error (malformed record, too many lookups)
+     */
+    static evaluate(dns, ip, domain, state) {
+        const records = dns.lookupTxt(domain).filter(text => /^v=spf1(\s|$)/i.test(text));
+        if (records.length === 0) {
+            return { result: 'none', mechanism: null, record: null, reason: `${domain} publishes no SPF record` };
+        }
+        if (records.length > 1) {
+            throw new Error(`${domain} publishes ${records.length} SPF records`);
+        }
+
+        const record = records[0];
+        let redirect = null;
+        for (const term of record.split(/\s+/).slice(1)) {
+            const modifier = /^([a-z][a-z0-9_.-]*)=(.*)$/i.exec(term);
+            if (modifier) {
+                // exp= only words the rejection text, so it is ignored
+                if (modifier[1].toLowerCase() === 'redirect') redirect = modifier[2];
+                continue;
+            }
+            const match = /^([+\-~?]?)([a-z0-9]+)(?::([^/]+))?(?:\/(\d+))?$/i.exec(term);
+            if (!match) {
+                throw new Error(`Malformed SPF term "${term}" in ${domain}`);
+            }
+            const [, qualifier, name, target, prefix] = match;
+            if (SPF.matches(dns, ip, domain, name.toLowerCase(), target, prefix, state)) {
+                const result = SPF.QUALIFIERS[qualifier || '+'];
+                return { result, mechanism: term, record, reason: `${ip} matched ${term} in ${domain}` };
+            }
+        }
+
+        // redirect= only applies when no mechanism matched and there is no "all"
+        if (redirect) {
+            SPF.countLookup(state);
+            const result = SPF.evaluate(dns, ip, redirect, state);
+            if (result.result === 'none') {
+                throw new Error(`redirect=${redirect} points to a domain without an SPF record`);
+            }
+            return result;
+        }
+        return { result: 'neutral', mechanism: null, record, reason: `no mechanism in ${domain} matched ${ip}` };
+    }
+
+    /**
+     * Whether one mechanism matches the client address
+     * @param {DNSResolver} dns - Resolver
+     * @param {string} ip - Client address
+     * @param {string} domain - Domain of the record being evaluated
+     * @param {string} name - Mechanism name, e.g. 'ip4' or 'include'
+     * @param {string} target - Domain or address after the colon, if any
+     * @param {string} prefix - CIDR prefix length, if any
+     * @param {Object} state - { lookups }
+     * @returns {boolean} True on a match
+     */
+    static matches(dns, ip, domain, name, target, prefix, state) {
+        const bits = prefix === undefined ? 32 : parseInt(prefix, 10);
+        const anyInNetwork = addresses => addresses.some(address => SPF.inNetwork(ip, address, bits));
+        switch (name) {
+            case 'all':
+                return true;
+            case 'ip4':
+                return SPF.inNetwork(ip, target, bits);
+            case 'ip6':
+                return false; // The simulated network is IPv4 only
+            case 'a':
+                SPF.countLookup(state);
+                return anyInNetwork(dns.lookup(target || domain, 'A').map(record => record.value));
+            case 'mx':
+                SPF.countLookup(state);
+                return anyInNetwork(dns.lookup(target || domain, 'MX')
+                    .map(record => dns.resolveAddress(record.value))
+                    .filter(Boolean));
+            case 'include': {
+                if (!target) throw new Error('include without a domain');
+                SPF.countLookup(state);
+                const result = SPF.evaluate(dns, ip, target, state);
+                if (result.result === 'none') {
+                    throw new Error(`include:${target} points to a domain without an SPF record`);
+                }
+                return result.result === 'pass';
+            }
+            case 'exists':
+                if (!target) throw new Error('exists without a domain');
+                SPF.countLookup(state);
+                return dns.lookup(target, 'A').length > 0;
+            case 'ptr':
+                // Deprecated (RFC 7208 section 5.5); the zone has no PTR records
+                SPF.countLookup(state);
+                return false;
+            default:
+                throw new Error(`Unknown SPF mechanism "${name}"`);
+        }
+    }
+
+    /**
+     * Count a term that needs a DNS query
+     * @param {Object} state - { lookups }
+     * @throws {Error} Once the lookup limit is exceeded
+     */
+    static countLookup(state) {
+        state.lookups++;
+        if (state.lookups > SPF_LOOKUP_LIMIT) {
+            throw new Error(`more than ${SPF_LOOKUP_LIMIT} DNS lookups`);
+        }
+    }
+
+    /**
+     * IPv4 address as an unsigned 32-bit number
+     * @param {string} address - Dotted quad
+     * @returns {number|null} Number, or null when the address is malformed
+     */
+    static toNumber(address) {
+        const parts = String(address || '').split('.');
+        if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && parseInt(part, 10) < 256)) {
+            return null;
+        }
+        return parts.reduce((value, part) => value * 256 + parseInt(part, 10), 0);
+    }
+
+    /**
+     * Whether an address lies in a network
+     * @param {string} ip - Address to test
+     * @param {string} network - Network address
+     * @param {number} bits - Prefix length (0-32)
+     * @returns {boolean} True when the first bits of both addresses agree
+     */
+    static inNetwork(ip, network, bits) {
+        const a = SPF.toNumber(ip);
+        const b = SPF.toNumber(network);
+        if (a === null || b === null || bits > 32) return false;
+        const size = 2 ** (32 - bits);
+        return Math.floor(a / size) === Math.floor(b / size);
+    }
+}
+
+class DKIM {
+    /**
+     * Split a message into header fields and body lines
+     * Folded continuation lines stay part of their field.
+     * @param {string} message - Message with CRLF line breaks
+     * @returns {Object} { headers: [{ name, raw }], body: string[] }
+     */
+    static splitMessage(message) {
+        const lines = message.split('\r\n');
+        const end = lines.indexOf('');
+        const headerLines = end === -1 ? lines : lines.slice(0, end);
+        const headers = [];
+        headerLines.forEach(line => {
+            if (/^[ \t]/.test(line) && headers.length > 0) {
+                headers[headers.length - 1].raw += '\r\n' + line;
+            } else {
+                headers.push({ name: line.slice(0, line.indexOf(':')).trim().toLowerCase(), raw: line });
+            }
+        });
+        return { headers, body: end === -1 ? [] : lines.slice(end + 1) };
+    }
+
+    /**
+     * Parse a tag=value list such as a DKIM-Signature or a DNS key record
+     * @param {string} text - Tag list
+     * @returns {Object} Values by tag name, with folding whitespace removed
+     */
+    static parseTags(text) {
+        const tags = {};
+        text.split(';').forEach(part => {
+            const index = part.indexOf('=');
+            if (index === -1) return;
+            tags[part.slice(0, index).trim()] = part.slice(index + 1).replace(/\s+/g, ' ').trim();
+        });
+        return tags;
+    }
+
+    /**
+     * Canonicalize one header field (RFC 6376 section 3.4.1 and 3.4.2)
+     * @param {string} raw - Field including folding
+     * @param {string} method - 'relaxed' or 'simple'
+     * @returns {string} Canonical field without the trailing CRLF
+     */
+    static canonicalizeHeader(raw, method = 'relaxed') {
+        if (method === 'simple') return raw;
+        const colon = raw.indexOf(':');
+        const name = raw.slice(0, colon).trim().toLowerCase();
+        const value = raw.slice(colon + 1).replace(/\r\n(?=[ \t])/g, '').replace(/[ \t]+/g, ' ').trim();
+        return `${name}:${value}`;
+    }
+
+    /**
+     * Canonicalize the body (RFC 6376 section 3.4.3 and 3.4.4)
+     * @param {string[]} lines - Body lines
+     * @param {string} method - 'relaxed' or 'simple'
+     * @returns {string} Canonical body
+     */
+    static canonicalizeBody(lines, method = 'relaxed') {
+        const canonical = method === 'simple'
+            ? [...lines]
+            : lines.map(line => line.replace(/[ \t]+/g, ' ').replace(/ $/, ''));
+        while (canonical.length > 0 && canonical[canonical.length - 1] === '') {
+            canonical.pop();
+        }
+        if (canonical.length === 0) {
+            return method === 'simple' ? '\r\n' : '';
+        }
+        return canonical.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Base64 SHA-256 of the canonical body (the bh= tag)
+     * @param {string[]} lines - Body lines
+     * @param {string} method - Body canonicalization
+     * @returns {Promise<string>} Body hash
+     */
+    static async bodyHash(lines, method) {
+        const digest = await crypto.subtle.digest('SHA-256', Encoding.utf8(DKIM.canonicalizeBody(lines, method)));
+        return Encoding.base64Encode(new Uint8Array(digest));
+    }
+
+    /**
+     * Data covered by the signature: the listed header fields, then the
+     * DKIM-Signature field itself with an empty b= tag (RFC 6376 section 3.7)
+     * @param {Object[]} headers - Message header fields as { name, raw }
+     * @param {string[]} names - h= tag, lower-case field names
+     * @param {string} signature - Raw DKIM-Signature field
+     * @param {string} method - Header canonicalization
+     * @returns {Uint8Array} Bytes to sign or verify
+     */
+    static signingInput(headers, names, signature, method) {
+        // Repeated names select instances from the bottom up (RFC 6376 section 5.4.2)
+        const used = new Set();
+        const fields = [];
+        names.forEach(name => {
+            for (let i = headers.length - 1; i >= 0; i--) {
+                if (headers[i].name === name && !used.has(i)) {
+                    used.add(i);
+                    fields.push(DKIM.canonicalizeHeader(headers[i].raw, method) + '\r\n');
+                    return;
+                }
+            }
+        });
+        const unsigned = DKIM.canonicalizeHeader(signature, method)
+            .replace(/((?:^dkim-signature:|;)\s*b=)[^;]*/i, '$1')
+            .replace(/\s+$/, '');
+        return Encoding.utf8(fields.join('') + unsigned);
+    }
+
+    /**
+     * Import a base64 PKCS #8 RSA private key for signing
+     * @param {string} base64 - DER key
+     * @returns {Promise<CryptoKey>} Signing key
+     */
+    static importPrivateKey(base64) {
+        return crypto.subtle.importKey(
+            'pkcs8',
+            Encoding.base64DecodeBytes(base64),
+            { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+    }
+
+    /**
+     * Create a throw-away key pair, e.g. for an attacker signing in someone else's name
+     * @returns {Promise<CryptoKey>} Private key whose public half is published nowhere
+     */
+    static async generateKey() {
+        const pair = await crypto.subtle.generateKey(
+            { name: 'RSASSA-PKCS1-v1_5', modulusLength: 1024, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+            false,
+            ['sign', 'verify']
+        );
+        return pair.privateKey;
+    }
+
+    /**
+     * Sign a message with rsa-sha256 and relaxed/relaxed canonicalization
+     * @param {string} message - Message with CRLF line breaks
+     * @param {Object} signer - Signing identity
+     * @param {string} signer.domain - d= tag, the domain taking responsibility
+     * @param {string} signer.selector - s= tag, names the key record <selector>._domainkey.<domain>
+     * @param {CryptoKey} signer.key - Private key
+     * @param {number} signer.time - Signing time in ms (t= tag)
+     * @returns {Promise<Object>} { message, header, signed } with the DKIM-Signature field prepended
+     */
+    static async sign(message, signer) {
+        const { headers, body } = DKIM.splitMessage(message);
+        const present = new Set(headers.map(field => field.name));
+        const signed = DKIM_SIGNED_HEADERS.filter(name => present.has(name));
+        const bh = await DKIM.bodyHash(body, 'relaxed');
+
+        const unsigned = [
+            `DKIM-Signature: v=1; a=rsa-sha256; c=relaxed/relaxed; d=${signer.domain}; s=${signer.selector};`,
+            `\tt=${Math.floor(signer.time / 1000)}; h=${signed.join(':')};`,
+            `\tbh=${bh};`,
+            '\tb='
+        ].join('\r\n');
+        const input = DKIM.signingInput(headers, signed, unsigned, 'relaxed');
+        const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', signer.key, input);
+
+        // Fold the signature value; relaxed canonicalization ignores the added whitespace
+        const b = Encoding.base64Encode(new Uint8Array(signature)).match(/.{1,72}/g).join('\r\n\t ');
+        const header = `${unsigned}${b}`;
+        return { message: `${header}\r\n${message}`, header: header.split('\r\n'), signed };
+    }
+
+    /**
+     * Verify every DKIM-Signature field of a message (RFC 6376 section 6)
+     * @param {string} message - Message with CRLF line breaks
+     * @param {DNSResolver} dns - Resolver holding the key records
+     * @returns {Promise<Object[]>} One { result, domain, selector, reason } per signature,
+     *     with result 'pass', 'fail' or 'permerror'; empty when the message is unsigned
+     */
+    static async verify(message, dns) {
+        const { headers, body } = DKIM.splitMessage(message);
+        const results = [];
+        for (const field of headers.filter(header => header.name === 'dkim-signature')) {
+            results.push(await DKIM.verifySignature(field.raw, headers, body, dns));
+        }
+        return results;
+    }
+
+    /**
+     * Verify one signature
+     * @param {string} raw - Raw DKIM-Signature field
+     * @param {Object[]} headers - Message header fields
+     * @param {string[]} body - Body lines
+     * @param {DNSResolver} dns - Resolver
+     * @returns {Promise<Object>} { result, domain, selector, reason }
+     */
+    static async verifySignature(raw, headers, body, dns) {
+        const tags = DKIM.parseTags(raw.slice(raw.indexOf(':') + 1));
+        const domain = DNSResolver.normalize(tags.d || '');
+        const selector = tags.s || '';
+        const outcome = (result, reason) => ({ result, domain, selector, reason });
+
+        if (tags.v !== '1' || !tags.d || !tags.s || !tags.h || !tags.bh || !tags.b) {
+            return outcome('permerror', 'signature is missing required tags');
+        }
+        if (tags.a !== 'rsa-sha256') {
+            return outcome('permerror', `unsupported algorithm ${tags.a}`);
+        }
+        const names = tags.h.split(':').map(name => name.trim().toLowerCase());
+        if (!names.includes('from')) {
+            return outcome('permerror', 'From header is not signed');
+        }
+        const [headerMethod, bodyMethod = 'simple'] = (tags.c || 'simple/simple').split('/');
+
+        const record = dns.lookupTxt(`${selector}._domainkey.${domain}`)
+            .map(text => DKIM.parseTags(text))
+            .find(key => (key.v || 'DKIM1') === 'DKIM1');
+        if (!record) {
+            return outcome('permerror', `no key at ${selector}._domainkey.${domain}`);
+        }
+        if (!record.p) {
+            return outcome('fail', 'key has been revoked');
+        }
+
+        if (await DKIM.bodyHash(body, bodyMethod) !== tags.bh.replace(/\s+/g, '')) {
+            return outcome('fail', 'body hash did not verify');
+        }
+        let key;
+        try {
+            key = await crypto.subtle.importKey(
+                'spki',
+                Encoding.base64DecodeBytes(record.p),
+                { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+                false,
+                ['verify']
+            );
+        } catch (error) {
+            return outcome('permerror', 'key record is not a valid RSA public key');
+        }
+        const signature = Encoding.base64DecodeBytes(tags.b) || new Uint8Array(0);
+        const input = DKIM.signingInput(headers, names, raw, headerMethod);
+        const valid = await crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, input);
+        return valid ? outcome('pass', 'signature verified') : outcome('fail', 'signature did not verify');
+    }
+}
+
+class DMARC {
+    /**
+     * Organizational domain used for relaxed alignment
+     * Real receivers consult the Public Suffix List; the simulated zone
+     * only has two-label registered domains.
+     * @param {string} domain - Domain name
+     * @returns {string} Last two labels
+     */
+    static organizationalDomain(domain) {
+        return DNSResolver.normalize(domain).split('.').slice(-2).join('.');
+    }
+
+    /**
+     * Whether two domains are aligned
+     * @param {string} domain - Authenticated domain (SPF or DKIM)
+     * @param {string} fromDomain - Domain of the From header
+     * @param {string} mode - 'r' (relaxed) or 's' (strict)
+     * @returns {boolean} True when aligned
+     */
+    static aligned(domain, fromDomain, mode) {
+        if (!domain) return false;
+        return mode === 's'
+            ? DNSResolver.normalize(domain) === DNSResolver.normalize(fromDomain)
+            : DMARC.organizationalDomain(domain) === DMARC.organizationalDomain(fromDomain);
+    }
+
+    /**
+     * Domain of the address in the From header (RFC 7489 section 6.6.1)
+     * @param {string} message - Message with CRLF line breaks
+     * @returns {string|null} Domain, or null without a usable From header
+     */
+    static fromDomain(message) {
+        const from = DKIM.splitMessage(message).headers.filter(field => field.name === 'from');
+        if (from.length !== 1) return null;
+        const address = /([^<\s@]+)@([^>\s]+)/.exec(from[0].raw.slice(from[0].raw.indexOf(':') + 1));
+        return address ? DNSResolver.normalize(address[2]) : null;
+    }
+
+    /**
+     * Find the policy record of a From domain, falling back to its organizational domain
+     * @param {DNSResolver} dns - Resolver
+     * @param {string} fromDomain - Domain of the From header
+     * @returns {Object|null} { domain, tags, policy } or null when none is published
+     */
+    static policy(dns, fromDomain) {
+        const find = domain => dns.lookupTxt(`_dmarc.${domain}`)
+            .filter(text => /^v=DMARC1\s*(;|$)/.test(text))
+            .map(text => DKIM.parseTags(text))
+            .find(tags => ['none', 'quarantine', 'reject'].includes(tags.p));
+
+        const exact = find(fromDomain);
+        if (exact) {
+            return { domain: fromDomain, tags: exact, policy: exact.p };
+        }
+        const organizational = DMARC.organizationalDomain(fromDomain);
+        const inherited = organizational !== fromDomain ? find(organizational) : null;
+        if (inherited) {
+            // Subdomains follow sp= when the organizational domain sets one
+            const policy = ['none', 'quarantine', 'reject'].includes(inherited.sp) ? inherited.sp : inherited.p;
+            return { domain: organizational, tags: inherited, policy };
+        }
+        return null;
+    }
+
+    /**
+     * Apply the DMARC policy of the From domain to the SPF and DKIM results
+     * pct= is not sampled: the policy applies to every failing message.
+     * @param {DNSResolver} dns - Resolver
+     * @param {Object} input - Authentication results
+     * @param {string} input.fromDomain - Domain of the From header
+     * @param {Object} input.spf - Result of SPF.check()
+     * @param {string} input.spfDomain - Domain SPF was checked for
+     * @param {Object[]} input.dkim - Result of DKIM.verify()
+     * @returns {Object} { result, policy, disposition, domain, spfAligned, dkimAligned, reason }
+     *     with result 'pass', 'fail' or 'none' and disposition 'none', 'quarantine' or 'reject'
+     */
+    static evaluate(dns, input) {
+        if (!input.fromDomain) {
+            return { result: 'permerror', policy: null, disposition: 'none', domain: null, spfAligned: false, dkimAligned: false, reason: 'no single From address' };
+        }
+        const record = DMARC.policy(dns, input.fromDomain);
+        if (!record) {
+            return { result: 'none', policy: null, disposition: 'none', domain: input.fromDomain, spfAligned: false, dkimAligned: false, reason: `${input.fromDomain} publishes no DMARC record` };
+        }
+
+        const spfAligned = input.spf.result === 'pass' && DMARC.aligned(input.spfDomain, input.fromDomain, record.tags.aspf);
+        const dkimAligned = input.dkim.some(signature => signature.result === 'pass' && DMARC.aligned(signature.domain, input.fromDomain, record.tags.adkim));
+        const pass = spfAligned || dkimAligned;
+        return {
+            result: pass ? 'pass' : 'fail',
+            policy: record.policy,
+            disposition: pass ? 'none' : record.policy,
+            domain: record.domain,
+            spfAligned,
+            dkimAligned,
+            reason: pass
+                ? `aligned ${[spfAligned && 'SPF', dkimAligned && 'DKIM'].filter(Boolean).join(' and ')} pass`
+                : 'neither SPF nor DKIM passed for a domain aligned with the From header'
+        };
+    }
+
+    /**
+     * Authentication-Results header recording the checks (RFC 8601)
+     * @param {string} host - Receiving host (authserv-id)
+     * @param {Object} results - { spf, spfDomain, dkim, dmarc, fromDomain }
+     * @returns {string[]} Folded header lines
+     */
+    static resultsHeader(host, results) {
+        const spf = `spf=${results.spf.result} smtp.mailfrom=${results.spfDomain || '(none)'}`;
+        const dkim = results.dkim.length === 0
+            ? ['dkim=none']
+            : results.dkim.map(signature => `dkim=${signature.result} (${signature.reason}) header.d=${signature.domain} header.s=${signature.selector}`);
+        const dmarc = results.dmarc.policy
+            ? `dmarc=${results.dmarc.result} (p=${results.dmarc.policy} dis=${results.dmarc.disposition}) header.from=${results.fromDomain}`
+            : `dmarc=${results.dmarc.result} header.from=${results.fromDomain || '(none)'}`;
+        const parts = [spf, ...dkim, dmarc];
+        return [`Authentication-Results: ${host};`, ...parts.map((part, index) => `\t${part}${index < parts.length - 1 ? ';' : ''}`)];
+    }
+}
@@ -0,0 +1,265 @@
+// Mail retrieval - the recipient's mail program reading its mailbox
+// Connects the reader (MUA) to the mailbox host over POP3 or IMAP, on its
+// own TCP connection, and reports every command, reply and segment through
+// the engine's events like the SMTP client does.
+
+class MailRetrieval {
+    /**
+     * @param {SMTPEngine} engine - Engine providing the mail store, timing and events
+     * @param {string} hostname - Mailbox host the reader connects to
+     */
+    constructor(engine, hostname = 'mailbox.example.com') {
+        this.engine = engine;
+        this.hostname = hostname;
+        this.servers = {
+            pop3: new POP3Server({ hostname, store: engine.mailStore }),
+            imap: new IMAPServer({ hostname, store: engine.mailStore })
+        };
+        this.protocol = 'pop3';
+        this.session = null; // POP3Session or IMAPSession
+        this.connection = null; // TCPConnection carrying the session
+        this.tag = 0; // Last IMAP command tag used by fetchMail()
+        this.isRunning = false;
+    }
+
+    // Protocol name as shown in logs
+    static label(protocol) {
+        return protocol === 'imap' ? 'IMAP' : 'POP3';
+    }
+
+    // Event fields identifying retrieval traffic; the reader is the client end
+    get extra() {
+        return { source: 'retrieval', protocol: this.protocol, endpoints: { client: 'reader', server: 'recipient' } };
+    }
+
+    // True while a session is open
+    get isConnected() {
+        return !!this.session && !this.session.isClosed;
+    }
+
+    /**
+     * Open a TCP connection to the mailbox host and read the greeting
+     * @param {string} protocol - 'pop3' or 'imap'
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }, or null to connect instantly
+     * @returns {Promise<Object>} Greeting { ok, lines }
+     */
+    async connect(protocol, timing) {
+        this.disconnect();
+        this.protocol = protocol === 'imap' ? 'imap' : 'pop3';
+        this.tag = 0;
+        const server = this.servers[this.protocol];
+        this.engine.emit('retrievalOpen', { protocol: this.protocol, host: this.hostname, port: server.port });
+
+        this.connection = new TCPConnection(this.engine, this.engine.tcpOptions, this.extra, {
+            client: { address: '192.0.2.150' },
+            server: { address: this.engine.dns.resolveAddress(this.hostname), port: server.port }
+        });
+        if (timing) {
+            await this.connection.open(timing);
+        } else {
+            this.connection.establish();
+        }
+        this.session = server.connect();
+        await this.respond(this.session.greeting, timing);
+        return this.session.greeting;
+    }
+
+    // Close the TCP connection, if one is open
+    disconnect() {
+        if (this.connection) {
+            this.connection.close();
+        }
+        this.connection = null;
+        this.session = null;
+    }
+
+    /**
+     * Carry a server response to the reader and report it
+     * Responses travel as data, so a long RETR or FETCH is segmented like a DATA transfer.
+     * @param {Object} response - { ok, lines }
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }, or null to skip the animation
+     */
+    async respond(response, timing) {
+        const text = response.lines.join('\r\n');
+        const length = SMTPServer.byteLength(text) + 2;
+        await this.engine.wire(this.session, 'server', text, this.connection.extra);
+        if (timing) {
+            await this.connection.send('server', response.lines[0], length, timing);
+        } else {
+            this.connection.record('server', response.lines[0], length);
+        }
+        this.engine.emit('retrievalReply', { protocol: this.protocol, ok: response.ok, lines: response.lines, connection: this.connection.id });
+    }
+
+    /**
+     * Send one command line and wait for the response
+     * Reconnects with the current protocol when the previous session has ended.
+     * @param {string} line - Command line; IMAP lines start with their tag
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @returns {Promise<Object|null>} Response { ok, lines }, or null when the connection timed out
+     */
+    async command(line, timing) {
+        const engine = this.engine;
+        try {
+            if (!this.isConnected) {
+                await this.connect(this.protocol, timing);
+            }
+            engine.setActiveNode('reader');
+            await engine.wire(this.session, 'client', line, this.connection.extra);
+            engine.emit('retrievalCommand', { protocol: this.protocol, command: line, connection: this.connection.id });
+            await this.connection.send('client', line, SMTPServer.byteLength(line) + 2, timing);
+            engine.setActiveNode('recipient');
+            await engine.sleep(timing.serverDelay);
+            const response = this.session.handle(line);
+            await this.respond(response, timing);
+            if (this.session.isClosed) {
+                this.disconnect();
+                engine.emit('retrievalEnd', { protocol: this.protocol });
+            }
+            return response;
+        } catch (error) {
+            // Retransmissions exhausted: the connection is gone
+            engine.emit('retrievalError', { protocol: this.protocol, message: error.message });
+            this.disconnect();
+            return null;
+        } finally {
+            engine.setActiveNode(null);
+        }
+    }
+
+    // Next IMAP tag: A001, A002, ...
+    nextTag() {
+        this.tag++;
+        return 'A' + String(this.tag).padStart(3, '0');
+    }
+
+    /**
+     * IMAP quoted string (RFC 9051 section 4.3)
+     * @param {string} value - Raw value
+     * @returns {string} Value in double quotes with \ and " escaped
+     */
+    static quote(value) {
+        return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+    }
+
+    /**
+     * Download the INBOX the way a mail program does
+     * POP3: USER, PASS, STAT, LIST, RETR each message, optionally DELE, QUIT.
+     * IMAP: LOGIN, SELECT INBOX, FETCH the flags and sizes, FETCH each body,
+     * optionally STORE \Deleted and EXPUNGE, LOGOUT.
+     * @param {Object} options - Retrieval options
+     * @param {string} options.protocol - 'pop3' or 'imap'
+     * @param {string} options.username - Mailbox address
+     * @param {string} options.password - Password
+     * @param {boolean} options.remove - Delete the messages from the server after downloading them
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @returns {Promise<Object>} { ok, fetched, removed }
+     */
+    async fetchMail(options, timing) {
+        if (this.isRunning) {
+            throw new Error('A retrieval is already running');
+        }
+        this.isRunning = true;
+        try {
+            try {
+                await this.connect(options.protocol, timing);
+            } catch (error) {
+                this.engine.emit('retrievalError', { protocol: this.protocol, message: error.message });
+                this.disconnect();
+                return { ok: false, fetched: 0, removed: 0 };
+            }
+            const result = this.protocol === 'imap'
+                ? await this.fetchImap(options, timing)
+                : await this.fetchPop3(options, timing);
+            this.engine.emit('retrievalDone', { protocol: this.protocol, ...result });
+            return result;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Report a downloaded message
+     * @param {number} number - Message sequence number
+     * @param {string[]} lines - Message lines as received
+     */
+    received(number, lines) {
+        const message = lines.join('\r\n');
+        this.engine.emit('retrievalMessage', {
+            protocol: this.protocol,
+            number,
+            size: SMTPServer.byteLength(message) + 2,
+            subject: MailStore.headerValue(message, 'Subject')
+        });
+    }
+
+    // POP3 side of fetchMail()
+    async fetchPop3(options, timing) {
+        const send = line => this.command(line, timing);
+        const failed = { ok: false, fetched: 0, removed: 0 };
+        const user = await send(`USER ${options.username}`);
+        if (!user) return failed;
+        const pass = user.ok ? await send(`PASS ${options.password}`) : null;
+        if (!pass || !pass.ok) {
+            if (this.isConnected) await send('QUIT');
+            return failed;
+        }
+
+        const stat = await send('STAT');
+        if (!stat) return failed;
+        const count = parseInt(stat.lines[0].split(' ')[1], 10) || 0;
+        if (count > 0 && !await send('LIST')) return failed;
+
+        let removed = 0;
+        for (let number = 1; number <= count; number++) {
+            const reply = await send(`RETR ${number}`);
+            if (!reply) return { ok: false, fetched: number - 1, removed: 0 };
+            // Drop the status line and the final dot, undo the byte-stuffing
+            this.received(number, reply.lines.slice(1, -1).map(line => line.startsWith('..') ? line.slice(1) : line));
+            if (options.remove) {
+                if (!await send(`DELE ${number}`)) return { ok: false, fetched: number, removed: 0 };
+                removed++;
+            }
+        }
+        // DELE only takes effect once QUIT moves the session to the UPDATE state
+        const quit = await send('QUIT');
+        return { ok: !!quit, fetched: count, removed: quit ? removed : 0 };
+    }
+
+    // IMAP side of fetchMail()
+    async fetchImap(options, timing) {
+        const send = command => this.command(`${this.nextTag()} ${command}`, timing);
+        const failed = { ok: false, fetched: 0, removed: 0 };
+        const login = await send(`LOGIN ${MailRetrieval.quote(options.username)} ${MailRetrieval.quote(options.password)}`);
+        if (!login || !login.ok) {
+            if (this.isConnected) await send('LOGOUT');
+            return failed;
+        }
+
+        const select = await send('SELECT INBOX');
+        if (!select) return failed;
+        const exists = select.lines.map(line => /^\* (\d+) EXISTS$/.exec(line)).find(Boolean);
+        const count = exists ? parseInt(exists[1], 10) : 0;
+
+        let removed = 0;
+        if (count > 0) {
+            if (!await send('FETCH 1:* (UID FLAGS RFC822.SIZE)')) return failed;
+            for (let number = 1; number <= count; number++) {
+                const reply = await send(`FETCH ${number} BODY[]`);
+                if (!reply) return { ok: false, fetched: number - 1, removed: 0 };
+                // The literal starts after the line announcing its size and ends before the closing parenthesis
+                const start = reply.lines.findIndex(line => /\{\d+\}$/.test(line));
+                const end = reply.lines.lastIndexOf(')');
+                this.received(number, reply.lines.slice(start + 1, end));
+            }
+            if (options.remove) {
+                if (!await send('STORE 1:* +FLAGS.SILENT (\\Deleted)')) return { ok: false, fetched: count, removed: 0 };
+                const expunge = await send('EXPUNGE');
+                if (!expunge) return { ok: false, fetched: count, removed: 0 };
+                removed = expunge.lines.filter(line => / EXPUNGE$/.test(line)).length;
+            }
+        }
+        const logout = await send('LOGOUT');
+        return { ok: !!logout, fetched: count, removed };
+    }
+}
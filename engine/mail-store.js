@@ -0,0 +1,167 @@
+// Mail store behind the MDA
+// Keeps the messages delivered to each recipient in IMAP-style folders with
+// UIDs and flags, so the POP3 and IMAP servers can hand them out again.
+
+class MailStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {Function} options.users - Returns the account list [{ username, password }]
+     * @param {Function} options.now - Returns the current time in milliseconds
+     * @param {Function} options.onChange - Called with the address of a mailbox that changed
+     */
+    constructor(options = {}) {
+        this.users = options.users || (() => []);
+        this.now = options.now || Date.now;
+        this.onChange = options.onChange || (() => {});
+        this.mailboxes = {}; // Keyed by lower-case address
+    }
+
+    // Folders every mailbox has; quarantined mail goes to Junk
+    static get FOLDERS() {
+        return ['INBOX', 'Junk'];
+    }
+
+    /**
+     * Value of the first header field with a name, unfolded
+     * @param {string} message - Message with CRLF line breaks
+     * @param {string} name - Field name, e.g. 'Subject'
+     * @returns {string} Field value, or '' when the field is missing
+     */
+    static headerValue(message, name) {
+        const header = message.split('\r\n\r\n')[0].replace(/\r\n(?=[ \t])/g, '');
+        const wanted = name.toLowerCase() + ':';
+        const line = header.split('\r\n').find(field => field.toLowerCase().startsWith(wanted));
+        return line ? line.slice(wanted.length).trim() : '';
+    }
+
+    /**
+     * Folder name as stored, matching INBOX case-insensitively (RFC 9051 section 5.1)
+     * @param {string} folder - Requested folder name
+     * @returns {string|null} Stored name, or null for an unknown folder
+     */
+    static folderName(folder) {
+        return MailStore.FOLDERS.find(name => name.toUpperCase() === String(folder).toUpperCase()) || null;
+    }
+
+    /**
+     * Mailbox of an address, created on first use
+     * @param {string} address - Recipient address
+     * @returns {Object} { address, uidValidity, nextUid, messages }
+     */
+    mailbox(address) {
+        const key = address.toLowerCase();
+        if (!this.mailboxes[key]) {
+            // UIDVALIDITY only has to change when UIDs are reused; the creation time does that
+            this.mailboxes[key] = { address: key, uidValidity: Math.floor(this.now() / 1000), nextUid: 1, messages: [] };
+        }
+        return this.mailboxes[key];
+    }
+
+    // Addresses that have a mailbox, sorted
+    addresses() {
+        return Object.keys(this.mailboxes).sort();
+    }
+
+    /**
+     * File a delivered message
+     * @param {string} address - Recipient address
+     * @param {Object} entry - { id, from, message, folder }
+     * @returns {Object} Stored message { uid, id, from, subject, folder, flags, message, size, deliveredAt }
+     */
+    deliver(address, entry) {
+        const mailbox = this.mailbox(address);
+        const stored = {
+            uid: mailbox.nextUid++,
+            id: entry.id,
+            from: entry.from,
+            subject: MailStore.headerValue(entry.message, 'Subject'),
+            folder: MailStore.folderName(entry.folder) || 'INBOX',
+            flags: [],
+            message: entry.message,
+            // Octets on the wire, including the final CRLF
+            size: SMTPServer.byteLength(entry.message) + 2,
+            deliveredAt: new Date(this.now())
+        };
+        mailbox.messages.push(stored);
+        this.onChange(mailbox.address);
+        return stored;
+    }
+
+    /**
+     * Messages of one folder in UID order
+     * @param {string} address - Mailbox address
+     * @param {string} folder - Folder name
+     * @returns {Object[]} Stored messages
+     */
+    messages(address, folder = 'INBOX') {
+        const mailbox = this.mailboxes[address.toLowerCase()];
+        return mailbox ? mailbox.messages.filter(message => message.folder === folder) : [];
+    }
+
+    /**
+     * Replace the flags of a message
+     * @param {string} address - Mailbox address
+     * @param {Object} message - Stored message
+     * @param {string[]} flags - New flags, e.g. ['\\Seen']
+     */
+    setFlags(address, message, flags) {
+        message.flags = [...new Set(flags)];
+        this.onChange(address.toLowerCase());
+    }
+
+    /**
+     * Delete messages for good
+     * @param {string} address - Mailbox address
+     * @param {Object[]} messages - Stored messages to remove
+     */
+    remove(address, messages) {
+        const mailbox = this.mailboxes[address.toLowerCase()];
+        if (!mailbox || messages.length === 0) return;
+        mailbox.messages = mailbox.messages.filter(message => !messages.includes(message));
+        this.onChange(mailbox.address);
+    }
+
+    /**
+     * Every mailbox as plain data
+     * @returns {Object[]} Mailboxes with their messages; delivery times in ms
+     */
+    exportMailboxes() {
+        return Object.values(this.mailboxes).map(mailbox => ({
+            ...mailbox,
+            messages: mailbox.messages.map(message => ({ ...message, flags: [...message.flags], deliveredAt: message.deliveredAt.getTime() }))
+        }));
+    }
+
+    /**
+     * Replace every mailbox with exported ones
+     * @param {Object[]} mailboxes - Result of exportMailboxes()
+     */
+    importMailboxes(mailboxes) {
+        const changed = new Set(Object.keys(this.mailboxes));
+        this.mailboxes = {};
+        mailboxes.forEach(mailbox => {
+            this.mailboxes[mailbox.address] = {
+                ...mailbox,
+                messages: mailbox.messages.map(message => ({ ...message, flags: [...message.flags], deliveredAt: new Date(message.deliveredAt) }))
+            };
+            changed.add(mailbox.address);
+        });
+        changed.forEach(address => this.onChange(address));
+    }
+
+    /**
+     * Check a mailbox login
+     * The login is the mailbox address; its password is the one the user
+     * store holds for the address's local part (bob@example.com → bob).
+     * @param {string} login - Mailbox address
+     * @param {string} password - Password
+     * @returns {string|null} Lower-case mailbox address, or null when the login fails
+     */
+    authenticate(login, password) {
+        const address = String(login || '').toLowerCase();
+        const local = address.split('@')[0];
+        if (!address.includes('@')) return null;
+        const user = this.users().find(account => account.username.toLowerCase() === local);
+        return user && user.password === password ? address : null;
+    }
+}
@@ -0,0 +1,268 @@
+// MIME message builder (RFC 5322, RFC 2045-2047)
+// Turns the form fields and picked files into the exact lines sent after
+// DATA: Internet Message Format headers, a text part and, when files are
+// attached, a multipart/mixed body with base64 or quoted-printable parts.
+
+// Longest encoded line allowed in base64 and quoted-printable bodies (RFC 2045)
+const MIME_LINE_LENGTH = 76;
+
+class MIME {
+    /**
+     * Date header value, e.g. 'Mon, 19 Oct 2026 07:39:36 +0000'
+     * @param {Date} date - Time the message was written
+     * @returns {string} RFC 5322 date-time in UTC
+     */
+    static formatDate(date) {
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const pad = n => String(n).padStart(2, '0');
+        return `${days[date.getUTCDay()]}, ${pad(date.getUTCDate())} ${months[date.getUTCMonth()]} ${date.getUTCFullYear()} ` +
+            `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+    }
+
+    /**
+     * Header text, as an RFC 2047 encoded-word when it is not plain ASCII
+     * @param {string} text - Header value
+     * @returns {string} ASCII header value
+     */
+    static encodeHeader(text) {
+        return /[^\x20-\x7E]/.test(text) ? `=?UTF-8?B?${Encoding.base64Encode(text)}?=` : text;
+    }
+
+    /**
+     * Decode the RFC 2047 encoded-words of a header value (UTF-8, B or Q encoding)
+     * @param {string} text - Header value
+     * @returns {string} Readable text
+     */
+    static decodeHeader(text) {
+        return text
+            // Whitespace between two adjacent encoded-words is not part of the text
+            .replace(/(\?=)\s+(?==\?)/g, '$1')
+            .replace(/=\?[^?]+\?([BbQq])\?([^?]*)\?=/g, (word, encoding, value) => {
+                if (encoding.toUpperCase() === 'B') {
+                    const decoded = Encoding.base64Decode(value);
+                    return decoded === null ? word : decoded;
+                }
+                const bytes = value.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})|[^=]/g, (match, hex) =>
+                    hex ? String.fromCharCode(parseInt(hex, 16)) : match);
+                return Encoding.fromUtf8(Uint8Array.from(bytes, char => char.charCodeAt(0)));
+            });
+    }
+
+    /**
+     * Base64 body split into lines of at most 76 characters
+     * @param {Uint8Array} bytes - Content
+     * @returns {string[]} Encoded lines
+     */
+    static base64Lines(bytes) {
+        const encoded = Encoding.base64Encode(bytes);
+        const lines = [];
+        for (let i = 0; i < encoded.length; i += MIME_LINE_LENGTH) {
+            lines.push(encoded.slice(i, i + MIME_LINE_LENGTH));
+        }
+        return lines;
+    }
+
+    /**
+     * Quoted-printable encoding of UTF-8 text (RFC 2045 section 6.7)
+     * Line breaks in the text stay hard line breaks; long lines get soft
+     * breaks ("=" at the end of a line).
+     * @param {string} text - Text to encode
+     * @returns {string[]} Encoded lines
+     */
+    static quotedPrintable(text) {
+        const lines = [];
+        text.split(/\r?\n/).forEach(line => {
+            const bytes = Encoding.utf8(line);
+            let current = '';
+            bytes.forEach((byte, index) => {
+                const isLast = index === bytes.length - 1;
+                const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !isLast);
+                const token = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+                // Keep room for the soft break "=" without splitting an =XX escape
+                if (current.length + token.length > MIME_LINE_LENGTH - 1) {
+                    lines.push(current + '=');
+                    current = '';
+                }
+                current += token;
+            });
+            lines.push(current);
+        });
+        return lines;
+    }
+
+    /**
+     * Decode quoted-printable lines back to text
+     * @param {string[]} lines - Encoded lines
+     * @returns {string} Text with LF line breaks
+     */
+    static decodeQuotedPrintable(lines) {
+        // Trailing whitespace was added in transit; "=" at the end is a soft break
+        const joined = lines.map(line => line.replace(/[ \t]+$/, '')).join('\n').replace(/=\n/g, '');
+        const bytes = joined.replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        return Encoding.fromUtf8(Uint8Array.from(bytes, char => char.charCodeAt(0)));
+    }
+
+    /**
+     * Pick the transfer encoding of a part
+     * @param {Uint8Array} bytes - Part content
+     * @param {string} type - Content type
+     * @param {string} preferred - Encoding to use for 8-bit text: '8bit', 'quoted-printable' or 'base64'
+     * @returns {string} '7bit', '8bit', 'quoted-printable' or 'base64'
+     */
+    static transferEncoding(bytes, type, preferred = 'base64') {
+        if (!type.startsWith('text/')) {
+            return 'base64';
+        }
+        const text = Encoding.fromUtf8(bytes);
+        const longLine = text.split(/\r?\n/).some(line => line.length > 998);
+        if (bytes.every(byte => byte < 0x80 && byte !== 0) && !longLine) {
+            return '7bit';
+        }
+        return preferred === '8bit' && longLine ? 'quoted-printable' : preferred;
+    }
+
+    /**
+     * Content-Transfer-Encoding header and encoded lines of a part
+     * @param {Uint8Array} bytes - Part content
+     * @param {string} type - Content type
+     * @param {string} preferred - Encoding preferred for 8-bit text
+     * @returns {Object} { encoding, lines }
+     */
+    static encodePart(bytes, type, preferred) {
+        const encoding = MIME.transferEncoding(bytes, type, preferred);
+        switch (encoding) {
+            case 'base64':
+                return { encoding, lines: MIME.base64Lines(bytes) };
+            case 'quoted-printable':
+                return { encoding, lines: MIME.quotedPrintable(Encoding.fromUtf8(bytes)) };
+            default:
+                return { encoding, lines: Encoding.fromUtf8(bytes).split(/\r?\n/) };
+        }
+    }
+
+    /**
+     * Build a complete message
+     * @param {Object} message - Message fields
+     * @param {string} message.from - Author address
+     * @param {string[]} message.to - To addresses
+     * @param {string[]} message.cc - Cc addresses (Bcc never appears in the headers)
+     * @param {string} message.subject - Subject
+     * @param {string} message.body - Plain text body
+     * @param {Object[]} message.attachments - Files as { name, type, bytes }
+     * @param {string} message.bodyEncoding - '8bit', 'quoted-printable' or 'base64' for non-ASCII text
+     * @param {Date} message.date - Date header
+     * @param {string} message.messageId - Message-ID without angle brackets
+     * @param {string} message.boundary - multipart boundary
+     * @returns {string[]} Message lines, not yet dot-stuffed
+     */
+    static build(message) {
+        const headers = [
+            `Date: ${MIME.formatDate(message.date)}`,
+            `Message-ID: <${message.messageId}>`,
+            `From: ${message.from}`,
+            `To: ${message.to.join(', ')}`
+        ];
+        if (message.cc.length > 0) {
+            headers.push(`Cc: ${message.cc.join(', ')}`);
+        }
+        headers.push(`Subject: ${MIME.encodeHeader(message.subject)}`, 'MIME-Version: 1.0');
+
+        const text = MIME.encodePart(Encoding.utf8(message.body), 'text/plain', message.bodyEncoding);
+        const textHeaders = [
+            'Content-Type: text/plain; charset=UTF-8',
+            `Content-Transfer-Encoding: ${text.encoding}`
+        ];
+        const attachments = message.attachments || [];
+        if (attachments.length === 0) {
+            return [...headers, ...textHeaders, '', ...text.lines];
+        }
+
+        const lines = [
+            ...headers,
+            `Content-Type: multipart/mixed; boundary="${message.boundary}"`,
+            '',
+            'This is a multi-part message in MIME format.',
+            `--${message.boundary}`,
+            ...textHeaders,
+            '',
+            ...text.lines
+        ];
+        attachments.forEach(file => {
+            const type = file.type || 'application/octet-stream';
+            const part = MIME.encodePart(file.bytes, type, 'quoted-printable');
+            const name = MIME.encodeHeader(file.name).replace(/"/g, '');
+            lines.push(
+                `--${message.boundary}`,
+                `Content-Type: ${type}; name="${name}"`,
+                `Content-Disposition: attachment; filename="${name}"`,
+                `Content-Transfer-Encoding: ${part.encoding}`,
+                '',
+                ...part.lines
+            );
+        });
+        lines.push(`--${message.boundary}--`);
+        return lines;
+    }
+
+    /**
+     * Build a delivery status notification (bounce) for one failed recipient (RFC 3464, RFC 6522)
+     * @param {Object} report - Bounce fields
+     * @param {string} report.reportingMta - Host that gave up on the message
+     * @param {string} report.to - Original envelope sender, who receives the bounce
+     * @param {string} report.recipient - Recipient that could not be reached
+     * @param {string} report.status - Enhanced status code, e.g. '4.4.7' (expired) or '5.1.2'
+     * @param {string} report.diagnostic - Last reply or error, e.g. '451 4.4.1 No answer from host'
+     * @param {string} report.reason - One-line explanation for the human-readable part
+     * @param {Date} report.arrivalDate - When the reporting MTA received the message
+     * @param {Date} report.date - Date of the bounce
+     * @param {string} report.messageId - Message-ID without angle brackets
+     * @param {string} report.boundary - multipart boundary
+     * @param {string} report.original - Original message; only its header section is returned
+     * @returns {string[]} Message lines, not yet dot-stuffed
+     */
+    static buildBounce(report) {
+        const originalLines = report.original.split('\r\n');
+        const end = originalLines.indexOf('');
+        const originalHeaders = end === -1 ? originalLines : originalLines.slice(0, end);
+
+        return [
+            `Date: ${MIME.formatDate(report.date)}`,
+            `Message-ID: <${report.messageId}>`,
+            `From: Mail Delivery System <MAILER-DAEMON@${report.reportingMta}>`,
+            `To: ${report.to}`,
+            'Subject: Undelivered Mail Returned to Sender',
+            'Auto-Submitted: auto-replied',
+            'MIME-Version: 1.0',
+            `Content-Type: multipart/report; report-type=delivery-status; boundary="${report.boundary}"`,
+            '',
+            'This is a MIME-encapsulated message.',
+            `--${report.boundary}`,
+            'Content-Type: text/plain; charset=UTF-8',
+            '',
+            `This is the mail system at host ${report.reportingMta}.`,
+            '',
+            'Your message could not be delivered to one or more recipients.',
+            '',
+            `<${report.recipient}>: ${report.reason}`,
+            '',
+            `--${report.boundary}`,
+            'Content-Type: message/delivery-status',
+            '',
+            `Reporting-MTA: dns; ${report.reportingMta}`,
+            `Arrival-Date: ${MIME.formatDate(report.arrivalDate)}`,
+            '',
+            `Final-Recipient: rfc822; ${report.recipient}`,
+            'Action: failed',
+            `Status: ${report.status}`,
+            `Diagnostic-Code: smtp; ${report.diagnostic}`,
+            `Last-Attempt-Date: ${MIME.formatDate(report.date)}`,
+            '',
+            `--${report.boundary}`,
+            'Content-Type: text/rfc822-headers',
+            '',
+            ...originalHeaders,
+            `--${report.boundary}--`
+        ];
+    }
+}
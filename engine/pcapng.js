@@ -0,0 +1,363 @@
+// pcapng capture of a session trace (draft-ietf-opsawg-pcapng)
+// The simulator moves lengths, not packets, so the frames are synthesized:
+// every connection in the trace gets a TCP handshake, one IPv4/TCP frame per
+// MSS-sized chunk of the bytes on the wire with an ACK from the peer, copies
+// of retransmitted segments and the closing FIN exchange. The TLS handshake,
+// which the simulator only narrates, is filled with placeholder records.
+
+class Pcapng {
+    // Raw IPv4 frames without a link-layer header
+    static get LINKTYPE_RAW() {
+        return 101;
+    }
+
+    // Stand-ins for endpoints without an IPv4 address, such as a real server at ::1
+    static get PLACEHOLDERS() {
+        return { client: '192.0.2.100', server: '192.0.2.10' };
+    }
+
+    // TCP header flags
+    static get FLAGS() {
+        return { FIN: 0x01, SYN: 0x02, RST: 0x04, PSH: 0x08, ACK: 0x10 };
+    }
+
+    /**
+     * Capture file of a trace
+     * @param {Object} data - Result of SessionTrace.toJSON()
+     * @returns {Uint8Array} pcapng file
+     */
+    static fromTrace(data) {
+        const frames = Pcapng.frames(data);
+        return Pcapng.concat([
+            Pcapng.sectionHeader(),
+            Pcapng.interfaceDescription(),
+            ...frames.map(frame => Pcapng.enhancedPacket(frame))
+        ]);
+    }
+
+    /**
+     * Synthesize the frames of every connection, in trace order
+     * @param {Object} data - Result of SessionTrace.toJSON()
+     * @returns {Object[]} Frames { time (µs), bytes, comment }
+     */
+    static frames(data) {
+        const { FIN, SYN, RST, PSH, ACK } = Pcapng.FLAGS;
+        const info = new Map(data.connections.map(connection => [connection.id, connection]));
+        const states = new Map();
+        const frames = [];
+        let lastTime = 0;
+        let ipId = 0;
+
+        // Per-connection state, created on the first record of the connection
+        const stateOf = id => {
+            if (!states.has(id)) {
+                const connection = info.get(id) || {};
+                const given = connection.addresses || {};
+                const addresses = {
+                    client: Pcapng.endpoint(given.client, 'client', 49152 + id),
+                    server: Pcapng.endpoint(given.server, 'server', 25)
+                };
+                // The frames are IPv4 only: say which endpoints were given another address
+                const replaced = ['client', 'server'].filter(role => given[role] && given[role].address && given[role].address !== addresses[role].address);
+                states.set(id, {
+                    addresses,
+                    note: replaced.length === 0 ? undefined : replaced
+                        .map(role => `${role === 'client' ? 'Client' : 'Server'} ${given[role].address} shown as ${addresses[role].address}`).join(', '),
+                    mss: connection.mss || 536,
+                    phase: 'closed',
+                    seq: { client: 0, server: 0 },
+                    last: { client: [], server: [] } // Data frames of the latest payload, for retransmissions
+                });
+            }
+            return states.get(id);
+        };
+
+        const push = (state, from, flags, payload, time, comment) => {
+            const to = from === 'client' ? 'server' : 'client';
+            const seq = state.seq[from];
+            const ack = flags & ACK ? state.seq[to] : 0;
+            const bytes = Pcapng.ipv4(state.addresses[from], state.addresses[to], ++ipId,
+                Pcapng.tcp(state.addresses[from], state.addresses[to], seq, ack, flags, payload));
+            // Keep frames in order when several share a millisecond
+            lastTime = Math.max(Math.round(time * 1000), lastTime + 1);
+            const frame = { time: lastTime, bytes, comment };
+            frames.push(frame);
+            state.seq[from] = (seq + payload.length + (flags & (SYN | FIN) ? 1 : 0)) >>> 0;
+            return frame;
+        };
+
+        // Data segments of one payload, followed by the peer's cumulative ACK
+        const send = (state, from, payload, time, comment) => {
+            const chunks = [];
+            for (let offset = 0; offset < payload.length; offset += state.mss) {
+                chunks.push(payload.subarray(offset, offset + state.mss));
+            }
+            state.last[from] = chunks.map((chunk, index) =>
+                push(state, from, (index === chunks.length - 1 ? PSH : 0) | ACK, chunk, time, index === 0 ? comment : undefined));
+            push(state, from === 'client' ? 'server' : 'client', ACK, new Uint8Array(0), time);
+        };
+
+        data.records.forEach(record => {
+            if (!record.connection) return;
+            const state = stateOf(record.connection);
+            const time = record.time;
+
+            switch (record.type) {
+            case 'tcp':
+                if (record.label === 'SYN' && state.phase === 'closed') {
+                    state.seq.client = record.seq;
+                    state.last.client = [push(state, 'client', SYN, new Uint8Array(0), time, state.note)];
+                    state.phase = 'syn';
+                } else if (record.label === 'SYN-ACK' && state.phase === 'syn') {
+                    state.seq.server = record.seq;
+                    state.last.server = [push(state, 'server', SYN | ACK, new Uint8Array(0), time)];
+                    state.phase = 'syn-ack';
+                } else if (record.label === 'ACK' && state.phase === 'syn-ack') {
+                    push(state, 'client', ACK, new Uint8Array(0), time);
+                    state.phase = 'open';
+                } else if (record.label === 'FIN' && state.phase === 'open') {
+                    push(state, 'client', FIN | ACK, new Uint8Array(0), time);
+                    state.phase = 'fin';
+                } else if (record.label === 'FIN-ACK' && state.phase === 'fin') {
+                    push(state, 'server', FIN | ACK, new Uint8Array(0), time);
+                    state.phase = 'fin-ack';
+                } else if (record.label === 'ACK' && state.phase === 'fin-ack') {
+                    push(state, 'client', ACK, new Uint8Array(0), time);
+                    state.phase = 'closed';
+                } else if (record.label === 'RST' && state.phase === 'open') {
+                    push(state, record.from, RST | ACK, new Uint8Array(0), time);
+                    state.phase = 'closed';
+                }
+                break;
+            case 'wire': {
+                const payload = record.encrypted ? Encoding.fromHex(record.text) : Encoding.utf8(`${record.text}\r\n`);
+                send(state, record.from, payload, time);
+                break;
+            }
+            case 'tlsRecord':
+                send(state, record.from, Pcapng.tlsPlaceholder(record.length), time,
+                    `TLS ${record.records.join(' + ')}: handshake not simulated, ${record.length} placeholder bytes`);
+                break;
+            case 'retransmit': {
+                const original = state.last[record.from][record.segment - 1];
+                if (original) {
+                    lastTime = Math.max(Math.round(time * 1000), lastTime + 1);
+                    frames.push({ time: lastTime, bytes: original.bytes, comment: `Retransmission of ${record.command}, attempt ${record.attempt}` });
+                }
+                break;
+            }
+            default:
+                break;
+            }
+        });
+        return frames;
+    }
+
+    /**
+     * TLS handshake record of the given size with zeroed contents
+     * @param {number} length - Bytes including the 5-byte record header
+     * @returns {Uint8Array} Record
+     */
+    static tlsPlaceholder(length) {
+        const bytes = new Uint8Array(Math.max(length, 5));
+        const body = bytes.length - 5;
+        bytes.set([0x16, 0x03, 0x03, body >> 8, body & 0xff]);
+        return bytes;
+    }
+
+    /**
+     * Endpoint of a connection as the frames show it
+     * @param {Object} endpoint - { address, port } from the trace, if any
+     * @param {string} role - 'client' or 'server'
+     * @param {number} port - Port used when the trace has none
+     * @returns {Object} { address, port } with an IPv4 address, the role's placeholder in place of any other
+     */
+    static endpoint(endpoint, role, port) {
+        const given = endpoint || {};
+        return {
+            address: Pcapng.isIPv4(given.address) ? given.address : Pcapng.PLACEHOLDERS[role],
+            port: given.port || port
+        };
+    }
+
+    /**
+     * Whether a string is an IPv4 dotted quad
+     * @param {string} address - Address to check
+     * @returns {boolean} True for four numbers from 0 to 255
+     */
+    static isIPv4(address) {
+        return /^\d{1,3}(\.\d{1,3}){3}$/.test(address || '') && address.split('.').every(part => Number(part) <= 255);
+    }
+
+    /**
+     * Dotted quad as 4 bytes
+     * @param {string} address - IPv4 address
+     * @returns {number[]} Bytes
+     */
+    static addressBytes(address) {
+        return address.split('.').map(part => parseInt(part) & 0xff);
+    }
+
+    /**
+     * Internet checksum (RFC 1071)
+     * @param {Uint8Array} bytes - Data, an odd final byte is padded with zero
+     * @returns {number} 16-bit checksum
+     */
+    static checksum(bytes) {
+        let sum = 0;
+        for (let i = 0; i < bytes.length; i += 2) {
+            sum += (bytes[i] << 8) | (i + 1 < bytes.length ? bytes[i + 1] : 0);
+        }
+        while (sum > 0xffff) {
+            sum = (sum & 0xffff) + (sum >>> 16);
+        }
+        return ~sum & 0xffff;
+    }
+
+    /**
+     * TCP segment with a valid checksum
+     * @param {Object} from - Sending endpoint { address, port }
+     * @param {Object} to - Receiving endpoint { address, port }
+     * @param {number} seq - Sequence number
+     * @param {number} ack - Acknowledgment number
+     * @param {number} flags - Header flags
+     * @param {Uint8Array} payload - Data
+     * @returns {Uint8Array} Segment
+     */
+    static tcp(from, to, seq, ack, flags, payload) {
+        const segment = new Uint8Array(20 + payload.length);
+        const view = new DataView(segment.buffer);
+        view.setUint16(0, from.port);
+        view.setUint16(2, to.port);
+        view.setUint32(4, seq >>> 0);
+        view.setUint32(8, ack >>> 0);
+        segment[12] = 5 << 4; // Header length: 5 words, no options
+        segment[13] = flags;
+        view.setUint16(14, 65535); // Window
+        segment.set(payload, 20);
+
+        // Checksum over the pseudo-header and the segment
+        const pseudo = new Uint8Array(12 + segment.length);
+        pseudo.set(Pcapng.addressBytes(from.address), 0);
+        pseudo.set(Pcapng.addressBytes(to.address), 4);
+        pseudo[9] = 6;
+        new DataView(pseudo.buffer).setUint16(10, segment.length);
+        pseudo.set(segment, 12);
+        view.setUint16(16, Pcapng.checksum(pseudo));
+        return segment;
+    }
+
+    /**
+     * IPv4 packet carrying a TCP segment
+     * @param {Object} from - Source { address }
+     * @param {Object} to - Destination { address }
+     * @param {number} id - Identification field
+     * @param {Uint8Array} segment - TCP segment
+     * @returns {Uint8Array} Packet
+     */
+    static ipv4(from, to, id, segment) {
+        const packet = new Uint8Array(20 + segment.length);
+        const view = new DataView(packet.buffer);
+        packet[0] = 0x45; // Version 4, 5-word header
+        view.setUint16(2, packet.length);
+        view.setUint16(4, id & 0xffff);
+        view.setUint16(6, 0x4000); // Don't fragment
+        packet[8] = 64; // TTL
+        packet[9] = 6; // TCP
+        packet.set(Pcapng.addressBytes(from.address), 12);
+        packet.set(Pcapng.addressBytes(to.address), 16);
+        view.setUint16(10, Pcapng.checksum(packet.subarray(0, 20)));
+        packet.set(segment, 20);
+        return packet;
+    }
+
+    /**
+     * Block with the common type/length framing, padded to 32 bits
+     * @param {number} type - Block type
+     * @param {Uint8Array} body - Block body
+     * @returns {Uint8Array} Block
+     */
+    static block(type, body) {
+        const padded = (body.length + 3) & ~3;
+        const block = new Uint8Array(12 + padded);
+        const view = new DataView(block.buffer);
+        view.setUint32(0, type, true);
+        view.setUint32(4, block.length, true);
+        block.set(body, 8);
+        view.setUint32(block.length - 4, block.length, true);
+        return block;
+    }
+
+    /**
+     * Options list ending with opt_endofopt
+     * @param {Object[]} options - { code, value } with text values
+     * @returns {Uint8Array} Encoded options
+     */
+    static options(options) {
+        const parts = options.map(({ code, value }) => {
+            const bytes = Encoding.utf8(value);
+            const option = new Uint8Array(4 + ((bytes.length + 3) & ~3));
+            const view = new DataView(option.buffer);
+            view.setUint16(0, code, true);
+            view.setUint16(2, bytes.length, true);
+            option.set(bytes, 4);
+            return option;
+        });
+        return Pcapng.concat([...parts, new Uint8Array(4)]);
+    }
+
+    // Section Header Block, little-endian, section length unknown
+    static sectionHeader() {
+        const head = new Uint8Array(16);
+        const view = new DataView(head.buffer);
+        view.setUint32(0, 0x1a2b3c4d, true); // Byte-order magic
+        view.setUint16(4, 1, true);
+        view.setUint16(6, 0, true);
+        view.setInt32(8, -1, true);
+        view.setInt32(12, -1, true);
+        return Pcapng.block(0x0a0d0d0a, Pcapng.concat([head, Pcapng.options([{ code: 4, value: 'SMTP Protocol Simulator' }])]));
+    }
+
+    // Interface Description Block for raw IPv4 with microsecond timestamps
+    static interfaceDescription() {
+        const head = new Uint8Array(8);
+        const view = new DataView(head.buffer);
+        view.setUint16(0, Pcapng.LINKTYPE_RAW, true);
+        view.setUint32(4, 262144, true); // Snapshot length
+        return Pcapng.block(0x00000001, Pcapng.concat([head, Pcapng.options([{ code: 2, value: 'simulated network' }])]));
+    }
+
+    /**
+     * Enhanced Packet Block of one frame
+     * @param {Object} frame - { time (µs since the epoch), bytes, comment }
+     * @returns {Uint8Array} Block
+     */
+    static enhancedPacket(frame) {
+        const head = new Uint8Array(20);
+        const view = new DataView(head.buffer);
+        view.setUint32(0, 0, true); // Interface 0
+        view.setUint32(4, Math.floor(frame.time / 0x100000000), true);
+        view.setUint32(8, frame.time % 0x100000000, true);
+        view.setUint32(12, frame.bytes.length, true);
+        view.setUint32(16, frame.bytes.length, true);
+        const data = new Uint8Array((frame.bytes.length + 3) & ~3);
+        data.set(frame.bytes);
+        const options = frame.comment ? Pcapng.options([{ code: 1, value: frame.comment }]) : new Uint8Array(0);
+        return Pcapng.block(0x00000006, Pcapng.concat([head, data, options]));
+    }
+
+    /**
+     * Join byte arrays
+     * @param {Uint8Array[]} parts - Arrays
+     * @returns {Uint8Array} Concatenation
+     */
+    static concat(parts) {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
@@ -0,0 +1,243 @@
+// Playback clock - virtual time for pausing, stepping and replaying runs
+// The engine waits through sleep() and setTimer(); given this clock's
+// versions it no longer depends on real timeouts. Every wait becomes a timer
+// on a virtual clock, and the timers fire one at a time in due order. Real
+// time only sets the pace: a timer 2000 ms ahead fires after 2000 / speed ms,
+// or at once when the speed is Infinity. Pausing stops the clock between two
+// timers, and stepping runs until the next command or reply. With the engine's
+// seeded random source, a run restarted from the same clock reading replays
+// exactly.
+
+class Playback {
+    /**
+     * @param {Object} options - Clock options
+     * @param {number} options.start - Initial clock reading in ms (defaults to the real time)
+     * @param {Function} options.realNow - Real time in ms (defaults to Date.now)
+     * @param {Function} options.realDelay - Resolves after real ms (defaults to setTimeout)
+     * @param {Function} options.pending - Number of operations outside the clock still running, e.g. counted WebCrypto calls
+     */
+    constructor(options = {}) {
+        this.realNow = options.realNow || Date.now;
+        this.realDelay = options.realDelay || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.pending = options.pending || (() => 0);
+        this.clock = options.start !== undefined ? options.start : this.realNow();
+        this.since = this.realNow(); // Real time the clock last caught up at, or null while it stands still
+        this.limit = Infinity; // The running clock never passes the next timer
+        this.speed = 1; // Virtual ms per real ms; Infinity skips the waits
+        this.paused = false;
+        this.timers = []; // { id, at, callback } in due order
+        this.timerCount = 0; // Timers scheduled so far, numbers their IDs
+        this.pumping = false;
+        this.stepCount = 0; // Commands and replies since the last restart()
+        this.pauseAt = null; // Step count at which to pause
+        this.until = Infinity; // Clock reading the timers stop at; later ones stay pending
+        this.isBusy = () => false; // True while an attached engine runs a session
+        this.onChange = () => {}; // Called when the speed, pause state or step count changed
+
+        // Hooks in the shape SMTPEngine expects them
+        this.sleep = ms => new Promise(resolve => this.schedule(resolve, ms));
+        this.now = () => this.time();
+        this.setTimer = (callback, ms) => this.schedule(callback, ms);
+        this.clearTimer = id => this.cancel(id);
+    }
+
+    // Events that end a step: one line from either side
+    static get STEP_EVENTS() {
+        return ['command', 'reply'];
+    }
+
+    /**
+     * Whether an event ends a step
+     * Lines of the console and the mail reader are typed by hand, so they
+     * belong to no session of a run and are not counted.
+     * @param {Object} event - Engine event
+     * @returns {boolean} True for a command or reply of a session
+     */
+    static isStep(event) {
+        return Playback.STEP_EVENTS.includes(event.type) && !!event.sessionId;
+    }
+
+    // SMTPEngine options that put an engine on this clock
+    get engineOptions() {
+        return { sleep: this.sleep, now: this.now, setTimer: this.setTimer, clearTimer: this.clearTimer };
+    }
+
+    /**
+     * Count the steps of an engine and stop the idle clock while it works
+     * @param {SMTPEngine} engine - Engine created with engineOptions
+     */
+    attach(engine) {
+        this.isBusy = () => engine.isRunning || engine.isFlushing || engine.retrieval.isRunning;
+        engine.on('*', (event) => {
+            if (Playback.isStep(event)) {
+                this.stepCount++;
+                if (this.pauseAt !== null && this.stepCount >= this.pauseAt) {
+                    this.pauseAt = null;
+                    this.pause();
+                }
+                this.onChange();
+            }
+            this.idle();
+        });
+    }
+
+    /**
+     * Current clock reading
+     * @returns {number} Virtual time in ms
+     */
+    time() {
+        if (this.since === null) return this.clock;
+        const rate = isFinite(this.speed) ? this.speed : 1;
+        return Math.min(this.limit, this.clock + (this.realNow() - this.since) * rate);
+    }
+
+    // Stop the clock at its current reading
+    hold() {
+        this.clock = this.time();
+        this.since = null;
+        this.limit = Infinity;
+    }
+
+    /**
+     * Let the clock follow real time
+     * @param {number} limit - Reading the clock stops at
+     */
+    flow(limit) {
+        this.hold();
+        if (this.paused) return;
+        this.since = this.realNow();
+        this.limit = limit;
+    }
+
+    // With no timer and no session, time passes as usual (greylisting and the queue depend on it)
+    idle() {
+        if (!this.pumping && !this.paused && this.since === null && this.timers.length === 0 && !this.isBusy()) {
+            this.flow(Infinity);
+        }
+    }
+
+    /**
+     * Call a function after virtual ms
+     * @param {Function} callback - Function to call
+     * @param {number} ms - Delay in virtual ms
+     * @returns {number} Timer ID for cancel()
+     */
+    schedule(callback, ms) {
+        const timer = { id: ++this.timerCount, at: this.time() + Math.max(0, ms || 0), callback };
+        // Timers due at the same time fire in the order they were scheduled
+        const index = this.timers.findIndex(other => other.at > timer.at);
+        this.timers.splice(index === -1 ? this.timers.length : index, 0, timer);
+        this.pump();
+        return timer.id;
+    }
+
+    /**
+     * Drop a timer
+     * @param {number} id - Result of schedule()
+     */
+    cancel(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    // Fire the timers in due order, pacing them with real time
+    async pump() {
+        if (this.pumping) return;
+        this.pumping = true;
+        try {
+            while (!this.paused) {
+                await this.settle();
+                const next = this.timers[0];
+                if (this.paused || !next) break;
+                if (next.at > this.until) break;
+                if (isFinite(this.speed) && next.at > this.time()) {
+                    this.flow(next.at);
+                    // Short slices, so pausing, a new speed or an earlier timer take effect quickly
+                    await this.realDelay(Math.min(50, (next.at - this.time()) / this.speed));
+                    continue;
+                }
+                this.timers.shift();
+                this.hold();
+                this.clock = Math.max(this.clock, next.at);
+                next.callback();
+            }
+        } finally {
+            this.pumping = false;
+        }
+        this.idle();
+    }
+
+    // Let the task a timer woke run until it waits again; WebCrypto calls take a few turns of the event loop
+    // (all of them when the pending hook counts them)
+    async settle() {
+        let quiet = 0;
+        let seen = this.timerCount;
+        for (let turn = 0; (turn < 20 || this.pending() > 0) && quiet < 2; turn++) {
+            await this.realDelay(0);
+            quiet = this.timerCount === seen && this.pending() === 0 ? quiet + 1 : 0;
+            seen = this.timerCount;
+        }
+    }
+
+    // Stop before the next timer fires
+    pause() {
+        this.paused = true;
+        this.hold();
+        this.onChange();
+    }
+
+    // Run on at the current speed
+    play() {
+        this.paused = false;
+        this.pauseAt = null;
+        this.onChange();
+        this.pump();
+        this.idle();
+    }
+
+    // Run until the next command or reply, then pause
+    step() {
+        this.runTo(this.stepCount + 1);
+    }
+
+    /**
+     * Run until a step count is reached, then pause
+     * @param {number} count - Step count to stop at
+     */
+    runTo(count) {
+        this.pauseAt = count;
+        this.paused = false;
+        this.onChange();
+        this.pump();
+    }
+
+    /**
+     * Change the pace
+     * @param {number} speed - Virtual ms per real ms; Infinity runs without waiting
+     */
+    setSpeed(speed) {
+        const running = this.since !== null;
+        const limit = this.limit;
+        this.hold();
+        this.speed = speed;
+        if (running) {
+            this.flow(limit);
+        }
+        this.onChange();
+    }
+
+    /**
+     * Drop every timer and set the clock, before a run is replayed
+     * Tasks still waiting on a dropped timer never resume.
+     * @param {number} start - New clock reading in ms
+     */
+    restart(start) {
+        this.timers = [];
+        this.clock = start;
+        this.since = null;
+        this.limit = Infinity;
+        this.stepCount = 0;
+        this.pauseAt = null;
+        this.paused = false;
+        this.onChange();
+    }
+}
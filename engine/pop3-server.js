@@ -0,0 +1,235 @@
+// Simulated POP3 server (RFC 1939, RFC 2449)
+// POP3Server serves the INBOX folders of the mail store; each connection
+// gets a POP3Session that moves from AUTHORIZATION to TRANSACTION after
+// USER/PASS and only removes the messages marked with DELE once QUIT
+// enters the UPDATE state.
+
+class POP3Server {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.hostname - Name announced in the greeting
+     * @param {MailStore} options.store - Mailboxes to serve
+     */
+    constructor(options = {}) {
+        this.hostname = options.hostname || 'mailbox.example.com';
+        this.store = options.store;
+        this.port = 110;
+    }
+
+    /**
+     * Build a response
+     * A multi-line response ends with a line holding a single dot; data
+     * lines starting with a dot are byte-stuffed (RFC 1939 section 3).
+     * @param {boolean} ok - '+OK' or '-ERR'
+     * @param {string} text - Status text
+     * @param {string[]} data - Lines of a multi-line response, if any
+     * @returns {Object} { ok, lines } with the lines sent on the wire
+     */
+    static reply(ok, text, data = null) {
+        const status = [ok ? '+OK' : '-ERR', text].filter(Boolean).join(' ');
+        if (data === null) {
+            return { ok, lines: [status] };
+        }
+        return { ok, lines: [status, ...data.map(line => line.startsWith('.') ? '.' + line : line), '.'] };
+    }
+
+    /**
+     * Accept a new client connection
+     * @returns {POP3Session} Session with its greeting in session.greeting
+     */
+    connect() {
+        return new POP3Session(this);
+    }
+}
+
+class POP3Session {
+    /**
+     * @param {POP3Server} server - Server that accepted the connection
+     */
+    constructor(server) {
+        this.server = server;
+        this.state = 'AUTHORIZATION'; // AUTHORIZATION → TRANSACTION → UPDATE; closed after QUIT
+        this.user = null; // Name given by USER, waiting for PASS
+        this.address = null; // Mailbox once logged in
+        this.messages = []; // Maildrop snapshot; message numbers are positions + 1
+        this.deleted = new Set(); // Messages marked by DELE
+        this.greeting = POP3Server.reply(true, `${server.hostname} POP3 server ready`);
+    }
+
+    // True after QUIT
+    get isClosed() {
+        return this.state === 'closed';
+    }
+
+    /**
+     * Process one command line
+     * @param {string} line - Command line without CRLF
+     * @returns {Object} Response { ok, lines }
+     */
+    handle(line) {
+        if (this.isClosed) {
+            return POP3Server.reply(false, 'connection closed');
+        }
+        const match = line.match(/^\s*(\S+)\s?(.*)$/);
+        if (!match) {
+            return POP3Server.reply(false, 'empty command');
+        }
+        const verb = match[1].toUpperCase();
+        const args = match[2].trim();
+
+        if (verb === 'QUIT') return this.quit();
+        if (verb === 'CAPA') return POP3Server.reply(true, 'Capability list follows', ['USER', 'UIDL', 'TOP']);
+        if (this.state === 'AUTHORIZATION') {
+            switch (verb) {
+                case 'USER':
+                    return this.userCommand(args);
+                case 'PASS':
+                    return this.pass(args);
+                default:
+                    return POP3Server.reply(false, 'authenticate with USER and PASS first');
+            }
+        }
+
+        switch (verb) {
+            case 'STAT': {
+                const live = this.live();
+                return POP3Server.reply(true, `${live.length} ${live.reduce((sum, entry) => sum + entry.message.size, 0)}`);
+            }
+            case 'LIST':
+                return this.list(args, entry => `${entry.message.size}`, 'octets');
+            case 'UIDL':
+                return this.list(args, entry => `${this.server.store.mailbox(this.address).uidValidity}.${entry.message.uid}`, 'unique-id listing');
+            case 'RETR':
+                return this.retrieve(args, null);
+            case 'TOP': {
+                const [number, count] = args.split(/\s+/);
+                if (!/^\d+$/.test(count || '')) return POP3Server.reply(false, 'syntax: TOP msg n');
+                return this.retrieve(number, parseInt(count, 10));
+            }
+            case 'DELE': {
+                const entry = this.find(args);
+                if (entry.error) return entry.error;
+                this.deleted.add(entry.number);
+                return POP3Server.reply(true, `message ${entry.number} deleted`);
+            }
+            case 'RSET':
+                this.deleted.clear();
+                return POP3Server.reply(true, `maildrop has ${this.messages.length} messages`);
+            case 'NOOP':
+                return POP3Server.reply(true, '');
+            case 'USER':
+            case 'PASS':
+                return POP3Server.reply(false, 'already authenticated');
+            default:
+                return POP3Server.reply(false, `unknown command ${verb}`);
+        }
+    }
+
+    /**
+     * USER - name the maildrop
+     * The reply does not reveal whether the mailbox exists.
+     * @param {string} name - Mailbox address
+     */
+    userCommand(name) {
+        if (!name) return POP3Server.reply(false, 'syntax: USER name');
+        this.user = name;
+        return POP3Server.reply(true, 'send PASS');
+    }
+
+    /**
+     * PASS - log in and lock the maildrop
+     * @param {string} password - Password
+     */
+    pass(password) {
+        if (this.user === null) {
+            return POP3Server.reply(false, 'send USER first');
+        }
+        const address = this.server.store.authenticate(this.user, password);
+        this.user = null;
+        if (!address) {
+            return POP3Server.reply(false, 'invalid login');
+        }
+        this.address = address;
+        this.messages = [...this.server.store.messages(address, 'INBOX')];
+        this.state = 'TRANSACTION';
+        const size = this.messages.reduce((sum, message) => sum + message.size, 0);
+        return POP3Server.reply(true, `maildrop has ${this.messages.length} messages (${size} octets)`);
+    }
+
+    // Messages not marked as deleted, with their numbers
+    live() {
+        return this.messages
+            .map((message, index) => ({ number: index + 1, message }))
+            .filter(entry => !this.deleted.has(entry.number));
+    }
+
+    /**
+     * Resolve a message-number argument
+     * @param {string} arg - Message number
+     * @returns {Object} { number, message } or { error } with the -ERR response
+     */
+    find(arg) {
+        if (!/^\d+$/.test(arg || '')) {
+            return { error: POP3Server.reply(false, 'message number required') };
+        }
+        const number = parseInt(arg, 10);
+        if (number < 1 || number > this.messages.length) {
+            return { error: POP3Server.reply(false, 'no such message') };
+        }
+        if (this.deleted.has(number)) {
+            return { error: POP3Server.reply(false, `message ${number} already deleted`) };
+        }
+        return { number, message: this.messages[number - 1] };
+    }
+
+    /**
+     * LIST or UIDL: one message, or every message that is not deleted
+     * @param {string} args - Optional message number
+     * @param {Function} describe - Returns the value listed for an entry
+     * @param {string} label - What the multi-line listing contains
+     */
+    list(args, describe, label) {
+        if (args) {
+            const entry = this.find(args);
+            return entry.error || POP3Server.reply(true, `${entry.number} ${describe(entry)}`);
+        }
+        const live = this.live();
+        return POP3Server.reply(true, `${live.length} messages (${label})`, live.map(entry => `${entry.number} ${describe(entry)}`));
+    }
+
+    /**
+     * RETR or TOP - send a message, or its header and first lines
+     * @param {string} arg - Message number
+     * @param {number|null} bodyLines - Body lines for TOP, null for the whole message
+     */
+    retrieve(arg, bodyLines) {
+        const entry = this.find(arg);
+        if (entry.error) return entry.error;
+        const lines = entry.message.message.split('\r\n');
+        if (bodyLines !== null) {
+            const end = lines.indexOf('');
+            const top = end === -1 ? lines : lines.slice(0, end + 1 + bodyLines);
+            return POP3Server.reply(true, 'top of message follows', top);
+        }
+        // POP3 has no flags of its own; reading marks the message seen for IMAP clients
+        const flags = entry.message.flags;
+        if (!flags.includes('\\Seen')) {
+            this.server.store.setFlags(this.address, entry.message, [...flags, '\\Seen']);
+        }
+        return POP3Server.reply(true, `${entry.message.size} octets`, lines);
+    }
+
+    // QUIT - in TRANSACTION state, enter UPDATE and remove the deleted messages
+    quit() {
+        if (this.state === 'TRANSACTION') {
+            this.state = 'UPDATE';
+            const removed = this.messages.filter((message, index) => this.deleted.has(index + 1));
+            this.server.store.remove(this.address, removed);
+            const left = this.messages.length - removed.length;
+            this.state = 'closed';
+            return POP3Server.reply(true, `${this.server.hostname} POP3 server signing off (${left} messages left)`);
+        }
+        this.state = 'closed';
+        return POP3Server.reply(true, `${this.server.hostname} POP3 server signing off`);
+    }
+}
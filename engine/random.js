@@ -0,0 +1,32 @@
+// Seeded random numbers
+// Packet loss, sequence numbers, ports and message tokens all come from one
+// generator, so a run started with the same seed draws the same numbers and
+// can be replayed exactly. The generator is mulberry32: small, fast and good
+// enough for a simulation (not for cryptography).
+
+class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Fresh seed for a run that did not ask for a particular one
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Next number of the sequence
+     * @returns {number} Number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
@@ -0,0 +1,292 @@
+// Remote SMTP server - real replies instead of simulated ones
+// RemoteSMTPServer stands in for SMTPServer when the client sessions should
+// talk to an actual SMTP listener: the one in node/smtp-backend.js, or any
+// local test MTA. Each session runs over a channel that carries raw bytes:
+// in the browser a WebSocket to the bridge of node/smtp-backend.js, in Node
+// a TCP socket (node/socket-channel.js). The engine still animates the
+// packets, but every reply it shows is the one the server really sent.
+
+// Protocol name the bridge expects in the WebSocket handshake
+const BRIDGE_PROTOCOL = 'smtp-bridge';
+
+class RemoteSMTPServer {
+    /**
+     * @param {Object} options - Target options
+     * @param {string} options.host - Host of the SMTP listener, e.g. '127.0.0.1'
+     * @param {number} options.port - Port of the SMTP listener, e.g. 2525
+     * @param {Function} options.open - (host, port, { onData, onClose }) → Promise of a channel { send(bytes), upgrade(), close() }
+     * @param {number} options.timeout - ms to wait for a reply before the session is given up (real time)
+     */
+    constructor(options) {
+        this.host = options.host;
+        this.port = options.port;
+        this.open = options.open;
+        this.timeout = options.timeout || 30000;
+        this.hostname = options.host; // Name shown where the simulated server shows its own
+        // The TCP animation needs an IPv4 address; a host name keeps the simulated one
+        this.address = /^\d+(\.\d+){3}$/.test(options.host) ? options.host : null;
+    }
+
+    /**
+     * Channel factory that goes through the WebSocket bridge (browser)
+     * @param {string} url - Bridge URL, e.g. 'ws://127.0.0.1:8025/smtp'
+     * @returns {Function} (host, port, { onData, onClose }) → Promise of a channel
+     */
+    static bridge(url) {
+        return (host, port, handlers) => new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(url, BRIDGE_PROTOCOL);
+            } catch (error) {
+                reject(new Error(`Bridge URL ${url} is not valid: ${error.message}`));
+                return;
+            }
+            const channel = {
+                upgraded: null, // Pending upgrade() promise handlers
+                send: bytes => socket.send(JSON.stringify({ type: 'send', data: Encoding.base64Encode(bytes) })),
+                upgrade: () => new Promise((done, fail) => {
+                    channel.upgraded = { done, fail };
+                    socket.send(JSON.stringify({ type: 'starttls' }));
+                }),
+                close: () => socket.close()
+            };
+            let opened = false;
+            socket.addEventListener('open', () => socket.send(JSON.stringify({ type: 'open', host, port })));
+            socket.addEventListener('message', (e) => {
+                const message = JSON.parse(e.data);
+                switch (message.type) {
+                    case 'opened':
+                        opened = true;
+                        resolve(channel);
+                        break;
+                    case 'data':
+                        handlers.onData(Encoding.base64DecodeBytes(message.data));
+                        break;
+                    case 'secure':
+                        if (channel.upgraded) channel.upgraded.done(message);
+                        break;
+                    case 'error':
+                        if (!opened) {
+                            reject(new Error(message.message));
+                        } else if (channel.upgraded) {
+                            channel.upgraded.fail(new Error(message.message));
+                        }
+                        break;
+                }
+            });
+            const unreachable = () => reject(new Error(`No SMTP bridge answering at ${url} (start it with: node node/smtp-backend.js)`));
+            socket.addEventListener('error', () => {
+                if (!opened) unreachable();
+            });
+            socket.addEventListener('close', () => {
+                if (!opened) unreachable();
+                handlers.onClose();
+            });
+        });
+    }
+
+    /**
+     * Connect to the listener and read its greeting
+     * @param {Object} client - Client information { hostname, address, port }
+     * @returns {Promise<RemoteSMTPSession>} Session with the real greeting in session.greeting
+     */
+    async connect(client = {}) {
+        const session = new RemoteSMTPSession(this, client);
+        // The handlers are in place before the first byte can arrive
+        session.channel = await this.open(this.host, this.port, {
+            onData: bytes => session.receive(bytes),
+            onClose: () => session.closed()
+        });
+        session.greeting = await session.nextReply();
+        if (session.greeting.code !== 220) {
+            session.state = 'closed';
+        }
+        return session;
+    }
+
+    /**
+     * Close a session's channel
+     * @param {RemoteSMTPSession} session - Session that ended
+     */
+    disconnect(session) {
+        session.state = 'closed';
+        session.channel.close();
+    }
+}
+
+class RemoteSMTPSession {
+    /**
+     * @param {RemoteSMTPServer} server - Target the session is connected to
+     * @param {Object} client - Client information
+     */
+    constructor(server, client) {
+        this.server = server;
+        this.client = client;
+        this.channel = null; // Byte channel to the listener, set by RemoteSMTPServer.connect()
+        this.state = 'connected'; // connected → data after a 354 reply; closed after 221 or when the channel closes
+        this.isSecure = false; // True once the server answered STARTTLS with 220
+        this.authExchange = null; // Set while the server sends 334 challenges
+        this.chunkLeft = 0; // Bytes of the current BDAT chunk still to send
+        this.greeting = null;
+        this.decoder = new TextDecoder();
+        this.text = ''; // Received text not yet ending in CRLF
+        this.lines = []; // Lines of the reply being read
+        this.replies = []; // Complete replies nobody asked for yet
+        this.waiting = []; // Resolvers of nextReply() calls in order
+    }
+
+    // True while the server is collecting message content after 354
+    get isReceivingData() {
+        return this.state === 'data';
+    }
+
+    // True while the bytes announced by a BDAT command are being written
+    get isReceivingChunk() {
+        return this.chunkLeft > 0;
+    }
+
+    // True after QUIT or when the connection dropped
+    get isClosed() {
+        return this.state === 'closed';
+    }
+
+    /**
+     * Collect bytes from the listener into replies (RFC 5321 section 4.2)
+     * A reply ends with a line whose code is followed by a space instead of "-".
+     * @param {Uint8Array} bytes - Received bytes
+     */
+    receive(bytes) {
+        this.text += this.decoder.decode(bytes, { stream: true });
+        let end;
+        while ((end = this.text.indexOf('\r\n')) !== -1) {
+            const line = this.text.slice(0, end);
+            this.text = this.text.slice(end + 2);
+            this.lines.push(line);
+            if (line.charAt(3) !== '-') {
+                this.deliver(RemoteSMTPSession.parseReply(this.lines));
+                this.lines = [];
+            }
+        }
+    }
+
+    /**
+     * Build a reply from its raw lines
+     * @param {string[]} lines - Lines as received, without CRLF
+     * @returns {Object} Reply { code, lines, raw } where raw is the exact text received
+     */
+    static parseReply(lines) {
+        const code = parseInt(lines[lines.length - 1].slice(0, 3), 10) || 0;
+        return { code, lines: lines.map(line => line.slice(4)), raw: lines.join('\r\n') };
+    }
+
+    /**
+     * Hand a reply to the oldest waiting nextReply(), or keep it
+     * @param {Object} reply - Complete reply
+     */
+    deliver(reply) {
+        const waiter = this.waiting.shift();
+        if (waiter) {
+            waiter(reply);
+        } else {
+            this.replies.push(reply);
+        }
+    }
+
+    /**
+     * Wait for the next reply of the server
+     * @returns {Promise<Object>} Reply, or 421 when the connection closes or the server stays silent
+     */
+    nextReply() {
+        if (this.replies.length > 0) {
+            return Promise.resolve(this.replies.shift());
+        }
+        if (this.isClosed) {
+            return Promise.resolve(SMTPServer.reply(421, 'Connection closed'));
+        }
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.waiting = this.waiting.filter(waiter => waiter !== done);
+                this.server.disconnect(this);
+                resolve(SMTPServer.reply(421, `No reply from ${this.server.host}:${this.server.port} within ${this.server.timeout / 1000} s`));
+            }, this.server.timeout);
+            const done = (reply) => {
+                clearTimeout(timer);
+                resolve(reply);
+            };
+            this.waiting.push(done);
+        });
+    }
+
+    // The listener or the bridge closed the connection: answer every waiting command with 421
+    closed() {
+        this.state = 'closed';
+        const waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach(waiter => waiter(SMTPServer.reply(421, 'Connection closed by the server')));
+    }
+
+    /**
+     * Send one line and read the reply, like SMTPSession.handle()
+     * Message lines after 354 are only written; the reply comes after the "." line.
+     * So are a BDAT command and its chunk, until all the announced bytes are out.
+     * @param {string} line - Command line or message line (without CRLF)
+     * @returns {Promise<Object|null>} Reply, or null for message lines inside DATA or a chunk
+     */
+    async handle(line) {
+        if (this.isClosed) {
+            return SMTPServer.reply(421, 'Connection closed');
+        }
+        const bytes = Encoding.utf8(`${line}\r\n`);
+        this.channel.send(bytes);
+        let verb = (line.trim().split(/\s+/)[0] || '').toUpperCase();
+        if (this.isReceivingChunk) {
+            this.chunkLeft = Math.max(0, this.chunkLeft - bytes.length);
+            if (this.isReceivingChunk) {
+                return null;
+            }
+            // The reply answers the BDAT command, whatever the chunk's last line says
+            verb = 'BDAT';
+        } else if (this.isReceivingData && line !== '.') {
+            return null;
+        } else {
+            const bdat = /^\s*BDAT\s+(\d+)/i.exec(line);
+            this.chunkLeft = bdat ? parseInt(bdat[1], 10) : 0;
+            if (this.isReceivingChunk) {
+                return null;
+            }
+        }
+
+        const reply = await this.nextReply();
+        if (this.isReceivingData) {
+            verb = '.';
+        }
+        if (verb === 'DATA' && reply.code === 354) {
+            this.state = 'data';
+        } else if (this.isReceivingData) {
+            this.state = 'greeted';
+        } else if (verb === 'STARTTLS' && reply.code === 220) {
+            this.isSecure = true;
+        } else if (verb === 'QUIT' && reply.code === 221) {
+            this.server.disconnect(this);
+        } else if (reply.code !== 421) {
+            this.state = this.isClosed ? 'closed' : 'greeted';
+        }
+        if (reply.code !== 334) {
+            this.authExchange = null;
+        } else if (verb === 'AUTH') {
+            this.authExchange = { mechanism: (line.trim().split(/\s+/)[1] || '').toUpperCase() };
+        }
+        if (reply.code === 421) {
+            this.server.disconnect(this);
+        }
+        return reply;
+    }
+
+    /**
+     * Switch the connection to TLS after the server answered STARTTLS with 220
+     * @returns {Promise<Object>} { protocol, cipher } negotiated by the channel
+     */
+    upgrade() {
+        return this.channel.upgrade();
+    }
+}
@@ -0,0 +1,152 @@
+// SASL helpers for SMTP AUTH (RFC 4954)
+// Client responses and server checks for the PLAIN, LOGIN and CRAM-MD5
+// mechanisms. CRAM-MD5 needs HMAC-MD5, which WebCrypto does not provide,
+// so MD5 is implemented here.
+
+// Per-round shift amounts of the MD5 compression function
+const MD5_SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+// MD5 round constants: floor(abs(sin(i + 1)) * 2^32)
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) =>
+    Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0
+);
+
+class SASL {
+    // Mechanisms the simulator implements, strongest first
+    static get MECHANISMS() {
+        return ['CRAM-MD5', 'LOGIN', 'PLAIN'];
+    }
+
+    /**
+     * MD5 digest (RFC 1321)
+     * @param {Uint8Array} bytes - Message
+     * @returns {Uint8Array} 16-byte digest
+     */
+    static md5(bytes) {
+        // Pad to 56 mod 64 bytes, then append the bit length as 64-bit little-endian
+        const paddedLength = (((bytes.length + 8) >> 6) + 1) * 64;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const bitLength = bytes.length * 8;
+        for (let i = 0; i < 8; i++) {
+            padded[paddedLength - 8 + i] = Math.floor(bitLength / Math.pow(2, 8 * i)) & 0xff;
+        }
+
+        let a0 = 0x67452301;
+        let b0 = 0xefcdab89;
+        let c0 = 0x98badcfe;
+        let d0 = 0x10325476;
+        const words = new Uint32Array(16);
+
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                words[i] = padded[j] | (padded[j + 1] << 8) | (padded[j + 2] << 16) | (padded[j + 3] << 24);
+            }
+
+            let a = a0, b = b0, c = c0, d = d0;
+            for (let i = 0; i < 64; i++) {
+                let f, g;
+                if (i < 16) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (i < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) % 16;
+                } else if (i < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) % 16;
+                }
+                const sum = (a + f + MD5_CONSTANTS[i] + words[g]) >>> 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) >>> 0;
+            }
+
+            a0 = (a0 + a) >>> 0;
+            b0 = (b0 + b) >>> 0;
+            c0 = (c0 + c) >>> 0;
+            d0 = (d0 + d) >>> 0;
+        }
+
+        const digest = new Uint8Array(16);
+        [a0, b0, c0, d0].forEach((word, i) => {
+            for (let j = 0; j < 4; j++) {
+                digest[i * 4 + j] = (word >>> (8 * j)) & 0xff;
+            }
+        });
+        return digest;
+    }
+
+    /**
+     * HMAC-MD5 (RFC 2104)
+     * @param {string} key - Shared secret
+     * @param {string} message - Message to authenticate
+     * @returns {string} Hex digest
+     */
+    static hmacMd5(key, message) {
+        let keyBytes = Encoding.utf8(key);
+        if (keyBytes.length > 64) {
+            keyBytes = SASL.md5(keyBytes);
+        }
+        const inner = new Uint8Array(64);
+        const outer = new Uint8Array(64);
+        for (let i = 0; i < 64; i++) {
+            inner[i] = (keyBytes[i] || 0) ^ 0x36;
+            outer[i] = (keyBytes[i] || 0) ^ 0x5c;
+        }
+
+        const messageBytes = Encoding.utf8(message);
+        const innerInput = new Uint8Array(64 + messageBytes.length);
+        innerInput.set(inner);
+        innerInput.set(messageBytes, 64);
+        const innerDigest = SASL.md5(innerInput);
+
+        const outerInput = new Uint8Array(64 + 16);
+        outerInput.set(outer);
+        outerInput.set(innerDigest, 64);
+        return Encoding.toHex(SASL.md5(outerInput));
+    }
+
+    /**
+     * Client side of a mechanism
+     * `command` is the AUTH line to send; `respond` answers each 334 challenge.
+     * @param {string} mechanism - 'PLAIN', 'LOGIN' or 'CRAM-MD5'
+     * @param {Object} credentials - { username, password }
+     * @returns {Object} { command, respond(challenge) } mapping a decoded challenge to a base64 line
+     */
+    static client(mechanism, credentials) {
+        const { username, password } = credentials;
+        switch (mechanism) {
+            case 'PLAIN':
+                return {
+                    command: `AUTH PLAIN ${Encoding.base64Encode(`\0${username}\0${password}`)}`,
+                    respond: () => Encoding.base64Encode(`\0${username}\0${password}`)
+                };
+            case 'LOGIN':
+                return {
+                    command: 'AUTH LOGIN',
+                    respond: challenge => Encoding.base64Encode(
+                        /^user/i.test(challenge) ? username : password
+                    )
+                };
+            case 'CRAM-MD5':
+                return {
+                    command: 'AUTH CRAM-MD5',
+                    respond: challenge => Encoding.base64Encode(`${username} ${SASL.hmacMd5(password, challenge)}`)
+                };
+            default:
+                throw new Error(`Unsupported SASL mechanism ${mechanism}`);
+        }
+    }
+}
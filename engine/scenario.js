@@ -0,0 +1,395 @@
+// Scenario files - a whole simulation setup as versioned JSON
+// A scenario holds everything the form configures: the message and its
+// recipients, network conditions, client settings, server and MX policies,
+// the content filter, the receiver's online/offline schedule, the DNS zone,
+// the queue timing and the faults to inject.
+// It can be saved as a file or packed into a URL hash to share a lab exercise.
+
+// Name in the "format" field of every scenario file
+const SCENARIO_FORMAT = 'smtp-simulator-scenario';
+
+class Scenario {
+    // Current file version; older files are upgraded by Scenario.parse()
+    static get VERSION() {
+        return 1;
+    }
+
+    // Prefix of a scenario in the URL hash, e.g. #scenario=eyJmb3JtYXQiOi...
+    static get HASH_PREFIX() {
+        return '#scenario=';
+    }
+
+    // Settings used for everything a scenario leaves out
+    static get DEFAULTS() {
+        return {
+            format: SCENARIO_FORMAT,
+            version: Scenario.VERSION,
+            name: 'Untitled scenario',
+            description: '',
+            email: {
+                sender: 'alice@example.com',
+                to: 'bob@example.com',
+                cc: '',
+                bcc: '',
+                subject: 'Meeting Tomorrow',
+                body: 'Hi Bob,\n\nJust wanted to confirm our meeting tomorrow at 2 PM.\n\nBest regards,\nAlice',
+                bodyEncoding: '8bit'
+            },
+            network: {
+                serverDelay: 1, // s
+                networkDelay: 500, // ms
+                packetLoss: 10, // %
+                tcp: { mss: 536, initialRto: 1000, maxRetries: 5 }
+            },
+            client: {
+                greeting: 'HELO',
+                port: 25,
+                starttls: 'opportunistic',
+                pipelining: false, // group MAIL, RCPT and DATA when the server offers PIPELINING
+                chunking: false, // send BDAT chunks instead of DATA when the server offers CHUNKING
+                chunkSize: 0, // bytes per BDAT chunk, 0 = the whole message in one
+                auth: { username: 'alice', password: 'wonderland', mechanism: 'PLAIN' },
+                dkimSign: true,
+                spoofing: 'off',
+                retry: { attempts: 3, delay: 10 } // delay in s, doubled after every attempt
+            },
+            attacks: { stripStarttls: false, tamperBody: false },
+            server: {
+                extensions: ['SIZE', '8BITMIME', 'PIPELINING'],
+                sizeLimit: 1048576,
+                users: [
+                    { username: 'alice', password: 'wonderland' },
+                    { username: 'bob', password: 'builder' }
+                ],
+                maxConnections: 5,
+                relay: 'open',
+                greylisting: false,
+                greylistDelay: 5, // s
+                rateLimit: 0, // messages per sender and window, 0 = no limit
+                rateWindow: 60, // s
+                blocklist: [] // client IPs, CIDR networks and domains
+            },
+            mx: {
+                greylisting: false,
+                greylistDelay: 5, // s
+                fullMailboxes: []
+            },
+            filter: {
+                enabled: true,
+                disabledRules: [], // KEYWORDS, BAYES, HEADERS, ATTACHMENTS
+                thresholds: { spam: 5, quarantine: 8, reject: 15 }, // points
+                keywords: ContentFilter.DEFAULTS.keywords, // { pattern, score }
+                blockedExtensions: ContentFilter.DEFAULTS.blockedExtensions
+            },
+            receiver: {
+                online: true,
+                schedule: [], // { at (s after Send), online }
+                downHosts: []
+            },
+            dns: { zone: null }, // null keeps the built-in zone
+            queue: { minBackoff: 10, maxBackoff: 160, lifetime: 600 }, // s
+            faults: {
+                chance: 0, // % of the steps a random fault strikes at
+                kinds: Object.keys(FaultInjector.KINDS), // faults drawn at random
+                timeout: 30, // s the client waits for a reply
+                outage: 30, // s the recipient stays offline
+                armed: [] // { kind, point }, each fires once
+            }
+        };
+    }
+
+    // Built-in lab exercises, keyed by ID
+    static get LIBRARY() {
+        return {
+            basic: {
+                name: 'Basic delivery',
+                description: 'alice@example.com writes to bob@example.com over a slightly lossy network. Follow the commands in the log and the segments in the diagram.'
+            },
+            greylisting: {
+                name: 'Greylisting',
+                description: 'The MX of example.com defers every new relay/sender/recipient triplet with 450 4.7.1. The relay queues the message and its retry 10 s later is accepted. Why do spammers rarely get through greylisting?',
+                network: { packetLoss: 0 },
+                mx: { greylisting: true, greylistDelay: 8 },
+                queue: { minBackoff: 10 }
+            },
+            bounce: {
+                name: 'Bounce (DSN)',
+                description: 'One recipient domain does not exist. Bob still gets the message; alice gets a delivery status notification from MAILER-DAEMON. Find the Status and Diagnostic-Code fields in the bounce.',
+                email: { to: 'bob@example.com,nobody@nowhere.test', subject: 'Party invitation' },
+                network: { packetLoss: 0 }
+            },
+            relayDenied: {
+                name: 'Relay denied',
+                description: 'The server only relays mail for other domains after AUTH. Sent on port 25 without logging in, the example.org recipient is refused with 550 5.7.1. Switch to port 587 and send again.',
+                email: { to: 'bob@example.com,carol@example.org', subject: 'Project update' },
+                network: { packetLoss: 0 },
+                server: { relay: 'authenticated', extensions: ['SIZE', '8BITMIME', 'PIPELINING', 'AUTH'] }
+            },
+            mailboxFull: {
+                name: 'Mailbox full',
+                description: 'The MX answers RCPT for bob@example.com with 552 5.2.2. The relay gives up at once and returns the message to alice. Compare this permanent failure with the greylisting scenario.',
+                network: { packetLoss: 0 },
+                mx: { fullMailboxes: ['bob@example.com'] }
+            },
+            submissionGreylisting: {
+                name: 'Greylisting at the submission server',
+                description: 'This time the server the client talks to greylists: RCPT gets 451 4.7.1 on the first try. The client reads the 4xx as "try later", waits 10 s and its second attempt is accepted. Log in on port 587 and the server skips greylisting.',
+                network: { packetLoss: 0 },
+                server: { greylisting: true, greylistDelay: 8 }
+            },
+            blockedClient: {
+                name: 'Blocked client and rate limit',
+                description: 'The server blocks 192.0.2.0/24, the client\'s network: the connection is greeted with 554 5.7.1 and the client gives up at once, because 5xx is permanent. Clear the blocklist and send twice: the sender rate limit answers MAIL with 450 and the client keeps trying.',
+                network: { packetLoss: 0 },
+                server: { blocklist: ['192.0.2.0/24'], rateLimit: 1, rateWindow: 30 }
+            },
+            spamFilter: {
+                name: 'Spam filter',
+                description: 'The message reads like a lottery scam. The content filter of the MX adds up points from its keyword patterns, its Bayes classifier and the header checks, and files it in Junk (5 points and up). Attach a file named invoice.pdf.exe and send again: the blocked type pushes it past the reject threshold and the MX answers 550 after DATA. Lower the quarantine threshold to 6 instead and the message is held until you release it.',
+                email: {
+                    subject: 'You have WON!!!',
+                    body: 'Congratulations Bob,\n\nyour email address won the international lottery. Reply with your address to claim the prize.\n\nThe Prize Team'
+                },
+                network: { packetLoss: 0 }
+            },
+            receiverOutage: {
+                name: 'Receiver outage',
+                description: 'The receiving MX hosts go down when the message is sent and come back a minute later. Watch the queue retry with growing waits until the delivery succeeds.',
+                network: { packetLoss: 0 },
+                receiver: { schedule: [{ at: 0, online: false }, { at: 60, online: true }] },
+                queue: { minBackoff: 8, maxBackoff: 32 }
+            },
+            connectionReset: {
+                name: 'Connection reset during DATA',
+                description: 'The server resets the connection while the message content is on its way, and later stops answering the dot. With no reply the client cannot know whether the message was kept, so it treats both as temporary failures and starts over. Arm a 421 shutdown or a 552 at RCPT instead and compare the recovery.',
+                network: { packetLoss: 0 },
+                faults: { timeout: 15, armed: [{ kind: 'reset', point: 'CONTENT' }, { kind: 'timeout', point: 'END' }] }
+            },
+            internationalAddress: {
+                name: 'Internationalized address',
+                description: 'The recipient jürgen@bücher.example.org has a non-ASCII local part and domain. The server offers SMTPUTF8, so MAIL FROM carries the SMTPUTF8 parameter, and the relay looks up the MX of xn--bcher-kva.example.org, the punycode form of the domain. Untick SMTPUTF8 and send again: the domain could be sent as punycode, but the local part cannot, and RCPT gets 553 5.6.7.',
+                email: { to: 'jürgen@bücher.example.org', subject: 'Grüße aus Köln' },
+                network: { packetLoss: 0 },
+                server: { extensions: ['SIZE', '8BITMIME', 'PIPELINING', 'SMTPUTF8'] }
+            }
+        };
+    }
+
+    /**
+     * Fill the gaps of a partial scenario with the defaults
+     * Plain objects are merged key by key; arrays and values replace the default.
+     * @param {Object} base - Defaults
+     * @param {Object} overrides - Values to apply
+     * @returns {Object} New merged object
+     */
+    static merge(base, overrides) {
+        const result = { ...base };
+        Object.entries(overrides || {}).forEach(([key, value]) => {
+            const isObject = value && typeof value === 'object' && !Array.isArray(value);
+            result[key] = isObject && base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])
+                ? Scenario.merge(base[key], value)
+                : value;
+        });
+        return result;
+    }
+
+    /**
+     * Complete scenario from the built-in library
+     * @param {string} id - Key of Scenario.LIBRARY
+     * @returns {Object} Scenario
+     */
+    static fromLibrary(id) {
+        const entry = Scenario.LIBRARY[id];
+        if (!entry) {
+            throw new Error(`Unknown scenario "${id}"`);
+        }
+        return Scenario.merge(Scenario.DEFAULTS, entry);
+    }
+
+    /**
+     * Check and complete a scenario read from a file or URL
+     * @param {Object|string} data - Scenario object or its JSON text
+     * @returns {Object} Complete scenario of the current version
+     */
+    static parse(data) {
+        const scenario = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!scenario || typeof scenario !== 'object' || scenario.format !== SCENARIO_FORMAT) {
+            throw new Error('Not a scenario file: the "format" field must be "smtp-simulator-scenario"');
+        }
+        if (!Number.isInteger(scenario.version) || scenario.version < 1) {
+            throw new Error('Scenario file has no valid "version"');
+        }
+        if (scenario.version > Scenario.VERSION) {
+            throw new Error(`Scenario version ${scenario.version} is newer than this simulator supports (${Scenario.VERSION})`);
+        }
+        const schedule = (scenario.receiver && scenario.receiver.schedule) || [];
+        if (!Array.isArray(schedule) || schedule.some(step => typeof step.at !== 'number' || typeof step.online !== 'boolean')) {
+            throw new Error('Receiver schedule entries must look like { "at": 30, "online": true }');
+        }
+        const armed = (scenario.faults && scenario.faults.armed) || [];
+        if (!Array.isArray(armed)) {
+            throw new Error('Armed faults must be a list like [{ "kind": "reset", "point": "CONTENT" }]');
+        }
+        armed.forEach(fault => FaultInjector.entry(fault.kind, fault.point));
+        Scenario.checkTypes(scenario, Scenario.DEFAULTS, '');
+        return { ...Scenario.merge(Scenario.DEFAULTS, scenario), version: Scenario.VERSION };
+    }
+
+    // Items of the lists whose default is empty, so the default cannot show their type
+    static get LIST_ITEMS() {
+        return {
+            'server.blocklist': '',
+            'mx.fullMailboxes': '',
+            'filter.disabledRules': '',
+            'receiver.downHosts': ''
+        };
+    }
+
+    /**
+     * Check that every known field of a scenario has the type of its default
+     * Unknown fields pass untouched; a field whose default is null may hold text.
+     * @param {*} value - Section or field of the scenario
+     * @param {*} defaults - The same section or field of Scenario.DEFAULTS
+     * @param {string} path - Dotted name of the field, e.g. "server.extensions"
+     */
+    static checkTypes(value, defaults, path) {
+        const kind = item => item === null ? 'null' : Array.isArray(item) ? 'list' : typeof item;
+        const names = { object: 'a section', list: 'a list', string: 'text', number: 'a number', boolean: 'true or false', null: 'null' };
+        const expected = kind(defaults);
+        const actual = kind(value);
+        if (actual !== expected && !(expected === 'null' && actual === 'string')) {
+            throw new Error(`Scenario field "${path}" must be ${names[expected]}, not ${names[actual] || actual}`);
+        }
+        if (expected === 'object') {
+            Object.keys(value).filter(key => key in defaults).forEach((key) => {
+                Scenario.checkTypes(value[key], defaults[key], path ? `${path}.${key}` : key);
+            });
+        } else if (expected === 'list') {
+            const item = defaults.length > 0 ? defaults[0] : Scenario.LIST_ITEMS[path];
+            if (item === undefined) return;
+            value.forEach((entry, index) => Scenario.checkTypes(entry, item, `${path}[${index}]`));
+        }
+    }
+
+    /**
+     * Settings for SMTPEngine.sendEmail(), the way the form's Send button reads them
+     * @param {Object} scenario - Complete scenario
+     * @returns {Object} Session config; times in the units the engine expects
+     */
+    static sessionConfig(scenario) {
+        const { email, network, client } = scenario;
+        return {
+            sender: email.sender,
+            to: email.to,
+            cc: email.cc,
+            bcc: email.bcc,
+            subject: email.subject,
+            body: email.body,
+            attachments: [],
+            bodyEncoding: email.bodyEncoding,
+            serverDelay: network.serverDelay,
+            networkDelay: network.networkDelay,
+            packetLoss: network.packetLoss,
+            tcp: { ...network.tcp },
+            greeting: client.greeting,
+            port: client.port,
+            starttls: client.starttls,
+            pipelining: client.pipelining,
+            chunking: client.chunking,
+            chunkSize: client.chunkSize,
+            // Only submission (587) sessions log in
+            auth: client.port === 587 ? { ...client.auth } : null,
+            dkimSign: client.dkimSign,
+            spoofing: client.spoofing,
+            retry: { attempts: client.retry.attempts, delay: client.retry.delay * 1000 }
+        };
+    }
+
+    /**
+     * Put an engine into the state a scenario describes, without a form
+     * Mirrors what the page does after Load: the same settings reach the
+     * engine in the same units, so a headless run matches a run in the browser.
+     * @param {SMTPEngine} engine - Engine to configure
+     * @param {Object} scenario - Complete scenario
+     */
+    static configure(engine, scenario) {
+        const { network, attacks, server, mx, filter, receiver, queue, faults } = scenario;
+        const params = { SIZE: String(server.sizeLimit || 0), AUTH: 'PLAIN LOGIN CRAM-MD5' };
+        engine.server.extensions = server.extensions
+            .map(keyword => keyword.toUpperCase())
+            .map(keyword => params[keyword] ? `${keyword} ${params[keyword]}` : keyword);
+        engine.server.users = server.users.map(user => ({ ...user }));
+        engine.server.maxConnections = server.maxConnections || 1;
+        engine.server.relay = server.relay;
+        engine.server.policy = {
+            greylisting: server.greylisting,
+            greylistDelay: server.greylistDelay * 1000,
+            rateLimit: server.rateLimit,
+            rateWindow: server.rateWindow * 1000,
+            blocklist: server.blocklist.map(entry => entry.toLowerCase()),
+            sizeLimit: server.sizeLimit
+        };
+        engine.mxPolicy = {
+            greylisting: mx.greylisting,
+            greylistDelay: mx.greylistDelay * 1000,
+            fullMailboxes: mx.fullMailboxes.map(address => address.toLowerCase())
+        };
+        engine.contentFilter.settings = {
+            enabled: filter.enabled,
+            disabledRules: [...filter.disabledRules],
+            keywords: filter.keywords.map(keyword => ({ ...keyword })),
+            blockedExtensions: [...filter.blockedExtensions],
+            thresholds: { ...filter.thresholds }
+        };
+        engine.tcpOptions = { ...network.tcp };
+        engine.queueOptions = { minBackoff: queue.minBackoff * 1000, maxBackoff: queue.maxBackoff * 1000, lifetime: queue.lifetime * 1000 };
+        engine.faults.configure({ chance: faults.chance, kinds: faults.kinds, timeout: faults.timeout * 1000, outage: faults.outage * 1000 });
+        engine.faults.setArmed(faults.armed);
+        engine.mitm.stripStarttls = attacks.stripStarttls;
+        engine.mitm.tamperBody = attacks.tamperBody;
+        engine.dns.load(scenario.dns.zone === null ? DNS_DEFAULT_ZONE : scenario.dns.zone);
+        engine.setReceiverSchedule(receiver.schedule.map(step => ({ at: step.at * 1000, online: step.online })));
+        const downHosts = receiver.downHosts.map(host => DNSResolver.normalize(host));
+        if (downHosts.join() !== [...engine.downHosts].join()) {
+            engine.setDownHosts(downHosts);
+        }
+        if (engine.isReceiverOnline !== receiver.online) {
+            engine.setReceiverOnline(receiver.online);
+        }
+    }
+
+    /**
+     * Scenario as pretty-printed JSON for a file
+     * @param {Object} scenario - Scenario
+     * @returns {string} JSON text
+     */
+    static stringify(scenario) {
+        return JSON.stringify({ ...scenario, format: SCENARIO_FORMAT, version: Scenario.VERSION }, null, 2);
+    }
+
+    /**
+     * Pack a scenario into a URL hash (base64url of the compact JSON)
+     * @param {Object} scenario - Scenario
+     * @returns {string} Hash starting with #scenario=
+     */
+    static toHash(scenario) {
+        const json = JSON.stringify({ ...scenario, format: SCENARIO_FORMAT, version: Scenario.VERSION });
+        const base64url = Encoding.base64Encode(json).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return Scenario.HASH_PREFIX + base64url;
+    }
+
+    /**
+     * Unpack a scenario from a URL hash
+     * @param {string} hash - location.hash
+     * @returns {Object|null} Complete scenario, or null when the hash holds none
+     */
+    static fromHash(hash) {
+        if (!hash || !hash.startsWith(Scenario.HASH_PREFIX)) return null;
+        const base64 = hash.slice(Scenario.HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        const json = Encoding.base64Decode(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        if (json === null) {
+            throw new Error('The scenario in the link is damaged');
+        }
+        return Scenario.parse(json);
+    }
+}
@@ -0,0 +1,1937 @@
+// SMTP Engine - DOM-free protocol state machine
+// Runs an SMTP session and reports everything that happens through events,
+// so the same engine can drive the browser view, a Node script or a test.
+
+class SMTPEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {Function} options.sleep - Resolves after the given number of milliseconds
+     * @param {Function} options.random - Returns a number in [0, 1), used for packet loss (defaults to a SeededRandom)
+     * @param {number} options.seed - Seed of the default random source (defaults to a random seed)
+     * @param {Function} options.now - Returns the current time in milliseconds
+     * @param {number} options.packetTransitTime - Time a packet spends on the wire (ms)
+     * @param {SMTPServer} options.server - Simulated server to talk to
+     * @param {Object} options.tcp - TCPConnection options (mss, initialWindow, initialRto, maxRetries, ...)
+     * @param {DNSResolver} options.dns - Resolver answering the MX lookups of the relay
+     * @param {string} options.relayHost - Outbound MTA that the submission server hands messages to
+     * @param {string} options.attackerHost - Relay used by the spoofing attacks
+     * @param {Object} options.mxPolicy - { greylisting, greylistDelay (ms), fullMailboxes } of the receiving MX hosts
+     * @param {Object} options.contentFilter - Settings of the MX content filter, see ContentFilter.DEFAULTS
+     * @param {Object} options.dkim - Signing identity of the outbound MTA: { domain, selector, privateKey (base64 PKCS #8) }
+     * @param {string[]} options.downHosts - Mail hosts that refuse connections
+     * @param {Object} options.queue - Retry queue timing in ms: { minBackoff, maxBackoff, lifetime }
+     * @param {MailStore} options.mailStore - Mailboxes the MDA delivers to
+     * @param {string} options.mailboxHost - POP3/IMAP host serving the mailboxes
+     * @param {Function} options.setTimer - Schedules a callback (defaults to setTimeout)
+     * @param {Function} options.clearTimer - Cancels a scheduled callback (defaults to clearTimeout)
+     * @param {RemoteSMTPServer} options.target - Real SMTP listener the client sessions talk to instead of the simulated server
+     */
+    constructor(options = {}) {
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.now = options.now || Date.now;
+        this.reseed(options.seed !== undefined ? options.seed : SeededRandom.randomSeed());
+        if (options.random) {
+            this.random = options.random;
+        }
+        this.setTimer = options.setTimer || ((callback, ms) => setTimeout(callback, ms));
+        this.clearTimer = options.clearTimer || (timer => clearTimeout(timer));
+        this.packetTransitTime = options.packetTransitTime !== undefined ? options.packetTransitTime : 2000;
+
+        this.server = options.server || new SMTPServer({ now: this.now, random: () => this.random() });
+        this.target = options.target || null; // RemoteSMTPServer answering in place of this.server, or null
+        this.consoleSession = null; // Server session driven by typed commands
+        this.tcpOptions = options.tcp || {};
+        this.connections = new WeakMap(); // Server session → TCPConnection carrying it
+        this.tlsChannels = new WeakMap(); // Server session → TLSChannel once STARTTLS completed
+        this.mitm = { stripStarttls: false, tamperBody: false }; // Man-in-the-middle on the client and relay links
+        this.dns = options.dns || new DNSResolver();
+        this.relayHost = options.relayHost || 'mta.example.com';
+        this.attackerHost = options.attackerHost || 'mail.attacker.test';
+        this.dkim = { domain: 'example.com', selector: 'mail', privateKey: DKIM_DEMO_PRIVATE_KEY, ...(options.dkim || {}) };
+        this.dkimKey = null; // Imported signing key, created on first use
+        this.downHosts = new Set((options.downHosts || []).map(host => DNSResolver.normalize(host)));
+        // Messages filed by the MDA, read back over POP3 and IMAP
+        this.mailStore = options.mailStore || new MailStore({
+            users: () => this.server.users,
+            now: this.now,
+            onChange: address => this.emit('mailboxChanged', { address })
+        });
+        this.retrieval = new MailRetrieval(this, options.mailboxHost);
+
+        this.listeners = {};
+        this.trace = new SessionTrace(this); // Structured record of the current run, for export
+        this.activeSessions = new Map(); // Session ID → { config, startedAt } of every sendEmail() still running
+        this.sessionCount = 0; // Sessions started so far, numbers the session IDs
+        this.connectionCount = 0; // TCP connections opened so far, numbers the connection IDs
+        // Counters over every session since the engine was created
+        this.totalPackets = 0;
+        this.lostPackets = 0;
+        this.retransmissions = 0;
+        this.isReceiverOnline = true; // Receiver status
+        this.receiverSchedule = []; // Steps { at, online }: ms after a batch of sessions starts
+        this.scheduleTimers = [];
+        // Policies of the receiving MX hosts
+        this.mxPolicy = { greylisting: false, greylistDelay: 5000, fullMailboxes: [], ...(options.mxPolicy || {}) };
+        this.greylist = new Map(); // "mx|relay|sender|recipient" → time of the first attempt
+        this.contentFilter = new ContentFilter(options.contentFilter);
+        this.quarantine = []; // Copies the content filter held back, { id, email, score, heldAt }
+        this.quarantineCount = 0; // Copies held so far, numbers the quarantine IDs
+        this.queuedEmails = []; // Deliveries waiting in the MTA for an MX host, one per recipient
+        // Postfix waits 300 s to 4000 s between attempts and keeps mail for 5 days; scaled down for the demo
+        this.queueOptions = { minBackoff: 10000, maxBackoff: 160000, lifetime: 600000, ...(options.queue || {}) };
+        this.queueTimer = null; // Wakes the queue for the earliest next attempt
+        this.isFlushing = false;
+        this.recipientResults = []; // Per-recipient outcome of the most recently started session
+        // Failures injected on purpose; random ones draw from the seeded source
+        this.faults = new FaultInjector(() => this.random());
+        this.faults.onChange = () => this.emit('faultsChanged', { armed: this.faults.armed.map(fault => ({ ...fault })) });
+        this.deliveredRecipients = 0;
+        this.rejectedRecipients = 0;
+    }
+
+    /**
+     * Subscribe to an engine event
+     * @param {string} type - Event type, or '*' for every event
+     * @param {Function} listener - Called with the event object
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, listener) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Remove a previously registered listener
+     * @param {string} type - Event type
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(type, listener) {
+        if (!this.listeners[type]) return;
+        this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    }
+
+    /**
+     * Emit an event to its listeners and to wildcard listeners
+     * @param {string} type - Event type
+     * @param {Object} detail - Event payload
+     */
+    emit(type, detail = {}) {
+        // Events about a recipient's copy belong to the session that submitted it
+        const owner = detail.email && detail.email.sessionId ? { sessionId: detail.email.sessionId } : {};
+        const event = { type, time: this.now(), ...owner, ...detail };
+        const listeners = [...(this.listeners[type] || []), ...(this.listeners['*'] || [])];
+        listeners.forEach(listener => listener(event));
+    }
+
+    // True while at least one sendEmail() session is running
+    get isRunning() {
+        return this.activeSessions.size > 0;
+    }
+
+    // Snapshot of the counters
+    getStats() {
+        return {
+            totalPackets: this.totalPackets,
+            lostPackets: this.lostPackets,
+            retransmissions: this.retransmissions,
+            queuedEmails: this.queuedEmails.length,
+            deliveredRecipients: this.deliveredRecipients,
+            rejectedRecipients: this.rejectedRecipients
+        };
+    }
+
+    // Notify listeners that a counter changed
+    emitStats() {
+        this.emit('stats', this.getStats());
+    }
+
+    /**
+     * Report session progress
+     * @param {number} percentage - Progress percentage (0-100)
+     * @param {string} status - Short status text
+     * @param {string} sessionId - Session the progress belongs to
+     */
+    setProgress(percentage, status, sessionId) {
+        this.emit('progress', { percentage, status, sessionId });
+    }
+
+    /**
+     * Report which node is currently processing
+     * @param {string|null} node - 'client', 'server', 'mta', 'mx', 'recipient', 'reader' or null
+     */
+    setActiveNode(node) {
+        this.emit('node', { node });
+    }
+
+    /**
+     * Send one client command and wait for the server to process it
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} command - Command line sent by the client
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     */
+    async sendCommand(session, command, timing) {
+        this.setActiveNode('client');
+        this.emit('command', { command, ...this.tags(session) });
+        await this.transmit(session, command, SMTPServer.byteLength(command) + 2, timing);
+    }
+
+    /**
+     * Carry a payload to the server over TCP and wait for it to be processed
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} payload - Label of the payload on the wire
+     * @param {number} length - Payload bytes including CRLFs
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     */
+    async transmit(session, payload, length, timing) {
+        await this.connections.get(session).send('client', payload, this.recordLength(session, length), timing, this.packetKind(session));
+
+        this.setActiveNode('server');
+        await this.sleep(timing.serverDelay);
+    }
+
+    /**
+     * Bytes a payload occupies on the wire
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {number} length - Plaintext bytes
+     * @returns {number} Bytes including the TLS record overhead once encrypted
+     */
+    recordLength(session, length) {
+        // 5-byte record header, 1-byte inner content type and 16-byte AES-GCM tag
+        return this.tlsChannels.has(session) ? length + 22 : length;
+    }
+
+    /**
+     * Open the TCP connection and the SMTP session on top of it
+     * @param {Object} client - Client information passed to SMTPServer.connect()
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }, or null to connect instantly
+     * @param {Object} extra - Additional event fields, e.g. { source: 'console' }
+     * @returns {Promise<SMTPSession|RemoteSMTPSession>} New session; its greeting is already on the wire
+     */
+    async connect(client, timing, extra = {}) {
+        const server = this.target || this.server;
+        const address = (this.target && this.target.address) || this.dns.resolveAddress(this.server.hostname);
+        const connection = new TCPConnection(this, { ...this.tcpOptions, ...(client.tcp || {}) }, extra, {
+            client: { address: client.address },
+            server: { address, port: this.target ? this.target.port : client.port }
+        });
+        if (timing) {
+            await connection.open(timing);
+        } else {
+            connection.establish();
+        }
+        let session;
+        try {
+            session = await server.connect(client);
+        } catch (error) {
+            // A real listener or its bridge could not be reached
+            connection.close();
+            throw error;
+        }
+        this.connections.set(session, connection);
+
+        const greeting = this.replyText(session.greeting);
+        connection.record('server', '220 greeting', SMTPServer.byteLength(greeting) + 2);
+        await this.wire(session, 'server', greeting, connection.extra);
+        this.reply(session.greeting, 'server', connection.extra);
+        return session;
+    }
+
+    /**
+     * Event fields of the connection carrying a session
+     * @param {SMTPSession} session - Server side of the connection
+     * @returns {Object} Fields given to connect(), e.g. { source: 'console' } or { sessionId: 'S2' }
+     */
+    tags(session) {
+        const connection = this.connections.get(session);
+        return connection ? connection.extra : {};
+    }
+
+    /**
+     * Tear down a session and its TCP connection
+     * @param {SMTPSession} session - Server side of the connection
+     */
+    disconnect(session) {
+        const connection = this.connections.get(session);
+        if (connection) {
+            connection.close();
+        }
+        session.server.disconnect(session);
+    }
+
+    /**
+     * Text of a reply as it crossed the wire
+     * A real server's reply is shown byte for byte; a simulated one is formatted.
+     * @param {Object} reply - Reply { code, lines }, with raw when a RemoteSMTPSession received it
+     * @returns {string} Reply lines separated by CRLF
+     */
+    replyText(reply) {
+        return reply.raw !== undefined ? reply.raw : SMTPServer.formatReply(reply).join('\r\n');
+    }
+
+    /**
+     * Report a reply received by the client
+     * @param {Object} reply - Reply { code, lines } from SMTPServer.reply()
+     * @param {string} from - 'server' or 'recipient'
+     * @param {Object} extra - Additional event fields, e.g. { source: 'console' }
+     */
+    reply(reply, from = 'server', extra = {}) {
+        this.emit('reply', {
+            code: reply.code,
+            text: reply.lines.join(' '),
+            lines: reply.lines,
+            from,
+            ...extra
+        });
+    }
+
+    /**
+     * Send a command, let the server session answer it and report the reply
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} command - Command line
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @returns {Promise<Object>} Server reply
+     */
+    async exchange(session, command, timing) {
+        // The client reads the last reply before it writes the next command; a paused playback stops in between
+        await this.sleep(0);
+        const start = this.now();
+        const fault = this.injectFault(this.tags(session), FaultInjector.point(command));
+        await this.wire(session, 'client', command);
+        await this.sendCommand(session, command, timing);
+        if (fault === 'reset') {
+            await this.resetConnection(session, command);
+        } else if (fault === 'timeout') {
+            await this.replyTimeout(session, command);
+        }
+        const reply = fault
+            ? FaultInjector.reply(fault, this.server.hostname, command)
+            : this.interceptReply(session, command, await session.handle(this.interceptCommand(session, command)));
+        await this.wire(session, 'server', this.replyText(reply));
+        this.reply(reply, 'server', this.tags(session));
+        this.emit('roundTrip', { commands: [command], start, ...this.tags(session) });
+        if (session.isClosed || reply.code === 421) {
+            // 421 means the server is closing the channel, whatever the command was (RFC 5321 section 3.8)
+            this.disconnect(session);
+            this.expectSuccess(reply);
+        }
+        return reply;
+    }
+
+    /**
+     * Send a group of commands in one flight and read their replies in order
+     * With PIPELINING the client does not wait after each command (RFC 2920):
+     * the group crosses the network once and the server answers it in one go.
+     * A BDAT command carries its chunk of the message in the same flight (RFC 3030).
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {Object[]} items - { command, lines } where lines is the chunk following a BDAT command
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @param {Object|null} content - Message the chunks carry, announced after the commands
+     * @returns {Promise<Object[]>} Replies in command order
+     */
+    async sendGroup(session, items, timing, content = null) {
+        await this.sleep(0);
+        const start = this.now();
+        const tags = this.tags(session);
+        const text = items.map(item => [item.command, ...(item.lines || [])].join('\r\n')).join('\r\n');
+        await this.wire(session, 'client', text);
+        this.setActiveNode('client');
+        items.forEach(item => this.emit('command', { command: item.command, pipelined: items.length > 1, ...tags }));
+        if (content) {
+            this.emit('content', content);
+        }
+        // Chunks are struck like the content after DATA: a reset on their way, a fault in place of the last chunk's reply
+        if (items.some(item => item.lines) && this.injectFault(tags, 'CONTENT') === 'reset') {
+            await this.resetConnection(session, 'the message content');
+        }
+        await this.transmit(session, SMTPEngine.groupLabel(items.map(item => item.command)), SMTPServer.byteLength(text) + 2, timing);
+
+        const replies = [];
+        for (const item of items) {
+            const fault = this.injectFault(tags, item.lines ? (/\bLAST$/i.test(item.command) ? 'END' : null) : FaultInjector.point(item.command));
+            const label = item.lines ? 'the message content' : item.command;
+            if (fault === 'reset') {
+                await this.resetConnection(session, label);
+            } else if (fault === 'timeout') {
+                await this.replyTimeout(session, label);
+            }
+            let reply;
+            if (fault) {
+                // A failing server answers without keeping anything
+                reply = FaultInjector.reply(fault, this.server.hostname, item.command);
+            } else if (item.lines) {
+                reply = await session.handle(item.command);
+                for (const line of item.lines) {
+                    reply = await session.handle(line);
+                }
+            } else {
+                reply = this.interceptReply(session, item.command, await session.handle(this.interceptCommand(session, item.command)));
+            }
+            replies.push(reply);
+            // Commands after a closing reply stay unanswered
+            if (session.isClosed || reply.code === 421) break;
+        }
+        await this.wire(session, 'server', replies.map(reply => this.replyText(reply)).join('\r\n'));
+        replies.forEach(reply => this.reply(reply, 'server', tags));
+        this.emit('roundTrip', { commands: items.map(item => item.command), start, ...tags });
+        const last = replies[replies.length - 1];
+        if (session.isClosed || last.code === 421) {
+            this.disconnect(session);
+            this.expectSuccess(last);
+        }
+        return replies;
+    }
+
+    /**
+     * Short name of a command group for the packet animation
+     * @param {string[]} commands - Command lines
+     * @returns {string} e.g. "MAIL + 2×RCPT + DATA"
+     */
+    static groupLabel(commands) {
+        const verbs = [];
+        commands.map(command => command.split(' ')[0].toUpperCase()).forEach((verb) => {
+            const previous = verbs[verbs.length - 1];
+            if (previous && previous.verb === verb) {
+                previous.count++;
+            } else {
+                verbs.push({ verb, count: 1 });
+            }
+        });
+        return verbs.map(entry => entry.count > 1 ? `${entry.count}×${entry.verb}` : entry.verb).join(' + ');
+    }
+
+    /**
+     * Cut a message into BDAT chunks at line ends
+     * @param {string[]} lines - Message lines, not dot-stuffed
+     * @param {number} size - Largest chunk in bytes; 0 sends the whole message in one chunk
+     * @returns {Object[]} { command, lines } per chunk, the last one marked LAST
+     */
+    static chunkMessage(lines, size) {
+        const chunks = [];
+        let current = null;
+        lines.forEach((line) => {
+            const bytes = SMTPServer.byteLength(line) + 2;
+            if (!current || (size > 0 && current.bytes + bytes > size && current.lines.length > 0)) {
+                current = { lines: [], bytes: 0 };
+                chunks.push(current);
+            }
+            current.lines.push(line);
+            current.bytes += bytes;
+        });
+        return chunks.map((chunk, index) => ({
+            command: `BDAT ${chunk.bytes}${index === chunks.length - 1 ? ' LAST' : ''}`,
+            lines: chunk.lines
+        }));
+    }
+
+    /**
+     * Fault striking a client session at a step, reported when one does
+     * Console sessions and a real target server are left alone.
+     * @param {Object} tags - Event fields of the session, e.g. { sessionId: 'S1', connection: 2 }
+     * @param {string|null} point - Key of FaultInjector.POINTS
+     * @returns {string|null} Fault kind, or null
+     */
+    injectFault(tags, point) {
+        if (!point || !tags.sessionId || this.target) return null;
+        const kind = this.faults.take(point);
+        if (kind) {
+            this.emit('fault', { kind, point, ...tags });
+        }
+        return kind;
+    }
+
+    /**
+     * The server aborts the connection with a TCP reset instead of replying
+     * Without a reply the client cannot know what the server kept, so the
+     * attempt counts as a temporary failure (RFC 5321 section 4.1.1.5).
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} label - Command or payload that was cut off
+     */
+    async resetConnection(session, label) {
+        this.emit('packet', { direction: 'left', command: 'RST', kind: 'control', duration: this.packetTransitTime, ...this.tags(session) });
+        await this.sleep(this.packetTransitTime);
+        this.connections.get(session).reset('server');
+        this.disconnect(session);
+        const error = new Error(`Connection reset by ${this.server.hostname} during ${label}`);
+        error.temporary = true;
+        throw error;
+    }
+
+    /**
+     * Wait for a reply that never comes, then close the connection
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} label - Command or payload left unanswered
+     */
+    async replyTimeout(session, label) {
+        await this.sleep(this.faults.timeout);
+        this.emit('replyTimeout', { command: label, timeout: this.faults.timeout, ...this.tags(session) });
+        this.disconnect(session);
+        const error = new Error(`No reply to ${label} within ${this.faults.timeout / 1000} s`);
+        error.temporary = true;
+        throw error;
+    }
+
+    /**
+     * Packet style for traffic on a connection
+     * @param {SMTPSession} session - Server side of the connection
+     * @returns {string} 'encrypted' after STARTTLS, otherwise 'plain'
+     */
+    packetKind(session) {
+        return this.tlsChannels.has(session) ? 'encrypted' : 'plain';
+    }
+
+    /**
+     * Report the bytes an eavesdropper on the connection would capture
+     * Before STARTTLS this is the SMTP text itself; afterwards it is a TLS
+     * application_data record whose payload is real AES-GCM ciphertext.
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} from - 'client' or 'server'
+     * @param {string} text - Lines sent, separated by CRLF
+     * @param {Object} extra - Additional event fields, e.g. { source: 'console' }
+     */
+    async wire(session, from, text, extra = this.tags(session)) {
+        const channel = this.tlsChannels.get(session);
+        if (!channel) {
+            this.emit('wire', { from, encrypted: false, text, length: SMTPServer.byteLength(text) + 2, ...extra });
+            return;
+        }
+        const record = await channel.seal(from, text);
+        this.emit('wire', { from, encrypted: true, text: record.header + record.ciphertext, length: record.length + 5, ...extra });
+    }
+
+    /**
+     * Let the man-in-the-middle rewrite a client command before the server sees it
+     * A stripping attacker mangles STARTTLS so the server rejects it as unknown.
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} command - Command line sent by the client
+     * @returns {string} Line delivered to the server
+     */
+    interceptCommand(session, command) {
+        if (!this.mitm.stripStarttls || session.isSecure || session.isReceivingData || session.isReceivingChunk || session.authExchange) {
+            return command;
+        }
+        if (/^\s*STARTTLS\b/i.test(command)) {
+            this.emit('mitm', { action: 'rewrite', detail: 'Attacker replaced STARTTLS with XXXXXXXX before it reached the server', ...this.tags(session) });
+            return 'XXXXXXXX';
+        }
+        return command;
+    }
+
+    /**
+     * Let the man-in-the-middle rewrite a server reply before the client sees it
+     * A stripping attacker deletes STARTTLS from the EHLO capability list, so
+     * the client believes the server cannot encrypt (a downgrade attack).
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} command - Command the reply answers
+     * @param {Object} reply - Reply produced by the server
+     * @returns {Object} Reply delivered to the client
+     */
+    interceptReply(session, command, reply) {
+        if (!this.mitm.stripStarttls || session.isSecure || !reply || reply.code !== 250 || !/^\s*EHLO\b/i.test(command)) {
+            return reply;
+        }
+        const lines = reply.lines.filter((line, index) => index === 0 || line.trim().toUpperCase() !== 'STARTTLS');
+        if (lines.length === reply.lines.length) {
+            return reply;
+        }
+        this.emit('mitm', { action: 'strip', detail: 'Attacker removed STARTTLS from the EHLO reply', ...this.tags(session) });
+        return SMTPServer.reply(reply.code, ...lines);
+    }
+
+    /**
+     * Run the TLS handshake after the server answered 220 to STARTTLS (RFC 3207)
+     * Every handshake flight is drawn as a packet; later traffic on the session
+     * is encrypted.
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @param {Object} extra - Additional event fields, e.g. { source: 'console' }
+     */
+    async startTls(session, timing, extra = this.tags(session)) {
+        const connection = this.connections.get(session);
+        for (const flight of TLSChannel.HANDSHAKE) {
+            this.setActiveNode(flight.from);
+            this.emit('tlsRecord', { from: flight.from, records: flight.records, length: flight.length, ...extra });
+            await connection.send(flight.from, flight.records.join(' + '), flight.length, timing, 'tls');
+        }
+        // A real listener negotiates its own TLS; the records drawn here stay simulated
+        const negotiated = session.upgrade ? await session.upgrade() : {};
+        this.tlsChannels.set(session, await TLSChannel.create());
+        this.emit('tlsEstablished', {
+            version: negotiated.protocol || TLSChannel.VERSION,
+            cipherSuite: negotiated.cipher || TLSChannel.CIPHER_SUITE,
+            certificate: `CN=${negotiated.subject || session.server.hostname}`,
+            ...extra
+        });
+    }
+
+    /**
+     * Upgrade the connection with STARTTLS according to the client policy
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} policy - 'opportunistic' (encrypt when offered) or 'required'
+     * @param {Object|null} capabilities - Result of greet()
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @returns {Promise<Object|null>} Capabilities announced after the upgrade
+     */
+    async negotiateTls(session, policy, capabilities, timing) {
+        if (!capabilities || !('STARTTLS' in capabilities)) {
+            if (policy === 'required') {
+                this.emit('negotiation', { extension: 'STARTTLS', action: 'refuse', detail: 'STARTTLS is required but the server did not offer it', ...this.tags(session) });
+                await this.exchange(session, 'QUIT', timing);
+                throw new Error('STARTTLS not offered; refusing to send in plaintext (possible downgrade attack)');
+            }
+            this.emit('negotiation', { extension: 'STARTTLS', action: 'fallback', detail: 'STARTTLS not offered, continuing in plaintext', ...this.tags(session) });
+            return capabilities;
+        }
+
+        this.emit('negotiation', { extension: 'STARTTLS', action: 'use', detail: 'Upgrading the connection to TLS', ...this.tags(session) });
+        const reply = await this.exchange(session, 'STARTTLS', timing);
+        if (reply.code !== 220) {
+            if (policy === 'required') {
+                await this.exchange(session, 'QUIT', timing);
+                throw new Error(`STARTTLS failed with ${reply.code} ${reply.lines.join(' ')}`);
+            }
+            this.emit('negotiation', { extension: 'STARTTLS', action: 'fallback', detail: `STARTTLS failed (${reply.code}), continuing in plaintext`, ...this.tags(session) });
+            return capabilities;
+        }
+        await this.startTls(session, timing);
+
+        // RFC 3207 section 4.2: discard what was learnt in plaintext and greet again
+        return this.greet(session, 'EHLO', timing);
+    }
+
+    /**
+     * Introduce the client with HELO or EHLO and collect the server extensions
+     * Falls back to HELO when the server rejects EHLO (RFC 5321 section 3.2).
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {string} greeting - 'HELO' or 'EHLO'
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @returns {Promise<Object|null>} Extensions keyed by keyword, or null when none were negotiated
+     */
+    async greet(session, greeting, timing) {
+        if (greeting !== 'EHLO') {
+            this.expectSuccess(await this.exchange(session, `HELO ${session.client.hostname}`, timing));
+            return null;
+        }
+
+        const reply = await this.exchange(session, `EHLO ${session.client.hostname}`, timing);
+        if (reply.code === 500 || reply.code === 502) {
+            this.emit('negotiation', { extension: 'EHLO', action: 'fallback', detail: 'Server does not support EHLO, falling back to HELO', ...this.tags(session) });
+            this.expectSuccess(await this.exchange(session, `HELO ${session.client.hostname}`, timing));
+            return null;
+        }
+        this.expectSuccess(reply);
+
+        const capabilities = this.parseCapabilities(reply);
+        this.emit('capabilities', { capabilities, ...this.tags(session) });
+        return capabilities;
+    }
+
+    /**
+     * Parse the extension lines of a multi-line EHLO reply
+     * @param {Object} reply - 250 reply to EHLO
+     * @returns {Object} Extension parameters keyed by upper-case keyword
+     */
+    parseCapabilities(reply) {
+        const capabilities = {};
+        reply.lines.slice(1).forEach(line => {
+            const [keyword, ...params] = line.trim().split(/\s+/);
+            capabilities[keyword.toUpperCase()] = params.join(' ');
+        });
+        return capabilities;
+    }
+
+    /**
+     * Run a SASL exchange with the server (RFC 4954)
+     * Emits 'authStep' events with every base64 line decoded, so the view can
+     * show what an eavesdropper would see.
+     * @param {SMTPSession} session - Server side of the connection
+     * @param {Object} auth - { username, password, mechanism }
+     * @param {Object|null} capabilities - Result of greet()
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @returns {Promise<boolean>} True when the server answered 235
+     */
+    async authenticate(session, auth, capabilities, timing) {
+        if (!capabilities || !('AUTH' in capabilities)) {
+            this.emit('negotiation', { extension: 'AUTH', action: 'skip', detail: 'Server does not offer AUTH, continuing without authentication', ...this.tags(session) });
+            return false;
+        }
+        const offered = capabilities.AUTH.toUpperCase().split(/\s+/);
+        const mechanism = auth.mechanism || SASL.MECHANISMS.find(m => offered.includes(m));
+        if (!offered.includes(mechanism)) {
+            this.emit('negotiation', { extension: 'AUTH', action: 'refuse', detail: `Server does not offer ${mechanism} (offers ${capabilities.AUTH})`, ...this.tags(session) });
+            return false;
+        }
+
+        this.emit('negotiation', { extension: 'AUTH', action: 'use', detail: `Authenticating as "${auth.username}" with ${mechanism}`, ...this.tags(session) });
+        if (mechanism !== 'CRAM-MD5' && !this.tlsChannels.has(session)) {
+            this.emit('authWarning', { mechanism, ...this.tags(session) });
+        }
+
+        const client = SASL.client(mechanism, auth);
+        const initial = client.command.split(' ')[2];
+        if (initial) {
+            this.emit('authStep', { from: 'client', encoded: initial, decoded: Encoding.base64Decode(initial), ...this.tags(session) });
+        }
+        let reply = await this.exchange(session, client.command, timing);
+
+        while (reply.code === 334) {
+            const challenge = Encoding.base64Decode(reply.lines[0]) || '';
+            this.emit('authStep', { from: 'server', encoded: reply.lines[0], decoded: challenge, ...this.tags(session) });
+            const response = client.respond(challenge);
+            this.emit('authStep', { from: 'client', encoded: response, decoded: Encoding.base64Decode(response), ...this.tags(session) });
+            reply = await this.exchange(session, response, timing);
+        }
+
+        if (reply.code !== 235) {
+            throw new Error(`Authentication failed for "${auth.username}"`);
+        }
+        this.emit('authenticated', { username: auth.username, mechanism, ...this.tags(session) });
+        return true;
+    }
+
+    /**
+     * Decide the MAIL FROM parameters from the negotiated extensions
+     * Emits a 'negotiation' event for every decision so the view can explain it.
+     * @param {Object} config - Email configuration
+     * @param {Object|null} capabilities - Result of greet()
+     * @param {string[]} messageLines - Message as sent after DATA
+     * @returns {string|null} Parameter string such as ' SIZE=532', or null when the message must not be sent
+     */
+    negotiateMailParams(config, capabilities, messageLines) {
+        // HELO session: nothing negotiated, the message is sent as-is
+        if (!capabilities) {
+            this.utf8Fallback([config.sender, ...this.getRecipients(config).map(recipient => recipient.address)].filter(address => Address.isUtf8(address)), config.sessionId);
+            return '';
+        }
+
+        let params = '';
+        const size = SMTPServer.byteLength(messageLines.join('\r\n'));
+
+        if ('SIZE' in capabilities) {
+            const limit = parseInt(capabilities.SIZE, 10) || 0;
+            if (limit && size > limit) {
+                this.emit('negotiation', { extension: 'SIZE', action: 'refuse', detail: `Message is ${size} bytes but the server accepts at most ${limit} bytes`, sessionId: config.sessionId });
+                return null;
+            }
+            params += ` SIZE=${size}`;
+            this.emit('negotiation', { extension: 'SIZE', action: 'use', detail: `Declaring message size SIZE=${size}${limit ? ` (limit ${limit})` : ''}`, sessionId: config.sessionId });
+        }
+
+        const is8bit = messageLines.some(line => /[^\x00-\x7F]/.test(line));
+        if (is8bit) {
+            if (!('8BITMIME' in capabilities)) {
+                this.emit('negotiation', { extension: '8BITMIME', action: 'refuse', detail: 'Message contains 8-bit characters but the server does not offer 8BITMIME (send the body as quoted-printable or base64 instead)', sessionId: config.sessionId });
+                return null;
+            }
+            params += ' BODY=8BITMIME';
+            this.emit('negotiation', { extension: '8BITMIME', action: 'use', detail: 'Message contains 8-bit characters, sending BODY=8BITMIME', sessionId: config.sessionId });
+        }
+
+        // Internationalized addresses (RFC 6531): IDN domains can fall back to punycode, UTF-8 local parts cannot
+        const envelope = [config.sender, ...this.getRecipients(config).map(recipient => recipient.address)];
+        const utf8 = envelope.filter(address => Address.isUtf8(address));
+        if (utf8.length > 0 && 'SMTPUTF8' in capabilities) {
+            params += ' SMTPUTF8';
+            this.emit('negotiation', { extension: 'SMTPUTF8', action: 'use', detail: `Envelope has non-ASCII addresses (${utf8.join(', ')}), sending SMTPUTF8`, sessionId: config.sessionId });
+        } else if (utf8.length > 0) {
+            this.utf8Fallback(utf8, config.sessionId);
+        }
+
+        ['STARTTLS', 'AUTH'].forEach(keyword => {
+            if (keyword in capabilities && !(keyword === 'AUTH' && config.auth)) {
+                this.emit('negotiation', { extension: keyword, action: 'skip', detail: `${keyword} offered but not used in this session`, sessionId: config.sessionId });
+            }
+        });
+
+        return params;
+    }
+
+    /**
+     * Decide how the transaction travels: one command per round trip, in
+     * PIPELINING groups (RFC 2920), and with BDAT chunks instead of DATA (RFC 3030)
+     * @param {Object} config - Email configuration; config.pipelining and config.chunking ask for the extensions
+     * @param {Object|null} capabilities - Result of greet()
+     * @returns {Object} { pipelining, chunking } that the server offers and the client uses
+     */
+    negotiateTransfer(config, capabilities) {
+        const transfer = {};
+        [
+            { keyword: 'PIPELINING', option: 'pipelining', use: 'Sending MAIL, RCPT and DATA (or BDAT) as one group', fallback: 'sending one command per round trip' },
+            { keyword: 'CHUNKING', option: 'chunking', use: 'Sending the message in BDAT chunks instead of DATA', fallback: 'sending the message after DATA' }
+        ].forEach(({ keyword, option, use, fallback }) => {
+            const offered = !!capabilities && keyword in capabilities;
+            transfer[option] = offered && !!config[option];
+            if (transfer[option]) {
+                this.emit('negotiation', { extension: keyword, action: 'use', detail: use, sessionId: config.sessionId });
+            } else if (config[option]) {
+                const reason = capabilities ? 'Server does not offer' : 'A HELO session cannot use';
+                this.emit('negotiation', { extension: keyword, action: 'fallback', detail: `${reason} ${keyword}, ${fallback}`, sessionId: config.sessionId });
+            } else if (offered) {
+                this.emit('negotiation', { extension: keyword, action: 'skip', detail: `${keyword} offered but not used in this session`, sessionId: config.sessionId });
+            }
+        });
+        return transfer;
+    }
+
+    /**
+     * Report how non-ASCII addresses travel to a server without SMTPUTF8
+     * @param {string[]} addresses - Envelope addresses with non-ASCII characters
+     * @param {string} sessionId - Session that sends them
+     */
+    utf8Fallback(addresses, sessionId) {
+        addresses.forEach((address) => {
+            const ascii = Address.toAsciiAddress(address);
+            const detail = Address.isUtf8(ascii)
+                ? `Server does not offer SMTPUTF8, but <${address}> has a non-ASCII local part with no ASCII form; sending it anyway`
+                : `Server does not offer SMTPUTF8, sending <${address}> with its domain in punycode: <${ascii}>`;
+            this.emit('negotiation', { extension: 'SMTPUTF8', action: 'fallback', detail, sessionId });
+        });
+    }
+
+    /**
+     * Abort the session when the server answered with a 4xx/5xx code
+     * The reply travels with the error, so the client can tell a temporary
+     * failure worth another attempt (4xx) from a permanent one (5xx).
+     * @param {Object} reply - Server reply
+     */
+    expectSuccess(reply) {
+        if (reply.code >= 400) {
+            const error = new Error(`Server replied ${reply.code} ${reply.lines.join(' ')}`);
+            error.reply = reply;
+            throw error;
+        }
+    }
+
+    /**
+     * Wait before the next submission attempt, or null to give up
+     * @param {Error} error - Error that ended the attempt; a lost connection is marked temporary
+     * @param {number} attempt - Number of the attempt that failed, from 1
+     * @param {Object} retry - { attempts, delay (ms) } of the session
+     * @returns {number|null} Wait in ms; it doubles after every attempt
+     */
+    retryWait(error, attempt, retry) {
+        const temporary = error.temporary || (error.reply && error.reply.code >= 400 && error.reply.code < 500);
+        if (!temporary || attempt >= retry.attempts) return null;
+        return retry.delay * 2 ** (attempt - 1);
+    }
+
+    /**
+     * Error for recipients the server deferred with 4xx, so the session tries them again
+     * @param {Object[]} deferred - Entries of recipientResults
+     * @returns {Error} Error carrying the first deferral reply
+     */
+    deferralError(deferred) {
+        const error = new Error(`${deferred.length} recipient(s) deferred: ${deferred[0].code} ${deferred[0].text}`);
+        error.reply = { code: deferred[0].code, lines: [deferred[0].text] };
+        return error;
+    }
+
+    /**
+     * Split an address list such as 'bob@example.com, "Doe, Jane" <jane@example.org>'
+     * @param {string|string[]} list - Comma/semicolon separated entries or an array
+     * @returns {string[]} Trimmed, non-empty entries as typed, display names included
+     */
+    parseAddressList(list) {
+        if (!list) return [];
+        const items = Array.isArray(list) ? list : Address.splitList(String(list));
+        return items.map(address => address.trim()).filter(Boolean);
+    }
+
+    /**
+     * Collect the envelope recipients of a message
+     * Accepts config.to/cc/bcc lists; config.recipient is treated as the To list.
+     * Display names stay in the header fields; the envelope only carries the address.
+     * @param {Object} config - Email configuration
+     * @returns {Object[]} Recipients as { address, kind } with kind 'to', 'cc' or 'bcc'
+     */
+    getRecipients(config) {
+        const entries = (list, kind) => this.parseAddressList(list).map(entry => ({ address: Address.envelope(entry), kind }));
+        return [
+            ...entries(config.to !== undefined ? config.to : config.recipient, 'to'),
+            ...entries(config.cc, 'cc'),
+            ...entries(config.bcc, 'bcc')
+        ];
+    }
+
+    /**
+     * Address as it goes into MAIL FROM or RCPT TO
+     * Without SMTPUTF8 an internationalized domain travels in its ASCII
+     * (punycode) form, which any server takes (RFC 6531 section 3.2). A UTF-8
+     * local part has no ASCII form and is sent as it is.
+     * @param {string} address - Envelope address
+     * @param {Object|null} capabilities - EHLO keywords, null after HELO
+     * @returns {string} Address for the command line
+     */
+    envelopeAddress(address, capabilities) {
+        return capabilities && 'SMTPUTF8' in capabilities ? address : Address.toAsciiAddress(address);
+    }
+
+    /**
+     * Record a change in a recipient's delivery status
+     * @param {Object} result - Entry of recipientResults
+     * @param {string} status - 'accepted', 'deferred' (4xx, tried again), 'rejected', 'queued', 'delivered' or 'failed' (gave up)
+     */
+    setRecipientStatus(result, status) {
+        const refused = value => value === 'rejected' || value === 'failed';
+        // A recipient is counted once, when it first reaches a final status
+        if (status === 'delivered' && result.status !== 'delivered') this.deliveredRecipients++;
+        if (refused(status) && !refused(result.status)) this.rejectedRecipients++;
+        result.status = status;
+        this.emit('recipientStatus', { recipient: result, sessionId: result.sessionId });
+        this.emitStats();
+    }
+
+    /**
+     * Whether a mail host accepts connections
+     * The receiver toggle takes every MX host of the recipient domains down at once.
+     * @param {string} host - Host name
+     * @returns {boolean} True when the host answers
+     */
+    isHostUp(host) {
+        return this.isReceiverOnline && !this.downHosts.has(DNSResolver.normalize(host));
+    }
+
+    /**
+     * Replace the set of unreachable mail hosts; queued mail waits for its next attempt
+     * @param {string[]} hosts - Host names that refuse connections
+     */
+    setDownHosts(hosts) {
+        this.downHosts = new Set(hosts.map(host => DNSResolver.normalize(host)));
+        this.emit('hostStatus', { down: [...this.downHosts] });
+    }
+
+    /**
+     * Carry a message from one relay node to the next
+     * Links between MTAs are drawn as one packet; only the client connection is TCP-modelled.
+     * @param {string} from - Node sending, e.g. 'server'
+     * @param {string} to - Node receiving, e.g. 'mta'
+     * @param {string} command - Packet label
+     * @param {string} kind - Packet style
+     * @param {string} sessionId - Session whose message is carried
+     */
+    async hop(from, to, command, kind = 'plain', sessionId) {
+        this.emit('packet', { direction: 'right', from, to, command, kind, duration: this.packetTransitTime, sessionId });
+        await this.sleep(this.packetTransitTime);
+        this.setActiveNode(to);
+    }
+
+    /**
+     * Prepend the Received header of a relay hop to a recipient's copy
+     * @param {Object} email - Copy being relayed; email.message is updated
+     * @param {string} from - Sending host
+     * @param {string} by - Receiving host
+     * @param {string} node - Diagram node of the receiving host
+     */
+    stamp(email, from, by, node) {
+        const header = SMTPServer.traceHeader({
+            from,
+            host: from,
+            address: this.dns.resolveAddress(from),
+            by,
+            protocol: 'ESMTP',
+            id: Math.floor(this.random() * 0x100000000).toString(36).toUpperCase(),
+            recipient: email.recipient,
+            date: new Date(this.now())
+        });
+        email.message = [...header, email.message].join('\r\n');
+        this.emit('received', { email, node, by, header });
+    }
+
+    /**
+     * Hand a message accepted by the submission server (MSA) to the outbound MTA
+     * @param {Object} email - Recipient's copy: configuration plus recipient, result, id and message
+     * @param {Object} timing - { serverDelay }
+     */
+    async handOff(email, timing) {
+        this.emit('relay', { email, fromQueue: false, from: this.server.hostname, to: email.relayHost });
+        if (email.relayHost === this.attackerHost) {
+            this.emit('spoofing', { email, host: this.attackerHost, address: this.dns.resolveAddress(this.attackerHost), mode: email.spoofing });
+        }
+        email.arrivedAt = this.now();
+        await this.hop('server', 'mta', 'RELAY', 'plain', email.sessionId);
+        this.stamp(email, this.server.hostname, email.relayHost, 'mta');
+        await this.signMessage(email);
+        await this.sleep(timing.serverDelay);
+    }
+
+    /**
+     * DKIM-sign a copy as it leaves its relay
+     * The legitimate MTA signs with the key of its own domain when signing is
+     * enabled; the forged-signature attack signs in the sender's name with a
+     * key whose public half is published nowhere.
+     * @param {Object} email - Copy to sign; email.message is updated
+     */
+    async signMessage(email) {
+        let signer;
+        if (email.spoofing === 'forged-signature') {
+            signer = { domain: email.sender.split('@')[1], selector: this.dkim.selector, key: await DKIM.generateKey(), forged: true };
+        } else if (email.dkimSign && email.relayHost === this.relayHost) {
+            this.dkimKey = this.dkimKey || await DKIM.importPrivateKey(this.dkim.privateKey);
+            signer = { domain: this.dkim.domain, selector: this.dkim.selector, key: this.dkimKey, forged: false };
+        } else {
+            return;
+        }
+        const signed = await DKIM.sign(email.message, { ...signer, time: this.now() });
+        email.message = signed.message;
+        this.emit('dkimSigned', {
+            email,
+            domain: signer.domain,
+            selector: signer.selector,
+            forged: signer.forged,
+            headers: signed.signed,
+            header: signed.header
+        });
+    }
+
+    /**
+     * Check the sender of an incoming copy the way the receiving MX does
+     * SPF checks the connecting relay against the envelope domain, DKIM the
+     * signatures, and DMARC requires one of them to pass for the From domain.
+     * @param {Object} email - Copy arriving at the MX
+     * @param {string} host - Receiving MX host
+     * @returns {Promise<Object>} { ip, spf, spfDomain, dkim, fromDomain, dmarc, header }
+     */
+    async checkSender(email, host) {
+        const ip = this.dns.resolveAddress(email.relayHost);
+        // A bounce has no reverse-path, so SPF checks the HELO name instead (RFC 7208 section 2.4)
+        const spfDomain = email.sender ? Address.toAscii(email.sender.split('@').pop()) : email.relayHost;
+        const spf = SPF.check(this.dns, ip, spfDomain);
+        const dkim = await DKIM.verify(email.message, this.dns);
+        const fromDomain = DMARC.fromDomain(email.message);
+        const dmarc = DMARC.evaluate(this.dns, { fromDomain, spf, spfDomain, dkim });
+        const header = DMARC.resultsHeader(host, { spf, spfDomain, dkim, dmarc, fromDomain });
+        const results = { ip, spf, spfDomain, dkim, fromDomain, dmarc, header };
+        this.emit('authResults', { email, host, ...results });
+        return results;
+    }
+
+    /**
+     * Change the body of a copy on the wire between relay and MX, after it was signed
+     * Lines appended to a multipart body land after its closing boundary; the body hash breaks either way.
+     * @param {Object} email - Copy in transit
+     * @param {string} host - MX host the copy is travelling to
+     */
+    tamper(email, host) {
+        email.message += '\r\n\r\nP.S. Our bank details have changed, please pay to IBAN XX00 6666 6666 6666.';
+        email.tampered = true;
+        this.emit('mitm', { action: 'tamper', detail: `Attacker on the ${email.relayHost} → ${host} link appended a line to the message body` });
+    }
+
+    /**
+     * Resolve the recipient domain's MX hosts and deliver to the first one that answers
+     * Hosts are tried in priority order; a lower-priority MX is only used when
+     * every better one is unreachable (RFC 5321 section 5.1).
+     * @param {Object} email - Recipient's copy held by the outbound MTA
+     * @param {Object} timing - { serverDelay }
+     * @returns {Promise<string>} 'delivered', 'queued' (no MX answered, try later) or 'failed' (permanent)
+     */
+    async deliverToMx(email, timing) {
+        // DNS only knows the ASCII form of an internationalized domain
+        const written = email.recipient.split('@').pop();
+        const domain = Address.toAscii(written);
+        this.setActiveNode('mta');
+        email.relayHost = email.relayHost || this.relayHost;
+        this.emit('dnsQuery', { domain, record: 'MX', resolver: email.relayHost, sessionId: email.sessionId, ...(domain !== written ? { idn: written } : {}) });
+        await this.sleep(timing.serverDelay);
+        const answer = this.dns.resolveMx(domain);
+        this.emit('dnsAnswer', { domain, ...answer, sessionId: email.sessionId });
+
+        if (answer.status !== 'NOERROR') {
+            const reply = answer.status === 'NULLMX'
+                ? SMTPServer.reply(556, `5.1.10 Domain ${domain} does not accept mail (null MX)`)
+                : SMTPServer.reply(550, `5.1.2 Host or domain name not found: ${domain}`);
+            email.lastError = `${reply.code} ${reply.lines.join(' ')}`;
+            this.emit('relayFailed', { email, code: reply.code, text: reply.lines.join(' ') });
+            return 'failed';
+        }
+
+        for (const mx of answer.hosts) {
+            this.emit('mxAttempt', { email, ...mx });
+            if (!mx.address) {
+                this.emit('mxUnreachable', { email, host: mx.host, reason: 'no address record for the host' });
+                continue;
+            }
+            await this.hop('mta', 'mx', `SYN → ${mx.host}`, 'control', email.sessionId);
+            if (this.injectFault({ sessionId: email.sessionId }, 'RELAY') === 'recipientOffline') {
+                this.dropReceiver();
+            }
+            if (!this.isHostUp(mx.host)) {
+                this.emit('mxUnreachable', { email, host: mx.host, reason: 'connection timed out' });
+                continue;
+            }
+
+            // Policies of the MX answer RCPT, before any content is sent
+            const wait = this.greylistWait(email, mx.host);
+            if (wait > 0) {
+                email.lastError = `450 4.7.1 <${email.recipient}>: Recipient address rejected: Greylisted, try again in ${Math.ceil(wait / 1000)} s`;
+                this.emit('greylisted', { email, host: mx.host, wait });
+                return 'queued';
+            }
+            if (this.mxPolicy.fullMailboxes.includes(email.recipient.toLowerCase())) {
+                const reply = SMTPServer.reply(552, `5.2.2 <${email.recipient}>: Mailbox full`);
+                email.lastError = `${reply.code} ${reply.lines.join(' ')}`;
+                this.emit('relayFailed', { email, code: reply.code, text: reply.lines.join(' ') });
+                return 'failed';
+            }
+
+            if (this.mitm.tamperBody && !email.tampered) {
+                this.tamper(email, mx.host);
+            }
+
+            // The MX decides after DATA whether it takes the message at all
+            const auth = await this.checkSender(email, mx.host);
+            await this.sleep(timing.serverDelay);
+            if (auth.dmarc.disposition === 'reject') {
+                const reply = SMTPServer.reply(550, `5.7.1 Message rejected by ${mx.host}: DMARC policy of ${auth.dmarc.domain} is reject`);
+                email.lastError = `${reply.code} ${reply.lines.join(' ')}`;
+                this.emit('relayFailed', { email, code: reply.code, text: reply.lines.join(' ') });
+                return 'failed';
+            }
+
+            const verdict = this.filterContent(email, mx.host);
+            if (verdict.action === 'reject') {
+                const reply = SMTPServer.reply(550, `5.7.1 Message rejected by ${mx.host} as spam (score ${verdict.score})`);
+                email.lastError = `${reply.code} ${reply.lines.join(' ')}`;
+                this.emit('relayFailed', { email, code: reply.code, text: reply.lines.join(' ') });
+                return 'failed';
+            }
+
+            this.stamp(email, email.relayHost, mx.host, 'mx');
+            email.message = [...auth.header, ...verdict.header, email.message].join('\r\n');
+            if (verdict.action === 'quarantine') {
+                await this.sleep(timing.serverDelay);
+                this.reply(SMTPServer.reply(250, `Message accepted by ${mx.host} and held in quarantine (spam score ${verdict.score})`), 'recipient', { sessionId: email.sessionId });
+                this.hold(email, verdict);
+                return 'delivered';
+            }
+            const folder = auth.dmarc.disposition === 'quarantine' || verdict.action === 'spam' ? 'Junk' : 'INBOX';
+            await this.hop('mx', 'recipient', 'DELIVER', 'plain', email.sessionId);
+            await this.sleep(timing.serverDelay);
+            const reason = auth.dmarc.disposition === 'quarantine' ? 'DMARC policy' : `content filter, score ${verdict.score}`;
+            const quarantined = folder === 'Junk' ? ` (filed in Junk by ${reason})` : '';
+            this.reply(SMTPServer.reply(250, `Message delivered to mailbox <${email.recipient}> via ${mx.host}${quarantined}`), 'recipient', { sessionId: email.sessionId });
+            this.store(email, folder);
+            return 'delivered';
+        }
+
+        email.lastError = `451 4.4.1 No answer from any MX host of ${domain}`;
+        this.emit('relayDeferred', { email, domain, tried: answer.hosts.map(mx => mx.host) });
+        return 'queued';
+    }
+
+    /**
+     * Run the MX content filter over a copy at the end of DATA
+     * @param {Object} email - Copy arriving at the MX
+     * @param {string} host - Receiving MX host
+     * @returns {Object} Verdict from ContentFilter.scan(), or an inbox verdict with no header when the filter is off
+     */
+    filterContent(email, host) {
+        if (!this.contentFilter.settings.enabled) {
+            return { score: 0, results: [], action: 'inbox', header: [] };
+        }
+        const verdict = this.contentFilter.scan(email.message, { sender: email.sender, recipient: email.recipient });
+        this.emit('contentFilter', { email, host, ...verdict });
+        return verdict;
+    }
+
+    /**
+     * Keep a copy in the quarantine instead of the recipient's mailbox
+     * @param {Object} email - Copy accepted by the MX
+     * @param {Object} verdict - Content filter verdict
+     */
+    hold(email, verdict) {
+        const entry = {
+            id: `H${++this.quarantineCount}`,
+            email: { id: email.id, sessionId: email.sessionId, sender: email.sender, recipient: email.recipient, message: email.message },
+            score: verdict.score,
+            heldAt: this.now()
+        };
+        this.quarantine.push(entry);
+        this.emit('quarantined', { email, id: entry.id, score: verdict.score });
+        this.quarantineChanged();
+    }
+
+    /**
+     * Let the administrator deliver a quarantined copy to the inbox after all
+     * @param {string} id - Quarantine ID, e.g. 'H1'
+     */
+    releaseQuarantined(id) {
+        const entry = this.quarantine.find(held => held.id === id);
+        if (!entry) {
+            throw new Error(`No quarantined message ${id}`);
+        }
+        this.quarantine = this.quarantine.filter(held => held !== entry);
+        this.quarantineChanged();
+        this.store({ ...entry.email }, 'INBOX');
+    }
+
+    /**
+     * Drop a quarantined copy for good
+     * @param {string} id - Quarantine ID
+     */
+    deleteQuarantined(id) {
+        this.quarantine = this.quarantine.filter(held => held.id !== id);
+        this.quarantineChanged();
+    }
+
+    // Tell the views what the quarantine holds
+    quarantineChanged() {
+        this.emit('quarantineChanged', { quarantine: this.quarantine.map(entry => ({ ...entry, email: { ...entry.email } })) });
+    }
+
+    /**
+     * Greylisting (RFC 6647): an MX defers the first attempt of every unknown
+     * relay/sender/recipient triplet and accepts retries once the delay has passed
+     * @param {Object} email - Recipient's copy
+     * @param {string} host - MX host
+     * @returns {number} ms the relay still has to wait, 0 when the MX accepts the attempt
+     */
+    greylistWait(email, host) {
+        if (!this.mxPolicy.greylisting) return 0;
+        const key = [host, email.relayHost, email.sender || '', email.recipient].join('|').toLowerCase();
+        if (!this.greylist.has(key)) {
+            this.greylist.set(key, this.now());
+        }
+        return Math.max(0, this.greylist.get(key) + this.mxPolicy.greylistDelay - this.now());
+    }
+
+    /**
+     * Final delivery by the MDA: add the envelope headers and file the message
+     * @param {Object} email - Recipient's copy
+     * @param {string} folder - 'INBOX', or 'Junk' for quarantined mail
+     */
+    store(email, folder = 'INBOX') {
+        // The MDA records the envelope sender and recipient (RFC 5321 section 4.4)
+        email.message = [`Return-Path: <${email.sender}>`, `Delivered-To: ${email.recipient}`, email.message].join('\r\n');
+        this.mailStore.deliver(email.recipient, { id: email.id, from: email.sender, folder, message: email.message });
+        this.emit('delivered', { email, folder, message: email.message, fromQueue: !!email.queuedAt });
+    }
+
+    /**
+     * Wait before the next delivery attempt
+     * The wait doubles after every failed attempt, from minBackoff up to maxBackoff.
+     * @param {number} attempts - Failed attempts so far
+     * @returns {number} Delay in ms
+     */
+    backoff(attempts) {
+        return Math.min(this.queueOptions.minBackoff * 2 ** (attempts - 1), this.queueOptions.maxBackoff);
+    }
+
+    /**
+     * Keep a recipient's copy in the MTA and schedule its next delivery attempt
+     * @param {Object} email - Recipient's copy after a failed attempt
+     */
+    enqueue(email) {
+        const now = this.now();
+        email.queuedAt = email.queuedAt || now;
+        email.expiresAt = email.expiresAt || email.queuedAt + this.queueOptions.lifetime;
+        email.attempts = (email.attempts || 0) + 1;
+        // The last attempt happens when the lifetime runs out
+        email.nextAttemptAt = Math.min(now + this.backoff(email.attempts), email.expiresAt);
+        this.queuedEmails.push(email);
+        this.emit('queued', { email, queueLength: this.queuedEmails.length, delay: email.nextAttemptAt - now });
+        if (email.result && email.result.status !== 'queued') {
+            this.setRecipientStatus(email.result, 'queued');
+        }
+        this.queueChanged();
+    }
+
+    /**
+     * Return a copy that cannot be delivered to its sender as a delivery status notification
+     * A bounce has the null reverse-path and is never bounced itself (RFC 5321 section 4.5.5).
+     * @param {Object} email - Copy that failed permanently or expired
+     * @param {Object} timing - { serverDelay }
+     * @param {boolean} expired - True when the copy outlived the queue lifetime
+     */
+    async bounce(email, timing, expired = false) {
+        if (!email.sender) {
+            this.emit('bounceDiscarded', { email });
+            return;
+        }
+        const enhanced = /\b([245]\.\d{1,3}\.\d{1,3})\b/.exec(email.lastError || '');
+        const status = expired ? '4.4.7' : (enhanced ? enhanced[1] : '5.0.0');
+        const token = Math.floor(this.random() * 0x100000000).toString(36);
+        const lines = MIME.buildBounce({
+            reportingMta: email.relayHost,
+            to: email.sender,
+            recipient: email.recipient,
+            status,
+            diagnostic: email.lastError || 'unknown error',
+            reason: expired
+                ? `delivery time expired after ${email.attempts} attempts (last error: ${email.lastError})`
+                : `delivery failed permanently: ${email.lastError}`,
+            arrivalDate: new Date(email.arrivedAt || this.now()),
+            date: new Date(this.now()),
+            messageId: `${this.now().toString(36)}.${token}@${email.relayHost}`,
+            boundary: `=_DSN_${token}`,
+            original: email.message
+        });
+
+        const notice = {
+            id: `${email.id}-DSN`,
+            sender: '',
+            recipient: email.sender,
+            subject: 'Undelivered Mail Returned to Sender',
+            message: lines.join('\r\n'),
+            isBounce: true,
+            arrivedAt: this.now(),
+            relayHost: email.relayHost,
+            dkimSign: email.dkimSign
+        };
+        this.emit('bounce', { email, bounce: notice, status, lines });
+        // Receivers apply DMARC to bounces too, so the MTA signs its own notices
+        await this.signMessage(notice);
+        const result = await this.deliverToMx(notice, timing);
+        if (result === 'queued') {
+            this.enqueue(notice);
+        } else if (result === 'failed') {
+            this.emit('bounceDiscarded', { email: notice });
+        }
+    }
+
+    /**
+     * Queue entries as plain data, so the view can save them and restore them after a reload
+     * @returns {Object[]} Entries without the session objects they were created from
+     */
+    exportQueue() {
+        return this.queuedEmails.map(email => ({
+            id: email.id,
+            sender: email.sender,
+            recipient: email.recipient,
+            subject: email.subject,
+            message: email.message,
+            isBounce: !!email.isBounce,
+            relayHost: email.relayHost,
+            dkimSign: !!email.dkimSign,
+            attempts: email.attempts,
+            arrivedAt: email.arrivedAt,
+            queuedAt: email.queuedAt,
+            nextAttemptAt: email.nextAttemptAt,
+            expiresAt: email.expiresAt,
+            lastError: email.lastError
+        }));
+    }
+
+    /**
+     * Replace the queue with saved entries; overdue entries are retried right away
+     * @param {Object[]} entries - Result of exportQueue()
+     */
+    importQueue(entries) {
+        this.queuedEmails = entries.map(entry => ({ ...entry }));
+        this.emit('queueRestored', { count: this.queuedEmails.length });
+        this.queueChanged();
+    }
+
+    // Report a change of the queue and re-arm the retry timer
+    queueChanged() {
+        this.emit('queueChanged', { queue: this.exportQueue() });
+        this.emitStats();
+        this.scheduleQueue();
+    }
+
+    // Wake the queue when the earliest next attempt is due
+    scheduleQueue() {
+        this.clearTimer(this.queueTimer);
+        this.queueTimer = null;
+        if (this.isFlushing || this.queuedEmails.length === 0) return;
+        const next = Math.min(...this.queuedEmails.map(email => email.nextAttemptAt));
+        // A failed run has already put its copies back, rescheduled them and reported the error
+        this.queueTimer = this.setTimer(() => this.processQueuedEmails().catch(() => {}), Math.max(0, next - this.now()));
+    }
+
+    /**
+     * Build the MIME message sent after DATA, dot-stuffed for the wire
+     * @param {Object} config - Email configuration; config.attachments holds files as { name, type, bytes }
+     * @returns {string[]} Message lines without the terminating dot
+     */
+    buildMessageLines(config) {
+        const token = () => Math.floor(this.random() * 0x100000000).toString(36);
+        const domain = Address.toAscii(config.sender.split('@').pop()) || 'localhost';
+
+        // Bcc recipients only appear in the envelope, never in the headers
+        const lines = MIME.build({
+            from: config.sender,
+            to: this.parseAddressList(config.to !== undefined ? config.to : config.recipient),
+            cc: this.parseAddressList(config.cc),
+            subject: config.subject,
+            body: config.body,
+            attachments: config.attachments || [],
+            bodyEncoding: config.bodyEncoding || '8bit',
+            date: new Date(this.now()),
+            messageId: `${this.now().toString(36)}.${token()}@${domain}`,
+            boundary: `=_Part_${token()}_${token()}`
+        });
+        // Dot-stuffing (RFC 5321 section 4.5.2)
+        return lines.map(line => line.startsWith('.') ? '.' + line : line);
+    }
+
+    /**
+     * Retry the queued copies whose next attempt is due
+     * Copies that still find no MX host wait longer; a copy older than the
+     * queue lifetime expires and is returned to its sender as a bounce. If the
+     * run fails, the copies without an outcome go back to the queue for later.
+     * @param {boolean} force - Retry every copy now, like "postqueue -f"
+     */
+    async processQueuedEmails(force = false) {
+        if (this.isFlushing) return;
+        const now = this.now();
+        const due = this.queuedEmails.filter(email => force || email.nextAttemptAt <= now);
+        if (due.length === 0) {
+            this.scheduleQueue();
+            return;
+        }
+
+        this.isFlushing = true;
+        this.queuedEmails = this.queuedEmails.filter(email => !due.includes(email));
+        this.emit('queueFlush', { count: due.length, forced: force });
+        this.queueChanged();
+
+        const timing = { serverDelay: 500 };
+        let delivered = 0;
+        // Copies before this index have their outcome; the rest go back to the queue if the run fails
+        let tried = 0;
+        try {
+            while (tried < due.length) {
+                const email = due[tried];
+                this.emit('relay', { email, fromQueue: true, from: email.relayHost || this.relayHost, attempt: email.attempts + 1 });
+                await this.sleep(1000);
+
+                const status = await this.deliverToMx(email, timing);
+                if (status === 'queued' && this.now() < email.expiresAt) {
+                    tried++;
+                    this.enqueue(email);
+                    continue;
+                }
+                if (status === 'delivered') {
+                    delivered++;
+                } else if (status === 'queued') {
+                    email.attempts++;
+                    this.emit('expired', { email, attempts: email.attempts });
+                }
+                if (email.result) {
+                    this.setRecipientStatus(email.result, status === 'delivered' ? 'delivered' : 'failed');
+                }
+                // From here on the copy is done with: a failing bounce must not send it round again
+                tried++;
+                if (status !== 'delivered') {
+                    await this.bounce(email, timing, status === 'queued');
+                }
+            }
+        } catch (error) {
+            // The copies left wait out the usual backoff, so a lasting fault does not spin the timer
+            const now = this.now();
+            const restored = due.slice(tried);
+            restored.forEach((email) => {
+                email.nextAttemptAt = Math.max(email.nextAttemptAt, Math.min(now + this.backoff(email.attempts), email.expiresAt));
+            });
+            this.queuedEmails.push(...restored);
+            this.isFlushing = false;
+            this.setActiveNode(null);
+            this.emit('queueError', { message: error.message, restored: restored.length });
+            this.queueChanged();
+            throw error;
+        } finally {
+            this.isFlushing = false;
+        }
+        this.setActiveNode(null);
+
+        this.emit('queueDrained', { count: due.length, delivered, remaining: this.queuedEmails.length });
+        this.queueChanged();
+    }
+
+    // Retry every queued copy immediately; a failure is reported as a queueError event
+    flushQueue() {
+        return this.processQueuedEmails(true).catch(() => {});
+    }
+
+    /**
+     * Main email sending simulation using SMTP protocol
+     * Sessions may overlap: each call is one client with its own connection,
+     * tagged with a session ID on every event it causes. A temporary failure
+     * (4xx greeting, MAIL or RCPT reply) is tried again on a new connection
+     * after a wait; a permanent one (5xx) ends the session.
+     * @param {Object} config - Configuration object containing email and network settings
+     * @param {Object} config.client - Client { hostname, address }; defaults to client.example.com
+     * @param {Object} config.retry - { attempts, delay (ms) } for temporary failures
+     * @returns {Promise<string>} Session outcome: 'delivered', 'queued' or 'failed' (also when every relayed copy failed)
+     */
+    async sendEmail(config) {
+        const sessionId = `S${++this.sessionCount}`;
+        const client = config.client || { hostname: 'client.example.com', address: '192.0.2.100' };
+        // Copies made from the config for the relay carry the session ID with them
+        config = { ...config, sessionId, client };
+        const recipientResults = [];
+        this.recipientResults = recipientResults;
+        this.activeSessions.set(sessionId, { config, startedAt: this.now() });
+        if (this.activeSessions.size === 1) {
+            this.startReceiverSchedule();
+        }
+        this.emit('sessionStart', { config, sessionId, client, active: this.activeSessions.size });
+
+        const timing = {
+            serverDelay: config.serverDelay * 1000,
+            networkDelay: config.networkDelay,
+            packetLossRate: config.packetLoss
+        };
+        const progress = (percentage, status) => this.setProgress(percentage, status, sessionId);
+        // Like an MTA's queue, but kept short for the demo: three attempts, 10 s then 20 s apart
+        const retry = { attempts: 3, delay: 10000, ...(config.retry || {}) };
+        let outcome = 'delivered';
+        let session = null;
+        let step = 0;
+        const sessions = []; // Server side of every attempt's connection
+        let pending = this.getRecipients(config); // Recipients not yet accepted or refused for good
+        let attempt = 1;
+
+        try {
+            for (; ; attempt++) {
+                try {
+                    // STEP 0: TCP 3-way handshake, then the server greets (421 when it is busy, 554 when it refuses the client)
+                    step = 0;
+                    progress(0, attempt > 1 ? `Connecting (attempt ${attempt})...` : 'Connecting...');
+                    session = await this.connect({ ...client, port: config.port || 25, tcp: config.tcp }, timing, { sessionId });
+                    sessions.push(session);
+                    this.expectSuccess(session.greeting);
+
+                    // STEP 1: HELO/EHLO - Client Introduction
+                    step = 1;
+                    progress(20, 'Handshake');
+                    const starttls = config.starttls || 'off';
+                    let greeting = config.greeting;
+                    if (config.auth && greeting !== 'EHLO') {
+                        this.emit('negotiation', { extension: 'AUTH', action: 'fallback', detail: 'AUTH needs an ESMTP session, greeting with EHLO instead of HELO', sessionId });
+                        greeting = 'EHLO';
+                    } else if (starttls !== 'off' && greeting !== 'EHLO') {
+                        this.emit('negotiation', { extension: 'STARTTLS', action: 'fallback', detail: 'STARTTLS needs an ESMTP session, greeting with EHLO instead of HELO', sessionId });
+                        greeting = 'EHLO';
+                    }
+                    let capabilities = await this.greet(session, greeting, timing);
+
+                    // Encrypt before any credentials or message content cross the wire
+                    if (starttls !== 'off') {
+                        progress(25, 'STARTTLS');
+                        capabilities = await this.negotiateTls(session, starttls, capabilities, timing);
+                    }
+
+                    // Submission: authenticate before the transaction
+                    if (config.auth) {
+                        progress(30, 'Authentication');
+                        await this.authenticate(session, config.auth, capabilities, timing);
+                    }
+
+                    // Check the message against the negotiated extensions before starting a transaction
+                    const messageLines = this.buildMessageLines(config);
+                    const mailParams = this.negotiateMailParams(config, capabilities, messageLines);
+                    if (mailParams === null) {
+                        await this.exchange(session, 'QUIT', timing);
+                        throw new Error('Message not sent: it does not fit the server capabilities');
+                    }
+
+                    const transfer = this.negotiateTransfer(config, capabilities);
+                    const envelope = [
+                        `MAIL FROM:<${this.envelopeAddress(config.sender, capabilities)}>${mailParams}`,
+                        ...pending.map(recipient => `RCPT TO:<${this.envelopeAddress(recipient.address, capabilities)}>`)
+                    ];
+                    // BDAT chunks are not dot-stuffed: every line that starts with a dot lost its extra one
+                    const chunks = transfer.chunking
+                        ? SMTPEngine.chunkMessage(messageLines.map(line => line.startsWith('.') ? line.slice(1) : line), config.chunkSize || 0)
+                        : [];
+
+                    // Lines as they cross the wire: dot-stuffed after DATA, raw in BDAT chunks
+                    const wireLines = transfer.chunking ? chunks.flatMap(chunk => chunk.lines) : messageLines;
+                    const describeContent = recipients => ({
+                        subject: config.subject,
+                        from: config.sender,
+                        to: recipients.filter(r => r.kind !== 'bcc').map(r => r.address).join(', '),
+                        attachments: (config.attachments || []).map(file => file.name),
+                        body: config.body,
+                        lines: wireLines,
+                        size: SMTPServer.byteLength(wireLines.join('\r\n')),
+                        chunks: transfer.chunking ? chunks.map(chunk => ({ command: chunk.command, lines: chunk.lines.length })) : null,
+                        sessionId
+                    });
+
+                    // STEP 2: MAIL FROM - Sender Declaration
+                    step = 2;
+                    progress(40, 'Sender Verification');
+                    let grouped = null; // Replies to the pipelined group
+                    if (transfer.pipelining) {
+                        // DATA ends the group, since the content has to wait for its 354 (RFC 2920 section 3.1);
+                        // BDAT chunks need no go-ahead and travel along (RFC 3030 section 4.2)
+                        // The chunks leave before the RCPT replies are back, so they go to every recipient tried
+                        grouped = transfer.chunking
+                            ? await this.sendGroup(session, [...envelope.map(command => ({ command })), ...chunks], timing, describeContent(pending))
+                            : await this.sendGroup(session, [...envelope.map(command => ({ command })), { command: 'DATA' }], timing);
+                        this.expectSuccess(grouped[0]);
+                    } else {
+                        this.expectSuccess(await this.exchange(session, envelope[0], timing));
+                    }
+
+                    // STEP 3: RCPT TO - one command per envelope recipient
+                    step = 3;
+                    progress(60, 'Recipient Validation');
+                    const results = []; // This attempt's recipients
+                    for (const [index, recipient] of pending.entries()) {
+                        const rcptReply = grouped ? grouped[index + 1] : await this.exchange(session, envelope[index + 1], timing);
+                        // A recipient deferred by an earlier attempt keeps its entry
+                        let result = recipientResults.find(r => r.address === recipient.address && r.kind === recipient.kind);
+                        if (!result) {
+                            result = { ...recipient, status: null, sessionId };
+                            recipientResults.push(result);
+                        }
+                        Object.assign(result, { code: rcptReply.code, text: rcptReply.lines.join(' ') });
+                        results.push(result);
+                        this.setRecipientStatus(result, rcptReply.code === 250 ? 'accepted' : rcptReply.code < 500 ? 'deferred' : 'rejected');
+                    }
+
+                    const accepted = results.filter(r => r.status === 'accepted');
+                    const deferred = results.filter(r => r.status === 'deferred');
+                    if (accepted.length === 0) {
+                        await this.exchange(session, 'QUIT', timing);
+                        if (deferred.length > 0) {
+                            // Only the deferred recipients are tried again; a 5xx is final
+                            pending = deferred.map(({ address, kind }) => ({ address, kind }));
+                            throw this.deferralError(deferred);
+                        }
+                        throw new Error(results.length === 0 ? 'No recipients given' : 'All recipients were rejected');
+                    }
+
+                    // STEP 4: DATA - Email Content Transmission
+                    step = 4;
+                    progress(70, 'Transmitting Message');
+                    let dataReply;
+                    if (transfer.chunking) {
+                        // Without PIPELINING every chunk waits for the reply to the one before
+                        const chunkReplies = grouped ? grouped.slice(envelope.length) : [];
+                        for (const [index, chunk] of (grouped ? [] : chunks).entries()) {
+                            const [reply] = await this.sendGroup(session, [chunk], timing, index === 0 ? describeContent(accepted) : null);
+                            chunkReplies.push(reply);
+                            if (reply.code >= 400) break;
+                        }
+                        dataReply = chunkReplies.find(reply => reply.code >= 400) || chunkReplies[chunkReplies.length - 1];
+                    } else {
+                        this.expectSuccess(grouped ? grouped[grouped.length - 1] : await this.exchange(session, 'DATA', timing));
+
+                        // Send email headers and content
+                        this.setActiveNode('client');
+                        this.emit('content', describeContent(accepted));
+                        const payload = [...messageLines, '.'].join('\r\n');
+                        await this.wire(session, 'client', payload);
+                        if (this.injectFault(this.tags(session), 'CONTENT') === 'reset') {
+                            await this.resetConnection(session, 'the message content');
+                        }
+                        const start = this.now();
+                        await this.transmit(session, 'EMAIL_CONTENT', SMTPServer.byteLength(payload) + 2, timing);
+                        const endFault = this.injectFault(this.tags(session), 'END');
+                        if (endFault === 'timeout') {
+                            await this.replyTimeout(session, 'the end of data');
+                        }
+                        for (const line of messageLines) {
+                            await session.handle(line);
+                        }
+                        // A failing server answers the dot without keeping the message
+                        dataReply = endFault ? FaultInjector.reply(endFault, this.server.hostname, '.') : await session.handle('.');
+                        await this.wire(session, 'server', this.replyText(dataReply));
+                        this.reply(dataReply, 'server', this.tags(session));
+                        this.emit('roundTrip', { commands: ['.'], start, ...this.tags(session) });
+                        if (dataReply.code === 421) {
+                            this.disconnect(session);
+                        }
+                    }
+                    this.expectSuccess(dataReply);
+
+                    if (session instanceof RemoteSMTPSession) {
+                        // A real server took the message over; what it does with it next is out of sight
+                        accepted.forEach(result => this.setRecipientStatus(result, 'delivered'));
+                        this.emit('remoteAccepted', { host: session.server.host, port: session.server.port, text: dataReply.lines.join(' '), recipients: accepted.map(r => r.address), sessionId });
+                    } else {
+                        // The MSA hands each recipient's copy to the outbound MTA, which looks up the MX hosts
+                        progress(80, 'Relaying');
+                        const spooled = session.lastMessage;
+                        this.emit('received', { email: null, node: 'server', by: this.server.hostname, header: spooled.trace, sessionId });
+                        for (const [index, result] of accepted.entries()) {
+                            // One relay copy per recipient, numbered within the MSA queue entry
+                            const id = accepted.length > 1 ? `${spooled.id}.${index + 1}` : spooled.id;
+                            const spoofed = config.spoofing && config.spoofing !== 'off';
+                            const email = { ...config, recipient: result.address, result, id, message: spooled.data, relayHost: spoofed ? this.attackerHost : this.relayHost };
+                            await this.handOff(email, timing);
+                            progress(90, 'Delivering to MX');
+                            const status = await this.deliverToMx(email, timing);
+                            if (status === 'queued') {
+                                outcome = 'queued';
+                                progress(85, 'MX Unreachable - Queued');
+                                this.enqueue(email);
+                            } else {
+                                this.setRecipientStatus(result, status);
+                                if (status === 'failed') {
+                                    await this.bounce(email, timing);
+                                }
+                            }
+                        }
+                    }
+
+                    // STEP 5: QUIT - Close Connection
+                    step = 5;
+                    progress(100, outcome === 'queued' ? 'Queued' : 'Complete');
+                    await this.exchange(session, 'QUIT', timing);
+                    this.setActiveNode(null);
+
+                    // Deferred recipients get another transaction of their own
+                    if (deferred.length > 0) {
+                        pending = deferred.map(({ address, kind }) => ({ address, kind }));
+                        throw this.deferralError(deferred);
+                    }
+                    break;
+                } catch (error) {
+                    // Temporary failures (4xx) are tried again after a wait; permanent ones (5xx) end the session
+                    const wait = this.retryWait(error, attempt, retry);
+                    if (wait === null) throw error;
+                    if (session) {
+                        this.disconnect(session);
+                    }
+                    this.setActiveNode(null);
+                    this.emit('clientRetry', { attempt, attempts: retry.attempts, wait, reason: error.message, sessionId });
+                    progress(step * 20, `Retry in ${wait / 1000} s`);
+                    await this.sleep(wait);
+                }
+            }
+
+            // The server took the message, but no copy reached a mailbox or waits in the queue
+            if (!recipientResults.some(r => r.status === 'delivered' || r.status === 'queued')) {
+                outcome = 'failed';
+            }
+
+        } catch (error) {
+            // Handle errors during transmission
+            outcome = 'failed';
+            // Recipients still waiting for a later attempt or for the message itself never get it
+            recipientResults.filter(r => r.status === 'deferred' || r.status === 'accepted').forEach(r => this.setRecipientStatus(r, 'failed'));
+            const message = attempt > 1 ? `${error.message} (gave up after ${attempt} attempts)` : error.message;
+            this.emit('sessionError', { message, sessionId });
+            progress(step * 20, 'Failed');
+            this.setActiveNode(null);
+            if (session) {
+                this.disconnect(session);
+            }
+        } finally {
+            this.activeSessions.delete(sessionId);
+            // This session's share of the counters over all its attempts; getStats() sums every session
+            const traffic = { totalPackets: 0, lostPackets: 0, retransmissions: 0 };
+            sessions.map(s => this.connections.get(s)).filter(Boolean).forEach((connection) => {
+                Object.keys(traffic).forEach((key) => {
+                    traffic[key] += connection.stats[key];
+                });
+            });
+            const stats = {
+                ...traffic,
+                deliveredRecipients: recipientResults.filter(r => r.status === 'delivered').length,
+                rejectedRecipients: recipientResults.filter(r => r.status === 'rejected' || r.status === 'failed').length
+            };
+            this.emit('sessionEnd', { outcome, sessionId, stats, totals: this.getStats(), recipients: recipientResults });
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Open a console connection to the server and report its greeting
+     * @param {number} port - Port to connect to (25 or 587); a real target has its own port
+     * @returns {Promise<SMTPSession|RemoteSMTPSession|null>} New console session, or null when the target cannot be reached
+     */
+    async openConsole(port = this.consolePort || 25) {
+        if (this.consoleSession && !this.consoleSession.isClosed) {
+            this.disconnect(this.consoleSession);
+        }
+        this.consolePort = port;
+        this.consoleSession = null;
+        const server = this.target || this.server;
+        this.emit('consoleOpen', { host: server.hostname, port: this.target ? this.target.port : port });
+        // The console connects instantly: its handshake is counted but not animated
+        try {
+            this.consoleSession = await this.connect({ hostname: 'console', port }, null, { source: 'console' });
+        } catch (error) {
+            this.emit('consoleError', { message: error.message });
+        }
+        return this.consoleSession;
+    }
+
+    /**
+     * Send one raw line typed in the console to the server
+     * Lines typed after a 354 reply are message content and get no reply
+     * until the terminating "." line; lines after BDAT get none until the
+     * announced bytes (CRLFs included) are typed.
+     * @param {string} line - Raw SMTP line
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @returns {Promise<Object|null>} Server reply, or null for message lines
+     */
+    async consoleCommand(line, timing) {
+        if (!this.consoleSession || this.consoleSession.isClosed) {
+            await this.openConsole();
+        }
+        const session = this.consoleSession;
+        if (!session) {
+            return null;
+        }
+        // Inside a BDAT chunk even a "." line is content
+        const isContent = session.isReceivingChunk || (session.isReceivingData && line !== '.');
+
+        this.setActiveNode('client');
+        await this.wire(session, 'client', line);
+        this.emit('command', { command: line, content: isContent, ...this.tags(session) });
+        const length = SMTPServer.byteLength(line) + 2;
+        try {
+            if (isContent) {
+                // Message lines are only buffered by the server, no processing delay
+                await this.connections.get(session).send('client', line, this.recordLength(session, length), timing, this.packetKind(session));
+            } else {
+                await this.transmit(session, line, length, timing);
+            }
+        } catch (error) {
+            // Retransmissions exhausted: the connection is gone
+            this.emit('consoleError', { message: error.message });
+            session.state = 'closed';
+            this.disconnect(session);
+            this.setActiveNode(null);
+            return null;
+        }
+
+        const reply = this.interceptReply(session, line, await session.handle(this.interceptCommand(session, line)));
+        if (reply) {
+            await this.wire(session, 'server', this.replyText(reply));
+            this.reply(reply, 'server', this.tags(session));
+            if (session.isClosed) {
+                this.disconnect(session);
+            }
+            if (reply.code === 220 && session.isSecure && !this.tlsChannels.has(session)) {
+                await this.startTls(session, timing);
+            }
+        }
+        this.setActiveNode(null);
+        return reply;
+    }
+
+    /**
+     * Restart the random source, so the same seed draws the same packet losses again
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    reseed(seed) {
+        const generator = new SeededRandom(seed);
+        this.seed = generator.seed;
+        this.random = () => generator.next();
+    }
+
+    /**
+     * State a run starts from, to replay it later with restore()
+     * @returns {Object} Counters, receiver status, greylists, queue, quarantine, mailboxes and armed faults as plain data
+     */
+    snapshot() {
+        return {
+            sessionCount: this.sessionCount,
+            connectionCount: this.connectionCount,
+            stats: {
+                totalPackets: this.totalPackets,
+                lostPackets: this.lostPackets,
+                retransmissions: this.retransmissions,
+                deliveredRecipients: this.deliveredRecipients,
+                rejectedRecipients: this.rejectedRecipients
+            },
+            receiverOnline: this.isReceiverOnline,
+            greylist: [...this.greylist],
+            server: {
+                spooled: this.server.spool.length,
+                greylist: [...this.server.greylist],
+                senderLog: [...this.server.senderLog]
+            },
+            queue: this.exportQueue(),
+            quarantine: this.quarantine.map(entry => ({ ...entry, email: { ...entry.email } })),
+            quarantineCount: this.quarantineCount,
+            mailboxes: this.mailStore.exportMailboxes(),
+            faults: this.faults.armed.map(fault => ({ ...fault }))
+        };
+    }
+
+    /**
+     * Abandon the running sessions and timers and return to a snapshot
+     * The console session is left open.
+     * @param {Object} state - Result of snapshot()
+     */
+    restore(state) {
+        this.activeSessions.clear();
+        this.server.sessions = this.server.sessions.filter(session => this.tags(session).source === 'console');
+        this.retrieval.disconnect();
+        this.retrieval.isRunning = false;
+        this.clearTimer(this.queueTimer);
+        this.queueTimer = null;
+        this.scheduleTimers.forEach(timer => this.clearTimer(timer));
+        this.scheduleTimers = [];
+        this.isFlushing = false;
+
+        this.sessionCount = state.sessionCount;
+        this.connectionCount = state.connectionCount;
+        Object.assign(this, state.stats);
+        this.recipientResults = [];
+        this.greylist = new Map(state.greylist);
+        if (state.server) {
+            this.server.spool = this.server.spool.slice(0, state.server.spooled);
+            this.server.greylist = new Map(state.server.greylist);
+            this.server.senderLog = new Map(state.server.senderLog);
+        }
+        this.isReceiverOnline = state.receiverOnline;
+        this.emit('receiverStatus', { online: this.isReceiverOnline, queueLength: state.queue.length });
+        this.mailStore.importMailboxes(state.mailboxes);
+        this.importQueue(state.queue);
+        this.quarantine = (state.quarantine || []).map(entry => ({ ...entry, email: { ...entry.email } }));
+        this.quarantineCount = state.quarantineCount || 0;
+        this.quarantineChanged();
+        this.faults.setArmed(state.faults || []);
+    }
+
+    /**
+     * Set receiver online/offline status
+     * @param {boolean} online - New receiver status
+     */
+    setReceiverOnline(online) {
+        this.isReceiverOnline = online;
+        // Queued emails are retried on their own schedule, not the moment the receiver returns
+        this.emit('receiverStatus', { online, queueLength: this.queuedEmails.length });
+    }
+
+    /**
+     * Set the receiver changes to play back whenever a batch of sessions starts
+     * @param {Object[]} steps - { at, online }, at in ms after the start
+     */
+    setReceiverSchedule(steps) {
+        this.receiverSchedule = steps.slice().sort((a, b) => a.at - b.at);
+    }
+
+    // Play back the receiver schedule from now; steps due at 0 apply at once
+    startReceiverSchedule() {
+        this.scheduleTimers.forEach(timer => this.clearTimer(timer));
+        this.scheduleTimers = [];
+        this.receiverSchedule.forEach(step => {
+            if (step.at <= 0) {
+                this.setReceiverOnline(step.online);
+            } else {
+                this.scheduleTimers.push(this.setTimer(() => this.setReceiverOnline(step.online), step.at));
+            }
+        });
+    }
+
+    /**
+     * Take the receiving side offline for the fault injector's outage
+     * The timer is a schedule timer, so a replay that restores a snapshot cancels it.
+     */
+    dropReceiver() {
+        this.setReceiverOnline(false);
+        this.scheduleTimers.push(this.setTimer(() => this.setReceiverOnline(true), this.faults.outage));
+    }
+
+    /**
+     * Toggle receiver online/offline status
+     */
+    toggleReceiverStatus() {
+        this.setReceiverOnline(!this.isReceiverOnline);
+    }
+}
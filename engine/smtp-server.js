@@ -0,0 +1,905 @@
+// Simulated SMTP Server - RFC 5321 command sequencing
+// SMTPServer holds the shared server configuration and spool; every client
+// connection gets its own SMTPSession state machine that turns command lines
+// into replies.
+
+class SMTPServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.hostname - Name announced in the greeting
+     * @param {string[]} options.mailboxes - Local mailboxes known to VRFY
+     * @param {string[]} options.extensions - ESMTP extensions advertised after EHLO, e.g. 'SIZE 1048576'
+     * @param {boolean} options.esmtp - When false the server rejects EHLO like a HELO-only server
+     * @param {Object[]} options.users - AUTH user store, entries { username, password }
+     * @param {boolean} options.requireAuth - Require AUTH before MAIL on every port, not just 587
+     * @param {number} options.maxConnections - Simultaneous client connections before new ones get 421
+     * @param {string} options.relay - 'open' relays for anyone; 'authenticated' only relays to other domains after AUTH
+     * @param {Object} options.policy - Anti-abuse policies, see SMTPServer.DEFAULT_POLICY
+     * @param {Function} options.random - Returns a number in [0, 1), used for AUTH challenges
+     * @param {Function} options.now - Returns the current time in milliseconds, used for Received headers
+     */
+    constructor(options = {}) {
+        this.hostname = options.hostname || 'smtp.example.com';
+        this.mailboxes = options.mailboxes || ['alice@example.com', 'bob@example.com'];
+        this.extensions = options.extensions || ['SIZE 1048576', '8BITMIME', 'PIPELINING'];
+        this.esmtp = options.esmtp !== false;
+        this.maxRecipients = options.maxRecipients || 100; // RFC 5321 minimum the server must accept
+        this.users = options.users || [
+            { username: 'alice', password: 'wonderland' },
+            { username: 'bob', password: 'builder' }
+        ];
+        this.requireAuth = !!options.requireAuth;
+        this.maxConnections = options.maxConnections || 5;
+        this.relay = options.relay || 'open';
+        this.policy = { ...SMTPServer.DEFAULT_POLICY, ...(options.policy || {}) };
+        this.greylist = new Map(); // "client address|sender|recipient" → time of the first attempt
+        this.senderLog = new Map(); // Lower-case sender → times its messages were accepted
+        this.random = options.random || Math.random;
+        this.now = options.now || Date.now;
+        this.sessions = []; // Open client sessions
+        this.spool = []; // Messages accepted at end of DATA
+    }
+
+    // Policies of a server that accepts any client, sender and recipient
+    static get DEFAULT_POLICY() {
+        return {
+            greylisting: false, // Defer the first attempt of every client/sender/recipient triplet with 451
+            greylistDelay: 5000, // ms before a retry of the triplet is accepted
+            rateLimit: 0, // Messages one sender may submit per window before MAIL gets 450 (0 = no limit)
+            rateWindow: 60000, // ms
+            blocklist: [], // Client IPs ('203.0.113.66'), networks ('203.0.113.0/24') or domains refused with 554
+            sizeLimit: 0 // Bytes enforced at the end of DATA even when SIZE is not advertised (0 = no limit)
+        };
+    }
+
+    /**
+     * Format a reply as the lines sent on the wire
+     * @param {Object} reply - { code, lines }
+     * @returns {string[]} Lines such as '250-first' and '250 last'
+     */
+    static formatReply(reply) {
+        return reply.lines.map((line, index) =>
+            `${reply.code}${index === reply.lines.length - 1 ? ' ' : '-'}${line}`
+        );
+    }
+
+    /**
+     * Build a reply object
+     * @param {number} code - Three digit reply code
+     * @param {...string} lines - Reply text, one entry per line
+     * @returns {Object} Reply { code, lines }
+     */
+    static reply(code, ...lines) {
+        return { code, lines };
+    }
+
+    /**
+     * Received trace header an MTA prepends when it accepts a message (RFC 5321 section 4.4)
+     * @param {Object} hop - Hop details
+     * @param {string} hop.from - Name the sender introduced itself with (HELO/EHLO domain)
+     * @param {string} hop.host - Sender's host name as seen by the receiver
+     * @param {string} hop.address - Sender's IP address
+     * @param {string} hop.by - Receiving host
+     * @param {string} hop.protocol - 'SMTP', 'ESMTP', 'ESMTPS', 'ESMTPA' or 'ESMTPSA' (RFC 3848)
+     * @param {string} hop.id - Receiver's queue ID
+     * @param {string} hop.recipient - Envelope recipient, only given when there is exactly one
+     * @param {Date} hop.date - Time of receipt
+     * @returns {string[]} Header folded over two or three lines
+     */
+    static traceHeader(hop) {
+        const seen = [hop.host, hop.address ? `[${hop.address}]` : ''].filter(Boolean).join(' ');
+        const by = `\tby ${hop.by} with ${hop.protocol} id ${hop.id}`;
+        const date = MIME.formatDate(hop.date);
+        return [
+            `Received: from ${hop.from || hop.host}${seen ? ` (${seen})` : ''}`,
+            ...(hop.recipient ? [by, `\tfor <${hop.recipient}>; ${date}`] : [`${by}; ${date}`])
+        ];
+    }
+
+    /**
+     * Size of a text in bytes once UTF-8 encoded
+     * @param {string} text - Text to measure
+     * @returns {number} Byte count
+     */
+    static byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    /**
+     * Look up an advertised extension
+     * @param {string} keyword - Extension keyword, e.g. 'SIZE'
+     * @returns {string|null} Extension parameters ('' when it has none), or null if not advertised
+     */
+    getExtension(keyword) {
+        const line = this.extensions.find(ext => ext.split(' ')[0].toUpperCase() === keyword.toUpperCase());
+        return line === undefined ? null : line.split(' ').slice(1).join(' ');
+    }
+
+    // Maximum message size: the advertised SIZE, otherwise the size policy (0 = no limit)
+    get maxMessageSize() {
+        return parseInt(this.getExtension('SIZE'), 10) || this.policy.sizeLimit || 0;
+    }
+
+    /**
+     * Accept a new client connection
+     * @param {Object} client - Client information, e.g. { address }
+     * @returns {SMTPSession} Session with its 220 greeting in session.greeting, or a closed
+     * session greeted with 554 when the client is blocklisted or 421 when the connection limit is reached
+     */
+    connect(client = {}) {
+        const session = new SMTPSession(this, client);
+        const listed = this.blocklistEntry(client);
+        if (listed) {
+            // Refused for good: a 554 greeting tells the client not to try again (RFC 5321 section 3.1)
+            session.greeting = SMTPServer.reply(554, `5.7.1 Service unavailable; client host ${client.hostname || ''} [${client.address || 'unknown'}] blocked by local policy (${listed})`);
+            session.state = 'closed';
+            return session;
+        }
+        if (this.sessions.length >= this.maxConnections) {
+            // A busy server answers the connection with 421 and closes it (RFC 5321 section 3.8)
+            session.greeting = SMTPServer.reply(421, `4.3.2 ${this.hostname} Too many connections (${this.maxConnections}), try again later`);
+            session.state = 'closed';
+            return session;
+        }
+        this.sessions.push(session);
+        return session;
+    }
+
+    /**
+     * Find the blocklist entry matching a client
+     * @param {Object} client - Client information { hostname, address }
+     * @returns {string|null} Matching entry, or null when the client may connect
+     */
+    blocklistEntry(client) {
+        const hostname = (client.hostname || '').toLowerCase();
+        return this.policy.blocklist.find((entry) => {
+            entry = entry.trim().toLowerCase();
+            if (/^\d+(\.\d+){3}(\/\d+)?$/.test(entry)) {
+                const [network, bits] = entry.split('/');
+                return SPF.inNetwork(client.address, network, bits === undefined ? 32 : parseInt(bits, 10));
+            }
+            return !!hostname && (hostname === entry || hostname.endsWith('.' + entry));
+        }) || null;
+    }
+
+    /**
+     * Apply the sender rate limit to a new transaction
+     * @param {string} sender - Reverse-path address
+     * @returns {Object|null} 450 reply when the sender used up its window, otherwise null
+     */
+    checkRate(sender) {
+        const { rateLimit, rateWindow } = this.policy;
+        if (!rateLimit) return null;
+        const since = this.now() - rateWindow;
+        const recent = (this.senderLog.get(sender.toLowerCase()) || []).filter(time => time > since);
+        if (recent.length < rateLimit) return null;
+        const wait = Math.ceil((recent[0] + rateWindow - this.now()) / 1000);
+        return SMTPServer.reply(450, `4.7.1 <${sender}>: Sender rate limit exceeded (${rateLimit} message${rateLimit === 1 ? '' : 's'} per ${rateWindow / 1000} s), try again in ${wait} s`);
+    }
+
+    /**
+     * Greylist a recipient: the first attempt of a new triplet is deferred (RFC 6647)
+     * Legitimate servers retry after the delay; much bulk mail software never does.
+     * @param {Object} client - Client information { address }
+     * @param {string} sender - Reverse-path address
+     * @param {string} recipient - Recipient address
+     * @returns {Object|null} 451 reply while the triplet waits, otherwise null
+     */
+    checkGreylist(client, sender, recipient) {
+        if (!this.policy.greylisting) return null;
+        const key = [client.address || client.hostname, sender, recipient].join('|').toLowerCase();
+        if (!this.greylist.has(key)) {
+            this.greylist.set(key, this.now());
+        }
+        const wait = this.greylist.get(key) + this.policy.greylistDelay - this.now();
+        if (wait <= 0) return null;
+        return SMTPServer.reply(451, `4.7.1 <${recipient}>: Recipient address rejected: Greylisted, try again in ${Math.ceil(wait / 1000)} s`);
+    }
+
+    /**
+     * Forget a closed session
+     * @param {SMTPSession} session - Session that ended
+     */
+    disconnect(session) {
+        this.sessions = this.sessions.filter(s => s !== session);
+    }
+
+    /**
+     * Check the syntax of a MAIL FROM or RCPT TO address
+     * @param {string} address - Address from the command
+     * @param {string} role - 'sender' or 'recipient'
+     * @param {boolean} utf8 - Whether the transaction was opened with SMTPUTF8
+     * @returns {Object|null} 553 reply naming the problem, or null when the address is fine
+     */
+    checkAddress(address, role, utf8) {
+        // RFC 6531 section 3.6.1: a UTF-8 address needs the SMTPUTF8 parameter on MAIL FROM
+        if (!utf8 && Address.isUtf8(address)) {
+            return SMTPServer.reply(553, `5.6.7 <${address}>: Non-ASCII ${role} address needs SMTPUTF8`);
+        }
+        try {
+            Address.parse(address, { utf8 });
+        } catch (error) {
+            const [status, what] = role === 'sender' ? ['5.1.7', 'Sender'] : ['5.1.3', 'Recipient'];
+            return SMTPServer.reply(553, `${status} <${address}>: ${what} address rejected: ${error.message}`);
+        }
+        return null;
+    }
+
+    /**
+     * Decide whether a recipient is accepted
+     * @param {string} address - Recipient address
+     * @returns {Object} Reply for the RCPT command
+     */
+    checkRecipient(address) {
+        // Demo conventions: the local part picks the reply
+        const localPart = address.split('@')[0].toLowerCase();
+        if (address.includes('invalid')) {
+            return SMTPServer.reply(550, 'Invalid recipient address');
+        }
+        if (localPart.includes('moved')) {
+            const forwardTo = localPart.replace(/moved[._-]?/, '').replace(/^[._-]+|[._-]+$/g, '') || 'user';
+            return SMTPServer.reply(551, `User not local; please try <${forwardTo}@new.example.org>`);
+        }
+        if (localPart.includes('full')) {
+            return SMTPServer.reply(552, 'Requested mail action aborted: mailbox full');
+        }
+        return SMTPServer.reply(250, 'Recipient OK');
+    }
+
+    /**
+     * Check a username/password pair against the user store
+     * @param {string} username - User name
+     * @param {string} password - Password
+     * @returns {boolean} True when the credentials match
+     */
+    authenticate(username, password) {
+        return this.users.some(user => user.username === username && user.password === password);
+    }
+
+    /**
+     * Check a CRAM-MD5 response against the user store
+     * @param {string} username - User name from the response
+     * @param {string} challenge - Challenge the server sent
+     * @param {string} digest - Hex HMAC-MD5 digest from the response
+     * @returns {boolean} True when the digest matches the user's password
+     */
+    authenticateCram(username, challenge, digest) {
+        const user = this.users.find(u => u.username === username);
+        return !!user && SASL.hmacMd5(user.password, challenge) === digest.toLowerCase();
+    }
+
+    // Fresh CRAM-MD5 challenge in the RFC 2195 <random.timestamp@host> form
+    cramChallenge() {
+        return `<${Math.floor(this.random() * 1e9)}.${this.now()}@${this.hostname}>`;
+    }
+
+    /**
+     * Answer a VRFY request
+     * @param {string} query - User name or address
+     * @returns {Object} Reply for the VRFY command
+     */
+    verify(query) {
+        const needle = query.replace(/^<|>$/g, '').toLowerCase();
+        const match = this.mailboxes.find(mailbox =>
+            mailbox === needle || mailbox.split('@')[0] === needle
+        );
+        if (match) {
+            return SMTPServer.reply(250, `<${match}>`);
+        }
+        if (needle.includes('@') && !needle.endsWith('@' + this.localDomain())) {
+            return SMTPServer.reply(252, 'Cannot VRFY user, but will accept message and attempt delivery');
+        }
+        return SMTPServer.reply(550, 'User unknown');
+    }
+
+    // Domain served by this server's local mailboxes
+    localDomain() {
+        return this.hostname.split('.').slice(1).join('.');
+    }
+
+    /**
+     * Whether an address belongs to the local domain
+     * @param {string} address - Email address
+     * @returns {boolean} True when no relaying is needed to reach it
+     */
+    isLocal(address) {
+        return Address.toAscii(address.split('@').pop()) === Address.toAscii(this.localDomain());
+    }
+
+    /**
+     * Store a message accepted at the end of DATA, stamped with this server's Received header
+     * @param {Object} message - { from, recipients, data, client, helo, protocol }
+     * @returns {Object} Spooled message with its queue ID and the trace header lines
+     */
+    accept(message) {
+        const id = `Q${this.spool.length + 1}`;
+        const receivedAt = new Date(this.now());
+        const client = message.client || {};
+        const trace = SMTPServer.traceHeader({
+            from: message.helo,
+            host: client.hostname,
+            address: client.address,
+            by: this.hostname,
+            protocol: message.protocol || 'SMTP',
+            id,
+            recipient: message.recipients.length === 1 ? message.recipients[0] : null,
+            date: receivedAt
+        });
+        const spooled = { ...message, id, receivedAt, trace, data: [...trace, message.data].join('\r\n') };
+        this.spool.push(spooled);
+        const sender = (message.from || '').toLowerCase();
+        this.senderLog.set(sender, [...(this.senderLog.get(sender) || []), receivedAt.getTime()]);
+        return spooled;
+    }
+}
+
+// Help text returned by HELP, keyed by command
+const SMTP_HELP = {
+    HELO: 'HELO <domain> - identify the client',
+    EHLO: 'EHLO <domain> - identify the client and list extensions',
+    MAIL: 'MAIL FROM:<address> - start a mail transaction',
+    RCPT: 'RCPT TO:<address> - add a recipient',
+    DATA: 'DATA - send the message, end with a line containing only "."',
+    BDAT: 'BDAT <size> [LAST] - send the next <size> bytes of the message as a chunk (CHUNKING)',
+    RSET: 'RSET - abort the current transaction',
+    NOOP: 'NOOP - do nothing',
+    VRFY: 'VRFY <user> - verify a mailbox',
+    AUTH: 'AUTH <mechanism> [initial-response] - authenticate (PLAIN, LOGIN, CRAM-MD5)',
+    STARTTLS: 'STARTTLS - upgrade the connection to TLS',
+    HELP: 'HELP [command] - show help',
+    QUIT: 'QUIT - close the connection'
+};
+
+// Longest command line allowed by RFC 5321 section 4.5.3.1.4
+const SMTP_MAX_LINE_LENGTH = 512;
+
+class SMTPSession {
+    /**
+     * @param {SMTPServer} server - Server that accepted the connection
+     * @param {Object} client - Client information
+     */
+    constructor(server, client) {
+        this.server = server;
+        this.client = client;
+        this.state = 'connected'; // connected → greeted → mail → rcpt → data, or bdat between chunks; closed after QUIT
+        this.heloDomain = null;
+        this.extended = false; // True after a successful EHLO
+        this.port = client.port || 25;
+        this.authenticatedUser = null;
+        this.authExchange = null; // SASL exchange in progress: { mechanism, step, ... }
+        this.isSecure = false; // True once STARTTLS has upgraded the connection
+        this.greeting = SMTPServer.reply(220, `${server.hostname} ESMTP Simulator ready`);
+        this.resetTransaction();
+    }
+
+    // Clear the envelope and any buffered message content
+    resetTransaction() {
+        this.reversePath = null;
+        this.forwardPaths = [];
+        this.dataLines = [];
+        this.mailParams = {};
+        this.chunk = null; // BDAT chunk being read: { size, last, received, lines, error }
+        if (this.state !== 'connected' && this.state !== 'closed') {
+            this.state = 'greeted';
+        }
+    }
+
+    // True while the session is collecting message content after 354
+    get isReceivingData() {
+        return this.state === 'data';
+    }
+
+    // True while the bytes announced by a BDAT command are still arriving
+    get isReceivingChunk() {
+        return this.chunk !== null;
+    }
+
+    // True after QUIT
+    get isClosed() {
+        return this.state === 'closed';
+    }
+
+    // Submission port (587) sessions must authenticate before MAIL
+    get requiresAuth() {
+        return this.port === 587 || this.server.requireAuth;
+    }
+
+    /**
+     * Process one line from the client
+     * @param {string} line - Command line or message line (without CRLF)
+     * @returns {Object|null} Reply, or null for message lines inside DATA
+     */
+    handle(line) {
+        if (this.isClosed) {
+            return SMTPServer.reply(421, 'Connection closed');
+        }
+        if (this.isReceivingData) {
+            return this.receiveDataLine(line);
+        }
+        if (this.isReceivingChunk) {
+            return this.receiveChunkLine(line);
+        }
+        if (this.authExchange) {
+            return this.continueAuth(line);
+        }
+        if (line.length > SMTP_MAX_LINE_LENGTH) {
+            return SMTPServer.reply(500, 'Line too long');
+        }
+
+        const match = line.match(/^\s*(\S+)\s?(.*)$/);
+        if (!match) {
+            return SMTPServer.reply(500, 'Syntax error, command unrecognized');
+        }
+        const verb = match[1].toUpperCase();
+        const args = match[2].trim();
+
+        switch (verb) {
+            case 'HELO':
+            case 'EHLO':
+                return this.hello(verb, args);
+            case 'MAIL':
+                return this.mail(args);
+            case 'RCPT':
+                return this.rcpt(args);
+            case 'DATA':
+                return this.data(args);
+            case 'BDAT':
+                return this.bdat(args);
+            case 'RSET':
+                if (args) return SMTPServer.reply(501, 'Syntax: RSET');
+                this.resetTransaction();
+                return SMTPServer.reply(250, 'OK');
+            case 'NOOP':
+                return SMTPServer.reply(250, 'OK');
+            case 'VRFY':
+                if (!args) return SMTPServer.reply(501, 'Syntax: VRFY <user>');
+                return this.server.verify(args);
+            case 'AUTH':
+                return this.auth(args);
+            case 'STARTTLS':
+                return this.startTls(args);
+            case 'EXPN':
+                return SMTPServer.reply(502, 'Command not implemented');
+            case 'HELP':
+                return this.help(args);
+            case 'QUIT':
+                this.state = 'closed';
+                this.server.disconnect(this);
+                return SMTPServer.reply(221, 'Goodbye');
+            default:
+                return SMTPServer.reply(500, 'Syntax error, command unrecognized');
+        }
+    }
+
+    /**
+     * HELO/EHLO - identify the client and start a fresh session state
+     * @param {string} verb - 'HELO' or 'EHLO'
+     * @param {string} domain - Client domain
+     */
+    hello(verb, domain) {
+        if (verb === 'EHLO' && !this.server.esmtp) {
+            return SMTPServer.reply(502, 'Command not implemented');
+        }
+        if (!domain || /\s/.test(domain)) {
+            return SMTPServer.reply(501, `Syntax: ${verb} hostname`);
+        }
+        this.heloDomain = domain;
+        this.extended = verb === 'EHLO';
+        this.state = 'greeted';
+        this.resetTransaction();
+
+        if (this.extended) {
+            // Multi-line reply: greeting first, then one extension per line.
+            // STARTTLS is not offered again on a connection that is already protected.
+            const extensions = this.server.extensions.filter(ext =>
+                !(this.isSecure && ext.toUpperCase() === 'STARTTLS')
+            );
+            return SMTPServer.reply(250, `${this.server.hostname} Hello ${domain}`, ...extensions);
+        }
+        return SMTPServer.reply(250, `Hello ${domain}`);
+    }
+
+    /**
+     * STARTTLS - upgrade the connection to TLS (RFC 3207)
+     * After the 220 reply the client runs the TLS handshake; the server then
+     * forgets everything learnt in plaintext and expects a fresh EHLO.
+     * @param {string} args - Must be empty
+     */
+    startTls(args) {
+        if (this.server.getExtension('STARTTLS') === null) {
+            return SMTPServer.reply(502, 'Command not implemented');
+        }
+        if (args) {
+            return SMTPServer.reply(501, 'Syntax: STARTTLS');
+        }
+        if (this.isSecure) {
+            return SMTPServer.reply(503, 'Bad sequence of commands: TLS already active');
+        }
+        if (!this.extended) {
+            return SMTPServer.reply(503, 'Bad sequence of commands: send EHLO first');
+        }
+        if (this.state !== 'greeted') {
+            return SMTPServer.reply(503, 'Bad sequence of commands: STARTTLS not allowed during a mail transaction');
+        }
+
+        this.isSecure = true;
+        this.state = 'connected';
+        this.heloDomain = null;
+        this.extended = false;
+        this.authenticatedUser = null;
+        this.resetTransaction();
+        return SMTPServer.reply(220, 'Ready to start TLS');
+    }
+
+    /**
+     * AUTH - start a SASL exchange (RFC 4954)
+     * @param {string} args - Mechanism and optional initial response
+     */
+    auth(args) {
+        const offered = (this.server.getExtension('AUTH') || '').toUpperCase().split(/\s+/).filter(Boolean);
+        if (offered.length === 0) {
+            return SMTPServer.reply(502, 'Command not implemented');
+        }
+        if (!this.extended) {
+            return SMTPServer.reply(503, 'Bad sequence of commands: send EHLO first');
+        }
+        if (this.authenticatedUser) {
+            return SMTPServer.reply(503, 'Bad sequence of commands: already authenticated');
+        }
+        if (this.state !== 'greeted') {
+            return SMTPServer.reply(503, 'Bad sequence of commands: AUTH not allowed during a mail transaction');
+        }
+
+        const [mechanism, initial] = args.split(/\s+/);
+        if (!mechanism) {
+            return SMTPServer.reply(501, 'Syntax: AUTH mechanism [initial-response]');
+        }
+        const name = mechanism.toUpperCase();
+        if (!offered.includes(name) || !SASL.MECHANISMS.includes(name)) {
+            return SMTPServer.reply(504, 'Unrecognized authentication type');
+        }
+
+        this.authExchange = { mechanism: name, step: 0 };
+        switch (name) {
+            case 'PLAIN':
+                return initial ? this.continueAuth(initial) : SMTPServer.reply(334, '');
+            case 'LOGIN':
+                if (initial) {
+                    return this.continueAuth(initial);
+                }
+                return SMTPServer.reply(334, Encoding.base64Encode('Username:'));
+            default:
+                this.authExchange.challenge = this.server.cramChallenge();
+                return SMTPServer.reply(334, Encoding.base64Encode(this.authExchange.challenge));
+        }
+    }
+
+    /**
+     * Process one base64 client response during a SASL exchange
+     * @param {string} line - Base64 response, or "*" to cancel
+     */
+    continueAuth(line) {
+        const exchange = this.authExchange;
+        const response = line.trim();
+        if (response === '*') {
+            this.authExchange = null;
+            return SMTPServer.reply(501, 'Authentication cancelled');
+        }
+        const decoded = response === '=' ? '' : Encoding.base64Decode(response);
+        if (decoded === null) {
+            this.authExchange = null;
+            return SMTPServer.reply(501, 'Cannot decode response');
+        }
+
+        switch (exchange.mechanism) {
+            case 'PLAIN': {
+                // authzid NUL authcid NUL passwd
+                const [, username = '', password = ''] = decoded.split('\0');
+                return this.completeAuth(username, this.server.authenticate(username, password));
+            }
+            case 'LOGIN':
+                if (exchange.step === 0) {
+                    exchange.username = decoded;
+                    exchange.step = 1;
+                    return SMTPServer.reply(334, Encoding.base64Encode('Password:'));
+                }
+                return this.completeAuth(exchange.username, this.server.authenticate(exchange.username, decoded));
+            default: {
+                const separator = decoded.lastIndexOf(' ');
+                const username = decoded.slice(0, separator);
+                const digest = decoded.slice(separator + 1);
+                return this.completeAuth(username, separator > 0 && this.server.authenticateCram(username, exchange.challenge, digest));
+            }
+        }
+    }
+
+    /**
+     * Finish a SASL exchange
+     * @param {string} username - User that tried to authenticate
+     * @param {boolean} success - Whether the credentials were valid
+     */
+    completeAuth(username, success) {
+        this.authExchange = null;
+        if (!success) {
+            return SMTPServer.reply(535, 'Authentication credentials invalid');
+        }
+        this.authenticatedUser = username;
+        return SMTPServer.reply(235, 'Authentication successful');
+    }
+
+    /**
+     * MAIL FROM - start a transaction
+     * @param {string} args - Text after the MAIL verb
+     */
+    mail(args) {
+        if (this.state === 'connected') {
+            return SMTPServer.reply(503, 'Bad sequence of commands: send HELO/EHLO first');
+        }
+        if (this.state !== 'greeted') {
+            return SMTPServer.reply(503, 'Bad sequence of commands: nested MAIL command');
+        }
+        if (this.requiresAuth && !this.authenticatedUser) {
+            return SMTPServer.reply(530, 'Authentication required');
+        }
+        const path = this.parsePath(args, 'FROM');
+        if (path === null) {
+            return SMTPServer.reply(501, 'Syntax: MAIL FROM:<address>');
+        }
+        const paramReply = this.checkMailParams(path.params)
+            || (path.address !== '' ? this.server.checkAddress(path.address, 'sender', this.acceptsUtf8(path.params)) : null)
+            || this.server.checkRate(path.address);
+        if (paramReply) {
+            return paramReply;
+        }
+        this.reversePath = path.address;
+        this.mailParams = path.params;
+        this.state = 'mail';
+        return SMTPServer.reply(250, 'Sender OK');
+    }
+
+    /**
+     * Validate MAIL FROM parameters against the advertised extensions
+     * @param {Object} params - Parameters keyed by upper-case name
+     * @returns {Object|null} Error reply, or null when all parameters are acceptable
+     */
+    checkMailParams(params) {
+        for (const [key, value] of Object.entries(params)) {
+            if (key === 'SIZE' && this.extended && this.server.getExtension('SIZE') !== null) {
+                if (!/^\d+$/.test(value)) {
+                    return SMTPServer.reply(501, 'Syntax: SIZE=<bytes>');
+                }
+                const limit = this.server.maxMessageSize;
+                if (limit && parseInt(value, 10) > limit) {
+                    return SMTPServer.reply(552, 'Message size exceeds fixed maximum message size');
+                }
+            } else if (key === 'BODY' && this.extended && this.server.getExtension('8BITMIME') !== null) {
+                if (!['7BIT', '8BITMIME'].includes(value.toUpperCase())) {
+                    return SMTPServer.reply(501, 'Syntax: BODY=7BIT|8BITMIME');
+                }
+            } else if (key === 'SMTPUTF8' && this.acceptsUtf8(params)) {
+                if (value !== '') {
+                    return SMTPServer.reply(501, 'Syntax: SMTPUTF8 takes no value');
+                }
+            } else {
+                return SMTPServer.reply(555, 'MAIL FROM/RCPT TO parameters not recognized or not implemented');
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether MAIL FROM parameters open an internationalized transaction
+     * @param {Object} params - Parameters keyed by upper-case name
+     * @returns {boolean} True when SMTPUTF8 was given and this server offers it
+     */
+    acceptsUtf8(params) {
+        return 'SMTPUTF8' in params && this.extended && this.server.getExtension('SMTPUTF8') !== null;
+    }
+
+    /**
+     * RCPT TO - add a recipient to the transaction
+     * @param {string} args - Text after the RCPT verb
+     */
+    rcpt(args) {
+        if (this.state !== 'mail' && this.state !== 'rcpt') {
+            return SMTPServer.reply(503, 'Bad sequence of commands: need MAIL before RCPT');
+        }
+        const path = this.parsePath(args, 'TO');
+        if (!path || !path.address) {
+            return SMTPServer.reply(501, 'Syntax: RCPT TO:<address>');
+        }
+        if (Object.keys(path.params).length > 0) {
+            return SMTPServer.reply(555, 'MAIL FROM/RCPT TO parameters not recognized or not implemented');
+        }
+        const addressReply = this.server.checkAddress(path.address, 'recipient', this.acceptsUtf8(this.mailParams));
+        if (addressReply) {
+            return addressReply;
+        }
+        if (this.forwardPaths.length >= this.server.maxRecipients) {
+            return SMTPServer.reply(452, 'Too many recipients');
+        }
+        // A closed relay only forwards mail to other domains for clients that logged in
+        if (this.server.relay === 'authenticated' && !this.authenticatedUser && !this.server.isLocal(path.address)) {
+            return SMTPServer.reply(550, `5.7.1 <${path.address}>: Relay access denied`);
+        }
+        let reply = this.server.checkRecipient(path.address);
+        // Logged-in users are known senders and skip greylisting, as with Postfix's permit_sasl_authenticated
+        if (reply.code === 250 && !this.authenticatedUser) {
+            reply = this.server.checkGreylist(this.client, this.reversePath, path.address) || reply;
+        }
+        if (reply.code === 250) {
+            this.forwardPaths.push(path.address);
+            this.state = 'rcpt';
+        }
+        return reply;
+    }
+
+    /**
+     * DATA - switch to message content mode
+     * @param {string} args - Must be empty
+     */
+    data(args) {
+        if (args) {
+            return SMTPServer.reply(501, 'Syntax: DATA');
+        }
+        if (this.state === 'mail') {
+            return SMTPServer.reply(554, 'No valid recipients');
+        }
+        if (this.state === 'bdat') {
+            return SMTPServer.reply(503, 'Bad sequence of commands: DATA after BDAT');
+        }
+        if (this.state !== 'rcpt') {
+            return SMTPServer.reply(503, 'Bad sequence of commands: need RCPT before DATA');
+        }
+        this.state = 'data';
+        return SMTPServer.reply(354, 'Start mail input; end with <CRLF>.<CRLF>');
+    }
+
+    /**
+     * Collect one line of message content
+     * @param {string} line - Raw line as sent on the wire
+     * @returns {Object|null} 250 reply at the terminating dot, otherwise null
+     */
+    receiveDataLine(line) {
+        if (line !== '.') {
+            // Undo dot-stuffing (RFC 5321 section 4.5.2)
+            this.dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+            return null;
+        }
+
+        return this.finishMessage();
+    }
+
+    /**
+     * BDAT - announce the next chunk of the message (RFC 3030)
+     * The chunk's bytes follow the command without any reply in between, and
+     * they are read even when the chunk is refused: the reply comes after them.
+     * @param {string} args - '<size>' or '<size> LAST'
+     * @returns {Object|null} Reply for an empty chunk, otherwise null until the bytes arrived
+     */
+    bdat(args) {
+        if (!this.extended || this.server.getExtension('CHUNKING') === null) {
+            return SMTPServer.reply(502, 'Command not implemented');
+        }
+        const match = /^(\d+)(?:\s+(LAST))?$/i.exec(args);
+        if (!match) {
+            return SMTPServer.reply(501, 'Syntax: BDAT <size> [LAST]');
+        }
+        let error = null;
+        if (this.state === 'mail') {
+            error = SMTPServer.reply(554, 'No valid recipients');
+        } else if (this.state !== 'rcpt' && this.state !== 'bdat') {
+            error = SMTPServer.reply(503, 'Bad sequence of commands: need RCPT before BDAT');
+        }
+        this.chunk = { size: parseInt(match[1], 10), last: !!match[2], received: 0, lines: [], error };
+        return this.chunk.size === 0 ? this.finishChunk() : null;
+    }
+
+    /**
+     * Collect one line of a BDAT chunk
+     * Lines count with their CRLF. The chunk is not dot-stuffed, so a "." line is content.
+     * A line running past the announced size is cut at the size.
+     * @param {string} line - Raw line as sent on the wire
+     * @returns {Object|null} Reply once the announced bytes arrived, otherwise null
+     */
+    receiveChunkLine(line) {
+        const chunk = this.chunk;
+        const bytes = Encoding.utf8(`${line}\r\n`);
+        const room = chunk.size - chunk.received;
+        chunk.received += Math.min(bytes.length, room);
+        if (bytes.length > room) {
+            chunk.lines.push(Encoding.fromUtf8(bytes.subarray(0, room)).replace(/\r?\n?$/, ''));
+        } else {
+            chunk.lines.push(line);
+        }
+        return chunk.received < chunk.size ? null : this.finishChunk();
+    }
+
+    /**
+     * Reply to a chunk whose bytes all arrived
+     * @returns {Object} 250 for the chunk, the end of message reply after LAST, or the error found at BDAT
+     */
+    finishChunk() {
+        const chunk = this.chunk;
+        this.chunk = null;
+        if (chunk.error) {
+            if (this.state === 'bdat') {
+                this.resetTransaction();
+            }
+            return chunk.error;
+        }
+        this.dataLines.push(...chunk.lines);
+        if (chunk.last) {
+            return this.finishMessage();
+        }
+        this.state = 'bdat';
+        return SMTPServer.reply(250, `${chunk.size} octets received`);
+    }
+
+    /**
+     * Take the collected message into the spool, after "." or the last BDAT chunk
+     * @returns {Object} 250 reply, or 552 when the message is too large
+     */
+    finishMessage() {
+        const data = this.dataLines.join('\r\n');
+        const limit = this.server.maxMessageSize;
+        this.state = 'greeted';
+        if (limit && SMTPServer.byteLength(data) > limit) {
+            this.resetTransaction();
+            return SMTPServer.reply(552, 'Message size exceeds fixed maximum message size');
+        }
+
+        const spooled = this.server.accept({
+            from: this.reversePath,
+            recipients: [...this.forwardPaths],
+            params: this.mailParams,
+            data,
+            client: this.client,
+            helo: this.heloDomain,
+            protocol: this.protocolName()
+        });
+        this.lastMessage = spooled;
+        this.resetTransaction();
+        return SMTPServer.reply(250, 'Message accepted and stored in queue');
+    }
+
+    // "with" keyword of the Received header for this session (RFC 3848)
+    protocolName() {
+        if (!this.extended) return 'SMTP';
+        return `ESMTP${this.isSecure ? 'S' : ''}${this.authenticatedUser ? 'A' : ''}`;
+    }
+
+    /**
+     * HELP - list commands or describe one
+     * @param {string} topic - Optional command name
+     */
+    help(topic) {
+        if (topic) {
+            const text = SMTP_HELP[topic.toUpperCase()];
+            return text
+                ? SMTPServer.reply(214, text)
+                : SMTPServer.reply(504, `HELP topic "${topic}" unknown`);
+        }
+        return SMTPServer.reply(214, 'Commands supported:', Object.keys(SMTP_HELP).join(' '), 'End of HELP info');
+    }
+
+    /**
+     * Extract the address and ESMTP parameters from FROM:<...> or TO:<...>
+     * @param {string} args - Command arguments
+     * @param {string} keyword - 'FROM' or 'TO'
+     * @returns {Object|null} { address, params } (address may be '' for the null path) or null on syntax error
+     */
+    parsePath(args, keyword) {
+        // Quoted local parts may hold "<" and ">"
+        const match = args.match(new RegExp(`^${keyword}:\\s*<((?:"(?:[^"\\\\]|\\\\.)*"|[^<>"])*)>(\\s+.*)?$`, 'i'));
+        if (!match) return null;
+
+        const params = {};
+        (match[2] || '').trim().split(/\s+/).filter(Boolean).forEach(param => {
+            const [key, ...value] = param.split('=');
+            params[key.toUpperCase()] = value.join('=');
+        });
+        // A source route (<@relay.example:user@example.com>) is accepted and ignored (RFC 5321 section 4.1.1.3)
+        return { address: match[1].trim().replace(/^@[^:]*:/, ''), params };
+    }
+}
@@ -0,0 +1,271 @@
+// Simulated TCP transport (RFC 9293, RFC 6298, RFC 5681)
+// Carries the SMTP lines between client and server: 3-way handshake,
+// MSS-sized segments, a slow-start congestion window, cumulative ACKs and
+// retransmission driven by a timer that backs off exponentially. A segment
+// that still has no ACK after maxRetries retransmissions times the connection out.
+
+class TCPConnection {
+    /**
+     * @param {SMTPEngine} engine - Engine providing sleep, random, emit and the stats counters
+     * @param {Object} options - Transport options
+     * @param {number} options.mss - Maximum segment size in bytes
+     * @param {number} options.initialWindow - Congestion window at start, in segments
+     * @param {number} options.receiveWindow - Largest window the receiver allows, in segments
+     * @param {number} options.initialRto - First retransmission timeout in ms (RFC 6298 recommends 1 s)
+     * @param {number} options.maxRto - Ceiling of the backed-off timeout in ms
+     * @param {number} options.maxRetries - Retransmissions of one segment before giving up
+     * @param {Object} extra - Additional event fields, e.g. { source: 'console' }
+     * @param {Object} addresses - Endpoints { client: { address, port }, server: { address, port } }; gaps get defaults
+     */
+    constructor(engine, options = {}, extra = {}, addresses = {}) {
+        this.engine = engine;
+        this.mss = options.mss || 536; // Default MSS when none is announced (RFC 9293 section 3.7.1)
+        this.initialWindow = options.initialWindow || 2;
+        this.receiveWindow = options.receiveWindow || 64;
+        this.initialRto = options.initialRto || 1000;
+        this.maxRto = options.maxRto || 60000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        // Every event of the connection names it, so a trace can tell connections apart
+        this.id = ++engine.connectionCount;
+        this.extra = { ...extra, connection: this.id };
+        const client = addresses.client || {};
+        const server = addresses.server || {};
+        this.addresses = {
+            // The client picks an ephemeral port (RFC 6335 dynamic range)
+            client: { address: client.address || '192.0.2.100', port: client.port || 49152 + Math.floor(engine.random() * 16384) },
+            server: { address: server.address || '192.0.2.10', port: server.port || 25 }
+        };
+
+        this.state = 'CLOSED';
+        this.rto = this.initialRto;
+        // Initial sequence numbers are random, one per direction
+        this.seq = {
+            client: Math.floor(engine.random() * 0x100000000),
+            server: Math.floor(engine.random() * 0x100000000)
+        };
+        this.cwnd = { client: this.initialWindow, server: this.initialWindow };
+        this.ssthresh = { client: this.receiveWindow, server: this.receiveWindow };
+        this.stats = { totalPackets: 0, lostPackets: 0, retransmissions: 0 }; // This connection's share of the engine counters
+    }
+
+    /**
+     * Increment a counter of this connection and the engine-wide one
+     * @param {string} name - 'totalPackets', 'lostPackets' or 'retransmissions'
+     */
+    count(name) {
+        this.stats[name]++;
+        this.engine[name]++;
+    }
+
+    // True once the handshake completed and until the connection is closed
+    get isEstablished() {
+        return this.state === 'ESTABLISHED';
+    }
+
+    /**
+     * Run the 3-way handshake over the lossy network
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     */
+    async open(timing) {
+        this.state = 'SYN-SENT';
+        await this.deliver('client', 'SYN', 0, timing, 'control');
+        await this.deliver('server', 'SYN-ACK', 0, timing, 'control');
+        // The final ACK is not retransmitted on loss; the server would resend SYN-ACK instead
+        await this.deliver('client', 'ACK', 0, { ...timing, packetLossRate: 0 }, 'control');
+        this.state = 'ESTABLISHED';
+        this.engine.emit('tcpState', { state: this.state, addresses: this.addresses, mss: this.mss, ...this.extra });
+    }
+
+    // Record a handshake that completed instantly (no loss, no animation)
+    establish() {
+        this.record('client', 'SYN', 0);
+        this.record('server', 'SYN-ACK', 0);
+        this.record('client', 'ACK', 0);
+        this.state = 'ESTABLISHED';
+        this.engine.emit('tcpState', { state: this.state, addresses: this.addresses, mss: this.mss, ...this.extra });
+    }
+
+    // Record the FIN exchange after QUIT
+    close() {
+        if (this.state === 'CLOSED') return;
+        this.record('client', 'FIN', 0);
+        this.record('server', 'FIN-ACK', 0);
+        this.record('client', 'ACK', 0);
+        this.state = 'CLOSED';
+        this.engine.emit('tcpState', { state: this.state, addresses: this.addresses, mss: this.mss, ...this.extra });
+    }
+
+    /**
+     * Abort the connection with a RST segment instead of the FIN exchange (RFC 9293 section 3.10.7.1)
+     * @param {string} from - 'client' or 'server', the side that resets
+     */
+    reset(from) {
+        if (this.state === 'CLOSED') return;
+        this.record(from, 'RST', 0);
+        this.state = 'CLOSED';
+        this.engine.emit('tcpState', { state: 'RESET', addresses: this.addresses, mss: this.mss, ...this.extra });
+    }
+
+    /**
+     * Count one segment that is not exposed to loss, e.g. a reply carrying an ACK
+     * @param {string} from - 'client' or 'server'
+     * @param {string} label - Segment description
+     * @param {number} length - Payload bytes
+     */
+    record(from, label, length) {
+        const seq = this.advance(from, label, length);
+        this.count('totalPackets');
+        this.engine.emitStats();
+        this.engine.emit('tcp', { from, label, seq, length, segments: 1, ...this.extra });
+    }
+
+    /**
+     * Move the sequence number past a payload
+     * SYN and FIN occupy one sequence number even though they carry no data.
+     * @param {string} from - 'client' or 'server'
+     * @param {string} label - Segment description
+     * @param {number} length - Payload bytes
+     * @returns {number} Sequence number of the first byte
+     */
+    advance(from, label, length) {
+        const seq = this.seq[from];
+        const space = length || (/SYN|FIN/.test(label) ? 1 : 0);
+        this.seq[from] = (seq + space) >>> 0;
+        return seq;
+    }
+
+    /**
+     * Send a payload and wait until the peer acknowledged all of it
+     * The peer's final ACK also carries its reply, so it is counted here once.
+     * @param {string} from - 'client' or 'server'
+     * @param {string} label - Payload description, e.g. the SMTP command
+     * @param {number} length - Payload bytes
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @param {string} kind - Packet style: 'plain', 'tls', 'encrypted' or 'control'
+     */
+    async send(from, label, length, timing, kind = 'plain') {
+        await this.deliver(from, label, length, timing, kind);
+        this.record(from === 'client' ? 'server' : 'client', 'ACK', 0);
+    }
+
+    /**
+     * Segment a payload and push it through the congestion window until every
+     * segment arrived, retransmitting lost segments after the RTO expires
+     * @param {string} from - 'client' or 'server'
+     * @param {string} label - Payload description
+     * @param {number} length - Payload bytes (0 for SYN/ACK control segments)
+     * @param {Object} timing - { networkDelay, packetLossRate, serverDelay }
+     * @param {string} kind - Packet style
+     */
+    async deliver(from, label, length, timing, kind) {
+        const engine = this.engine;
+        const count = Math.max(1, Math.ceil(length / this.mss));
+        const start = this.advance(from, label, length);
+        const segments = Array.from({ length: count }, (_, index) => ({
+            index,
+            seq: (start + index * this.mss) >>> 0,
+            length: Math.max(0, Math.min(this.mss, length - index * this.mss)),
+            attempts: 0,
+            acked: false
+        }));
+
+        while (segments.some(segment => !segment.acked)) {
+            // Lost segments go first, then new ones, up to the smaller window
+            const window = Math.min(this.cwnd[from], this.receiveWindow);
+            const flight = segments.filter(segment => !segment.acked).slice(0, window);
+            const lost = [];
+
+            flight.forEach(segment => {
+                segment.attempts++;
+                this.count('totalPackets');
+                if (engine.random() * 100 < timing.packetLossRate) {
+                    this.count('lostPackets');
+                    lost.push(segment);
+                } else {
+                    segment.acked = true;
+                }
+            });
+            engine.emitStats();
+
+            const first = flight[0].index + 1;
+            const last = flight[flight.length - 1].index + 1;
+            engine.emit('tcp', {
+                from,
+                label,
+                seq: flight[0].seq,
+                length: flight.reduce((sum, segment) => sum + segment.length, 0),
+                segments: flight.length,
+                range: count > 1 ? `${first}-${last}/${count}` : null,
+                cwnd: this.cwnd[from],
+                ...this.extra
+            });
+            lost.forEach(segment => {
+                engine.emit('packetLost', { from, command: label, segment: segment.index + 1, segments: count, ...this.extra });
+            });
+            engine.emit('packet', {
+                direction: from === 'client' ? 'right' : 'left',
+                command: count > 1 ? `${label} [${first}-${last}/${count}]` : label,
+                kind,
+                duration: engine.packetTransitTime,
+                ...this.extra
+            });
+            await engine.sleep(engine.packetTransitTime);
+            await engine.sleep(timing.networkDelay);
+
+            if (lost.length > 0) {
+                const worst = Math.max(...lost.map(segment => segment.attempts));
+                if (worst > this.maxRetries) {
+                    await engine.sleep(this.rto);
+                    this.state = 'CLOSED';
+                    engine.emit('tcpTimeout', { from, label, attempts: worst, ...this.extra });
+                    throw new Error(`Connection timed out: ${label} retransmitted ${this.maxRetries} times without an ACK`);
+                }
+
+                // No ACK before the timer fires: back off and shrink the window (RFC 5681 section 3.1)
+                const expired = this.rto;
+                this.rto = Math.min(this.rto * 2, this.maxRto);
+                engine.emit('rtoExpired', { from, label, rto: expired, nextRto: this.rto, lost: lost.length, ...this.extra });
+                await engine.sleep(expired);
+                this.ssthresh[from] = Math.max(Math.floor(this.cwnd[from] / 2), 2);
+                this.cwnd[from] = 1;
+
+                lost.forEach(segment => {
+                    this.count('retransmissions');
+                    engine.emit('retransmit', {
+                        from,
+                        command: label,
+                        segment: segment.index + 1,
+                        attempt: segment.attempts + 1,
+                        maxRetries: this.maxRetries,
+                        ...this.extra
+                    });
+                });
+                engine.emitStats();
+                continue;
+            }
+
+            // Every segment of the flight arrived: a new RTT sample resets the timer
+            this.rto = this.initialRto;
+            this.cwnd[from] = this.cwnd[from] < this.ssthresh[from]
+                ? this.cwnd[from] * 2
+                : this.cwnd[from] + 1;
+            this.cwnd[from] = Math.min(this.cwnd[from], this.receiveWindow);
+
+            // Mid-transfer ACKs open the window for the next flight
+            if (segments.some(segment => !segment.acked)) {
+                const ackFrom = from === 'client' ? 'server' : 'client';
+                this.count('totalPackets');
+                engine.emitStats();
+                engine.emit('tcp', { from: ackFrom, label: 'ACK', seq: this.seq[ackFrom], length: 0, segments: 1, ...this.extra });
+                engine.emit('packet', {
+                    direction: ackFrom === 'client' ? 'right' : 'left',
+                    command: 'ACK',
+                    kind: 'control',
+                    duration: engine.packetTransitTime,
+                    ...this.extra
+                });
+                await engine.sleep(engine.packetTransitTime);
+            }
+        }
+    }
+}
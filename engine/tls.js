@@ -0,0 +1,63 @@
+// Simulated TLS for STARTTLS (RFC 3207)
+// The handshake messages are only narrated, but application data really is
+// encrypted with AES-GCM through WebCrypto, so the eavesdropper view shows
+// genuine ciphertext. Each direction has its own key, as in TLS 1.3.
+
+class TLSChannel {
+    /**
+     * @param {Object} keys - { client, server } AES-GCM CryptoKeys, one per direction
+     */
+    constructor(keys) {
+        this.keys = keys;
+        this.sequence = { client: 0, server: 0 };
+    }
+
+    static get VERSION() {
+        return 'TLS 1.3';
+    }
+
+    static get CIPHER_SUITE() {
+        return 'TLS_AES_128_GCM_SHA256';
+    }
+
+    // Handshake flights as { from, records, length }, in the order they cross the wire.
+    // Lengths are typical sizes; the certificate chain makes the server flight span several segments.
+    static get HANDSHAKE() {
+        return [
+            { from: 'client', records: ['ClientHello'], length: 250 },
+            { from: 'server', records: ['ServerHello', 'EncryptedExtensions', 'Certificate', 'CertificateVerify', 'Finished'], length: 2900 },
+            { from: 'client', records: ['Finished'], length: 80 }
+        ];
+    }
+
+    /**
+     * Generate fresh traffic keys for a new channel
+     * @returns {Promise<TLSChannel>} Established channel
+     */
+    static async create() {
+        const generate = () => crypto.subtle.generateKey({ name: 'AES-GCM', length: 128 }, false, ['encrypt']);
+        return new TLSChannel({ client: await generate(), server: await generate() });
+    }
+
+    /**
+     * Encrypt one line as a TLS application_data record
+     * @param {string} from - 'client' or 'server', selects the traffic key
+     * @param {string} text - Plaintext line (CRLF is added)
+     * @returns {Promise<Object>} { header, ciphertext, length } with hex strings
+     */
+    async seal(from, text) {
+        // Per-record nonce from the sequence number (RFC 8446 section 5.3)
+        const iv = new Uint8Array(12);
+        new DataView(iv.buffer).setUint32(8, this.sequence[from]++);
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.keys[from],
+            Encoding.utf8(text + '\r\n')
+        );
+        const ciphertext = new Uint8Array(encrypted);
+
+        // Record header: content type application_data (0x17), legacy version 3.3, length
+        const header = Encoding.toHex(new Uint8Array([0x17, 0x03, 0x03, ciphertext.length >> 8, ciphertext.length & 0xff]));
+        return { header, ciphertext: Encoding.toHex(ciphertext), length: ciphertext.length };
+    }
+}
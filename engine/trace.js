@@ -0,0 +1,278 @@
+// Session trace - structured record of a simulation run
+// Listens to every engine event and keeps the commands, replies, wire bytes,
+// TCP segments, timing and delivery results as plain JSON-safe records.
+// A trace exports as JSON, as a self-contained HTML report with a sequence
+// diagram per connection, and through Pcapng as a capture for Wireshark.
+
+// Name in the "format" field of every exported trace
+const TRACE_FORMAT = 'smtp-simulator-trace';
+
+class SessionTrace {
+    /**
+     * @param {SMTPEngine} engine - Engine whose events are recorded
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.records = [];
+        this.startedAt = engine.now();
+        this.run = null; // Recording that replays the run (set by the playback controls), exported with it
+        engine.on('*', event => this.record(event));
+    }
+
+    // Current export version
+    static get VERSION() {
+        return 1;
+    }
+
+    // Events that only drive the animation or repeat what other records hold
+    static get SKIPPED() {
+        return ['stats', 'progress', 'node', 'packet', 'queueChanged', 'quarantineChanged', 'faultsChanged'];
+    }
+
+    // Forget everything recorded so far
+    clear() {
+        this.records = [];
+        this.startedAt = this.engine.now();
+    }
+
+    /**
+     * Store one engine event
+     * Sending on an idle engine starts a new run, like the log in the page.
+     * @param {Object} event - Engine event { type, time, ... }
+     */
+    record(event) {
+        if (SessionTrace.SKIPPED.includes(event.type)) return;
+        if (event.type === 'sessionStart' && event.active === 1) {
+            this.clear();
+        }
+        this.records.push(SessionTrace.plain(event));
+    }
+
+    /**
+     * JSON-safe copy of an event
+     * Messages in flight are reduced to a reference so each record stays small.
+     * @param {Object} event - Engine event
+     * @returns {Object} Record
+     */
+    static plain(event) {
+        const record = {};
+        Object.entries(event).forEach(([key, value]) => {
+            if (value === undefined || typeof value === 'function') return;
+            record[key] = (key === 'email' || key === 'bounce') && value
+                ? SessionTrace.emailRef(value)
+                : JSON.parse(JSON.stringify(value, (name, item) => item instanceof Uint8Array ? `${item.length} bytes` : item));
+        });
+        return record;
+    }
+
+    /**
+     * Identifying fields of a relay copy or bounce
+     * @param {Object} email - Relay copy from SMTPEngine
+     * @returns {Object} { id, sessionId, sender, recipient, relayHost, attempts, lastError }
+     */
+    static emailRef(email) {
+        const ref = {};
+        ['id', 'sessionId', 'sender', 'recipient', 'relayHost', 'attempts', 'lastError'].forEach(key => {
+            if (email[key] !== undefined && email[key] !== null) {
+                ref[key] = email[key];
+            }
+        });
+        return ref;
+    }
+
+    /**
+     * Connections seen in a list of records
+     * @param {Object[]} records - Trace records
+     * @returns {Object[]} { id, sessionId, source, protocol, addresses, mss } ordered by ID
+     */
+    static connections(records) {
+        const connections = new Map();
+        records.forEach(record => {
+            if (!record.connection) return;
+            const connection = connections.get(record.connection) || { id: record.connection };
+            ['sessionId', 'source', 'protocol', 'addresses', 'mss'].forEach(key => {
+                if (record[key] !== undefined && connection[key] === undefined) {
+                    connection[key] = record[key];
+                }
+            });
+            connections.set(record.connection, connection);
+        });
+        return [...connections.values()].sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * The whole trace as an exportable object
+     * @returns {Object} { format, version, startedAt, exportedAt, totals, connections, records, run }
+     */
+    toJSON() {
+        return {
+            format: TRACE_FORMAT,
+            version: SessionTrace.VERSION,
+            startedAt: new Date(this.startedAt).toISOString(),
+            exportedAt: new Date(this.engine.now()).toISOString(),
+            totals: this.engine.getStats(),
+            connections: SessionTrace.connections(this.records),
+            records: this.records,
+            run: this.run
+        };
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {*} text - Text
+     * @returns {string} Escaped text
+     */
+    static escape(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    /**
+     * Arrow of the sequence diagram for a record, if it is one
+     * @param {Object} record - Trace record
+     * @returns {Object|null} { from, label, kind } with from 'client' or 'server'
+     */
+    static arrow(record) {
+        switch (record.type) {
+        case 'command':
+            return { from: 'client', label: record.content ? '(message line)' : record.command, kind: 'command' };
+        case 'retrievalCommand':
+            return { from: 'client', label: record.command, kind: 'command' };
+        case 'reply':
+            return { from: 'server', label: `${record.code} ${record.lines[0] || ''}`, kind: record.code >= 400 ? 'error' : 'reply' };
+        case 'retrievalReply':
+            return { from: 'server', label: record.lines[0], kind: record.ok ? 'reply' : 'error' };
+        case 'tlsRecord':
+            return { from: record.from, label: `TLS ${record.records.join(' + ')}`, kind: 'tls' };
+        case 'tcp':
+            return /SYN|FIN|RST/.test(record.label) ? { from: record.from, label: `TCP ${record.label}`, kind: 'control' } : null;
+        case 'packetLost':
+            return { from: record.from, label: `✕ ${record.command} segment ${record.segment}/${record.segments} lost`, kind: 'lost' };
+        case 'retransmit':
+            return { from: record.from, label: `↻ ${record.command} segment ${record.segment} (attempt ${record.attempt})`, kind: 'retransmit' };
+        default:
+            return null;
+        }
+    }
+
+    /**
+     * SVG sequence diagram of one connection
+     * @param {Object} connection - Entry of SessionTrace.connections()
+     * @param {Object[]} records - Trace records
+     * @param {number} start - Time the run started, in ms
+     * @returns {string} SVG markup
+     */
+    static sequenceDiagram(connection, records, start) {
+        const arrows = records
+            .filter(record => record.connection === connection.id)
+            .map(record => ({ time: record.time, ...SessionTrace.arrow(record) }))
+            .filter(arrow => arrow.from);
+        const rowHeight = 24;
+        const left = 170;
+        const right = 650;
+        const height = 50 + arrows.length * rowHeight;
+        const { client, server } = connection.addresses || {};
+        const escape = SessionTrace.escape;
+
+        const rows = arrows.map((arrow, index) => {
+            const y = 50 + index * rowHeight;
+            const [x1, x2] = arrow.from === 'client' ? [left, right] : [right, left];
+            // Lost segments stop halfway
+            const end = arrow.kind === 'lost' ? (x1 + x2) / 2 : x2;
+            return `<text class="time" x="8" y="${y + 4}">+${((arrow.time - start) / 1000).toFixed(3)} s</text>`
+                + `<line class="${arrow.kind}" x1="${x1}" y1="${y}" x2="${end}" y2="${y}" marker-end="url(#head)"/>`
+                + `<text class="label ${arrow.kind}" x="${(left + right) / 2}" y="${y - 5}">${escape(arrow.label.length > 70 ? `${arrow.label.slice(0, 67)}...` : arrow.label)}</text>`;
+        }).join('\n');
+
+        return `<svg class="sequence" viewBox="0 0 820 ${height}" width="820" height="${height}">
+<defs><marker id="head" markerWidth="8" markerHeight="8" refX="8" refY="4" orient="auto"><path d="M0,0 L8,4 L0,8 z"/></marker></defs>
+<text class="lane" x="${left}" y="16">Client ${client ? escape(`${client.address}:${client.port}`) : ''}</text>
+<text class="lane" x="${right}" y="16">Server ${server ? escape(`${server.address}:${server.port}`) : ''}</text>
+<line class="lifeline" x1="${left}" y1="26" x2="${left}" y2="${height}"/>
+<line class="lifeline" x1="${right}" y1="26" x2="${right}" y2="${height}"/>
+${rows}
+</svg>`;
+    }
+
+    /**
+     * Self-contained HTML report of a trace
+     * @param {Object} data - Result of toJSON()
+     * @returns {string} HTML document
+     */
+    static toHtml(data) {
+        const escape = SessionTrace.escape;
+        const start = Date.parse(data.startedAt);
+        const records = data.records;
+        const table = (headings, rows) => `<table><tr>${headings.map(h => `<th>${escape(h)}</th>`).join('')}</tr>${rows.map(cells => `<tr>${cells.map(c => `<td>${escape(c)}</td>`).join('')}</tr>`).join('')}</table>`;
+
+        const totals = Object.entries(data.totals).map(([name, value]) => [name, value]);
+        const sessions = records.filter(record => record.type === 'sessionEnd').map(record => [
+            record.sessionId,
+            record.outcome,
+            record.stats.totalPackets,
+            record.stats.lostPackets,
+            record.stats.retransmissions,
+            record.stats.deliveredRecipients,
+            record.stats.rejectedRecipients
+        ]);
+        const recipients = records.filter(record => record.type === 'recipientStatus').map(record => [
+            record.sessionId || '',
+            record.recipient.address,
+            record.recipient.kind,
+            `${record.recipient.code} ${record.recipient.text}`,
+            record.recipient.status
+        ]);
+        const events = records.map(record => {
+            const { type, time, ...detail } = record;
+            const text = JSON.stringify(detail);
+            return [`+${((time - start) / 1000).toFixed(3)} s`, type, text.length > 200 ? `${text.slice(0, 197)}...` : text];
+        });
+        const diagrams = data.connections.map(connection => {
+            const owner = connection.sessionId || connection.protocol || connection.source || '';
+            return `<h3>Connection ${connection.id}${owner ? ` · ${escape(owner)}` : ''}</h3>\n${SessionTrace.sequenceDiagram(connection, records, start)}`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>SMTP session trace ${escape(data.startedAt)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 24px; color: #333; }
+h1 { color: #667eea; }
+table { border-collapse: collapse; margin-bottom: 20px; font-size: 13px; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f0f2ff; }
+td:last-child { font-family: monospace; word-break: break-all; }
+.sequence { display: block; margin-bottom: 24px; font-size: 12px; }
+.sequence .lane { font-weight: bold; text-anchor: middle; }
+.sequence .lifeline { stroke: #999; stroke-dasharray: 4 3; }
+.sequence .time { fill: #888; font-family: monospace; }
+.sequence .label { text-anchor: middle; font-family: monospace; }
+.sequence line { stroke: #667eea; stroke-width: 1.5; }
+.sequence line.reply { stroke: #4caf50; }
+.sequence line.error, .sequence line.lost { stroke: #f44336; }
+.sequence line.lost { stroke-dasharray: 5 3; }
+.sequence line.retransmit { stroke: #ff9800; }
+.sequence line.tls { stroke: #9c27b0; }
+.sequence line.control { stroke: #999; }
+.sequence text.error, .sequence text.lost { fill: #f44336; }
+</style>
+</head>
+<body>
+<h1>📧 SMTP session trace</h1>
+<p>Run started ${escape(data.startedAt)}, exported ${escape(data.exportedAt)}. ${records.length} events on ${data.connections.length} connections.</p>
+<h2>Totals</h2>
+${table(['Counter', 'Value'], totals)}
+<h2>Sessions</h2>
+${sessions.length ? table(['Session', 'Outcome', 'Segments', 'Lost', 'Retransmissions', 'Delivered', 'Rejected'], sessions) : '<p>No Send Email session finished in this run.</p>'}
+<h2>Recipients</h2>
+${recipients.length ? table(['Session', 'Address', 'Kind', 'RCPT reply', 'Status'], recipients) : '<p>No recipients.</p>'}
+<h2>Sequence diagrams</h2>
+${diagrams || '<p>No connections.</p>'}
+<h2>Events</h2>
+${table(['Time', 'Event', 'Detail'], events)}
+</body>
+</html>
+`;
+    }
+}
@@ -0,0 +1,100 @@
+// Transfer mode comparison
+// The same message sent four times under the same network settings: one
+// command per round trip, with PIPELINING (RFC 2920), with CHUNKING / BDAT
+// (RFC 3030) and with both. Each send runs on its own engine like an
+// experiment run, greets with EHLO and talks to a server that offers both
+// extensions; only the client's choice differs. The round trips are timed
+// up to the moment the server accepts the message, since the relay to the
+// MX that follows is the same in every mode.
+
+class TransferComparison {
+    // Modes in the order the timeline shows them
+    static get MODES() {
+        return {
+            standard: { label: 'One command per round trip', pipelining: false, chunking: false },
+            pipelining: { label: 'PIPELINING', pipelining: true, chunking: false },
+            chunking: { label: 'CHUNKING (BDAT)', pipelining: false, chunking: true },
+            both: { label: 'PIPELINING + CHUNKING', pipelining: true, chunking: true }
+        };
+    }
+
+    /**
+     * Scenario of one mode
+     * @param {Object} base - Complete scenario the comparison starts from
+     * @param {string} mode - Key of TransferComparison.MODES
+     * @returns {Object} Scenario that greets with EHLO, offers both extensions and uses the mode's
+     */
+    static scenario(base, mode) {
+        const setting = TransferComparison.MODES[mode];
+        if (!setting) {
+            throw new Error(`Unknown transfer mode "${mode}"`);
+        }
+        const offered = base.server.extensions.map(keyword => keyword.toUpperCase());
+        const extensions = [...offered, ...['PIPELINING', 'CHUNKING'].filter(keyword => !offered.includes(keyword))];
+        return Scenario.merge(base, {
+            client: { greeting: 'EHLO', pipelining: setting.pipelining, chunking: setting.chunking },
+            server: { extensions }
+        });
+    }
+
+    /**
+     * Send the message in one mode and time its round trips
+     * @param {Object} base - Complete scenario the comparison starts from
+     * @param {string} mode - Key of TransferComparison.MODES
+     * @param {Object} options - { seed, start (clock reading), until (virtual ms), clock (extra Playback options) }
+     * @returns {Promise<Object>} { mode, label, outcome, accepted (s or null), roundTrips, flights: [{ commands, start, end }] (s), retransmissions }
+     */
+    static async runMode(base, mode, options = {}) {
+        const start = options.start !== undefined ? options.start : Date.now();
+        const flights = [];
+        let accepted = null;
+        const watch = (engine) => {
+            engine.on('roundTrip', (event) => {
+                if (accepted === null) {
+                    flights.push({ commands: [...event.commands], start: (event.start - start) / 1000, end: (event.time - start) / 1000 });
+                }
+            });
+            engine.on('received', (event) => {
+                if (event.node === 'server' && accepted === null) {
+                    accepted = (event.time - start) / 1000;
+                }
+            });
+        };
+        const sample = await Experiment.runOnce(TransferComparison.scenario(base, mode), options.seed !== undefined ? options.seed : 1, {
+            start,
+            until: options.until,
+            clock: options.clock,
+            watch
+        });
+        return {
+            mode,
+            label: TransferComparison.MODES[mode].label,
+            outcome: sample.outcome,
+            accepted,
+            // Round trips that did not lead to an accepted message are still shown, but only complete sends are counted
+            roundTrips: accepted === null ? null : flights.length,
+            flights,
+            retransmissions: sample.retransmissions
+        };
+    }
+
+    /**
+     * Send the message in every mode
+     * All modes share one clock start and one seed, so they meet the same network.
+     * @param {Object} base - Complete scenario the comparison starts from
+     * @param {Object} options - { seed, until (virtual ms), clock (extra Playback options) }
+     * @param {Function} onProgress - Called after each mode with (done, total, mode)
+     * @returns {Promise<Object>} { seed, rows: results of runMode() in MODES order }
+     */
+    static async run(base, options = {}, onProgress = () => {}) {
+        const start = Date.now();
+        const seed = options.seed !== undefined ? options.seed : 1;
+        const modes = Object.keys(TransferComparison.MODES);
+        const rows = [];
+        for (const mode of modes) {
+            rows.push(await TransferComparison.runMode(base, mode, { ...options, seed, start }));
+            onProgress(rows.length, modes.length, mode);
+        }
+        return { seed, rows };
+    }
+}
@@ -0,0 +1,211 @@
+// Headless runs of the simulator: a scenario goes in, the transcript and the
+// counters come out. The engine runs on a Playback clock at infinite speed,
+// so a session that takes minutes in the page finishes at once, and with a
+// fixed clock start and seed every run of a scenario prints the same bytes.
+const { loadEngine } = require('./load-engine');
+
+// Clock reading every run starts from, so Date headers and Message-IDs repeat
+const START_TIME = Date.UTC(2024, 0, 1, 12, 0, 0);
+// How much virtual time a run may use before pending queue retries are left alone
+const DEFAULT_UNTIL = 60 * 60 * 1000;
+
+/**
+ * WebCrypto for the engine's context that counts its calls in flight
+ * The clock waits for them before the next timer, so a slow signature on a
+ * busy machine cannot let a later timer fire first.
+ * @returns {Object} { crypto, pending() }
+ */
+function countedCrypto() {
+    let pending = 0;
+    const subtle = new Proxy(globalThis.crypto.subtle, {
+        get(target, name) {
+            const value = target[name];
+            if (typeof value !== 'function') return value;
+            return (...args) => {
+                pending++;
+                return value.apply(target, args).finally(() => {
+                    pending--;
+                });
+            };
+        }
+    });
+    return { crypto: { subtle }, pending: () => pending };
+}
+
+/**
+ * One transcript line for an engine event
+ * @param {Object} event - Engine event
+ * @param {Object} engine - Classes from loadEngine(); SMTPServer formats replies, FaultInjector names faults
+ * @returns {string[]} Lines without the time prefix, empty for events the transcript leaves out
+ */
+function describe(event, { SMTPServer, FaultInjector }) {
+    switch (event.type) {
+        case 'sessionStart':
+            return [`=== Session ${event.sessionId} from ${event.client.hostname}, port ${event.config.port || 25} ===`];
+        case 'command':
+            return event.sessionId ? [`C: ${event.command}`] : [];
+        case 'content':
+            return event.chunks
+                ? [`C: [MIME message: ${event.lines.length} lines, ${event.size} bytes in ${event.chunks.length} BDAT chunk(s)]`]
+                : [`C: [MIME message: ${event.lines.length} lines, ${event.size} bytes]`, 'C: .'];
+        case 'reply':
+            if (!event.sessionId) return [];
+            return event.from === 'recipient'
+                ? [`R: ${event.code} ${event.text}`]
+                : SMTPServer.formatReply(event).map(line => `S: ${line}`);
+        case 'clientRetry':
+            return [`🔁 Temporary failure, attempt ${event.attempt} of ${event.attempts}: ${event.reason}. Trying again in ${event.wait / 1000} s`];
+        case 'fault':
+            return [`💥 Fault injected at ${FaultInjector.POINTS[event.point]}: ${FaultInjector.KINDS[event.kind].label}`];
+        case 'replyTimeout':
+            return [`⏰ No reply to ${event.command} within ${event.timeout / 1000} s, closing the connection`];
+        case 'packetLost':
+            return event.source === 'console' ? [] : [`⚠️ Segment lost: ${event.command}${event.segments > 1 ? ` (segment ${event.segment}/${event.segments})` : ''}`];
+        case 'retransmit':
+            return event.source === 'console' ? [] : [`🔄 Retransmitting ${event.command} (attempt ${event.attempt} of ${event.maxRetries + 1})`];
+        case 'tcpTimeout':
+            return [`⛔ TCP: no ACK for ${event.label} after ${event.attempts} attempts`];
+        case 'recipientStatus':
+            return ['rejected', 'deferred'].includes(event.recipient.status)
+                ? [`${event.recipient.status === 'rejected' ? '🚫' : '⏳'} <${event.recipient.address}> ${event.recipient.status}: ${event.recipient.code} ${event.recipient.text}`]
+                : [];
+        case 'relay':
+            return [event.fromQueue
+                ? `📬 Retrying queued email [ID: ${event.email.id}] to ${event.email.recipient}`
+                : `→ RELAY: ${event.from} hands the message for <${event.email.recipient}> to ${event.to}`];
+        case 'mxAttempt':
+            return [`→ RELAY: Connecting to MX ${event.host} (priority ${event.priority})`];
+        case 'greylisted':
+            return [`🚦 ${event.host} greylists <${event.email.recipient}> for ${Math.ceil(event.wait / 1000)} s`];
+        case 'queued':
+            return [`⏸️ Email [ID: ${event.email.id}] queued (${event.email.lastError}), attempt ${event.email.attempts}, next in ${Math.round(event.delay / 1000)} s`];
+        case 'delivered':
+            return [`✅ Email [ID: ${event.email.id}] delivered to <${event.email.recipient}>${event.folder ? ` (${event.folder})` : ''}`];
+        case 'relayFailed':
+            return [`❌ Delivery to <${event.email.recipient}> failed: ${event.code} ${event.text}`];
+        case 'expired':
+            return [`⌛ Email [ID: ${event.email.id}] to ${event.email.recipient} expired after ${event.attempts} attempts`];
+        case 'bounce':
+            return [`↩️ Bounce (status ${event.status}) for <${event.email.recipient}> sent back to ${event.email.sender}`];
+        case 'receiverStatus':
+            return [event.online ? '🟢 Receiver ONLINE' : '🔴 Receiver OFFLINE'];
+        case 'sessionError':
+            return [`❌ ERROR: ${event.message}`];
+        case 'queueError':
+            return [`❌ Queue run failed: ${event.message}. ${event.restored} email(s) put back in the queue`];
+        case 'sessionEnd':
+            return [`=== Session ${event.sessionId} ${event.outcome} ===`];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Outcome of a session once the queue is done with its copies
+ * A session that handed its message over ends 'delivered' or 'queued', but
+ * the relay may still bounce the copies or deliver them later.
+ * @param {string} outcome - What sendEmail() returned
+ * @param {Object[]} recipients - The session's recipients with their final status
+ * @returns {string} delivered (to at least one recipient), queued, failed, unfinished or error
+ */
+function finalOutcome(outcome, recipients) {
+    if (outcome !== 'delivered' && outcome !== 'queued') return outcome;
+    const statuses = recipients.map(r => r.status);
+    if (statuses.includes('queued') || statuses.includes('deferred')) return 'queued';
+    return statuses.includes('delivered') ? 'delivered' : 'failed';
+}
+
+/**
+ * Run a scenario without a browser on a virtual clock
+ * @param {Object|string} scenario - Scenario object (a partial one is completed with the defaults) or a library ID
+ * @param {Object} options - Run options
+ * @param {number} options.seed - Seed of the random source behind packet loss, ports and tokens (default 1)
+ * @param {Object} options.overrides - Settings merged over the scenario, e.g. { network: { packetLoss: 0 } }
+ * @param {Object[]} options.sessions - One sendEmail() config override per session to start (default one session)
+ * @param {number} options.until - Virtual ms the run may take; timers due later stay pending (default 1 h)
+ * @returns {Promise<Object>} { scenario, seed, outcomes (as the sessions ended), finalOutcomes (after the queue), recipients (final status), stats, queued, elapsed, transcript, events, engine }
+ */
+async function runScenario(scenario, options = {}) {
+    const webCrypto = countedCrypto();
+    const classes = loadEngine({ crypto: webCrypto.crypto });
+    const { SMTPEngine, Playback, Scenario, SessionTrace } = classes;
+    const base = typeof scenario === 'string'
+        ? Scenario.fromLibrary(scenario)
+        : scenario.format ? Scenario.parse(scenario) : Scenario.merge(Scenario.DEFAULTS, scenario);
+    const complete = Scenario.merge(base, options.overrides || {});
+    const seed = options.seed !== undefined ? options.seed : 1;
+
+    // Real time never moves this clock: only the timers do
+    const playback = new Playback({ start: START_TIME, realNow: () => 0, pending: webCrypto.pending });
+    playback.setSpeed(Infinity);
+    playback.until = START_TIME + (options.until !== undefined ? options.until : DEFAULT_UNTIL);
+    const engine = new SMTPEngine({ ...playback.engineOptions, seed });
+    playback.attach(engine);
+    Scenario.configure(engine, complete);
+
+    const events = [];
+    const transcript = [];
+    const recipients = [];
+    const entries = new Map(); // Engine recipient result → its entry in recipients
+    let started = null; // ID of the session sendEmail() has just opened
+    const stamp = time => `[+${((time - START_TIME) / 1000).toFixed(3)}s]`;
+    engine.on('*', (event) => {
+        if (SessionTrace.SKIPPED.includes(event.type)) return;
+        events.push(SessionTrace.plain(event));
+        describe(event, classes).forEach(line => transcript.push(`${stamp(event.time)} ${line}`));
+        if (event.type === 'sessionStart') {
+            started = event.sessionId;
+        } else if (event.type === 'sessionEnd') {
+            event.recipients.forEach((r) => {
+                const entry = { sessionId: event.sessionId, address: r.address, kind: r.kind, status: r.status, code: r.code };
+                entries.set(r, entry);
+                recipients.push(entry);
+            });
+        } else if (['delivered', 'expired', 'bounce'].includes(event.type)) {
+            // The queue goes on after the session: its copies end up delivered or returned to the sender
+            const entry = event.email && !event.email.isBounce && entries.get(event.email.result);
+            if (entry) {
+                entry.status = event.type === 'delivered' ? 'delivered' : 'failed';
+            }
+        }
+    });
+
+    // A session still running when the clock stops at options.until stays 'unfinished'
+    const config = Scenario.sessionConfig(complete);
+    const sessions = options.sessions || [{}];
+    const outcomes = sessions.map(() => 'unfinished');
+    const sessionIds = sessions.map((session, index) => {
+        engine.sendEmail({ ...config, ...session }).then((outcome) => {
+            outcomes[index] = outcome;
+        }).catch((error) => {
+            // An engine fault ends this run's report, not the process
+            outcomes[index] = 'error';
+            transcript.push(`${stamp(playback.time())} ❌ Engine error: ${error.message}`);
+        });
+        return started;
+    });
+
+    // Sessions, queue retries, bounces and the receiver schedule play out on the clock;
+    // a few quiet turns of the event loop in a row mean no task is still waking up
+    const busy = () => playback.pumping || webCrypto.pending() > 0 || playback.timers.some(timer => timer.at <= playback.until);
+    for (let quiet = 0; quiet < 3;) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        quiet = busy() ? 0 : quiet + 1;
+    }
+
+    return {
+        scenario: complete.name,
+        seed,
+        outcomes,
+        finalOutcomes: outcomes.map((outcome, index) => finalOutcome(outcome, recipients.filter(r => r.sessionId === sessionIds[index]))),
+        recipients,
+        stats: { ...engine.getStats() },
+        queued: engine.queuedEmails.length,
+        elapsed: playback.time() - START_TIME,
+        transcript,
+        events,
+        engine
+    };
+}
+
+module.exports = { runScenario, describe, countedCrypto, START_TIME };
@@ -0,0 +1,70 @@
+// Loads the browser engine scripts into a Node VM context so sessions can be
+// scripted headlessly. The scripts stay plain browser globals; this file is
+// the only Node-specific glue.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Engine scripts in the same order index.html loads them
+const ENGINE_SCRIPTS = [
+    'engine/encoding.js',
+    'engine/address.js',
+    'engine/sasl.js',
+    'engine/tcp.js',
+    'engine/tls.js',
+    'engine/mime.js',
+    'engine/dns.js',
+    'engine/mail-auth.js',
+    'engine/content-filter.js',
+    'engine/smtp-server.js',
+    'engine/remote-server.js',
+    'engine/mail-store.js',
+    'engine/pop3-server.js',
+    'engine/imap-server.js',
+    'engine/mail-retrieval.js',
+    'engine/trace.js',
+    'engine/pcapng.js',
+    'engine/random.js',
+    'engine/playback.js',
+    'engine/fault-injector.js',
+    'engine/smtp-engine.js',
+    'engine/scenario.js',
+    'engine/lesson.js',
+    'engine/experiment.js',
+    'engine/transfer-comparison.js'
+];
+
+// Globals exported from the context
+const EXPORTS = ['SMTPEngine', 'SMTPServer', 'SMTPSession', 'RemoteSMTPServer', 'RemoteSMTPSession', 'Encoding', 'Address', 'SASL', 'TCPConnection', 'TLSChannel', 'MIME', 'DNSResolver', 'SPF', 'DKIM', 'DMARC',
+    'BayesClassifier', 'ContentFilter', 'MailStore', 'POP3Server', 'POP3Session', 'IMAPServer', 'IMAPSession', 'MailRetrieval', 'SessionTrace', 'Pcapng', 'SeededRandom', 'Playback', 'FaultInjector', 'Scenario',
+    'Lesson', 'LessonTutor', 'Quiz', 'Experiment', 'TransferComparison'];
+
+/**
+ * Evaluate the engine scripts and return their classes
+ * @param {Object} globals - Extra globals to expose to the scripts
+ * @returns {Object} Map of exported class names to classes
+ */
+function loadEngine(globals = {}) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        TextEncoder,
+        TextDecoder,
+        btoa,
+        atob,
+        crypto: globalThis.crypto,
+        ...globals
+    });
+
+    ENGINE_SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    return vm.runInContext(`({ ${EXPORTS.join(', ')} })`, context);
+}
+
+module.exports = { loadEngine, ENGINE_SCRIPTS };
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Command-line runner: plays a scenario headlessly and prints the transcript
+// and the counters. Timing is virtual and the random source is seeded, so the
+// output only changes when the scenario, the seed or the protocol flow does.
+//
+//   node node/simulate.js <scenario.json> | --library <id> [--seed n] [--loss percent]
+//                         [--until s] [--json] [--expect delivered|queued|failed]
+const fs = require('fs');
+const { loadEngine } = require('./load-engine');
+const { runScenario } = require('./headless');
+
+const USAGE = `Usage: node node/simulate.js <scenario.json> [options]
+       node node/simulate.js --library <id> [options]
+  --library <id>      Run a built-in scenario instead of a file
+  --list              List the built-in scenarios
+  --seed <n>          Seed of packet loss and tokens (default 1)
+  --loss <percent>    Override the scenario's packet loss (0 to 100)
+  --until <s>         Virtual seconds to run before pending queue retries are left alone (default 3600)
+  --json              Print the result as JSON
+  --expect <outcome>  Exit with 1 unless every message ends delivered, queued or failed,
+                      counting what the queue did after the session`;
+
+/**
+ * Parse the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Run options
+ */
+function parseArgs(args) {
+    const options = { file: null, library: null, seed: 1, loss: null, until: 3600, json: false, expect: null, list: false };
+    for (let i = 0; i < args.length; i++) {
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${args[i]} needs a value`);
+            return args[++i];
+        };
+        const number = (max = Infinity) => {
+            const option = args[i];
+            const n = Number(value());
+            if (!isFinite(n)) throw new Error(`${args[i]} is not a number`);
+            if (n < 0 || n > max) {
+                throw new Error(`${option} takes a number from 0 ${max === Infinity ? 'up' : `to ${max}`}, not ${n}`);
+            }
+            return n;
+        };
+        switch (args[i]) {
+            case '--library': options.library = value(); break;
+            case '--list': options.list = true; break;
+            case '--seed': options.seed = number(); break;
+            case '--loss': options.loss = number(100); break;
+            case '--until': options.until = number(); break;
+            case '--json': options.json = true; break;
+            case '--expect': {
+                options.expect = value();
+                if (!['delivered', 'queued', 'failed'].includes(options.expect)) {
+                    throw new Error(`--expect takes delivered, queued or failed, not ${options.expect}`);
+                }
+                break;
+            }
+            case '--help': options.help = true; break;
+            default:
+                if (args[i].startsWith('--') || options.file) throw new Error(`Unknown option ${args[i]}`);
+                options.file = args[i];
+        }
+    }
+    if (!options.help && !options.list && !options.file === !options.library) {
+        throw new Error('Give either a scenario file or --library <id>');
+    }
+    return options;
+}
+
+/**
+ * Run the scenario the options name
+ * @param {Object} options - Result of parseArgs()
+ * @returns {Promise<Object>} Result of runScenario()
+ */
+async function simulate(options) {
+    const scenario = options.file ? JSON.parse(fs.readFileSync(options.file, 'utf8')) : options.library;
+    if (options.file && !scenario.format) {
+        throw new Error(`${options.file} is not a scenario file: the "format" field must be "smtp-simulator-scenario"`);
+    }
+    return runScenario(scenario, {
+        seed: options.seed,
+        until: options.until * 1000,
+        overrides: options.loss !== null ? { network: { packetLoss: options.loss } } : {}
+    });
+}
+
+/**
+ * The result as printed text
+ * @param {Object} result - Result of runScenario()
+ * @returns {string} Transcript followed by the outcome and the counters
+ */
+function report(result) {
+    const { stats } = result;
+    return [
+        `Scenario: ${result.scenario} (seed ${result.seed})`,
+        '',
+        ...result.transcript,
+        '',
+        // The final outcome counts what the queue did after the session; the session's own is added when it differs
+        `Outcome: ${result.finalOutcomes.join(', ')}${result.finalOutcomes.join() !== result.outcomes.join() ? ` (session ended ${result.outcomes.join(', ')})` : ''}`,
+        ...result.recipients.map(r => `  <${r.address}> ${r.status}${r.code ? ` (${r.code})` : ''}`),
+        `Packets: ${stats.totalPackets} sent, ${stats.lostPackets} lost, ${stats.retransmissions} retransmitted`,
+        `Recipients: ${stats.deliveredRecipients} delivered, ${stats.rejectedRecipients} rejected`,
+        `Still queued: ${result.queued}`,
+        `Virtual time: ${(result.elapsed / 1000).toFixed(3)} s`
+    ].join('\n');
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+    } else if (options.list) {
+        const { Scenario } = loadEngine();
+        Object.entries(Scenario.LIBRARY).forEach(([id, entry]) => console.log(`${id.padEnd(24)}${entry.name}`));
+    } else {
+        simulate(options).then((result) => {
+            if (options.json) {
+                const { engine, events, ...rest } = result;
+                console.log(JSON.stringify(rest, null, 2));
+            } else {
+                console.log(report(result));
+            }
+            if (options.expect && result.finalOutcomes.some(outcome => outcome !== options.expect)) {
+                console.error(`❌ Expected ${options.expect}, got ${result.finalOutcomes.join(', ')}`);
+                process.exitCode = 1;
+            }
+        }).catch((error) => {
+            console.error(`❌ ${error.message}`);
+            process.exit(2);
+        });
+    }
+}
+
+module.exports = { parseArgs, simulate, report };
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// Local SMTP backend for the simulator
+// Starts a real SMTP listener answered by the simulator's server logic and
+// the WebSocket bridge the browser UI uses to reach it (or any other SMTP
+// server on this machine). Both bind to localhost; nothing needs internet.
+//
+//   node node/smtp-backend.js [--port 2525] [--bridge-port 8025] [--host 127.0.0.1]
+//                             [--hostname localhost] [--auth] [--submission]
+//                             [--allow host:port]... [--origin url]... [--allow-file-origin] [--no-listener]
+const { createListener } = require('./smtp-listener');
+const { createBridge } = require('./ws-bridge');
+
+const USAGE = `Usage: node node/smtp-backend.js [options]
+  --port <n>          SMTP listener port (default 2525)
+  --bridge-port <n>   WebSocket bridge port (default 8025)
+  --host <address>    Address both servers bind to (default 127.0.0.1)
+  --hostname <name>   Name the listener announces in its greeting (default localhost)
+  --auth              Advertise AUTH; users alice/wonderland and bob/builder
+  --submission        Require AUTH before MAIL, like port 587
+  --allow <host:port> Let the bridge reach another SMTP server (repeatable)
+  --origin <url>      Let pages from another origin use the bridge (repeatable)
+  --allow-file-origin Let a page opened from a file use the bridge (origin "null",
+                      which sandboxed frames of any site can send too)
+  --no-listener       Only run the bridge, e.g. in front of MailHog on port 1025`;
+
+/**
+ * Parse the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Options for the listener and the bridge
+ */
+function parseArgs(args) {
+    const options = { port: 2525, bridgePort: 8025, host: '127.0.0.1', hostname: 'localhost', auth: false, submission: false, allow: [], origins: [], allowFile: false, listener: true };
+    for (let i = 0; i < args.length; i++) {
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${args[i]} needs a value`);
+            return args[++i];
+        };
+        const port = () => {
+            const n = parseInt(value(), 10);
+            if (!(n > 0 && n < 65536)) throw new Error(`${args[i]} is not a port number`);
+            return n;
+        };
+        switch (args[i]) {
+            case '--port': options.port = port(); break;
+            case '--bridge-port': options.bridgePort = port(); break;
+            case '--host': options.host = value(); break;
+            case '--hostname': options.hostname = value(); break;
+            case '--auth': options.auth = true; break;
+            case '--submission': options.auth = true; options.submission = true; break;
+            case '--allow': options.allow.push(value()); break;
+            case '--origin': options.origins.push(value()); break;
+            case '--allow-file-origin': options.allowFile = true; break;
+            case '--no-listener': options.listener = false; break;
+            case '--help': options.help = true; break;
+            default: throw new Error(`Unknown option ${args[i]}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Start the listener and the bridge
+ * @param {Object} options - Result of parseArgs()
+ * @returns {Promise<Object>} { listener, bridge } once both are listening
+ */
+async function start(options) {
+    const log = line => console.log(`${new Date().toTimeString().split(' ')[0]} ${line}`);
+    const listen = (server, port) => new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, options.host, resolve);
+    });
+
+    let listener = null;
+    if (options.listener) {
+        listener = createListener({ hostname: options.hostname, auth: options.auth, submission: options.submission, log: line => log(`📨 ${line}`) });
+        await listen(listener, options.port);
+        log(`📨 SMTP listener on ${options.host}:${listener.address().port}${options.auth ? ' (AUTH: alice/wonderland, bob/builder)' : ''}`);
+    }
+
+    // The listener may sit on a port outside the usual SMTP ones
+    const port = listener ? listener.address().port : null;
+    const allow = [...options.allow, ...(port ? [`127.0.0.1:${port}`, `localhost:${port}`] : [])];
+    const bridge = createBridge({ allow, origins: options.origins, allowFile: options.allowFile, log: line => log(`🔌 ${line}`) });
+    await listen(bridge, options.bridgePort);
+    log(`🔌 WebSocket bridge on ws://${options.host}:${bridge.address().port}/smtp`);
+    return { listener, bridge };
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+    } else {
+        start(options).catch((error) => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+    }
+}
+
+module.exports = { parseArgs, start };
@@ -0,0 +1,97 @@
+// Real SMTP listener on a TCP port, answered by the simulator's own
+// SMTPSession state machine. Every byte a client sends is split into CRLF
+// lines and handed to the session; every reply goes back exactly as the
+// simulated server would have sent it, so telnet, swaks or the browser UI
+// (through the WebSocket bridge) can hold a genuine RFC 5321 conversation.
+const net = require('net');
+const { loadEngine } = require('./load-engine');
+
+// Longest line accepted before the connection is dropped: RFC 5321 section 4.5.3.1.6 allows 1000 octets
+const MAX_LINE_BYTES = 1000;
+
+/**
+ * Create the listener; call listen(port, host) on the result to start it
+ * @param {Object} options - Listener options
+ * @param {string} options.hostname - Name announced in the greeting
+ * @param {boolean} options.auth - Advertise AUTH (CRAM-MD5, LOGIN, PLAIN) with the demo users
+ * @param {boolean} options.submission - Treat every connection like port 587: AUTH is required before MAIL
+ * @param {Function} options.log - Called with each transcript line, e.g. '[C1] C: EHLO client'
+ * @returns {net.Server} TCP server with the SMTPServer in its smtp property
+ */
+function createListener(options = {}) {
+    const { SMTPServer } = loadEngine();
+    const log = options.log || (() => {});
+    const extensions = ['SIZE 1048576', '8BITMIME', 'PIPELINING'];
+    if (options.auth) {
+        extensions.push('AUTH CRAM-MD5 LOGIN PLAIN');
+    }
+    // No STARTTLS: the listener has no certificate, so the session answers it with 502
+    const smtp = new SMTPServer({ hostname: options.hostname || 'localhost', extensions });
+    let connections = 0;
+
+    const server = net.createServer((socket) => {
+        const id = `C${++connections}`;
+        const session = smtp.connect({
+            hostname: socket.remoteAddress,
+            address: socket.remoteAddress,
+            port: options.submission ? 587 : 25
+        });
+        let buffer = Buffer.alloc(0);
+
+        const send = (reply) => {
+            const lines = SMTPServer.formatReply(reply);
+            lines.forEach(line => log(`[${id}] S: ${line}`));
+            socket.write(lines.map(line => `${line}\r\n`).join(''));
+        };
+        const close = () => {
+            smtp.disconnect(session);
+            socket.end();
+        };
+
+        log(`[${id}] connected from ${socket.remoteAddress}:${socket.remotePort}`);
+        send(session.greeting);
+        if (session.isClosed) {
+            close();
+            return;
+        }
+
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.subarray(0, end).toString('utf8');
+                buffer = buffer.subarray(end + 2);
+                const inData = session.isReceivingData;
+                const previous = session.lastMessage;
+                if (!inData || line === '.') {
+                    log(`[${id}] C: ${line}`);
+                }
+                const reply = session.handle(line);
+                if (session.lastMessage && session.lastMessage !== previous) {
+                    const message = session.lastMessage;
+                    log(`[${id}] accepted ${message.id} from <${message.from}> to ${message.recipients.map(r => `<${r}>`).join(', ')} (${message.data.length} bytes)`);
+                }
+                if (reply) {
+                    send(reply);
+                }
+                if (session.isClosed) {
+                    close();
+                    return;
+                }
+            }
+            if (buffer.length > MAX_LINE_BYTES) {
+                send(SMTPServer.reply(500, '5.5.6 Line too long, closing connection'));
+                close();
+            }
+        });
+        socket.on('close', () => {
+            smtp.disconnect(session);
+            log(`[${id}] closed`);
+        });
+        socket.on('error', () => socket.destroy());
+    });
+    server.smtp = smtp;
+    return server;
+}
+
+module.exports = { createListener };
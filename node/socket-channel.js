@@ -0,0 +1,56 @@
+// Byte channel over a real TCP socket, the shape RemoteSMTPServer expects
+// from its open() option. The WebSocket bridge uses it for the browser, and
+// Node scripts pass openSocket straight to RemoteSMTPServer.
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Connect to an SMTP listener
+ * @param {string} host - Host name or address
+ * @param {number} port - TCP port
+ * @param {Object} handlers - { onData(bytes), onClose() }, called for everything the server sends
+ * @returns {Promise<Object>} Channel { send(bytes), upgrade(), close() }
+ */
+function openSocket(host, port, handlers) {
+    return new Promise((resolve, reject) => {
+        let socket = net.connect({ host, port });
+        const channel = {
+            send: bytes => socket.write(Buffer.from(bytes)),
+            close: () => socket.end(),
+            // STARTTLS: continue on the same connection inside TLS (RFC 3207); test MTAs use self-signed certificates
+            upgrade: () => new Promise((done, fail) => {
+                socket.removeAllListeners('data');
+                socket.removeAllListeners('close');
+                const secure = tls.connect({ socket, servername: net.isIP(host) ? undefined : host, rejectUnauthorized: false }, () => {
+                    const certificate = secure.getPeerCertificate();
+                    done({
+                        protocol: secure.getProtocol(),
+                        cipher: secure.getCipher().standardName || secure.getCipher().name,
+                        subject: certificate && certificate.subject ? certificate.subject.CN : undefined
+                    });
+                });
+                secure.on('error', (error) => {
+                    fail(error);
+                    secure.destroy();
+                });
+                listen(secure);
+                socket = secure;
+            })
+        };
+        const listen = (stream) => {
+            stream.on('data', data => handlers.onData(new Uint8Array(data)));
+            stream.on('close', () => handlers.onClose());
+        };
+        const refused = error => reject(new Error(`Cannot connect to ${host}:${port}: ${error.code || error.message}`));
+        socket.once('error', refused);
+        socket.once('connect', () => {
+            socket.removeListener('error', refused);
+            // A reset connection ends in 'close', which the session answers with 421
+            socket.on('error', () => socket.destroy());
+            resolve(channel);
+        });
+        listen(socket);
+    });
+}
+
+module.exports = { openSocket };
@@ -0,0 +1,330 @@
+// WebSocket bridge between the browser UI and real SMTP listeners
+// A browser cannot open a TCP socket, so the page sends JSON messages over a
+// WebSocket (RFC 6455, implemented here without dependencies) and the bridge
+// relays the bytes to the SMTP listener:
+//   page → bridge: { type: 'open', host, port }, { type: 'send', data (base64) }, { type: 'starttls' }, { type: 'close' }
+//   bridge → page: { type: 'opened' }, { type: 'data', data (base64) }, { type: 'secure', protocol, cipher, subject }, { type: 'closed' }, { type: 'error', message }
+// Only SMTP ports on this machine can be reached, so a web page cannot turn
+// the bridge into a proxy for other protocols or hosts.
+const crypto = require('crypto');
+const http = require('http');
+const { openSocket } = require('./socket-channel');
+
+// Fixed GUID of the opening handshake (RFC 6455 section 1.3)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Subprotocol the page asks for, see RemoteSMTPServer.bridge()
+const BRIDGE_PROTOCOL = 'smtp-bridge';
+// Largest message accepted from the page (a base64 chunk of the message content)
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+// Hosts that name this machine
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+// Ports SMTP test servers usually listen on (MailHog, smtp4dev and Mailpit use 1025 or 2525)
+const SMTP_PORTS = [25, 587, 1025, 2525];
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+/**
+ * Encode one unmasked server frame (RFC 6455 section 5.2)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Payload bytes
+ * @returns {Buffer} Frame bytes
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(payload.length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+        header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first complete frame in a buffer
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object|null} { fin, opcode, masked, payload, length } where length is the bytes consumed, or null when the frame is incomplete
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const long = buffer.readBigUInt64BE(2);
+        // Anything this large is refused by the caller; keep the number safe
+        length = long > BigInt(MAX_MESSAGE_BYTES) ? MAX_MESSAGE_BYTES + 1 : Number(long);
+        offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+        return { fin, opcode, masked, payload: null, length: buffer.length, tooLarge: true };
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+    return { fin, opcode, masked, payload, length: offset + length };
+}
+
+/**
+ * Whether a page may ask the bridge to connect to a host and port
+ * @param {string} host - Requested host
+ * @param {number} port - Requested port
+ * @param {string[]} allowed - Extra "host:port" targets given on the command line
+ * @returns {boolean} True for SMTP ports on this machine and the extra targets
+ */
+function isAllowedTarget(host, port, allowed = []) {
+    if (allowed.includes(`${host}:${port}`)) return true;
+    return LOOPBACK_HOSTS.includes(host) && SMTP_PORTS.includes(port);
+}
+
+/**
+ * Whether a page's origin may use the bridge
+ * Pages served from this machine are let in. A page opened from a file sends
+ * the origin "null", but so does any site from a sandboxed iframe or a data:
+ * URL, so file pages need the explicit opt-in.
+ * @param {string|undefined} origin - Origin header of the handshake; none from clients that are not browsers
+ * @param {string[]} origins - Extra origins given on the command line
+ * @param {boolean} allowFile - Also let in the origins "null" and "file://"
+ * @returns {boolean} True when the origin is trusted
+ */
+function isAllowedOrigin(origin, origins = [], allowFile = false) {
+    if (!origin || origins.includes(origin)) return true;
+    if (origin === 'null' || origin === 'file://') return allowFile;
+    try {
+        return LOOPBACK_HOSTS.includes(new URL(origin).hostname.replace(/^\[|\]$/g, ''));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Create the bridge; call listen(port, host) on the result to start it
+ * @param {Object} options - Bridge options
+ * @param {string} options.path - URL path of the WebSocket endpoint, '/smtp' by default
+ * @param {string[]} options.allow - Extra "host:port" targets beyond the local SMTP ports
+ * @param {string[]} options.origins - Extra page origins beyond localhost
+ * @param {boolean} options.allowFile - Let in pages opened from a file (origin "null")
+ * @param {Function} options.log - Called with each bridge event line
+ * @returns {http.Server} HTTP server answering the WebSocket upgrade
+ */
+function createBridge(options = {}) {
+    const path = options.path || '/smtp';
+    const log = options.log || (() => {});
+    let clients = 0;
+
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+        response.end(`SMTP bridge: connect a WebSocket to ${path}\n`);
+    });
+
+    server.on('upgrade', (request, socket, head) => {
+        const refuse = (status, text) => {
+            socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+        };
+        const key = request.headers['sec-websocket-key'];
+        const protocols = (request.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+        if (new URL(request.url, 'http://bridge').pathname !== path) {
+            refuse(404, 'Not Found');
+            return;
+        }
+        if (!key || request.headers['sec-websocket-version'] !== '13' || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            refuse(400, 'Bad Request');
+            return;
+        }
+        if (!isAllowedOrigin(request.headers.origin, options.origins, options.allowFile)) {
+            log(`refused page from ${request.headers.origin}`);
+            refuse(403, 'Forbidden');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            ...(protocols.includes(BRIDGE_PROTOCOL) ? [`Sec-WebSocket-Protocol: ${BRIDGE_PROTOCOL}`] : []),
+            '', ''
+        ].join('\r\n'));
+        handleClient(socket, head, `W${++clients}`);
+    });
+
+    /**
+     * Relay one page's messages to its SMTP connection
+     * @param {net.Socket} socket - Upgraded connection of the page
+     * @param {Buffer} head - Bytes that arrived together with the handshake
+     * @param {string} id - Name used in the log, e.g. 'W1'
+     */
+    function handleClient(socket, head, id) {
+        let buffer = Buffer.alloc(0);
+        let fragments = []; // Payloads of a fragmented message
+        let channel = null; // Connection to the SMTP listener
+        let opening = false; // True while the connection is being made
+        let closing = false;
+
+        const sendJson = (message) => {
+            if (!socket.destroyed) socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+        };
+        const close = (code = 1000) => {
+            if (closing) return;
+            closing = true;
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code);
+            socket.end(encodeFrame(OPCODES.close, payload));
+            if (channel) channel.close();
+        };
+
+        const receive = async (message) => {
+            switch (message.type) {
+                case 'open': {
+                    const port = Number(message.port);
+                    if (channel || opening) {
+                        sendJson({ type: 'error', message: channel ? 'Already connected' : 'Already connecting' });
+                    } else if (!isAllowedTarget(message.host, port, options.allow)) {
+                        log(`[${id}] refused target ${message.host}:${port}`);
+                        sendJson({ type: 'error', message: `The bridge only connects to SMTP ports on this machine (${SMTP_PORTS.join(', ')}); allow ${message.host}:${port} with --allow` });
+                    } else {
+                        // Bytes and the close wait until the page knows the connection is open
+                        const early = [];
+                        let opened = false;
+                        const forward = (reply) => {
+                            if (opened) {
+                                sendJson(reply);
+                            } else {
+                                early.push(reply);
+                            }
+                        };
+                        // Marked before the wait, so a second open cannot slip past the check above
+                        opening = true;
+                        try {
+                            channel = await openSocket(message.host, port, {
+                                onData: bytes => forward({ type: 'data', data: Buffer.from(bytes).toString('base64') }),
+                                onClose: () => {
+                                    log(`[${id}] ${message.host}:${port} closed the connection`);
+                                    forward({ type: 'closed' });
+                                    if (opened) close();
+                                }
+                            });
+                        } catch (error) {
+                            sendJson({ type: 'error', message: error.message });
+                            return;
+                        } finally {
+                            opening = false;
+                        }
+                        // The page may have gone while the connection was being made
+                        if (closing) {
+                            channel.close();
+                            return;
+                        }
+                        log(`[${id}] connected to ${message.host}:${port}`);
+                        sendJson({ type: 'opened' });
+                        opened = true;
+                        early.forEach(sendJson);
+                        if (early.some(reply => reply.type === 'closed')) close();
+                    }
+                    break;
+                }
+                case 'send':
+                    if (channel) channel.send(Buffer.from(String(message.data), 'base64'));
+                    break;
+                case 'starttls':
+                    if (!channel) break;
+                    try {
+                        const secure = await channel.upgrade();
+                        log(`[${id}] TLS established: ${secure.protocol} ${secure.cipher}`);
+                        sendJson({ type: 'secure', ...secure });
+                    } catch (error) {
+                        sendJson({ type: 'error', message: `TLS handshake failed: ${error.message}` });
+                    }
+                    break;
+                case 'close':
+                    close();
+                    break;
+                default:
+                    sendJson({ type: 'error', message: `Unknown message type ${message.type}` });
+            }
+        };
+
+        const read = (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            let frame;
+            while (!closing && (frame = decodeFrame(buffer))) {
+                buffer = buffer.subarray(frame.length);
+                if (frame.tooLarge) {
+                    close(1009);
+                    return;
+                }
+                // Pages must mask their frames (RFC 6455 section 5.1)
+                if (!frame.masked) {
+                    close(1002);
+                    return;
+                }
+                switch (frame.opcode) {
+                    case OPCODES.text:
+                    case OPCODES.continuation:
+                        fragments.push(frame.payload);
+                        if (fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) {
+                            close(1009);
+                            return;
+                        }
+                        if (frame.fin) {
+                            const text = Buffer.concat(fragments).toString('utf8');
+                            fragments = [];
+                            let message;
+                            try {
+                                message = JSON.parse(text);
+                            } catch (error) {
+                                message = null;
+                            }
+                            if (!message || typeof message !== 'object') {
+                                close(1007);
+                                return;
+                            }
+                            receive(message).catch(error => sendJson({ type: 'error', message: error.message }));
+                        }
+                        break;
+                    case OPCODES.ping:
+                        socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                        break;
+                    case OPCODES.pong:
+                        break;
+                    case OPCODES.close:
+                        close();
+                        break;
+                    default:
+                        // Binary frames are not part of the bridge protocol
+                        close(1003);
+                }
+            }
+        };
+        socket.on('data', read);
+        if (head.length > 0) read(head);
+        socket.on('close', () => {
+            if (channel) channel.close();
+        });
+        socket.on('error', () => socket.destroy());
+    }
+
+    return server;
+}
+
+module.exports = { createBridge, encodeFrame, decodeFrame, isAllowedTarget, isAllowedOrigin };
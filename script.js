@@ -1,14 +1,398 @@
-// SMTP Simulator Class
-class SMTPSimulator {
-    constructor() {
-        this.isRunning = false;
-        this.totalPackets = 0;
-        this.lostPackets = 0;
-        this.retransmissions = 0;
-        this.currentStep = 0;
-        this.totalSteps = 5;
-        this.isReceiverOnline = true; // Receiver status
-        this.queuedEmails = []; // Emails waiting for receiver
+// SMTP Simulator View
+// Renders the events emitted by SMTPEngine (engine/smtp-engine.js) into the page
+class SMTPView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose events are rendered
+     * @param {Playback} playback - Clock whose speed paces the packet animation
+     */
+    constructor(engine, playback) {
+        this.engine = engine;
+        this.playback = playback;
+        // Diagram nodes from left to right
+        this.nodeIds = {
+            client: 'clientNode',
+            server: 'smtpNode',
+            mta: 'mtaNode',
+            mx: 'mxNode',
+            recipient: 'recipientNode',
+            reader: 'readerNode'
+        };
+        this.logFilter = null; // Session whose log lines are shown, or null for all
+        this.eventSession = null; // Session of the event being rendered
+        this.bindEngine();
+    }
+
+    // Subscribe to the engine events rendered by this view
+    bindEngine() {
+        // Remember which session each event belongs to, so its log lines can be tagged
+        const engine = {
+            on: (type, listener) => this.engine.on(type, (event) => {
+                this.eventSession = event.sessionId || null;
+                try {
+                    listener(event);
+                } finally {
+                    this.eventSession = null;
+                }
+            })
+        };
+
+        engine.on('sessionStart', (event) => {
+            // Concurrent sessions share the log; the first one to start clears it (only when online)
+            if (event.active === 1) {
+                if (this.engine.isReceiverOnline) {
+                    document.getElementById('logSection').innerHTML = '';
+                }
+                this.clearRecipients();
+            }
+            const port = event.config.port || 25;
+            const from = `from ${event.client.hostname}${port === 25 ? '' : `, port ${port}`}`;
+            this.log(`=== Starting SMTP Session ${event.sessionId} (${from}) ===`, 'command');
+            if (event.active > 1) {
+                this.log(`👥 ${event.active} sessions now running at the same time`, 'info');
+            }
+        });
+
+        engine.on('sessionEnd', (event) => {
+            const rejected = event.recipients.filter(r => r.status === 'rejected' || r.status === 'failed').length;
+            if (event.outcome === 'delivered' && rejected > 0) {
+                const delivered = event.recipients.length - rejected;
+                this.log(`=== Email delivered to ${delivered} of ${event.recipients.length} recipient(s) ===`, 'warning');
+            } else if (event.outcome === 'delivered') {
+                this.log('=== Email delivered successfully! ===', 'success');
+            } else if (event.outcome === 'queued') {
+                this.log('=== Email queued successfully! ===', 'success');
+            }
+        });
+
+        engine.on('sessionError', (event) => {
+            this.log(`❌ ERROR: ${event.message}`, 'error');
+        });
+
+        engine.on('clientRetry', (event) => {
+            this.log(`🔁 Temporary failure, attempt ${event.attempt} of ${event.attempts}: ${event.reason}. Trying again in ${event.wait / 1000} s`, 'warning');
+        });
+
+        engine.on('fault', (event) => {
+            this.log(`💥 Fault injected at ${FaultInjector.POINTS[event.point]}: ${FaultInjector.KINDS[event.kind].label}`, 'error');
+        });
+
+        engine.on('replyTimeout', (event) => {
+            this.log(`⏰ No reply to ${event.command} within ${event.timeout / 1000} s, closing the connection`, 'error');
+        });
+
+        engine.on('command', (event) => {
+            this.log(`→ CLIENT: ${event.command}`, 'command');
+        });
+
+        engine.on('content', (event) => {
+            this.log(`→ CLIENT: Subject: ${event.subject}`, 'command');
+            this.log(`→ CLIENT: From: ${event.from}`, 'command');
+            this.log(`→ CLIENT: To: ${event.to}`, 'command');
+            event.attachments.forEach(name => {
+                this.log(`→ CLIENT: Attachment: ${name}`, 'command');
+            });
+            // The full payload is in the Raw DATA view
+            if (event.chunks) {
+                this.log(`→ CLIENT: [MIME message: ${event.lines.length} lines, ${event.size} bytes in ${event.chunks.length} BDAT chunk(s), no dot-stuffing]`, 'command');
+            } else {
+                this.log(`→ CLIENT: [MIME message: ${event.lines.length} lines, ${event.size} bytes]`, 'command');
+                this.log('→ CLIENT: .', 'command');
+            }
+        });
+
+        engine.on('reply', (event) => {
+            if (event.from === 'recipient') {
+                this.log(`← RECIPIENT SERVER: ${event.code} ${event.text}`, 'success');
+            } else {
+                const type = event.code >= 400 ? 'error' : 'response';
+                SMTPServer.formatReply(event).forEach(line => this.log(`← SERVER: ${line}`, type));
+            }
+        });
+
+        engine.on('capabilities', (event) => {
+            const keywords = Object.entries(event.capabilities)
+                .map(([keyword, params]) => params ? `${keyword} ${params}` : keyword);
+            this.log(`📋 Server extensions: ${keywords.length ? keywords.join(', ') : 'none'}`, 'info');
+        });
+
+        engine.on('negotiation', (event) => {
+            const type = event.action === 'refuse' ? 'error' : event.action === 'fallback' ? 'warning' : 'info';
+            this.log(`🔧 ${event.extension}: ${event.detail}`, type);
+        });
+
+        engine.on('recipientStatus', (event) => {
+            const recipient = event.recipient;
+            if (recipient.status === 'rejected') {
+                this.log(`🚫 Recipient <${recipient.address}> rejected: ${recipient.code} ${recipient.text}`, 'warning');
+            } else if (recipient.status === 'deferred') {
+                this.log(`⏳ Recipient <${recipient.address}> deferred: ${recipient.code} ${recipient.text} (temporary, the client will try again)`, 'warning');
+            }
+            this.renderRecipient(recipient);
+        });
+
+        engine.on('authStep', (event) => {
+            // Make NUL separators of AUTH PLAIN visible
+            const decoded = event.decoded === null ? '(not base64)' : event.decoded.replace(/\0/g, '␀');
+            const who = event.from === 'server' ? 'Server challenge' : 'Client response';
+            this.log(`🔓 ${who} ${event.encoded} decodes to: "${decoded}"`, 'info');
+        });
+
+        engine.on('authWarning', (event) => {
+            this.log(`⚠️ AUTH ${event.mechanism} on an unencrypted connection: base64 is an encoding, not encryption. Anyone watching the connection can read this password.`, 'warning');
+        });
+
+        engine.on('tlsRecord', (event) => {
+            if (event.source === 'console') return;
+            const arrow = event.from === 'client' ? '→ CLIENT' : '← SERVER';
+            this.log(`🤝 ${arrow} [TLS handshake] ${event.records.join(', ')}`, 'info');
+        });
+
+        engine.on('tlsEstablished', (event) => {
+            this.log(`🔒 ${event.version} established (${event.cipherSuite}, certificate ${event.certificate}). Everything from here on is encrypted.`, 'success');
+        });
+
+        engine.on('mitm', (event) => {
+            this.log(`🕵️ MITM: ${event.detail}`, 'error');
+        });
+
+        engine.on('authenticated', (event) => {
+            this.log(`🔐 Logged in as "${event.username}" using ${event.mechanism}`, 'success');
+        });
+
+        engine.on('packetLost', (event) => {
+            if (event.source === 'console') return;
+            const segment = event.segments > 1 ? ` (segment ${event.segment}/${event.segments})` : '';
+            this.log(`⚠️ Segment lost during transmission of: ${event.command}${segment}`, 'warning');
+        });
+
+        engine.on('rtoExpired', (event) => {
+            if (event.source === 'console') return;
+            this.log(`⏱️ No ACK within RTO ${event.rto} ms, retransmission timer expired (next RTO ${event.nextRto} ms)`, 'warning');
+        });
+
+        engine.on('retransmit', (event) => {
+            if (event.source === 'console') return;
+            this.log(`🔄 Retransmitting ${event.command} (attempt ${event.attempt} of ${event.maxRetries + 1})...`, 'warning');
+        });
+
+        engine.on('tcpTimeout', (event) => {
+            this.log(`⛔ TCP: no ACK for ${event.label} after ${event.attempts} attempts, connection timed out`, 'error');
+        });
+
+        engine.on('tcp', (event) => {
+            if (event.source === 'console') return;
+            const arrow = event.from === 'client' ? '→' : '←';
+            if (/SYN|FIN|RST/.test(event.label)) {
+                this.log(`📶 TCP ${arrow} ${event.label} seq=${event.seq}`, event.label === 'RST' ? 'error' : 'info');
+            } else if (event.range) {
+                this.log(`📶 TCP ${arrow} ${event.label}: segments ${event.range}, ${event.length} bytes (cwnd ${event.cwnd})`, 'info');
+            }
+        });
+
+        engine.on('tcpState', (event) => {
+            if (event.source === 'console') return;
+            this.log(`🔗 TCP connection ${event.state}`, 'info');
+        });
+
+        engine.on('packet', (event) => {
+            // Connection packets only carry a direction; retrieval names its own endpoints
+            const ends = event.endpoints || { client: 'client', server: 'server' };
+            const from = event.from || (event.direction === 'left' ? ends.server : ends.client);
+            const to = event.to || (event.direction === 'left' ? ends.client : ends.server);
+            this.animatePacket(from, to, event.duration, event.kind);
+        });
+        engine.on('node', (event) => this.highlightNode(event.node));
+        engine.on('progress', (event) => {
+            // With several sessions running, say whose step the bar shows
+            const status = this.engine.activeSessions.size > 1 ? `${event.sessionId}: ${event.status}` : event.status;
+            this.updateProgress(event.percentage, status);
+        });
+        engine.on('stats', (event) => this.updateStats(event));
+
+        engine.on('queued', (event) => {
+            const email = event.email;
+            if (email.attempts === 1) {
+                this.log(`⏸️ Delivery deferred (${email.lastError}). Email stored in the relay queue.`, 'warning');
+                this.log(`📧 Email queued [ID: ${email.id}]: From ${email.sender || '<>'} to ${email.recipient}`, 'info');
+                this.log(`📊 Total emails in queue: ${event.queueLength}`, 'info');
+            }
+            this.log(`⏳ Attempt ${email.attempts} failed, next attempt in ${Math.round(event.delay / 1000)} s`, 'warning');
+        });
+
+        engine.on('expired', (event) => {
+            this.log(`⌛ Email [ID: ${event.email.id}] to ${event.email.recipient} expired after ${event.attempts} attempts`, 'error');
+        });
+
+        engine.on('bounce', (event) => {
+            this.log(`↩️ Bounce (DSN, status ${event.status}) for <${event.email.recipient}> sent back to ${event.email.sender}`, 'warning');
+        });
+
+        engine.on('bounceDiscarded', (event) => {
+            this.log(`🗑️ Bounce [ID: ${event.email.id}] could not be delivered either and was discarded (never bounce a bounce)`, 'error');
+        });
+
+        engine.on('queueRestored', (event) => {
+            this.log(`💾 Restored ${event.count} queued email(s) from the previous visit`, 'info');
+        });
+
+        engine.on('relay', (event) => {
+            if (event.fromQueue) {
+                this.log(`📬 Retrying queued email [ID: ${event.email.id}] to ${event.email.recipient}...`, 'info');
+            } else {
+                document.getElementById('mtaHostLabel').textContent = event.to;
+                this.log(`→ RELAY: ${event.from} hands the message for <${event.email.recipient}> to ${event.to}`, 'command');
+            }
+        });
+
+        engine.on('spoofing', (event) => {
+            const how = event.mode === 'forged-signature' ? ' and signs it with a made-up DKIM key' : ' without a DKIM signature';
+            this.log(`🕵️ SPOOFING: ${event.host} [${event.address}] sends as <${event.email.sender}>${how}`, 'error');
+        });
+
+        engine.on('dkimSigned', (event) => {
+            const who = event.forged ? `Forged DKIM signature for d=${event.domain}` : `${event.email.relayHost} DKIM-signs as d=${event.domain}`;
+            this.log(`🔏 ${who} s=${event.selector} (rsa-sha256, signed headers: ${event.headers.join(', ')})`, event.forged ? 'warning' : 'info');
+        });
+
+        engine.on('authResults', (event) => {
+            const dkim = event.dkim.length ? event.dkim.map(signature => `${signature.result} (d=${signature.domain})`).join(', ') : 'none';
+            this.log(`🛡️ ${event.host} checks <${event.email.sender || 'null sender'}> from ${event.email.relayHost} [${event.ip}]: ` +
+                `SPF ${event.spf.result}, DKIM ${dkim}, DMARC ${event.dmarc.result}`, event.dmarc.result === 'fail' ? 'warning' : 'info');
+            if (event.dmarc.disposition !== 'none') {
+                this.log(`🛡️ DMARC policy of ${event.dmarc.domain} is p=${event.dmarc.policy}: the message is ${event.dmarc.disposition === 'reject' ? 'rejected' : 'quarantined'}`, 'error');
+            }
+        });
+
+        engine.on('contentFilter', (event) => {
+            const rules = event.results.filter(result => result.score !== 0).map(result => `${result.id} ${result.score > 0 ? '+' : ''}${result.score}`);
+            const verdict = { inbox: 'inbox', spam: 'Junk folder', quarantine: 'quarantine', reject: 'reject' }[event.action];
+            this.log(`🧹 ${event.host} content filter scores the message for <${event.email.recipient}>: ${event.score} points` +
+                `${rules.length ? ` (${rules.join(', ')})` : ''} → ${verdict}`, event.action === 'inbox' ? 'info' : 'warning');
+        });
+
+        engine.on('quarantined', (event) => {
+            this.log(`🔒 Email [ID: ${event.email.id}] for <${event.email.recipient}> held in quarantine as ${event.id} (score ${event.score})`, 'warning');
+        });
+
+        engine.on('received', (event) => {
+            this.log(`📜 ${event.by} adds: ${event.header.map(line => line.trim()).join(' ')}`, 'info');
+        });
+
+        engine.on('remoteAccepted', (event) => {
+            this.log(`📨 ${event.host}:${event.port} accepted the message for ${event.recipients.map(address => `<${address}>`).join(', ')}: ${event.text}`, 'success');
+        });
+
+        engine.on('dnsQuery', (event) => {
+            const idn = event.idn ? ` (${event.idn} in punycode)` : '';
+            this.log(`🔎 DNS: ${event.resolver} asks for the ${event.record} records of ${event.domain}${idn}`, 'command');
+        });
+
+        engine.on('dnsAnswer', (event) => {
+            if (event.status !== 'NOERROR') {
+                this.log(`🔎 DNS: ${event.domain} → ${event.status}`, 'error');
+            } else if (event.implicit) {
+                this.log(`🔎 DNS: ${event.domain} has no MX records, using its address ${event.hosts[0].address} (implicit MX)`, 'warning');
+            } else {
+                const hosts = event.hosts.map(mx => `${mx.priority} ${mx.host}${mx.address ? ` [${mx.address}]` : ''}`);
+                this.log(`🔎 DNS: ${event.domain} MX → ${hosts.join(', ')}`, 'response');
+            }
+        });
+
+        engine.on('mxAttempt', (event) => {
+            document.getElementById('mxHostLabel').textContent = event.host;
+            this.log(`→ RELAY: Connecting to MX ${event.host} (priority ${event.priority})...`, 'command');
+        });
+
+        engine.on('mxUnreachable', (event) => {
+            this.log(`⚠️ MX ${event.host} unreachable: ${event.reason}, trying the next MX`, 'warning');
+        });
+
+        engine.on('greylisted', (event) => {
+            this.log(`🚦 ${event.host} greylists <${event.email.sender || ''}> → <${event.email.recipient}>: 450 4.7.1 try again in ${Math.ceil(event.wait / 1000)} s`, 'warning');
+        });
+
+        engine.on('relayDeferred', (event) => {
+            this.log(`⏸️ None of the MX hosts of ${event.domain} answered (${event.tried.join(', ')})`, 'warning');
+        });
+
+        engine.on('relayFailed', (event) => {
+            this.log(`❌ Delivery to <${event.email.recipient}> failed: ${event.code} ${event.text}`, 'error');
+        });
+
+        engine.on('delivered', (event) => {
+            if (event.folder === 'Junk') {
+                this.log(`🗑️ Email [ID: ${event.email.id}] filed in the Junk folder of <${event.email.recipient}>`, 'warning');
+            }
+            if (event.fromQueue) {
+                this.log(`✅ Email [ID: ${event.email.id}] delivered successfully!`, 'success');
+            }
+        });
+
+        engine.on('retrievalOpen', (event) => {
+            this.log(`📥 Reader connecting to ${event.host} port ${event.port} (${MailRetrieval.label(event.protocol)})`, 'command');
+        });
+
+        engine.on('retrievalCommand', (event) => {
+            this.log(`→ READER: ${event.command}`, 'command');
+        });
+
+        engine.on('retrievalReply', (event) => {
+            // Message contents are in the retrieval console; the log keeps the status line
+            const more = event.lines.length > 1 ? ` (+${event.lines.length - 1} lines)` : '';
+            this.log(`← MAILBOX: ${event.lines[0]}${more}`, event.ok ? 'response' : 'error');
+        });
+
+        engine.on('retrievalMessage', (event) => {
+            this.log(`📨 Downloaded message ${event.number} over ${MailRetrieval.label(event.protocol)}: "${MIME.decodeHeader(event.subject)}" (${event.size} bytes)`, 'success');
+        });
+
+        engine.on('retrievalDone', (event) => {
+            const label = MailRetrieval.label(event.protocol);
+            if (event.ok) {
+                this.log(`📥 ${label} session finished: ${event.fetched} message(s) downloaded, ${event.removed} deleted from the server`, 'success');
+            } else {
+                this.log(`📥 ${label} retrieval failed after ${event.fetched} message(s)`, 'error');
+            }
+        });
+
+        engine.on('retrievalError', (event) => {
+            this.log(`❌ ${MailRetrieval.label(event.protocol)}: ${event.message}`, 'error');
+        });
+
+        engine.on('hostStatus', (event) => {
+            this.log(event.down.length ? `🔌 Unreachable hosts: ${event.down.join(', ')}` : '🔌 All mail hosts reachable', 'info');
+        });
+
+        engine.on('queueFlush', (event) => {
+            this.log(event.forced ? `🚀 Retrying all ${event.count} queued email(s) now...` : `🚀 Retry due for ${event.count} queued email(s)...`, 'success');
+        });
+
+        engine.on('queueDrained', (event) => {
+            if (event.remaining === 0 && event.delivered === event.count) {
+                this.log(`🎉 All ${event.count} queued email(s) delivered!`, 'success');
+            } else {
+                this.log(`📋 Queue run finished: ${event.delivered} of ${event.count} delivered, ${event.remaining} still queued`, 'warning');
+            }
+        });
+
+        engine.on('queueError', (event) => {
+            this.log(`❌ Queue run failed: ${event.message}. ${event.restored} email(s) put back in the queue`, 'error');
+        });
+
+        engine.on('receiverStatus', (event) => {
+            this.updateReceiverStatus();
+            if (event.online) {
+                this.log('🟢 Receiver status changed to ONLINE', 'success');
+                if (event.queueLength > 0) {
+                    this.log(`📋 ${event.queueLength} queued email(s) will be delivered at their next attempt`, 'info');
+                }
+            } else {
+                this.log('🔴 Receiver status changed to OFFLINE', 'warning');
+                if (event.queueLength > 0) {
+                    this.log(`📋 ${event.queueLength} email(s) waiting in queue`, 'info');
+                }
+            }
+        });
     }
 
     /**
@@ -22,6 +406,7 @@ class SMTPSimulator {
 
     /**
      * Add a log entry to the console
+     * Entries caused by a Send Email session carry its ID and lane color.
      * @param {string} message - Log message
      * @param {string} type - Log type (info, command, response, error, warning, success)
      */
@@ -29,11 +414,38 @@ class SMTPSimulator {
         const logSection = document.getElementById('logSection');
         const entry = document.createElement('div');
         entry.className = `log-entry ${type}`;
-        entry.innerHTML = `<span class="log-timestamp">[${this.getTimestamp()}]</span>${message}`;
+
+        const timestamp = document.createElement('span');
+        timestamp.className = 'log-timestamp';
+        timestamp.textContent = `[${this.getTimestamp()}]`;
+        entry.appendChild(timestamp);
+        if (this.eventSession) {
+            entry.dataset.session = this.eventSession;
+            entry.style.setProperty('--session-color', SessionTimelineView.color(this.eventSession));
+            const tag = document.createElement('span');
+            tag.className = 'log-session';
+            tag.textContent = this.eventSession;
+            entry.appendChild(tag);
+            entry.hidden = !!this.logFilter && this.logFilter !== this.eventSession;
+        }
+        // Text node so addresses like <alice@example.com> are not parsed as HTML
+        entry.appendChild(document.createTextNode(message));
+
         logSection.appendChild(entry);
         logSection.scrollTop = logSection.scrollHeight;
     }
 
+    /**
+     * Show only the log entries of one session
+     * @param {string|null} sessionId - Session to show, or null for every entry
+     */
+    setLogFilter(sessionId) {
+        this.logFilter = sessionId;
+        document.querySelectorAll('#logSection .log-entry').forEach(entry => {
+            entry.hidden = !!sessionId && entry.dataset.session !== sessionId;
+        });
+    }
+
     /**
      * Update the progress bar and status badge
      * @param {number} percentage - Progress percentage (0-100)
@@ -42,13 +454,13 @@ class SMTPSimulator {
     updateProgress(percentage, status) {
         const progressFill = document.getElementById('progressFill');
         const statusBadge = document.getElementById('statusBadge');
-        
+
         progressFill.style.width = percentage + '%';
         progressFill.textContent = Math.round(percentage) + '%';
-        
+
         statusBadge.textContent = status;
         statusBadge.className = 'status-badge ' + (
-            percentage === 100 ? 'success' : 
+            percentage === 100 ? 'success' :
             percentage === 0 ? 'idle' : 'processing'
         );
     }
@@ -58,403 +470,717 @@ class SMTPSimulator {
      */
     updateReceiverStatus() {
         const receiverStatus = document.getElementById('receiverStatus');
-        const recipientNode = document.getElementById('recipientNode');
-        
-        if (this.isReceiverOnline) {
+        const opacity = this.engine.isReceiverOnline ? '1' : '0.5';
+
+        if (this.engine.isReceiverOnline) {
             receiverStatus.textContent = '🟢 Online';
             receiverStatus.style.color = '#48bb78';
-            recipientNode.style.opacity = '1';
         } else {
             receiverStatus.textContent = '🔴 Offline';
             receiverStatus.style.color = '#fc8181';
-            recipientNode.style.opacity = '0.5';
         }
-    }
-
-    // Update statistics display
-    updateStats() {
-        document.getElementById('totalPackets').textContent = this.totalPackets;
-        document.getElementById('lostPackets').textContent = this.lostPackets;
-        document.getElementById('retransmissions').textContent = this.retransmissions;
-        document.getElementById('queuedEmails').textContent = this.queuedEmails.length;
+        ['mxNode', 'recipientNode'].forEach(id => {
+            document.getElementById(id).style.opacity = opacity;
+        });
     }
 
     /**
-     * Animate packet moving between nodes
-     * @param {string} direction - 'right' or 'left'
-     * @returns {Promise} Resolves when animation completes
+     * Update statistics display
+     * @param {Object} stats - Counters from SMTPEngine.getStats()
      */
-    async animatePacket(direction = 'right') {
-        return new Promise((resolve) => {
-            const packet = document.getElementById('packet');
-            packet.style.display = 'block';
-            packet.className = `packet moving-${direction}`;
-            
-            setTimeout(() => {
-                packet.style.display = 'none';
-                resolve();
-            }, 2000);
-        });
+    updateStats(stats = this.engine.getStats()) {
+        document.getElementById('totalPackets').textContent = stats.totalPackets;
+        document.getElementById('lostPackets').textContent = stats.lostPackets;
+        document.getElementById('retransmissions').textContent = stats.retransmissions;
+        document.getElementById('queuedEmails').textContent = stats.queuedEmails;
+        document.getElementById('deliveredRecipients').textContent = stats.deliveredRecipients;
+        document.getElementById('rejectedRecipients').textContent = stats.rejectedRecipients;
     }
 
-    /**
-     * Highlight active node in network diagram
-     * @param {string} nodeId - ID of node to highlight (or null to clear all)
-     */
-    highlightNode(nodeId) {
-        ['clientNode', 'smtpNode', 'recipientNode'].forEach(id => {
-            document.getElementById(id).classList.remove('active');
-        });
-        if (nodeId) {
-            document.getElementById(nodeId).classList.add('active');
-        }
+    // Empty the recipient status list at the start of a session
+    clearRecipients() {
+        document.getElementById('recipientList').innerHTML = '';
+        this.recipientRows = new Map();
     }
 
     /**
-     * Simulate packet transmission with possible loss and retransmission
-     * @param {string} command - SMTP command being sent
-     * @param {string} expectedResponse - Expected server response code
-     * @param {number} networkDelay - Network delay in milliseconds
-     * @param {number} packetLossRate - Packet loss rate percentage (0-100)
-     * @returns {Promise<string>} Server response code
+     * Add or update a recipient's row in the status list
+     * @param {Object} recipient - Entry of SMTPEngine.recipientResults
      */
-    async sendPacket(command, expectedResponse, networkDelay, packetLossRate) {
-        this.totalPackets++;
-        this.updateStats();
-
-        // Simulate packet loss based on configured rate
-        const isLost = Math.random() * 100 < packetLossRate;
-        
-        if (isLost) {
-            this.lostPackets++;
-            this.updateStats();
-            this.log(`⚠️ Packet lost during transmission of: ${command}`, 'warning');
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-            this.log(`🔄 Retransmitting packet...`, 'warning');
-            this.retransmissions++;
-            this.updateStats();
-            
-            // Retry transmission with reduced packet loss probability
-            return await this.sendPacket(command, expectedResponse, networkDelay, packetLossRate * 0.3);
+    renderRecipient(recipient) {
+        if (!this.recipientRows) {
+            this.clearRecipients();
+        }
+        let row = this.recipientRows.get(recipient);
+        if (!row) {
+            row = document.createElement('li');
+            this.recipientRows.set(recipient, row);
+            document.getElementById('recipientList').appendChild(row);
         }
 
-        // Successful transmission
-        await this.animatePacket('right');
-        await new Promise(resolve => setTimeout(resolve, networkDelay));
-        
-        return expectedResponse;
-    }
+        row.innerHTML = '';
+        const label = document.createElement('span');
+        const kind = document.createElement('span');
+        kind.className = 'recipient-kind';
+        kind.textContent = recipient.kind;
+        label.appendChild(kind);
+        label.appendChild(document.createTextNode(`${recipient.address} (${recipient.code})`));
 
-    /**
-     * Validate email address format
-     * @param {string} email - Email address to validate
-     * @returns {boolean} True if valid email format
-     */
-    isValidEmail(email) {
-        const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return regex.test(email);
-    }
+        const status = document.createElement('span');
+        status.className = `recipient-status ${recipient.status}`;
+        status.textContent = recipient.status;
 
-    /**
-     * Wait for receiver to come online
-     * @param {Object} config - Email configuration
-     * @returns {Promise} Resolves when receiver is online
-     */
-    async waitForReceiverOnline(config) {
-        // This function is no longer used in the main flow
-        // Kept for backward compatibility
-        return Promise.resolve();
+        row.appendChild(label);
+        row.appendChild(status);
     }
 
     /**
-     * Process all queued emails when receiver comes online
+     * Animate packet moving between nodes
+     * @param {string} from - Engine node name the packet leaves
+     * @param {string} to - Engine node name the packet arrives at
+     * @param {number} duration - How long the packet stays visible (ms)
+     * @param {string} kind - 'plain', 'control', 'tls' (handshake) or 'encrypted'
      */
-    async processQueuedEmails() {
-        if (this.queuedEmails.length === 0) return;
-        
-        this.log(`🚀 Processing ${this.queuedEmails.length} queued email(s)...`, 'success');
-        
-        // Create a copy of the queue to process
-        const emailsToProcess = [...this.queuedEmails];
-        this.queuedEmails = [];
-        this.updateStats();
-        
-        // Process each email
-        for (const email of emailsToProcess) {
-            this.log(`📬 Delivering queued email [ID: ${email.id}] to ${email.recipient}...`, 'info');
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            // Animate delivery
-            await this.animatePacket('right');
-            this.highlightNode('recipientNode');
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-            this.log(`✅ Email [ID: ${email.id}] delivered successfully!`, 'success');
-            
-            // Resolve the original promise
-            if (email.resolve) {
-                email.resolve();
-            }
+    animatePacket(from = 'client', to = 'server', duration = 2000, kind = 'plain') {
+        const packet = document.getElementById('packet');
+        // At full playback speed the packet would land before it is drawn
+        if (!isFinite(this.playback.speed)) {
+            packet.style.display = 'none';
+            return;
         }
-        
-        this.log(`🎉 All ${emailsToProcess.length} queued email(s) delivered!`, 'success');
+        duration /= this.playback.speed;
+        // Nodes are evenly spaced along the connection line
+        const nodes = Object.keys(this.nodeIds);
+        const position = node => `${(nodes.indexOf(node) / (nodes.length - 1)) * 100}%`;
+        packet.style.setProperty('--from', position(from));
+        packet.style.setProperty('--to', position(to));
+        packet.style.display = 'block';
+        // Restart the animation when consecutive packets share a class
+        packet.className = 'packet';
+        void packet.offsetWidth;
+        packet.className = `packet moving ${kind}`;
+        packet.style.animationDuration = `${duration}ms, 0.5s`;
+
+        clearTimeout(this.packetTimer);
+        this.packetTimer = setTimeout(() => {
+            packet.style.display = 'none';
+        }, duration);
     }
 
     /**
-     * Main email sending simulation using SMTP protocol
-     * @param {Object} config - Configuration object containing email and network settings
+     * Highlight active node in network diagram
+     * @param {string} node - Engine node name to highlight (or null to clear all)
      */
-    async sendEmail(config) {
-        // Prevent multiple simultaneous simulations when online
-        if (this.isRunning && this.isReceiverOnline) return;
-        
-        this.isRunning = true;
-        this.totalPackets = 0;
-        this.lostPackets = 0;
-        this.retransmissions = 0;
-        this.currentStep = 0;
-        this.updateStats();
-
-        // Clear previous log only when online
-        if (this.isReceiverOnline) {
-            document.getElementById('logSection').innerHTML = '';
+    highlightNode(node) {
+        Object.values(this.nodeIds).forEach(id => {
+            document.getElementById(id).classList.remove('active');
+        });
+        if (node) {
+            document.getElementById(this.nodeIds[node]).classList.add('active');
         }
-        
-        // Disable send button during simulation
-        document.getElementById('sendBtn').disabled = true;
-
-        try {
-            this.log('=== Starting SMTP Session ===', 'command');
-            this.updateProgress(0, 'Connecting...');
-
-            const serverDelay = config.serverDelay * 1000;
-            const networkDelay = config.networkDelay;
-            const packetLossRate = config.packetLoss;
-
-            // STEP 1: HELO - Client Introduction
-            this.currentStep = 1;
-            this.updateProgress(20, 'Handshake');
-            this.highlightNode('clientNode');
-            this.log('→ CLIENT: HELO client.example.com', 'command');
-            
-            await this.sendPacket('HELO client.example.com', '250 OK', networkDelay, packetLossRate);
-            
-            this.highlightNode('smtpNode');
-            await new Promise(resolve => setTimeout(resolve, serverDelay));
-            this.log('← SERVER: 250 Hello client.example.com', 'response');
-
-            // STEP 2: MAIL FROM - Sender Declaration
-            this.currentStep = 2;
-            this.updateProgress(40, 'Sender Verification');
-            this.highlightNode('clientNode');
-            this.log(`→ CLIENT: MAIL FROM:<${config.sender}>`, 'command');
-            
-            await this.sendPacket(`MAIL FROM:<${config.sender}>`, '250 OK', networkDelay, packetLossRate);
-            
-            this.highlightNode('smtpNode');
-            await new Promise(resolve => setTimeout(resolve, serverDelay));
-            this.log('← SERVER: 250 Sender OK', 'response');
-
-            // STEP 3: RCPT TO - Recipient Validation
-            this.currentStep = 3;
-            this.updateProgress(60, 'Recipient Validation');
-            this.highlightNode('clientNode');
-            this.log(`→ CLIENT: RCPT TO:<${config.recipient}>`, 'command');
-            
-            await this.sendPacket(`RCPT TO:<${config.recipient}>`, '250 OK', networkDelay, packetLossRate);
-            
-            this.highlightNode('smtpNode');
-            await new Promise(resolve => setTimeout(resolve, serverDelay));
-
-            // Validate recipient email address
-            if (!this.isValidEmail(config.recipient) || config.recipient.includes('invalid')) {
-                this.log('← SERVER: 550 Invalid recipient address', 'error');
-                this.updateProgress(60, 'Failed');
-                throw new Error('Invalid recipient address');
-            }
+    }
+}
 
-            this.log('← SERVER: 250 Recipient OK', 'response');
-
-            // STEP 4: DATA - Email Content Transmission
-            this.currentStep = 4;
-            this.updateProgress(70, 'Transmitting Message');
-            this.highlightNode('clientNode');
-            this.log('→ CLIENT: DATA', 'command');
-            
-            await this.sendPacket('DATA', '354', networkDelay, packetLossRate);
-            
-            this.highlightNode('smtpNode');
-            await new Promise(resolve => setTimeout(resolve, serverDelay));
-            this.log('← SERVER: 354 Start mail input; end with <CRLF>.<CRLF>', 'response');
-
-            // Send email headers and content
-            this.highlightNode('clientNode');
-            this.log(`→ CLIENT: Subject: ${config.subject}`, 'command');
-            this.log(`→ CLIENT: From: ${config.sender}`, 'command');
-            this.log(`→ CLIENT: To: ${config.recipient}`, 'command');
-            
-            if (config.attachment) {
-                this.log(`→ CLIENT: Attachment: ${config.attachment}`, 'command');
-            }
-            
-            // Show truncated message body in log
-            const bodyPreview = config.body.length > 50 
-                ? config.body.substring(0, 50) + '...' 
-                : config.body;
-            this.log(`→ CLIENT: [Message Body: ${bodyPreview}]`, 'command');
-            this.log('→ CLIENT: .', 'command');
-            
-            await this.sendPacket('EMAIL_CONTENT', '250', networkDelay, packetLossRate);
-            
-            this.highlightNode('smtpNode');
-            await new Promise(resolve => setTimeout(resolve, serverDelay));
-            this.log('← SERVER: 250 Message accepted and stored in queue', 'response');
-
-            // Check if receiver is online
-            this.updateProgress(80, 'Checking Receiver Status');
-            this.log('→ SMTP: Checking recipient server status...', 'command');
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            if (!this.isReceiverOnline) {
-                this.updateProgress(85, 'Receiver Offline - Queued');
-                const emailId = Date.now() + Math.random();
-                config.id = emailId;
-                this.log('⏸️ Receiver is OFFLINE. Email stored in server queue.', 'warning');
-                this.log(`📧 Email queued [ID: ${emailId}]: From ${config.sender} to ${config.recipient}`, 'info');
-                this.queuedEmails.push({
-                    ...config,
-                    queuedAt: new Date(),
-                    resolve: () => {}
-                });
-                this.updateStats();
-                this.log(`📊 Total emails in queue: ${this.queuedEmails.length}`, 'info');
-                this.log('⏳ Email will be delivered when receiver comes online...', 'warning');
-                
-                // Complete the session
-                this.currentStep = 5;
-                this.updateProgress(100, 'Queued');
-                this.highlightNode('clientNode');
-                this.log('→ CLIENT: QUIT', 'command');
-                
-                await this.sendPacket('QUIT', '221', networkDelay, packetLossRate);
-                
-                this.highlightNode('smtpNode');
-                await new Promise(resolve => setTimeout(resolve, serverDelay));
-                this.log('← SERVER: 221 Goodbye', 'response');
-                
-                this.highlightNode(null);
-                this.log('=== Email queued successfully! ===', 'success');
-                
-                // Allow sending more emails quickly
-                setTimeout(() => {
-                    this.isRunning = false;
-                    document.getElementById('sendBtn').disabled = false;
-                }, 500);
-                return;
-            } else {
-                this.log('← RECIPIENT SERVER: 200 Server is ONLINE', 'success');
-            }
+/**
+ * Collect configuration from form inputs
+ * @returns {Object} Email and network settings
+ */
+function readConfig() {
+    // 0 is a valid delay or loss rate; only an empty field falls back
+    const number = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? fallback : value;
+    };
+    return {
+        sender: document.getElementById('senderEmail').value || 'sender@example.com',
+        to: document.getElementById('recipientEmail').value || 'recipient@example.com',
+        cc: document.getElementById('ccEmails').value,
+        bcc: document.getElementById('bccEmails').value,
+        subject: document.getElementById('subject').value || 'Test Email',
+        body: document.getElementById('messageBody').value || 'This is a test message.',
+        attachments: pickedAttachments,
+        bodyEncoding: document.getElementById('bodyEncoding').value,
+        serverDelay: number('serverDelay', 1),
+        networkDelay: number('networkDelay', 500),
+        packetLoss: number('packetLoss', 10),
+        tcp: readTcpOptions(),
+        greeting: document.getElementById('greetingMode').value,
+        pipelining: document.getElementById('usePipelining').checked,
+        chunking: document.getElementById('useChunking').checked,
+        chunkSize: parseInt(document.getElementById('chunkSize').value) || 0,
+        port: parseInt(document.getElementById('smtpPort').value),
+        starttls: document.getElementById('starttlsMode').value,
+        auth: readAuthConfig(),
+        dkimSign: document.getElementById('dkimSign').checked,
+        spoofing: document.getElementById('spoofMode').value,
+        retry: readClientRetry()
+    };
+}
 
-            // Only deliver if receiver is currently online
-            if (this.isReceiverOnline) {
-                // Forward message to recipient server (now that receiver is online)
-                this.updateProgress(90, 'Delivering to Recipient');
-                this.log('→ SMTP: Forwarding message to recipient server...', 'command');
-                await this.animatePacket('right');
-                this.highlightNode('recipientNode');
-                await new Promise(resolve => setTimeout(resolve, serverDelay));
-                this.log('← RECIPIENT SERVER: 250 Message delivered to mailbox', 'success');
-            }
+/**
+ * Collect how often the client tries again after a temporary (4xx) failure
+ * @returns {Object} { attempts, delay (ms) }
+ */
+function readClientRetry() {
+    const delay = parseFloat(document.getElementById('clientRetryDelay').value);
+    return {
+        attempts: parseInt(document.getElementById('clientRetries').value) || 1,
+        delay: (isNaN(delay) ? 10 : delay) * 1000
+    };
+}
 
-            // STEP 5: QUIT - Close Connection
-            this.currentStep = 5;
-            this.updateProgress(100, 'Complete');
-            this.highlightNode('clientNode');
-            this.log('→ CLIENT: QUIT', 'command');
-            
-            await this.sendPacket('QUIT', '221', networkDelay, packetLossRate);
-            
-            this.highlightNode('smtpNode');
-            await new Promise(resolve => setTimeout(resolve, serverDelay));
-            this.log('← SERVER: 221 Goodbye', 'response');
-            
-            this.highlightNode(null);
-            this.log('=== Email delivered successfully! ===', 'success');
-
-        } catch (error) {
-            // Handle errors during transmission
-            this.log(`❌ ERROR: ${error.message}`, 'error');
-            this.updateProgress(this.currentStep * 20, 'Failed');
-            this.highlightNode(null);
-        } finally {
-            // Re-enable send button
-            this.isRunning = false;
-            document.getElementById('sendBtn').disabled = false;
-        }
-    }
+/**
+ * Collect the network conditions used by the consoles and the mail retrieval
+ * @returns {Object} { serverDelay, networkDelay, packetLossRate } in ms and percent
+ */
+function readTiming() {
+    const config = readConfig();
+    return {
+        serverDelay: config.serverDelay * 1000,
+        networkDelay: config.networkDelay,
+        packetLossRate: config.packetLoss
+    };
+}
 
-    /**
-     * Toggle receiver online/offline status
-     */
-    toggleReceiverStatus() {
-        this.isReceiverOnline = !this.isReceiverOnline;
-        this.updateReceiverStatus();
-        
-        if (this.isReceiverOnline) {
-            this.log('🟢 Receiver status changed to ONLINE', 'success');
-            
-            // Process any queued emails
-            if (this.queuedEmails.length > 0) {
-                this.processQueuedEmails();
-            }
-        } else {
-            this.log('🔴 Receiver status changed to OFFLINE', 'warning');
-            if (this.queuedEmails.length > 0) {
-                this.log(`📋 ${this.queuedEmails.length} email(s) waiting in queue`, 'info');
+/**
+ * Collect the transport settings
+ * @returns {Object} TCPConnection options
+ */
+function readTcpOptions() {
+    const retries = parseInt(document.getElementById('tcpRetries').value);
+    return {
+        mss: parseInt(document.getElementById('tcpMss').value) || 536,
+        initialRto: parseInt(document.getElementById('tcpRto').value) || 1000,
+        maxRetries: isNaN(retries) ? 5 : retries
+    };
+}
+
+/**
+ * Collect the client credentials; only submission (587) sessions log in
+ * @returns {Object|null} { username, password, mechanism } or null
+ */
+function readAuthConfig() {
+    if (document.getElementById('smtpPort').value !== '587') return null;
+    return {
+        username: document.getElementById('authUsername').value,
+        password: document.getElementById('authPassword').value,
+        mechanism: document.getElementById('authMechanism').value
+    };
+}
+
+// Files picked in the attachment input, read as { name, type, bytes }
+let pickedAttachments = [];
+
+/**
+ * Read the picked files into memory so the engine can encode them
+ * @param {FileList} files - Files from the attachment input
+ * @returns {Promise<Object[]>} Attachments as { name, type, bytes }
+ */
+async function readAttachments(files) {
+    return Promise.all(Array.from(files, async file => ({
+        name: file.name,
+        type: file.type || 'application/octet-stream',
+        bytes: new Uint8Array(await file.arrayBuffer())
+    })));
+}
+
+// localStorage key of the AUTH user store
+const USER_STORE_KEY = 'smtpSimulator.users';
+
+// localStorage key of the DNS zone table
+const ZONE_STORE_KEY = 'smtpSimulator.zone';
+
+// localStorage key of the relay queue
+const QUEUE_STORE_KEY = 'smtpSimulator.queue';
+
+// localStorage key of the lesson scores and quiz results
+const LESSON_STORE_KEY = 'smtpSimulator.lessons';
+
+/**
+ * Collect the retry queue timing
+ * @returns {Object} SMTPEngine queue options in ms
+ */
+function readQueueOptions() {
+    const seconds = (id, fallback) => (parseFloat(document.getElementById(id).value) || fallback) * 1000;
+    return {
+        minBackoff: seconds('queueMinBackoff', 10),
+        maxBackoff: seconds('queueMaxBackoff', 160),
+        lifetime: seconds('queueLifetime', 600)
+    };
+}
+
+/**
+ * Collect the random fault settings
+ * @returns {Object} FaultInjector settings, times in ms
+ */
+function readFaultSettings() {
+    const seconds = (id, fallback) => (parseFloat(document.getElementById(id).value) || fallback) * 1000;
+    return {
+        chance: Math.min(100, Math.max(0, parseFloat(document.getElementById('faultChance').value) || 0)),
+        kinds: Array.from(document.querySelectorAll('#faultKinds input:checked'), input => input.value),
+        timeout: seconds('faultTimeout', 30),
+        outage: seconds('faultOutage', 30)
+    };
+}
+
+/**
+ * Parse the unreachable hosts input
+ * @returns {string[]} Host names
+ */
+function readDownHosts() {
+    return document.getElementById('downHosts').value
+        .split(/[,;\s]+/)
+        .map(host => host.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse the full mailboxes input of the MX policy
+ * @returns {string[]} Lower-case addresses
+ */
+function readFullMailboxes() {
+    return document.getElementById('fullMailboxes').value
+        .split(/[,;\s]+/)
+        .map(address => address.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Collect the policies of the receiving MX hosts
+ * @returns {Object} SMTPEngine mxPolicy with the greylisting delay in ms
+ */
+function readMxPolicy() {
+    return {
+        greylisting: document.getElementById('mxGreylisting').checked,
+        greylistDelay: (parseFloat(document.getElementById('greylistDelay').value) || 0) * 1000,
+        fullMailboxes: readFullMailboxes()
+    };
+}
+
+/**
+ * Parse the keyword rules textarea ("points pattern" per line)
+ * @param {string} text - Textarea text, by default the form's
+ * @returns {Object[]} Keywords as { pattern, score }
+ */
+function readFilterKeywords(text = document.getElementById('filterKeywords').value) {
+    return text
+        .split('\n')
+        .map(line => /^\s*(-?\d+(?:\.\d+)?)\s+(.+?)\s*$/.exec(line))
+        .filter(Boolean)
+        .map(match => ({ pattern: match[2], score: parseFloat(match[1]) }));
+}
+
+/**
+ * Collect the content filter settings of the receiving MX
+ * @returns {Object} ContentFilter settings
+ */
+function readContentFilter() {
+    const points = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? fallback : value;
+    };
+    return {
+        enabled: document.getElementById('contentFilterEnabled').checked,
+        disabledRules: Array.from(document.querySelectorAll('#filterRules input:not(:checked)'), input => input.value),
+        keywords: readFilterKeywords(),
+        blockedExtensions: document.getElementById('blockedExtensions').value
+            .split(/[,;\s]+/)
+            .map(extension => extension.trim().toLowerCase().replace(/^\./, ''))
+            .filter(Boolean),
+        thresholds: { spam: points('spamThreshold', 5), quarantine: points('quarantineThreshold', 8), reject: points('rejectThreshold', 15) }
+    };
+}
+
+/**
+ * Parse the client blocklist input
+ * @returns {string[]} IP addresses, CIDR networks and domains
+ */
+function readClientBlocklist() {
+    return document.getElementById('clientBlocklist').value
+        .split(/[,;\s]+/)
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Collect the anti-abuse policies of the submission server
+ * @returns {Object} Policy for SMTPServer.policy, times in ms
+ */
+function readServerPolicy() {
+    return {
+        greylisting: document.getElementById('serverGreylisting').checked,
+        greylistDelay: (parseFloat(document.getElementById('serverGreylistDelay').value) || 0) * 1000,
+        rateLimit: parseInt(document.getElementById('rateLimit').value) || 0,
+        rateWindow: (parseFloat(document.getElementById('rateWindow').value) || 60) * 1000,
+        blocklist: readClientBlocklist(),
+        sizeLimit: parseInt(document.getElementById('sizeLimit').value) || 0
+    };
+}
+
+/**
+ * Parse the receiver schedule, e.g. "0 offline, 25 online"
+ * @returns {Object[]} Steps { at (ms after Send), online }
+ */
+function readReceiverSchedule() {
+    return document.getElementById('receiverSchedule').value
+        .split(/[,;\n]+/)
+        .map(step => /^\s*(\d+(?:\.\d+)?)\s*s?\s+(online|offline|on|off)\s*$/i.exec(step))
+        .filter(Boolean)
+        .map(match => ({ at: parseFloat(match[1]) * 1000, online: /^on/i.test(match[2]) }));
+}
+
+/**
+ * Parse the user store textarea ("username:password" per line)
+ * @param {string} text - User store text, by default the textarea's
+ * @returns {Object[]} Users as { username, password }
+ */
+function readUserStore(text = document.getElementById('authUsers').value) {
+    return text
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.includes(':'))
+        .map(line => {
+            const separator = line.indexOf(':');
+            return { username: line.slice(0, separator), password: line.slice(separator + 1) };
+        });
+}
+
+/**
+ * Show the syntax problems of the address fields under each field
+ * The warnings do not stop a send: the server's 553 reply is part of the lesson.
+ */
+function checkAddressFields() {
+    const fields = {
+        senderEmail: text => [text],
+        recipientEmail: text => Address.splitList(text),
+        ccEmails: text => Address.splitList(text),
+        bccEmails: text => Address.splitList(text)
+    };
+    Object.entries(fields).forEach(([id, split]) => {
+        const text = document.getElementById(id).value.trim();
+        const problems = text ? split(text).filter(entry => entry.trim()).map((entry) => {
+            try {
+                // The sender field is the envelope address; the lists may carry display names
+                if (id === 'senderEmail') {
+                    Address.parse(entry);
+                } else {
+                    Address.parseMailbox(entry);
+                }
+                return null;
+            } catch (error) {
+                return `⚠️ ${entry.trim()}: ${error.message}`;
             }
-        }
+        }).filter(Boolean) : [];
+        const output = document.getElementById(`${id}Error`);
+        output.textContent = problems.join('\n');
+        document.getElementById(id).classList.toggle('address-invalid', problems.length > 0);
+    });
+}
+
+/**
+ * Build the server's EHLO extension list from the checkboxes
+ * @returns {string[]} Extension lines, e.g. ['SIZE 1048576', '8BITMIME']
+ */
+function readServerExtensions() {
+    const params = {
+        SIZE: String(parseInt(document.getElementById('sizeLimit').value) || 0),
+        AUTH: 'PLAIN LOGIN CRAM-MD5'
+    };
+    return Array.from(document.querySelectorAll('#extensionList input:checked'))
+        .map(input => params[input.value] ? `${input.value} ${params[input.value]}` : input.value);
+}
+
+/**
+ * Build the server the client sessions connect to
+ * @returns {RemoteSMTPServer|null} Real listener reached through the bridge, or null for the simulated server
+ */
+function readServerTarget() {
+    const remote = document.getElementById('serverTarget').value === 'remote';
+    document.getElementById('targetNote').hidden = !remote;
+    if (!remote) return null;
+    const host = document.getElementById('remoteHost').value.trim() || '127.0.0.1';
+    return new RemoteSMTPServer({
+        host,
+        port: parseInt(document.getElementById('remotePort').value) || 2525,
+        open: RemoteSMTPServer.bridge(document.getElementById('bridgeUrl').value.trim())
+    });
+}
+
+/**
+ * Push the settings of the whole form into the engine, e.g. after a scenario was loaded
+ */
+function syncEngine() {
+    simulator.server.extensions = readServerExtensions();
+    simulator.server.users = readUserStore();
+    simulator.server.maxConnections = parseInt(document.getElementById('maxConnections').value) || 1;
+    simulator.server.relay = document.getElementById('relayPolicy').value;
+    simulator.server.policy = readServerPolicy();
+    simulator.target = readServerTarget();
+    simulator.mxPolicy = readMxPolicy();
+    simulator.contentFilter.settings = readContentFilter();
+    simulator.tcpOptions = readTcpOptions();
+    simulator.queueOptions = readQueueOptions();
+    simulator.faults.configure(readFaultSettings());
+    simulator.mitm.stripStarttls = document.getElementById('mitmStrip').checked;
+    simulator.mitm.tamperBody = document.getElementById('mitmTamper').checked;
+    simulator.dns.load(document.getElementById('dnsZone').value);
+    simulator.setReceiverSchedule(readReceiverSchedule());
+    const downHosts = readDownHosts().map(host => DNSResolver.normalize(host));
+    if (downHosts.join() !== [...simulator.downHosts].join()) {
+        simulator.setDownHosts(downHosts);
     }
 }
 
-// Initialize Simulator
-const simulator = new SMTPSimulator();
+// Initialize Simulator on the playback clock
+const playback = new Playback();
+const simulator = new SMTPEngine(playback.engineOptions);
+playback.attach(simulator);
+const view = new SMTPView(simulator, playback);
+const wireView = new WireView(simulator);
+const rawDataView = new RawDataView(simulator);
+const queueView = new QueueView(simulator);
+const authView = new AuthView(simulator);
+const filterView = new ContentFilterView(simulator, (action, id) => playbackView.record(action, id));
+const faultView = new FaultView(simulator);
+const mailboxView = new MailboxView(simulator);
+const consoleView = new SMTPConsoleView(simulator, readTiming, () => parseInt(document.getElementById('smtpPort').value));
+const retrievalView = new RetrievalView(simulator, readTiming);
+const sessionView = new SessionTimelineView(simulator, sessionId => view.setLogFilter(sessionId));
+const clientListView = new ClientListView();
+const traceExportView = new TraceExportView(simulator);
+const scenarioView = new ScenarioView(simulator, (scenario) => {
+    syncEngine();
+    checkAddressFields();
+    simulator.openConsole(scenario.client.port);
+});
+const playbackView = new PlaybackView(simulator, playback, {
+    capture: () => scenarioView.capture(),
+    apply: scenario => scenarioView.apply(scenario),
+    // A replay rewinds the clock under the lesson's questions
+    replay: () => lessonView.quit()
+});
+// A lesson runs its scenario with a fixed seed, so every student sees the same replies
+const lessonView = new LessonView(simulator, playback, {
+    start: (lesson) => {
+        closeModal(document.getElementById('learnModal'));
+        scenarioView.apply(Lesson.scenario(lesson));
+        document.getElementById('playbackSeed').value = lesson.seed;
+        playbackView.start([readConfig()]);
+    },
+    load: () => JSON.parse(localStorage.getItem(LESSON_STORE_KEY) || '{}'),
+    save: progress => localStorage.setItem(LESSON_STORE_KEY, JSON.stringify(progress)),
+    nodeIds: view.nodeIds
+});
+
+// Experiments start from the form as it is when Run is pressed
+const experimentView = new ExperimentView({ capture: () => scenarioView.capture() });
+
+// So does the transfer mode comparison
+const comparisonView = new TransferComparisonView({ capture: () => scenarioView.capture() });
 
 // Event Listeners
 
 // Handle Send Email button click
 document.getElementById('sendBtn').addEventListener('click', () => {
-    // Collect configuration from form inputs
-    const config = {
-        sender: document.getElementById('senderEmail').value || 'sender@example.com',
-        recipient: document.getElementById('recipientEmail').value || 'recipient@example.com',
-        subject: document.getElementById('subject').value || 'Test Email',
-        body: document.getElementById('messageBody').value || 'This is a test message.',
-        attachment: document.getElementById('attachment').value,
-        serverDelay: parseFloat(document.getElementById('serverDelay').value) || 1,
-        networkDelay: parseInt(document.getElementById('networkDelay').value) || 500,
-        packetLoss: parseFloat(document.getElementById('packetLoss').value) || 10
-    };
+    // Start simulation (a new run when nothing else is sending)
+    playbackView.start([readConfig()]);
+});
+
+// Start every client of the Concurrent Clients list at the same moment
+document.getElementById('startClientsBtn').addEventListener('click', () => {
+    playbackView.start(clientListView.configs(readConfig()));
+});
+
+// Sessions beyond the limit are turned away with 421
+document.getElementById('maxConnections').addEventListener('change', (e) => {
+    simulator.server.maxConnections = parseInt(e.target.value) || 1;
+});
+
+// Open or close the relay for unauthenticated clients
+document.getElementById('relayPolicy').addEventListener('change', (e) => {
+    simulator.server.relay = e.target.value;
+});
+
+// Switch the sessions between the simulated server and a real one; the console reconnects
+['serverTarget', 'bridgeUrl', 'remoteHost', 'remotePort'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        const wasRemote = !!simulator.target;
+        simulator.target = readServerTarget();
+        if (wasRemote || simulator.target) {
+            simulator.openConsole(parseInt(document.getElementById('smtpPort').value));
+        }
+    });
+});
+
+// Server policies apply to the next connection or command
+['serverGreylisting', 'serverGreylistDelay', 'rateLimit', 'rateWindow', 'clientBlocklist', 'sizeLimit'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        simulator.server.policy = readServerPolicy();
+    });
+});
+
+// MX policies apply to the next delivery attempt
+['mxGreylisting', 'greylistDelay', 'fullMailboxes'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        simulator.mxPolicy = readMxPolicy();
+    });
+});
 
-    // Start simulation
-    simulator.sendEmail(config);
+// The content filter scores the next message that reaches an MX
+['contentFilterEnabled', 'filterRules', 'spamThreshold', 'quarantineThreshold', 'rejectThreshold', 'blockedExtensions', 'filterKeywords'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        simulator.contentFilter.settings = readContentFilter();
+    });
+});
+
+// The schedule plays back when the next Send starts
+document.getElementById('receiverSchedule').addEventListener('change', () => {
+    simulator.setReceiverSchedule(readReceiverSchedule());
+});
+
+['senderEmail', 'recipientEmail', 'ccEmails', 'bccEmails'].forEach(id => {
+    document.getElementById(id).addEventListener('input', checkAddressFields);
+});
+
+// Keep the simulated server's extensions in sync with the form
+['extensionList', 'sizeLimit'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        simulator.server.extensions = readServerExtensions();
+    });
+});
+
+// Submission needs AUTH advertised; reconnect the console on the new port
+document.getElementById('smtpPort').addEventListener('change', (e) => {
+    if (e.target.value === '587') {
+        document.querySelector('#extensionList input[value="AUTH"]').checked = true;
+        simulator.server.extensions = readServerExtensions();
+    }
+    simulator.openConsole(parseInt(e.target.value));
+});
+
+// Load picked files before the next Send
+document.getElementById('attachment').addEventListener('change', async (e) => {
+    pickedAttachments = await readAttachments(e.target.files);
+});
+
+// Console connections use the same transport settings
+['tcpMss', 'tcpRto', 'tcpRetries'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        simulator.tcpOptions = readTcpOptions();
+    });
+});
+
+// Place or remove the man-in-the-middle between client and server
+document.getElementById('mitmStrip').addEventListener('change', (e) => {
+    simulator.mitm.stripStarttls = e.target.checked;
+});
+
+// Place or remove the attacker on the link between relay and MX
+document.getElementById('mitmTamper').addEventListener('change', (e) => {
+    simulator.mitm.tamperBody = e.target.checked;
+});
+
+// Keep the server's user store in sync with the textarea and remember it
+document.getElementById('authUsers').addEventListener('change', (e) => {
+    simulator.server.users = readUserStore();
+    localStorage.setItem(USER_STORE_KEY, e.target.value);
+});
+
+// Reload the resolver when the zone table is edited and remember it
+document.getElementById('dnsZone').addEventListener('change', (e) => {
+    simulator.dns.load(e.target.value);
+    localStorage.setItem(ZONE_STORE_KEY, e.target.value);
+});
+
+// Take hosts down or bring them back; queued mail is retried
+document.getElementById('downHosts').addEventListener('change', () => {
+    simulator.setDownHosts(readDownHosts());
+});
+
+// Retry timing applies to the next failed attempt
+['queueMinBackoff', 'queueMaxBackoff', 'queueLifetime'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        simulator.queueOptions = readQueueOptions();
+    });
+});
+
+// Random faults are drawn with the new settings from the next step on
+['faultChance', 'faultKinds', 'faultTimeout', 'faultOutage'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        simulator.faults.configure(readFaultSettings());
+    });
+});
+
+// Attempt every queued email now
+document.getElementById('flushQueueBtn').addEventListener('click', () => {
+    playbackView.record('flushQueue');
+    simulator.flushQueue();
+});
+
+// Save the queue whenever it changes so it survives a reload
+simulator.on('queueChanged', (event) => {
+    localStorage.setItem(QUEUE_STORE_KEY, JSON.stringify(event.queue));
 });
 
 // Handle receiver status toggle
 document.getElementById('toggleReceiverBtn').addEventListener('click', () => {
+    playbackView.record('toggleReceiver');
     simulator.toggleReceiverStatus();
 });
 
-// Load example data on page load
+/**
+ * Scenario to start with: the one in a shared link, otherwise the basic
+ * exercise with the user store and zone saved on earlier visits
+ * @returns {Object} Complete scenario
+ */
+function initialScenario() {
+    try {
+        const shared = Scenario.fromHash(location.hash);
+        if (shared) {
+            scenarioView.setStatus(`Loaded "${shared.name}" from the link`);
+            return shared;
+        }
+    } catch (error) {
+        scenarioView.setStatus(`❌ Shared link: ${error.message}`, true);
+    }
+    const saved = { server: {}, dns: {} };
+    if (localStorage.getItem(USER_STORE_KEY)) {
+        saved.server.users = readUserStore(localStorage.getItem(USER_STORE_KEY));
+    }
+    if (localStorage.getItem(ZONE_STORE_KEY)) {
+        saved.dns.zone = localStorage.getItem(ZONE_STORE_KEY);
+    }
+    return Scenario.merge(Scenario.fromLibrary('basic'), saved);
+}
+
+// Load the starting scenario on page load
 window.addEventListener('load', () => {
-    document.getElementById('senderEmail').value = 'alice@example.com';
-    document.getElementById('recipientEmail').value = 'bob@example.com';
-    document.getElementById('subject').value = 'Meeting Tomorrow';
-    document.getElementById('messageBody').value = 'Hi Bob,\n\nJust wanted to confirm our meeting tomorrow at 2 PM.\n\nBest regards,\nAlice';
-    
+    clientListView.addClient({ sender: 'alice@example.com', to: 'bob@example.com', subject: 'Lunch?' });
+    clientListView.addClient({ sender: 'bob@example.com', to: 'alice@example.com', subject: 'Re: Lunch?' });
+    clientListView.addClient({ sender: 'alice@example.com', to: 'team@example.org', subject: 'Status report', packetLoss: 30 });
+
+    // Fills the form, configures the engine and connects the console.
+    // A link that gets past Scenario.parse() but still cannot be applied falls back to the defaults.
+    try {
+        scenarioView.apply(initialScenario());
+    } catch (error) {
+        scenarioView.apply(Scenario.fromLibrary('basic'));
+        scenarioView.setStatus(`❌ Shared link: ${error.message}`, true);
+    }
+
     // Initialize receiver status display
-    simulator.updateReceiverStatus();
-    simulator.updateStats();
+    view.updateReceiverStatus();
+    view.updateStats();
+    let savedQueue = [];
+    try {
+        savedQueue = JSON.parse(localStorage.getItem(QUEUE_STORE_KEY) || '[]');
+    } catch (error) {
+        // A damaged entry costs the saved queue, not the rest of the page
+    }
+    if (Array.isArray(savedQueue) && savedQueue.length > 0) {
+        simulator.importQueue(savedQueue);
+    }
+    retrievalView.reconnect();
 });
 
 // MODAL FUNCTIONALITY
@@ -487,6 +1213,19 @@ document.getElementById('helpBtn').addEventListener('click', () => {
     openModal('helpModal');
 });
 
+document.getElementById('downloadBtn').addEventListener('click', () => {
+    traceExportView.refresh();
+    openModal('exportModal');
+});
+
+document.getElementById('experimentBtn').addEventListener('click', () => {
+    openModal('experimentModal');
+});
+
+document.getElementById('comparisonBtn').addEventListener('click', () => {
+    openModal('comparisonModal');
+});
+
 // Close button event listeners
 document.querySelectorAll('.close-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -513,168 +1252,3 @@ document.addEventListener('keydown', (e) => {
         });
     }
 });
-
-// DOWNLOAD FUNCTIONALITY
-
-// Generate detailed report for download
-function generateReport() {
-    const sender = document.getElementById('senderEmail').value || 'Not provided';
-    const recipient = document.getElementById('recipientEmail').value || 'Not provided';
-    const subject = document.getElementById('subject').value || 'Not provided';
-    const body = document.getElementById('messageBody').value || 'Not provided';
-    const attachment = document.getElementById('attachment').value || 'None';
-    const serverDelay = document.getElementById('serverDelay').value;
-    const networkDelay = document.getElementById('networkDelay').value;
-    const packetLoss = document.getElementById('packetLoss').value;
-    
-    const totalPackets = document.getElementById('totalPackets').textContent;
-    const lostPackets = document.getElementById('lostPackets').textContent;
-    const retransmissions = document.getElementById('retransmissions').textContent;
-    const queuedEmails = document.getElementById('queuedEmails').textContent;
-    const receiverStatus = simulator.isReceiverOnline ? 'Online' : 'Offline';
-    
-    const logSection = document.getElementById('logSection');
-    const logEntries = Array.from(logSection.querySelectorAll('.log-entry'))
-        .map(entry => entry.textContent)
-        .join('\n');
-
-    const report = `
-╔════════════════════════════════════════════════════════════════╗
-║              SMTP PROTOCOL SIMULATOR - REPORT                  ║
-╚════════════════════════════════════════════════════════════════╝
-
-Generated: ${new Date().toLocaleString()}
-
-═══════════════════════════════════════════════════════════════
-INPUT DETAILS
-═══════════════════════════════════════════════════════════════
-
-Email Configuration:
-• Sender Email: ${sender}
-• Recipient Email: ${recipient}
-• Subject: ${subject}
-• Message Body: 
-${body}
-• Attachment: ${attachment}
-
-Network Configuration:
-• Server Delay: ${serverDelay} seconds
-• Network Delay: ${networkDelay} milliseconds
-• Packet Loss Rate: ${packetLoss}%
-• Receiver Status: ${receiverStatus}
-
-═══════════════════════════════════════════════════════════════
-TRANSMISSION STATISTICS
-═══════════════════════════════════════════════════════════════
-
-Network Performance:
-• Total Packets Sent: ${totalPackets}
-• Packets Lost: ${lostPackets}
-• Retransmissions: ${retransmissions}
-• Queued Emails: ${queuedEmails}
-• Packet Loss Rate: ${packetLoss}%
-• Success Rate: ${totalPackets > 0 ? (((totalPackets - lostPackets) / totalPackets) * 100).toFixed(2) : 0}%
-
-Network Configuration Impact:
-• Server Delay: ${serverDelay}s (${serverDelay > 2 ? 'Slow' : serverDelay > 1 ? 'Moderate' : 'Fast'} server)
-• Network Delay: ${networkDelay}ms (${networkDelay > 1000 ? 'Slow' : networkDelay > 500 ? 'Moderate' : 'Fast'} network)
-• Packet Loss: ${packetLoss}% (${packetLoss > 30 ? 'High' : packetLoss > 10 ? 'Moderate' : 'Low'} loss rate)
-
-═══════════════════════════════════════════════════════════════
-DETAILED SMTP COMMAND LOG
-═══════════════════════════════════════════════════════════════
-
-${logEntries}
-
-═══════════════════════════════════════════════════════════════
-INTERPRETATION OF RESULTS
-═══════════════════════════════════════════════════════════════
-
-Protocol Sequence:
-The SMTP protocol follows a strict command-response sequence:
-1. Connection establishment (HELO)
-2. Sender identification (MAIL FROM)
-3. Recipient validation (RCPT TO)
-4. Data transmission (DATA)
-5. Receiver availability check (NEW FEATURE)
-6. Message queuing if receiver offline (NEW FEATURE)
-7. Connection closure (QUIT)
-
-Network Behavior:
-${lostPackets > 0 ? 
-`This transmission experienced ${lostPackets} packet losses, requiring ${retransmissions} retransmissions.
-This demonstrates the reliability mechanisms in network protocols where lost packets
-are automatically detected and retransmitted to ensure complete data delivery.` :
-`This transmission completed without any packet loss, indicating a stable network
-connection. All ${totalPackets} packets were successfully delivered on first attempt.`}
-
-Receiver Status Management:
-${receiverStatus === 'Offline' ?
-`The receiver was offline during transmission. The email was stored in the server queue
-and will be delivered automatically when the receiver comes online. This demonstrates
-the store-and-forward mechanism used in email systems.` :
-`The receiver was online and the email was delivered immediately to the recipient's
-mailbox without any queuing delay.`}
-
-Performance Analysis:
-${packetLoss > 30 ? 
-`High packet loss rate (${packetLoss}%) significantly impacts transmission efficiency.
-In real-world scenarios, this would indicate network congestion or connectivity issues.` :
-`The network performed ${packetLoss > 10 ? 'adequately' : 'excellently'} with minimal packet loss.`}
-
-═══════════════════════════════════════════════════════════════
-CONCLUSION
-═══════════════════════════════════════════════════════════════
-
-Email transmission simulation completed successfully using SMTP protocol.
-The visualization demonstrates how email clients communicate with mail servers
-through a series of standardized commands and responses. Network conditions
-such as delays and packet loss affect transmission efficiency but are handled
-through automatic retransmission mechanisms.
-
-The store-and-forward feature ensures that emails are not lost when the receiver
-is offline - they are queued on the server and delivered when the receiver
-becomes available.
-
-═══════════════════════════════════════════════════════════════
-PROJECT INFORMATION
-═══════════════════════════════════════════════════════════════
-
-Project: SMTP Protocol Simulator
-Purpose: Educational demonstration of email transmission protocol
-Technologies: HTML5, CSS, JavaScript
-Features: 
-• Real-time SMTP command visualization
-• Network delay simulation
-• Packet loss and retransmission
-• Interactive statistics tracking
-• Comprehensive logging system
-• Receiver status management (Online/Offline)
-• Email queuing when receiver offline
-• Store-and-forward mechanism
-• Multiple email queue support (NEW!)
-
-═══════════════════════════════════════════════════════════════
-END OF REPORT
-═══════════════════════════════════════════════════════════════
-`;
-
-    return report;
-}
-
-// Download report as text file
-document.getElementById('downloadBtn').addEventListener('click', () => {
-    const report = generateReport();
-    const blob = new Blob([report], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `SMTP_Simulation_Report_${new Date().getTime()}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    // Show notification
-    alert('📥 Report downloaded successfully!\n\nThe detailed SMTP simulation report has been saved to your downloads folder.');
-});
\ No newline at end of file
@@ -0,0 +1,118 @@
+// Address syntax (RFC 5321/5322), IDN conversion and SMTPUTF8: what the
+// parser accepts, why it refuses the rest and how the server answers
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('../node/load-engine');
+const { runScenario } = require('../node/headless');
+
+const { Address, SMTPServer } = loadEngine();
+
+/**
+ * Open a session on a server and send EHLO
+ * @param {string[]} extensions - Extensions the server offers
+ * @returns {Function} Sends one command line and returns the reply
+ */
+function session(extensions) {
+    const server = new SMTPServer({ extensions, now: () => Date.UTC(2024, 0, 1), random: () => 0.5 });
+    const connection = server.connect({ hostname: 'client.example.com', address: '192.0.2.10' });
+    connection.handle('EHLO client.example.com');
+    return line => connection.handle(line);
+}
+
+describe('Address.parse', () => {
+    it('accepts quoted local parts, literals and IDN domains', () => {
+        assert.equal(Address.parse('"john smith"@example.com').local, '"john smith"');
+        assert.equal(Address.parse('user@[192.0.2.1]').literal, true);
+        assert.equal(Address.parse('user@[IPv6:2001:db8::1]').literal, true);
+        const idn = Address.parse('jürgen@Bücher.example.org');
+        assert.equal(idn.asciiDomain, 'xn--bcher-kva.example.org');
+        assert.equal(idn.utf8, true);
+    });
+
+    it('names the part that is wrong', () => {
+        assert.throws(() => Address.parse('john..doe@example.com'), /^Error: Local part: two dots in a row/);
+        assert.throws(() => Address.parse('bob@@example.com'), /more than one "@"/);
+        assert.throws(() => Address.parse('bob'), /"@"/);
+        assert.throws(() => Address.parse(`${'a'.repeat(65)}@example.com`), /Local part: .*64/);
+        assert.throws(() => Address.parse(`bob@${'a'.repeat(64)}.com`), /63/);
+        assert.throws(() => Address.parse('bob@exa_mple.com'), /^Error: Domain:/);
+        assert.throws(() => Address.parse('bob@[999.0.0.1]'), /^Error: Domain:/);
+        assert.throws(() => Address.parse('jürgen@example.com', { utf8: false }), /SMTPUTF8/);
+        assert.throws(() => Address.parse('bob@bücher.example.org', { utf8: false }), /xn--/);
+        try {
+            Address.parse('john..doe@example.com');
+        } catch (error) {
+            assert.equal(error.field, 'local part');
+        }
+    });
+
+    it('splits header lists outside quotes and keeps display names apart', () => {
+        const list = [...Address.splitList('bob@example.com, "Doe, Jane" <jane@example.org>; carol@example.org (Carol, CC)')];
+        assert.equal(list.length, 3);
+        assert.equal(Address.parseMailbox(list[1]).name, 'Doe, Jane');
+        assert.equal(Address.envelope(list[1]), 'jane@example.org');
+        assert.equal(Address.envelope(list[2]), 'carol@example.org');
+        assert.throws(() => Address.parseMailbox('Doe, Jane <jane@example.org>'), /^Error: Display name: "," is only allowed inside quotes/);
+    });
+});
+
+describe('Punycode', () => {
+    it('converts domains both ways', () => {
+        assert.equal(Address.toAscii('bücher.example.org'), 'xn--bcher-kva.example.org');
+        assert.equal(Address.toAscii('例え.テスト'), 'xn--r8jz45g.xn--zckzah');
+        assert.equal(Address.toAscii('example.com'), 'example.com');
+        assert.equal(Address.toUnicode('xn--bcher-kva.example.org'), 'bücher.example.org');
+        assert.equal(Address.toAsciiAddress('jürgen@bücher.example.org'), 'jürgen@xn--bcher-kva.example.org');
+    });
+});
+
+describe('SMTPUTF8 at the server', () => {
+    it('refuses a UTF-8 address without SMTPUTF8 with 553', () => {
+        const send = session(['SIZE 1048576', '8BITMIME', 'PIPELINING']);
+        const reply = send('MAIL FROM:<jürgen@example.com>');
+        assert.equal(reply.code, 553);
+        assert.match(reply.lines[0], /^5\.6\.7 .*needs SMTPUTF8/);
+        assert.equal(send('MAIL FROM:<alice@example.com> SMTPUTF8').code, 555);
+    });
+
+    it('takes UTF-8 addresses in an SMTPUTF8 transaction', () => {
+        const send = session(['SIZE 1048576', '8BITMIME', 'SMTPUTF8']);
+        assert.equal(send('MAIL FROM:<alice@example.com> SMTPUTF8').code, 250);
+        assert.equal(send('RCPT TO:<jürgen@bücher.example.org>').code, 250);
+        assert.equal(send('RCPT TO:<"jürgen"@example.com>').code, 250);
+    });
+
+    it('gives the reason for a malformed address', () => {
+        const send = session(['SIZE 1048576']);
+        const mail = send('MAIL FROM:<alice..x@example.com>');
+        assert.equal(mail.code, 553);
+        assert.match(mail.lines[0], /^5\.1\.7 .*Sender address rejected: Local part: two dots in a row/);
+        send('MAIL FROM:<alice@example.com>');
+        const rcpt = send('RCPT TO:<bob@-example.com>');
+        assert.equal(rcpt.code, 553);
+        assert.match(rcpt.lines[0], /^5\.1\.3 .*Recipient address rejected: Domain:/);
+        assert.equal(send('RCPT TO:<"a>b"@example.com>').code, 250);
+    });
+});
+
+describe('Internationalized sends', () => {
+    it('sends SMTPUTF8 and looks up the punycode domain', async () => {
+        const result = await runScenario('internationalAddress');
+        assert.equal(result.outcomes[0], 'delivered');
+        assert.ok(result.transcript.some(line => line.includes('C: MAIL FROM:<alice@example.com>') && line.endsWith(' SMTPUTF8')));
+        const query = result.events.find(event => event.type === 'dnsQuery');
+        assert.equal(query.domain, 'xn--bcher-kva.example.org');
+        assert.equal(query.idn, 'bücher.example.org');
+    });
+
+    it('falls back to punycode without SMTPUTF8 and gets 553 for a UTF-8 local part', async () => {
+        const result = await runScenario('internationalAddress', {
+            overrides: { email: { to: 'jürgen@bücher.example.org, jane@bücher.example.org' }, server: { extensions: ['SIZE', '8BITMIME', 'PIPELINING'] } }
+        });
+        assert.ok(result.transcript.some(line => line.endsWith('C: RCPT TO:<jane@xn--bcher-kva.example.org>')));
+        assert.deepEqual(result.recipients.map(r => [r.address, r.status, r.code]), [
+            ['jürgen@bücher.example.org', 'rejected', 553],
+            ['jane@bücher.example.org', 'delivered', 250]
+        ]);
+    });
+});
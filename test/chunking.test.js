@@ -0,0 +1,134 @@
+// PIPELINING (RFC 2920) and CHUNKING / BDAT (RFC 3030): how the server reads
+// chunks, how the client groups commands and how many round trips each mode takes
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('../node/load-engine');
+const { runScenario } = require('../node/headless');
+
+const { SMTPServer, SMTPEngine, Scenario, TransferComparison } = loadEngine();
+
+/**
+ * Open a session on a server and greet it
+ * @param {string[]} extensions - Extensions the server offers
+ * @param {string} greeting - HELO or EHLO
+ * @returns {Object} { send(line) returning the reply or null while a chunk is read, session }
+ */
+function session(extensions, greeting = 'EHLO') {
+    const server = new SMTPServer({ extensions, now: () => Date.UTC(2024, 0, 1), random: () => 0.5 });
+    const connection = server.connect({ hostname: 'client.example.com', address: '192.0.2.10' });
+    connection.handle(`${greeting} client.example.com`);
+    return { send: line => connection.handle(line), session: connection };
+}
+
+// Client offers both extensions and a body whose first line starts with a dot
+const OVERRIDES = {
+    client: { greeting: 'EHLO', starttls: 'off', chunkSize: 200 },
+    server: { extensions: ['SIZE', '8BITMIME', 'PIPELINING', 'CHUNKING'] },
+    email: { body: `.hidden\n${'x'.repeat(300)}` }
+};
+
+describe('BDAT at the server', () => {
+    it('is refused when CHUNKING is not offered', () => {
+        const { send } = session(['SIZE 1048576', 'PIPELINING']);
+        send('MAIL FROM:<alice@example.com>');
+        send('RCPT TO:<bob@example.com>');
+        assert.equal(send('BDAT 3 LAST').code, 502);
+        const helo = session(['CHUNKING'], 'HELO');
+        helo.send('MAIL FROM:<alice@example.com>');
+        helo.send('RCPT TO:<bob@example.com>');
+        assert.equal(helo.send('BDAT 3 LAST').code, 502);
+    });
+
+    it('reads the announced bytes before answering, even to refuse them', () => {
+        const { send } = session(['CHUNKING']);
+        assert.equal(send('BDAT 4'), null);
+        assert.equal(send('ab').code, 503);
+        send('MAIL FROM:<alice@example.com>');
+        assert.equal(send('BDAT 4'), null);
+        assert.equal(send('ab').code, 554);
+        assert.equal(send('BDAT four').code, 501);
+    });
+
+    it('takes chunks without dot-stuffing and stores the message on LAST', () => {
+        const { send, session: connection } = session(['CHUNKING']);
+        send('MAIL FROM:<alice@example.com>');
+        send('RCPT TO:<bob@example.com>');
+        assert.equal(send('BDAT 14'), null);
+        assert.equal(send('Subject: x'), null);
+        const chunk = send('');
+        assert.equal(chunk.code, 250);
+        assert.match(chunk.lines[0], /14 octets/);
+        assert.equal(send('DATA').code, 503);
+        assert.equal(send('BDAT 8 LAST'), null);
+        assert.equal(send('.'), null);
+        assert.equal(send('..x').code, 250);
+        assert.ok(connection.lastMessage.data.endsWith('Subject: x\r\n\r\n.\r\n..x'));
+        assert.equal(send('BDAT 3 LAST'), null);
+        assert.equal(send('x').code, 503);
+    });
+});
+
+describe('Grouping and chunking at the client', () => {
+    it('labels a group by its verbs', () => {
+        assert.equal(SMTPEngine.groupLabel(['MAIL FROM:<a@example.com>', 'RCPT TO:<b@example.com>', 'RCPT TO:<c@example.com>', 'DATA']), 'MAIL + 2×RCPT + DATA');
+    });
+
+    it('cuts a message at line ends and marks the last chunk', () => {
+        assert.deepEqual([...SMTPEngine.chunkMessage(['aaaa', 'bbbb', 'cc'], 12)].map(chunk => [chunk.command, [...chunk.lines]]), [
+            ['BDAT 12', ['aaaa', 'bbbb']],
+            ['BDAT 4 LAST', ['cc']]
+        ]);
+        assert.deepEqual([...SMTPEngine.chunkMessage(['a', 'b'], 0)].map(chunk => chunk.command), ['BDAT 6 LAST']);
+    });
+
+    it('needs fewer round trips with each extension and stores the same message', async () => {
+        const counts = {};
+        let chunks = 0;
+        for (const [mode, client] of Object.entries({
+            standard: {},
+            pipelining: { pipelining: true },
+            chunking: { chunking: true },
+            both: { pipelining: true, chunking: true }
+        })) {
+            const result = await runScenario('basic', { overrides: { ...OVERRIDES, client: { ...OVERRIDES.client, ...client } }, seed: 7 });
+            assert.equal(result.outcomes[0], 'delivered');
+            counts[mode] = result.events.filter(event => event.type === 'roundTrip').length;
+            if (mode === 'chunking') {
+                chunks = result.transcript.filter(line => / C: BDAT \d+/.test(line)).length;
+            }
+            // DATA stuffs the leading dot and the server strips it again; BDAT never touches it
+            const delivered = result.events.find(event => event.type === 'delivered');
+            assert.ok(delivered.message.includes(`\r\n.hidden\r\n${'x'.repeat(300)}`), mode);
+        }
+        assert.ok(counts.pipelining < counts.standard);
+        assert.ok(counts.both < counts.pipelining);
+        // Without pipelining every chunk takes the round trips of DATA and the dot
+        assert.ok(chunks > 1);
+        assert.equal(counts.chunking, counts.standard - 2 + chunks);
+    });
+
+    it('falls back to DATA when the server does not offer CHUNKING', async () => {
+        const result = await runScenario('basic', {
+            overrides: { ...OVERRIDES, client: { ...OVERRIDES.client, chunking: true }, server: { extensions: ['SIZE', '8BITMIME'] } }
+        });
+        assert.equal(result.outcomes[0], 'delivered');
+        assert.ok(result.transcript.some(line => line.endsWith('C: DATA')));
+        assert.ok(!result.transcript.some(line => line.includes('BDAT')));
+    });
+});
+
+describe('TransferComparison', () => {
+    it('times every mode under the same network up to acceptance', async () => {
+        const base = Scenario.merge(Scenario.DEFAULTS, OVERRIDES);
+        const result = await TransferComparison.run(base, { seed: 3 });
+        assert.deepEqual([...result.rows].map(row => row.mode), ['standard', 'pipelining', 'chunking', 'both']);
+        const [standard, pipelining, , both] = result.rows;
+        assert.ok(result.rows.every(row => row.accepted !== null));
+        assert.ok(pipelining.roundTrips < standard.roundTrips);
+        assert.ok(both.roundTrips < pipelining.roundTrips);
+        assert.ok(both.accepted < standard.accepted);
+        // EHLO, then the envelope and every chunk in one flight
+        assert.equal(both.roundTrips, 2);
+        assert.match(SMTPEngine.groupLabel(both.flights[1].commands), /^MAIL \+ RCPT \+ \d+×BDAT$/);
+    });
+});
@@ -0,0 +1,118 @@
+// Batch experiments: grid parsing, repeatable runs on the virtual clock and
+// the per-point figures
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('../node/load-engine');
+const { countedCrypto, START_TIME } = require('../node/headless');
+
+const webCrypto = countedCrypto();
+const { Experiment, Scenario, SMTPEngine } = loadEngine({ crypto: webCrypto.crypto });
+
+/**
+ * Run an experiment over the basic scenario
+ * @param {Object[]} axes - { parameter, values }
+ * @param {number} runs - Sends per point
+ * @returns {Promise<Object>} Result of Experiment.run()
+ */
+function runGrid(axes, runs) {
+    const experiment = new Experiment(Scenario.fromLibrary('basic'), { axes, runs, seed: 1, clock: { pending: webCrypto.pending } });
+    return experiment.run();
+}
+
+describe('Experiment grid', () => {
+    it('reads lists and ranges', () => {
+        assert.deepEqual([...Experiment.values('0-90/30', 'packetLoss')], [0, 30, 60, 90]);
+        assert.deepEqual([...Experiment.values('500, 2000 500', 'networkDelay')], [500, 2000]);
+        assert.deepEqual([...Experiment.values('0.1-0.3/0.1', 'serverDelay')], [0.1, 0.2, 0.3]);
+        assert.throws(() => Experiment.values('ten', 'packetLoss'), /Packet loss \(%\): "ten" is neither a number nor a range/);
+        assert.throws(() => Experiment.values('50-150/50', 'packetLoss'), /150 is outside 0–100/);
+        assert.throws(() => Experiment.values('0-1000/1', 'networkDelay'), /more than 50 values/);
+        assert.throws(() => Experiment.values('1', 'jitter'), /Unknown experiment parameter "jitter"/);
+    });
+
+    it('varies the first axis fastest', () => {
+        const grid = Experiment.grid([{ parameter: 'packetLoss', values: [0, 50] }, { parameter: 'networkDelay', values: [100, 900] }]);
+        assert.deepEqual([...grid.map(point => ({ ...point }))], [
+            { packetLoss: 0, networkDelay: 100 },
+            { packetLoss: 50, networkDelay: 100 },
+            { packetLoss: 0, networkDelay: 900 },
+            { packetLoss: 50, networkDelay: 900 }
+        ]);
+    });
+});
+
+describe('Experiment runs', () => {
+    it('measures more retransmissions and later deliveries as loss grows', async () => {
+        const result = await runGrid([{ parameter: 'packetLoss', values: [0, 40] }], 4);
+        const [clean, lossy] = result.points.map(point => point.summary);
+        assert.equal(clean.runs, 4);
+        assert.equal(clean.failureRate, 0);
+        assert.equal(clean.retransmissions, 0);
+        assert.ok(lossy.retransmissions > 0);
+        assert.ok(lossy.latency.mean > clean.latency.mean);
+        assert.deepEqual([...result.points[1].samples.map(sample => sample.seed)], [1, 2, 3, 4]);
+    });
+
+    it('repeats a run exactly with the same seed', async () => {
+        const scenario = Scenario.merge(Scenario.fromLibrary('basic'), { network: { packetLoss: 30 } });
+        const options = { start: START_TIME, clock: { pending: webCrypto.pending } };
+        const first = await Experiment.runOnce(scenario, 7, options);
+        const second = await Experiment.runOnce(scenario, 7, options);
+        assert.deepEqual({ ...second }, { ...first });
+    });
+
+    it('counts a message that never arrives as a failure and exports every run', async () => {
+        const result = await runGrid([{ parameter: 'packetLoss', values: [100] }], 1);
+        const { summary, samples } = result.points[0];
+        assert.equal(summary.failureRate, 100);
+        assert.equal(summary.latency, null);
+        assert.equal(samples[0].delivered, false);
+        const csv = Experiment.toCsv(result).split('\r\n');
+        assert.equal(csv[0], 'packetLoss,run,seed,outcome,delivered,latency_s,retransmissions,lost_segments,segments,attempts');
+        assert.match(csv[1], /^100,1,1,failed,0,,\d+,\d+,\d+,\d+$/);
+    });
+
+    it('does not count the bounce sent back to the sender as a delivery', async () => {
+        const experiment = new Experiment(Scenario.fromLibrary('mailboxFull'), {
+            axes: [{ parameter: 'packetLoss', values: [0] }],
+            runs: 1,
+            clock: { pending: webCrypto.pending }
+        });
+        const { summary, samples } = (await experiment.run()).points[0];
+        assert.equal(samples[0].outcome, 'failed');
+        assert.equal(samples[0].delivered, false);
+        assert.equal(samples[0].latency, null);
+        assert.equal(summary.failureRate, 100);
+        const partial = await Experiment.runOnce(Scenario.fromLibrary('bounce'), 1, { clock: { pending: webCrypto.pending } });
+        assert.equal(partial.recipients, 2);
+        assert.equal(partial.delivered, false);
+    });
+
+    it('records an engine exception as the outcome of the run', async () => {
+        const sendEmail = SMTPEngine.prototype.sendEmail;
+        SMTPEngine.prototype.sendEmail = async () => {
+            throw new Error('boom');
+        };
+        try {
+            const sample = await Experiment.runOnce(Scenario.fromLibrary('basic'), 1, { clock: { pending: webCrypto.pending } });
+            assert.equal(sample.outcome, 'error');
+            assert.equal(sample.delivered, false);
+        } finally {
+            SMTPEngine.prototype.sendEmail = sendEmail;
+        }
+    });
+
+    it('stops after the send in progress when cancelled', async () => {
+        const experiment = new Experiment(Scenario.fromLibrary('basic'), {
+            axes: [{ parameter: 'networkDelay', values: [100, 200, 300] }],
+            runs: 2,
+            clock: { pending: webCrypto.pending }
+        });
+        assert.equal(experiment.total, 6);
+        const result = await experiment.run((done) => {
+            if (done === 3) experiment.cancel();
+        });
+        assert.equal(result.cancelled, true);
+        assert.deepEqual([...result.points.map(point => point.samples.length)], [2, 1]);
+    });
+});
@@ -0,0 +1,183 @@
+// Injected faults: each one strikes once and the client recovers the way a
+// real one would, by retrying the session, deferring or rejecting the
+// recipient, or queueing the relay until the MX is back
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('../node/load-engine');
+const { runScenario } = require('../node/headless');
+
+const { FaultInjector, SeededRandom, SMTPEngine } = loadEngine();
+
+/**
+ * Run the default scenario with faults armed
+ * @param {Object[]} armed - { kind, point }
+ * @returns {Promise<Object>} Result from runScenario
+ */
+function runWithFaults(armed) {
+    return runScenario('basic', { overrides: { network: { packetLoss: 0 }, faults: { armed } } });
+}
+
+/**
+ * Transcript lines containing a text, without their time stamps
+ * @param {Object} result - Result from runScenario
+ * @param {string} text - Text to look for
+ * @returns {string[]} Matching lines
+ */
+function lines(result, text) {
+    return result.transcript.filter(line => line.includes(text)).map(line => line.replace(/^\[[^\]]*\] /, ''));
+}
+
+describe('FaultInjector', () => {
+    it('fires armed faults once at their step', () => {
+        const faults = new FaultInjector(() => 0);
+        faults.arm('storage');
+        faults.arm('shutdown', 'EHLO');
+        assert.deepEqual([...faults.armed.map(fault => ({ ...fault }))], [{ kind: 'storage', point: 'RCPT' }, { kind: 'shutdown', point: 'EHLO' }]);
+        assert.equal(faults.take('MAIL'), null);
+        assert.equal(faults.take('EHLO'), 'shutdown');
+        assert.equal(faults.take('EHLO'), null);
+        assert.throws(() => faults.arm('mailboxFull', 'EHLO'), /Mailbox full \(552\) cannot strike at EHLO \/ HELO/);
+        assert.throws(() => faults.arm('flood'), /Unknown fault "flood"/);
+    });
+
+    it('draws random faults only with a chance set', () => {
+        const random = new SeededRandom(7);
+        let draws = 0;
+        const faults = new FaultInjector(() => {
+            draws++;
+            return random.next();
+        });
+        faults.take('RCPT');
+        assert.equal(draws, 0);
+        faults.configure({ chance: 100, kinds: ['mailboxFull', 'recipientOffline'] });
+        assert.equal(faults.take('RCPT'), 'mailboxFull');
+        assert.equal(faults.take('RELAY'), 'recipientOffline');
+        assert.equal(faults.take('EHLO'), null);
+    });
+
+    it('answers for the recipient at RCPT', () => {
+        const reply = FaultInjector.reply('mailboxFull', 'smtp.example.com', 'RCPT TO:<bob@example.com>');
+        assert.equal(reply.code, 552);
+        assert.equal(reply.lines[0], '5.2.2 <bob@example.com>: Mailbox full');
+        assert.equal(FaultInjector.reply('storage', 'smtp.example.com', '.').lines[0], '4.3.1 Insufficient system storage');
+    });
+});
+
+describe('Fault recovery', () => {
+    it('retries the session after a reset during DATA', async () => {
+        const result = await runWithFaults([{ kind: 'reset', point: 'CONTENT' }]);
+        assert.deepEqual(lines(result, '💥'), ['💥 Fault injected at Message content: Connection reset']);
+        assert.match(lines(result, '🔁')[0], /Connection reset by smtp\.example\.com during the message content/);
+        assert.equal(lines(result, 'C: DATA').length, 2);
+        assert.equal(result.recipients[0].status, 'delivered');
+        assert.ok(result.events.some(event => event.type === 'tcpState' && event.state === 'RESET'));
+    });
+
+    it('reconnects after a 421 shutdown', async () => {
+        const result = await runWithFaults([{ kind: 'shutdown', point: 'MAIL' }]);
+        assert.ok(lines(result, 'S: 421 4.3.2 smtp.example.com Service shutting down').length === 1);
+        assert.equal(lines(result, '🔁').length, 1);
+        assert.equal(lines(result, 'S: 220').length, 2);
+        assert.equal(result.recipients[0].status, 'delivered');
+    });
+
+    it('defers the recipient on 452 and rejects it on 552', async () => {
+        const deferred = await runWithFaults([{ kind: 'storage', point: 'RCPT' }]);
+        assert.deepEqual(lines(deferred, '⏳'), ['⏳ <bob@example.com> deferred: 452 4.3.1 <bob@example.com>: Insufficient system storage']);
+        assert.equal(deferred.recipients[deferred.recipients.length - 1].status, 'delivered');
+
+        const rejected = await runWithFaults([{ kind: 'mailboxFull', point: 'RCPT' }]);
+        assert.deepEqual(lines(rejected, '🚫'), ['🚫 <bob@example.com> rejected: 552 5.2.2 <bob@example.com>: Mailbox full']);
+        assert.equal(lines(rejected, 'C: DATA').length, 0);
+        assert.equal(lines(rejected, '🔁').length, 0);
+    });
+
+    it('closes the connection when a reply never comes and delivers on the next attempt', async () => {
+        const result = await runWithFaults([{ kind: 'timeout', point: 'END' }]);
+        assert.deepEqual(lines(result, '⏰'), ['⏰ No reply to the end of data within 30 s, closing the connection']);
+        assert.equal(lines(result, 'C: DATA').length, 2);
+        assert.equal(result.recipients[0].status, 'delivered');
+    });
+
+    it('gives up when the reply never comes on any attempt', async () => {
+        const result = await runWithFaults([1, 2, 3].map(() => ({ kind: 'timeout', point: 'END' })));
+        assert.deepEqual(result.outcomes, ['failed']);
+        assert.equal(lines(result, '⏰').length, 3);
+        assert.equal(lines(result, 'C: DATA').length, 3);
+        assert.match(lines(result, '❌ ERROR')[0], /No reply to the end of data within 30 s \(gave up after 3 attempts\)$/);
+        assert.equal(result.recipients[0].status, 'failed');
+    });
+
+    it('queues the relay while the recipient is offline', async () => {
+        const result = await runWithFaults([{ kind: 'recipientOffline', point: 'RELAY' }]);
+        assert.deepEqual(lines(result, '💥'), ['💥 Fault injected at Relay to the MX: Recipient goes offline']);
+        assert.ok(lines(result, '⏸️').length > 0);
+        assert.deepEqual(lines(result, '🟢'), ['🟢 Receiver ONLINE']);
+        assert.equal(lines(result, '✅').length, 1);
+    });
+});
+
+describe('Queue run failure', () => {
+    /**
+     * Engine on a hand-moved clock with three overdue copies in its queue
+     * @returns {Object} { engine, clock: { time }, timers: [{ callback, ms }], errors: queueError events }
+     */
+    function queuedEngine() {
+        const clock = { time: 5000 };
+        const timers = [];
+        const engine = new SMTPEngine({
+            seed: 1,
+            now: () => clock.time,
+            sleep: () => Promise.resolve(),
+            setTimer: (callback, ms) => timers.push({ callback, ms }),
+            clearTimer: () => {}
+        });
+        const errors = [];
+        engine.on('queueError', event => errors.push({ ...event }));
+        engine.importQueue(['Q1', 'Q2', 'Q3'].map(id => ({
+            id, sender: 'alice@example.com', recipient: 'bob@example.com', message: '', attempts: 1, nextAttemptAt: 0, expiresAt: 99999, result: { address: 'bob@example.com' }
+        })));
+        return { engine, clock, timers, errors };
+    }
+
+    it('puts the copies it has not tried back and waits the backoff before the next run', async () => {
+        const { engine, clock, timers, errors } = queuedEngine();
+        const tried = [];
+        engine.deliverToMx = async (email) => {
+            tried.push(email.id);
+            if (email.id === 'Q2') throw new Error('relay crashed');
+            return 'delivered';
+        };
+
+        // The retry timer runs the queue; its failure must not escape as an unhandled rejection
+        await timers[timers.length - 1].callback();
+        assert.deepEqual(tried, ['Q1', 'Q2']);
+        assert.deepEqual([...engine.queuedEmails.map(email => email.id)], ['Q2', 'Q3']);
+        assert.deepEqual(errors, [{ type: 'queueError', time: 5000, message: 'relay crashed', restored: 2 }]);
+        assert.equal(engine.isFlushing, false);
+        // Re-armed for the first backoff step, not left to a manual flush
+        assert.equal(timers[timers.length - 1].ms, 10000);
+
+        engine.deliverToMx = async () => 'delivered';
+        clock.time += 10000;
+        await timers[timers.length - 1].callback();
+        assert.equal(engine.queuedEmails.length, 0);
+        assert.equal(engine.deliveredRecipients, 3);
+    });
+
+    it('does not queue a failed copy again when its bounce cannot be sent', async () => {
+        const { engine, errors } = queuedEngine();
+        engine.deliverToMx = async email => email.id === 'Q1' ? 'failed' : 'delivered';
+        let bounces = 0;
+        engine.bounce = async () => {
+            bounces++;
+            throw new Error('no bounce today');
+        };
+
+        await engine.flushQueue();
+        assert.equal(bounces, 1);
+        assert.deepEqual([...engine.queuedEmails.map(email => email.id)], ['Q2', 'Q3']);
+        assert.equal(errors[0].restored, 2);
+        assert.equal(engine.rejectedRecipients, 1);
+    });
+});
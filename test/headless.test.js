@@ -0,0 +1,152 @@
+// Whole sessions on the virtual clock: the reply paths a run can take, from
+// the greeting to QUIT, with the relay, the queue and packet loss in play
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { runScenario } = require('../node/headless');
+
+// Lines the client sent and the server answered, without the time stamps
+const dialogue = result => result.transcript
+    .map(line => line.replace(/^\[\+[\d.]+s\] /, ''))
+    .filter(line => /^[CS]: /.test(line));
+
+describe('runScenario', () => {
+    it('delivers the basic scenario through 220, 250, 354 and 221', async () => {
+        const result = await runScenario('basic', { overrides: { network: { packetLoss: 0 } } });
+        assert.deepEqual(result.outcomes, ['delivered']);
+        assert.deepEqual(dialogue(result), [
+            'S: 220 smtp.example.com ESMTP Simulator ready',
+            'C: EHLO client.example.com',
+            'S: 250-smtp.example.com Hello client.example.com',
+            'S: 250-SIZE 1048576',
+            'S: 250-8BITMIME',
+            'S: 250 PIPELINING',
+            'C: MAIL FROM:<alice@example.com> SIZE=338',
+            'S: 250 Sender OK',
+            'C: RCPT TO:<bob@example.com>',
+            'S: 250 Recipient OK',
+            'C: DATA',
+            'S: 354 Start mail input; end with <CRLF>.<CRLF>',
+            'C: [MIME message: 15 lines, 338 bytes]',
+            'C: .',
+            'S: 250 Message accepted and stored in queue',
+            'C: QUIT',
+            'S: 221 Goodbye'
+        ]);
+        assert.equal(result.stats.deliveredRecipients, 1);
+        assert.equal(result.stats.lostPackets, 0);
+        assert.equal(result.queued, 0);
+    });
+
+    it('reports a 550 for a recipient the closed relay refuses', async () => {
+        const result = await runScenario('relayDenied');
+        assert.ok(dialogue(result).includes('S: 550 5.7.1 <carol@example.org>: Relay access denied'));
+        assert.deepEqual(result.recipients.map(r => [r.address, r.status, r.code]), [
+            ['bob@example.com', 'delivered', 250],
+            ['carol@example.org', 'rejected', 550]
+        ]);
+        assert.equal(result.stats.rejectedRecipients, 1);
+    });
+
+    it('queues while the receiver is offline and delivers when it is back', async () => {
+        const result = await runScenario('receiverOutage');
+        assert.deepEqual(result.outcomes, ['queued']);
+        const queued = result.transcript.filter(line => line.includes('queued (451 4.4.1'));
+        assert.ok(queued.length >= 2, 'the first retry runs into the outage too');
+        assert.match(result.transcript.find(line => line.includes('✅')), /delivered to <bob@example.com>/);
+        assert.equal(result.queued, 0);
+        assert.equal(result.stats.deliveredRecipients, 1);
+    });
+
+    it('leaves the queue pending when the run ends before the next retry', async () => {
+        const result = await runScenario('receiverOutage', { until: 40000 });
+        assert.equal(result.queued, 1);
+        assert.ok(result.elapsed <= 40000);
+        assert.ok(!result.transcript.some(line => line.includes('✅')));
+    });
+
+    it('reports a session the run cut short as unfinished', async () => {
+        const result = await runScenario('basic', { until: 10000 });
+        assert.deepEqual(result.outcomes, ['unfinished']);
+        assert.ok(!dialogue(result).includes('C: QUIT'));
+    });
+
+    it('retransmits lost segments and still completes the session', async () => {
+        const result = await runScenario('basic', { seed: 7, overrides: { network: { packetLoss: 30 } } });
+        assert.deepEqual(result.outcomes, ['delivered']);
+        assert.ok(result.stats.lostPackets > 0);
+        assert.equal(result.stats.retransmissions, result.stats.lostPackets);
+        const lost = result.transcript.filter(line => line.includes('Segment lost'));
+        const resent = result.transcript.filter(line => line.includes('Retransmitting'));
+        assert.equal(lost.length, result.stats.lostPackets);
+        assert.equal(resent.length, result.stats.retransmissions);
+        assert.ok(dialogue(result).includes('S: 221 Goodbye'));
+    });
+
+    it('retries the session after a 4xx reply from the server', async () => {
+        const result = await runScenario('submissionGreylisting');
+        assert.deepEqual(result.outcomes, ['delivered']);
+        assert.ok(dialogue(result).some(line => line.startsWith('S: 451 4.7.1')));
+        assert.ok(result.transcript.some(line => line.includes('🔁 Temporary failure, attempt 1 of 3')));
+    });
+
+    it('retries only the deferred recipient when no RCPT was accepted', async () => {
+        const result = await runScenario('basic', {
+            overrides: { network: { packetLoss: 0 }, server: { greylisting: true }, email: { to: 'bob@example.com, invalid@example.com' } }
+        });
+        assert.deepEqual(dialogue(result).filter(line => line.startsWith('C: RCPT')), [
+            'C: RCPT TO:<bob@example.com>',
+            'C: RCPT TO:<invalid@example.com>',
+            'C: RCPT TO:<bob@example.com>'
+        ]);
+        assert.deepEqual(result.recipients.map(r => [r.address, r.status]), [['bob@example.com', 'delivered'], ['invalid@example.com', 'rejected']]);
+        assert.equal(result.stats.deliveredRecipients, 1);
+        assert.equal(result.stats.rejectedRecipients, 1);
+    });
+
+    it('fails at once when the greeting is 554', async () => {
+        const result = await runScenario('blockedClient');
+        assert.deepEqual(result.outcomes, ['failed']);
+        assert.match(dialogue(result)[0], /^S: 554 5\.7\.1 /);
+        assert.ok(!result.transcript.some(line => line.includes('🔁')));
+    });
+
+    it('replays the same seed byte for byte', async () => {
+        const options = { seed: 42, overrides: { network: { packetLoss: 25 } } };
+        const first = await runScenario('basic', options);
+        const second = await runScenario('basic', options);
+        assert.deepEqual(second.transcript, first.transcript);
+        assert.deepEqual(second.stats, first.stats);
+        assert.equal(JSON.stringify(second.events), JSON.stringify(first.events));
+    });
+
+    it('runs concurrent sessions from one scenario', async () => {
+        const result = await runScenario('basic', {
+            overrides: { network: { packetLoss: 0 } },
+            sessions: [{}, { to: 'carol@example.org' }]
+        });
+        assert.deepEqual(result.outcomes, ['delivered', 'delivered']);
+        assert.deepEqual(result.recipients.map(r => r.sessionId).sort(), ['S1', 'S2']);
+    });
+
+    it('follows the queue to the final status of every recipient', async () => {
+        const greylisted = await runScenario('greylisting');
+        assert.deepEqual(greylisted.outcomes, ['queued']);
+        assert.deepEqual(greylisted.finalOutcomes, ['delivered']);
+        assert.equal(greylisted.recipients[0].status, 'delivered');
+        // The server took the message, but its only copy bounced at the MX
+        const bounced = await runScenario('mailboxFull');
+        assert.deepEqual(bounced.outcomes, ['failed']);
+        assert.deepEqual(bounced.finalOutcomes, ['failed']);
+        assert.equal(bounced.recipients[0].status, 'failed');
+        const partly = await runScenario('bounce');
+        assert.deepEqual(partly.outcomes, ['delivered']);
+        assert.deepEqual(partly.recipients.map(r => [r.address, r.status]), [['bob@example.com', 'delivered'], ['nobody@nowhere.test', 'failed']]);
+    });
+
+    it('records an engine exception as the outcome', async () => {
+        // A client whose host name cannot be read breaks the session before it starts
+        const result = await runScenario('basic', { sessions: [{ client: { get hostname() { throw new Error('boom'); } } }] });
+        assert.deepEqual(result.outcomes, ['error']);
+        assert.match(result.transcript[result.transcript.length - 1], /Engine error: boom$/);
+    });
+});
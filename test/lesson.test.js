@@ -0,0 +1,118 @@
+// Guided lessons on the virtual clock: the tutor pauses before each reply and
+// scores the predictions; quizzes come from a recorded trace
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('../node/load-engine');
+const { runScenario, START_TIME } = require('../node/headless');
+
+const { SMTPEngine, Playback, Scenario, Lesson, LessonTutor, Quiz, SeededRandom } = loadEngine();
+
+/**
+ * Take a lesson with a scripted student
+ * @param {string} id - Lesson ID
+ * @param {Function} guess - Picks a code for a prompt
+ * @returns {Promise<Object>} { summary, prompts, paused } once the lesson is over
+ */
+function takeLesson(id, guess) {
+    const lesson = Lesson.get(id);
+    const playback = new Playback({ start: START_TIME, realNow: () => 0 });
+    playback.setSpeed(Infinity);
+    const engine = new SMTPEngine({ ...playback.engineOptions, seed: lesson.seed });
+    playback.attach(engine);
+    const scenario = Lesson.scenario(lesson);
+    Scenario.configure(engine, scenario);
+
+    return new Promise((resolve) => {
+        const prompts = [];
+        const paused = [];
+        const tutor = new LessonTutor(engine, playback, {
+            prompt: (prompt) => {
+                prompts.push(prompt);
+                paused.push(playback.paused);
+                // The student thinks it over on a later turn; the clock must wait meanwhile
+                setTimeout(() => tutor.answer(guess(prompt)), 0);
+            },
+            result: () => {},
+            finish: summary => resolve({ summary, prompts, paused })
+        });
+        tutor.start(lesson);
+        engine.sendEmail(Scenario.sessionConfig(scenario));
+    });
+}
+
+describe('LessonTutor', () => {
+    it('pauses before every reply and scores a perfect run', async () => {
+        const expected = { GREETING: 220, EHLO: 250, MAIL: 250, RCPT: 250, DATA: 354, END: 250, QUIT: 221 };
+        const { summary, prompts, paused } = await takeLesson('firstMessage', prompt => expected[prompt.kind]);
+        assert.deepEqual([...prompts.map(prompt => prompt.kind)], ['GREETING', 'EHLO', 'MAIL', 'RCPT', 'DATA', 'END', 'QUIT']);
+        assert.ok(paused.every(Boolean));
+        assert.equal(summary.lesson, 'firstMessage');
+        assert.equal(summary.score, 7);
+        assert.equal(summary.total, 7);
+        assert.equal(summary.answers[4].explanation.slice(0, 4), '354:');
+    });
+
+    it('marks the refused recipient when the student expected a 250', async () => {
+        const { summary } = await takeLesson('relayRules', prompt => ({ GREETING: 220, DATA: 354, QUIT: 221 })[prompt.kind] || 250);
+        const wrong = summary.answers.filter(answer => !answer.correct);
+        assert.equal(wrong.length, 1);
+        assert.equal(wrong[0].kind, 'RCPT');
+        assert.equal(wrong[0].code, 550);
+        assert.match(wrong[0].explanation, /^550: permanent failure/);
+    });
+
+    it('asks about the greeting again when the client retries', async () => {
+        const { prompts, summary } = await takeLesson('temporaryFailures', prompt => prompt.choices[0]);
+        assert.equal(prompts.filter(prompt => prompt.kind === 'GREETING').length, 2);
+        assert.ok(summary.answers.some(answer => answer.code === 451));
+    });
+});
+
+describe('Lesson', () => {
+    it('tells SASL responses from commands', () => {
+        assert.equal(Lesson.promptKind('AUTH PLAIN', 250), 'AUTH');
+        assert.equal(Lesson.promptKind('dXNlcgB1c2Vy', 334), 'AUTH_RESPONSE');
+        assert.equal(Lesson.promptKind('rcpt to:<bob@example.com>', 250), 'RCPT');
+        assert.equal(Lesson.promptKind('VRFY bob', 250), 'OTHER');
+        assert.throws(() => Lesson.get('nope'), /Unknown lesson "nope"/);
+    });
+
+    it('keeps the best score and the latest quizzes', () => {
+        let progress = Lesson.recordLesson({}, { lesson: 'relayRules', score: 5, total: 6 }, 'a');
+        progress = Lesson.recordLesson(progress, { lesson: 'relayRules', score: 3, total: 6 }, 'b');
+        assert.deepEqual({ ...progress.lessons.relayRules }, { attempts: 2, best: 5, total: 6, last: 3, completedAt: 'b' });
+        for (let i = 0; i < 25; i++) {
+            progress = Lesson.recordQuiz(progress, { score: i, total: 30 }, String(i));
+        }
+        assert.equal(progress.quizzes.length, 20);
+        assert.equal(progress.quizzes[19].score, 24);
+    });
+});
+
+describe('Quiz', () => {
+    it('asks first about the replies that were not 2xx', async () => {
+        const result = await runScenario('relayDenied');
+        const random = new SeededRandom(3);
+        const questions = Quiz.fromTrace(result.events, { count: 3, random: () => random.next() });
+        assert.equal(questions.length, 3);
+        assert.deepEqual([...questions.map(question => question.id)], ['Q1', 'Q2', 'Q3']);
+        const refused = questions.find(question => question.answer === 550);
+        assert.equal(refused.text, 'What did the server answer to "RCPT TO:<carol@example.org>"?');
+        assert.ok(refused.choices.includes(550));
+        const ending = questions[questions.length - 1];
+        assert.equal(ending.answer, 'delivered');
+
+        const graded = Quiz.grade(questions, { [refused.id]: 550, [ending.id]: 'queued' });
+        assert.equal(graded.score, 1);
+        assert.equal(graded.total, 3);
+        assert.equal(graded.results.find(r => r.id === ending.id).given, 'queued');
+    });
+
+    it('asks about the greeting and the outcome of a refused session', async () => {
+        const result = await runScenario('blockedClient');
+        const questions = Quiz.fromTrace(result.events);
+        assert.equal(questions[0].answer, 554);
+        assert.match(questions[0].text, /^The client connects\. Which code did the server greet it with\?/);
+        assert.deepEqual([...questions.map(question => question.answer)], [554, 'failed']);
+    });
+});
@@ -0,0 +1,39 @@
+// pcapng export: the IPv4 frames synthesized from a session trace
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('../node/load-engine');
+
+const { Pcapng } = loadEngine();
+
+/**
+ * Trace of one connection that only opens
+ * @param {Object} addresses - { client, server } endpoints of the connection
+ * @returns {Object} Trace data as SessionTrace.toJSON() gives it
+ */
+function handshake(addresses) {
+    return {
+        connections: [{ id: 1, addresses, mss: 536 }],
+        records: ['SYN', 'SYN-ACK', 'ACK'].map((label, index) => ({ type: 'tcp', connection: 1, label, seq: 1000, time: index * 10 }))
+    };
+}
+
+describe('Pcapng frames', () => {
+    it('keeps IPv4 endpoints as they are', () => {
+        const [syn] = Pcapng.frames(handshake({ client: { address: '198.51.100.7', port: 50000 }, server: { address: '127.0.0.1', port: 2525 } }));
+        assert.deepEqual([...syn.bytes.subarray(12, 20)], [198, 51, 100, 7, 127, 0, 0, 1]);
+        assert.equal(syn.comment, undefined);
+    });
+
+    it('shows an endpoint without an IPv4 address as its placeholder and says so', () => {
+        const frames = Pcapng.frames(handshake({ client: { address: '192.0.2.100', port: 50000 }, server: { address: '::1', port: 2525 } }));
+        assert.equal(frames.length, 3);
+        frames.forEach((frame) => {
+            assert.equal(frame.bytes[0], 0x45);
+            assert.equal(Pcapng.checksum(frame.bytes.subarray(0, 20)), 0);
+        });
+        assert.deepEqual([...frames[0].bytes.subarray(16, 20)], [192, 0, 2, 10]);
+        assert.deepEqual([...frames[1].bytes.subarray(12, 16)], [192, 0, 2, 10]);
+        assert.equal(frames[0].comment, 'Server ::1 shown as 192.0.2.10');
+        assert.equal(Pcapng.isIPv4('256.1.1.1'), false);
+    });
+});
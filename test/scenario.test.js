@@ -0,0 +1,45 @@
+// Scenario files and shared links: what parse() accepts and how it refuses
+// a malformed one before it reaches the form or the engine
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('../node/load-engine');
+
+const { Scenario, SMTPEngine } = loadEngine();
+
+const HEADER = { format: 'smtp-simulator-scenario', version: 1 };
+
+describe('Scenario.parse', () => {
+    it('fills the gaps and keeps every library scenario', () => {
+        const scenario = Scenario.parse({ ...HEADER, server: { extensions: ['SIZE'] } });
+        assert.deepEqual([...scenario.server.extensions], ['SIZE']);
+        assert.equal(scenario.client.greeting, 'HELO');
+        Object.keys(Scenario.LIBRARY).forEach(id => Scenario.parse(Scenario.fromLibrary(id)));
+    });
+
+    it('names the field that has the wrong type', () => {
+        assert.throws(() => Scenario.parse({ ...HEADER, server: { extensions: 'SIZE' } }), /^Error: Scenario field "server.extensions" must be a list, not text$/);
+        assert.throws(() => Scenario.parse({ ...HEADER, network: { packetLoss: '10' } }), /"network.packetLoss" must be a number/);
+        assert.throws(() => Scenario.parse({ ...HEADER, email: null }), /"email" must be a section, not null/);
+        assert.throws(() => Scenario.parse({ ...HEADER, server: { users: [{ username: 7, password: 'x' }] } }), /"server.users\[0\].username" must be text/);
+        assert.throws(() => Scenario.parse({ ...HEADER, mx: { fullMailboxes: [1] } }), /"mx.fullMailboxes\[0\]" must be text/);
+        assert.equal(Scenario.parse({ ...HEADER, dns: { zone: 'example.com. MX 10 mx.example.com.' } }).dns.zone.length > 0, true);
+    });
+});
+
+describe('Scenario links', () => {
+    it('round-trips a scenario through the hash', () => {
+        const scenario = Scenario.fromLibrary('greylisting');
+        const shared = Scenario.fromHash(Scenario.toHash(scenario));
+        assert.equal(shared.name, scenario.name);
+        assert.equal(shared.mx.greylisting, true);
+    });
+
+    it('refuses a malformed hash before the scenario is applied', () => {
+        const broken = Scenario.toHash({ ...Scenario.fromLibrary('basic'), server: { extensions: 'SIZE' } });
+        assert.throws(() => Scenario.fromHash(broken), /"server.extensions" must be a list/);
+        assert.throws(() => Scenario.fromHash(`${Scenario.HASH_PREFIX}!!!`), /damaged/);
+        assert.equal(Scenario.fromHash('#somewhere-else'), null);
+        // What parse() lets through, configure() can take
+        Scenario.configure(new SMTPEngine({ seed: 1 }), Scenario.fromHash(Scenario.toHash(Scenario.fromLibrary('basic'))));
+    });
+});
@@ -0,0 +1,107 @@
+// The command-line runner: arguments, printed report and exit codes
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parseArgs } = require('../node/simulate');
+
+const SCRIPT = path.join(__dirname, '..', 'node', 'simulate.js');
+
+/**
+ * Run the CLI in a child process
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+function run(args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [SCRIPT, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('parseArgs', () => {
+    it('reads a library run with its options', () => {
+        assert.deepEqual(parseArgs(['--library', 'basic', '--seed', '9', '--loss', '0', '--json']), {
+            file: null, library: 'basic', seed: 9, loss: 0, until: 3600, json: true, expect: null, list: false
+        });
+    });
+
+    it('refuses a missing or doubled scenario and bad values', () => {
+        assert.throws(() => parseArgs([]), /either a scenario file or --library/);
+        assert.throws(() => parseArgs(['a.json', '--library', 'basic']), /either a scenario file or --library/);
+        assert.throws(() => parseArgs(['--library', 'basic', '--seed', 'x']), /not a number/);
+        assert.throws(() => parseArgs(['--library', 'basic', '--loss', '150']), /0 to 100, not 150/);
+        assert.throws(() => parseArgs(['--library', 'basic', '--loss', '-5']), /^Error: --loss takes a number from 0 to 100, not -5$/);
+        assert.throws(() => parseArgs(['--library', 'basic', '--loss', 'ten']), /ten is not a number/);
+        assert.throws(() => parseArgs(['--library', 'basic', '--seed', '-1']), /--seed takes a number from 0 up, not -1/);
+        assert.throws(() => parseArgs(['--library', 'basic', '--expect', 'sent']), /delivered, queued or failed/);
+        assert.throws(() => parseArgs(['--library', 'basic', '--verbose']), /Unknown option/);
+    });
+});
+
+describe('node/simulate.js', () => {
+    it('prints the transcript and the counters', async () => {
+        const { code, stdout } = await run(['--library', 'relayDenied']);
+        assert.equal(code, 0);
+        assert.match(stdout, /^Scenario: Relay denied \(seed 1\)/);
+        assert.match(stdout, /\[\+\d+\.\d{3}s\] S: 550 5\.7\.1 <carol@example\.org>: Relay access denied/);
+        assert.match(stdout, /Outcome: delivered\n {2}<bob@example\.com> delivered \(250\)\n {2}<carol@example\.org> rejected \(550\)/);
+        assert.match(stdout, /Packets: 21 sent, 0 lost, 0 retransmitted/);
+    });
+
+    it('prints the same JSON for the same seed', async () => {
+        const args = ['--library', 'basic', '--seed', '5', '--loss', '20', '--json'];
+        const first = await run(args);
+        const second = await run(args);
+        assert.equal(first.code, 0);
+        assert.equal(second.stdout, first.stdout);
+        const result = JSON.parse(first.stdout);
+        assert.equal(result.seed, 5);
+        assert.equal(result.stats.totalPackets - result.stats.lostPackets, 19);
+    });
+
+    it('runs a scenario file', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smtp-sim-'));
+        const file = path.join(dir, 'offline.json');
+        fs.writeFileSync(file, JSON.stringify({
+            format: 'smtp-simulator-scenario',
+            version: 1,
+            name: 'Offline for good',
+            network: { packetLoss: 0 },
+            receiver: { online: false },
+            queue: { minBackoff: 10, maxBackoff: 20, lifetime: 60 }
+        }));
+        const { code, stdout } = await run([file, '--expect', 'failed']);
+        fs.rmSync(dir, { recursive: true });
+        assert.equal(code, 0);
+        assert.match(stdout, /Email \[ID: Q1\] to bob@example\.com expired/);
+        assert.match(stdout, /Bounce \(status 4\.4\.7\)/);
+        assert.match(stdout, /Outcome: failed \(session ended queued\)\n {2}<bob@example\.com> failed/);
+    });
+
+    it('reports what the queue did after the session', async () => {
+        const greylisted = await run(['--library', 'greylisting', '--expect', 'delivered']);
+        assert.equal(greylisted.code, 0);
+        assert.match(greylisted.stdout, /Outcome: delivered \(session ended queued\)\n {2}<bob@example\.com> delivered/);
+        const bounced = await run(['--library', 'mailboxFull', '--expect', 'delivered']);
+        assert.equal(bounced.code, 1);
+        assert.match(bounced.stdout, /Outcome: failed\n {2}<bob@example\.com> failed/);
+        assert.match(bounced.stderr, /Expected delivered, got failed/);
+    });
+
+    it('exits with 1 when the outcome is not the expected one', async () => {
+        const { code, stderr } = await run(['--library', 'blockedClient', '--expect', 'delivered']);
+        assert.equal(code, 1);
+        assert.match(stderr, /Expected delivered, got failed/);
+    });
+
+    it('exits with 2 on bad arguments and unknown scenarios', async () => {
+        assert.equal((await run(['--seed'])).code, 2);
+        const { code, stderr } = await run(['--library', 'nope']);
+        assert.equal(code, 2);
+        assert.match(stderr, /Unknown scenario "nope"/);
+    });
+});
@@ -0,0 +1,223 @@
+// The real TCP listener and the frame codec of the WebSocket bridge
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { createListener } = require('../node/smtp-listener');
+const { createBridge, encodeFrame, decodeFrame, isAllowedTarget, isAllowedOrigin } = require('../node/ws-bridge');
+
+/**
+ * Talk to a listener line by line
+ * @param {number} port - Listener port
+ * @returns {Promise<Object>} { reply(), send(line), end() } once connected
+ */
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: '127.0.0.1', port });
+        let buffer = '';
+        let waiting = null;
+        // A reply is complete at its last line, the one with a space after the code
+        const take = () => {
+            const match = /^(?:\d{3}-.*\r\n)*\d{3}(?: .*)?\r\n/.exec(buffer);
+            if (!match || !waiting) return;
+            buffer = buffer.slice(match[0].length);
+            const done = waiting;
+            waiting = null;
+            done(match[0].trimEnd().split('\r\n'));
+        };
+        socket.setEncoding('utf8');
+        socket.on('data', (data) => {
+            buffer += data;
+            take();
+        });
+        socket.once('error', reject);
+        socket.once('connect', () => resolve({
+            reply: () => new Promise((done) => {
+                waiting = done;
+                take();
+            }),
+            send: line => socket.write(`${line}\r\n`),
+            end: () => socket.end()
+        }));
+    });
+}
+
+/**
+ * Open a WebSocket to a bridge the way a page does
+ * @param {number} port - Bridge port
+ * @param {string} origin - Origin header to send
+ * @returns {Promise<Object>} { status, send(...messages), next(), end() }; status is the handshake's HTTP status
+ */
+function connectBridge(port, origin) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: '127.0.0.1', port });
+        let buffer = Buffer.alloc(0);
+        let upgraded = false;
+        const messages = [];
+        const waiting = [];
+        const deliver = () => {
+            while (messages.length > 0 && waiting.length > 0) waiting.shift()(messages.shift());
+        };
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            if (!upgraded) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end < 0) return;
+                const status = Number(/^HTTP\/1\.1 (\d{3})/.exec(buffer.toString('latin1'))[1]);
+                buffer = buffer.subarray(end + 4);
+                upgraded = true;
+                resolve({
+                    status,
+                    // Page frames are masked (RFC 6455 section 5.1); several messages go out in one write
+                    send: (...list) => socket.write(Buffer.concat(list.map((message) => {
+                        const frame = encodeFrame(0x1, Buffer.from(JSON.stringify(message)));
+                        frame[1] |= 0x80;
+                        return Buffer.concat([frame.subarray(0, 2), Buffer.alloc(4), frame.subarray(2)]);
+                    }))),
+                    next: () => new Promise((done) => {
+                        waiting.push(done);
+                        deliver();
+                    }),
+                    end: () => socket.destroy()
+                });
+            }
+            let frame;
+            while ((frame = decodeFrame(buffer))) {
+                buffer = buffer.subarray(frame.length);
+                if (frame.opcode === 0x1) messages.push(JSON.parse(frame.payload.toString('utf8')));
+            }
+            deliver();
+        });
+        socket.once('error', reject);
+        socket.write([
+            'GET /smtp HTTP/1.1',
+            `Host: 127.0.0.1:${port}`,
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            'Sec-WebSocket-Version: 13',
+            `Sec-WebSocket-Key: ${Buffer.alloc(16, 7).toString('base64')}`,
+            `Origin: ${origin}`,
+            '', ''
+        ].join('\r\n'));
+    });
+}
+
+describe('createListener', () => {
+    let listener;
+    let port;
+
+    before(async () => {
+        listener = createListener({ hostname: 'mx.test', auth: true });
+        await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+        port = listener.address().port;
+    });
+
+    after(() => new Promise(resolve => listener.close(resolve)));
+
+    it('holds a complete conversation over TCP', async () => {
+        const client = await connect(port);
+        assert.deepEqual(await client.reply(), ['220 mx.test ESMTP Simulator ready']);
+        client.send('EHLO tester.local');
+        const ehlo = await client.reply();
+        assert.equal(ehlo[0], '250-mx.test Hello tester.local');
+        assert.equal(ehlo[ehlo.length - 1], '250 AUTH CRAM-MD5 LOGIN PLAIN');
+        client.send('STARTTLS');
+        assert.match((await client.reply())[0], /^502 /);
+        client.send('MAIL FROM:<alice@example.com>');
+        assert.deepEqual(await client.reply(), ['250 Sender OK']);
+        client.send('RCPT TO:<bob@example.com>');
+        assert.deepEqual(await client.reply(), ['250 Recipient OK']);
+        client.send('DATA');
+        assert.match((await client.reply())[0], /^354 /);
+        ['Subject: Over TCP', '', '..dot-stuffed', '.'].forEach(client.send);
+        assert.deepEqual(await client.reply(), ['250 Message accepted and stored in queue']);
+        client.send('QUIT');
+        assert.deepEqual(await client.reply(), ['221 Goodbye']);
+        client.end();
+
+        const message = listener.smtp.spool[listener.smtp.spool.length - 1];
+        assert.equal(message.from, 'alice@example.com');
+        assert.match(message.data, /\r\n\.dot-stuffed$/);
+    });
+
+    it('drops a client that sends an overlong line', async () => {
+        const client = await connect(port);
+        await client.reply();
+        client.send('NOOP' + ' '.repeat(2000));
+        assert.match((await client.reply())[0], /^500 /);
+        client.end();
+    });
+});
+
+describe('WebSocket bridge', () => {
+    it('decodes masked frames and encodes server frames of every length', () => {
+        [5, 300, 70000].forEach((size) => {
+            const payload = Buffer.alloc(size, 'x');
+            const server = encodeFrame(0x1, payload);
+            assert.equal(decodeFrame(server).payload.length, size);
+
+            // Client frames are masked; the decoder unmasks them
+            const mask = Buffer.from([1, 2, 3, 4]);
+            const header = Buffer.from(server.subarray(0, server.length - size));
+            header[1] |= 0x80;
+            const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+            const frame = decodeFrame(Buffer.concat([header, mask, masked]));
+            assert.ok(frame.masked);
+            assert.deepEqual(frame.payload, payload);
+        });
+        assert.equal(decodeFrame(Buffer.from([0x81])), null);
+    });
+
+    it('only reaches SMTP ports on this machine unless allowed', () => {
+        assert.ok(isAllowedTarget('127.0.0.1', 2525));
+        assert.ok(!isAllowedTarget('127.0.0.1', 22));
+        assert.ok(!isAllowedTarget('mail.example.com', 25));
+        assert.ok(isAllowedTarget('mail.example.com', 25, ['mail.example.com:25']));
+        assert.ok(isAllowedOrigin('http://localhost:8080'));
+        assert.ok(!isAllowedOrigin('https://evil.example'));
+    });
+
+    it('refuses the origin "null" unless file pages are allowed', () => {
+        assert.ok(!isAllowedOrigin('null'));
+        assert.ok(!isAllowedOrigin('file://'));
+        assert.ok(isAllowedOrigin('null', [], true));
+        assert.ok(isAllowedOrigin('file://', [], true));
+    });
+});
+
+describe('WebSocket bridge connections', () => {
+    let listener;
+    let bridge;
+    let target;
+
+    before(async () => {
+        listener = createListener({ hostname: 'mx.test' });
+        await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+        target = listener.address().port;
+        bridge = createBridge({ allow: [`127.0.0.1:${target}`] });
+        await new Promise(resolve => bridge.listen(0, '127.0.0.1', resolve));
+    });
+
+    after(async () => {
+        await new Promise(resolve => bridge.close(resolve));
+        await new Promise(resolve => listener.close(resolve));
+    });
+
+    it('turns away a sandboxed page with the origin "null"', async () => {
+        const page = await connectBridge(bridge.address().port, 'null');
+        assert.equal(page.status, 403);
+        page.end();
+    });
+
+    it('opens one connection when a second open arrives while the first is pending', async () => {
+        const page = await connectBridge(bridge.address().port, 'http://localhost:8080');
+        assert.equal(page.status, 101);
+        page.send({ type: 'open', host: '127.0.0.1', port: target }, { type: 'open', host: '127.0.0.1', port: target });
+        assert.deepEqual(await page.next(), { type: 'error', message: 'Already connecting' });
+        assert.deepEqual(await page.next(), { type: 'opened' });
+        const greeting = await page.next();
+        assert.equal(greeting.type, 'data');
+        assert.match(Buffer.from(greeting.data, 'base64').toString(), /^220 mx\.test /);
+        page.send({ type: 'close' });
+        page.end();
+    });
+});
@@ -0,0 +1,110 @@
+// Reply paths of the simulated server's state machine, one command at a time
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('../node/load-engine');
+
+const { SMTPServer } = loadEngine();
+
+describe('SMTPSession', () => {
+    let server;
+    let session;
+    const send = line => session.handle(line);
+
+    beforeEach(() => {
+        server = new SMTPServer({ now: () => Date.UTC(2024, 0, 1), random: () => 0.5 });
+        session = server.connect({ hostname: 'client.example.com', address: '192.0.2.10' });
+    });
+
+    it('greets with 220 and advertises its extensions after EHLO', () => {
+        assert.equal(session.greeting.code, 220);
+        const reply = send('EHLO client.example.com');
+        assert.equal(reply.code, 250);
+        // Arrays made inside the engine's context have its own Array prototype
+        assert.deepEqual([...SMTPServer.formatReply(reply)], [
+            '250-smtp.example.com Hello client.example.com',
+            '250-SIZE 1048576',
+            '250-8BITMIME',
+            '250 PIPELINING'
+        ]);
+    });
+
+    it('walks MAIL, RCPT and DATA to 250, 354 and 250 after the dot', () => {
+        send('EHLO client.example.com');
+        assert.equal(send('MAIL FROM:<alice@example.com>').code, 250);
+        assert.equal(send('RCPT TO:<bob@example.com>').code, 250);
+        assert.equal(send('DATA').code, 354);
+        assert.ok(session.isReceivingData);
+        assert.equal(send('Subject: Hello'), null);
+        assert.equal(send(''), null);
+        assert.equal(send('..leading dot'), null);
+        const reply = send('.');
+        assert.equal(reply.code, 250);
+        assert.equal(session.lastMessage.from, 'alice@example.com');
+        assert.deepEqual([...session.lastMessage.recipients], ['bob@example.com']);
+        // Dot-stuffing is undone on the way in
+        assert.match(session.lastMessage.data, /\r\n\.leading dot$/);
+    });
+
+    it('closes with 221 after QUIT and answers 421 afterwards', () => {
+        send('HELO client.example.com');
+        assert.equal(send('QUIT').code, 221);
+        assert.ok(session.isClosed);
+        assert.equal(server.sessions.length, 0);
+        assert.equal(send('NOOP').code, 421);
+    });
+
+    it('answers commands out of order with 503', () => {
+        assert.equal(send('MAIL FROM:<alice@example.com>').code, 503);
+        send('EHLO client.example.com');
+        assert.equal(send('RCPT TO:<bob@example.com>').code, 503);
+        assert.equal(send('DATA').code, 503);
+    });
+
+    it('answers malformed commands with 500 and 501', () => {
+        assert.equal(send('BOGUS').code, 500);
+        send('EHLO client.example.com');
+        assert.equal(send('MAIL alice@example.com').code, 501);
+        assert.equal(send('RSET now').code, 501);
+    });
+
+    it('refuses unknown and full mailboxes with 550 and 552', () => {
+        send('EHLO client.example.com');
+        send('MAIL FROM:<alice@example.com>');
+        assert.equal(send('RCPT TO:<invalid@example.com>').code, 550);
+        assert.equal(send('RCPT TO:<full@example.com>').code, 552);
+        // Only accepted recipients count, so DATA still has none
+        assert.equal(send('DATA').code, 554);
+    });
+
+    it('denies relaying to other domains without AUTH when the relay is closed', () => {
+        server.relay = 'authenticated';
+        send('EHLO client.example.com');
+        send('MAIL FROM:<alice@example.com>');
+        assert.equal(send('RCPT TO:<bob@example.com>').code, 250);
+        const reply = send('RCPT TO:<carol@example.org>');
+        assert.equal(reply.code, 550);
+        assert.match(reply.lines[0], /Relay access denied/);
+    });
+
+    it('greets blocklisted clients with 554 and busy servers with 421', () => {
+        server.policy = { ...server.policy, blocklist: ['192.0.2.0/24'] };
+        const blocked = server.connect({ hostname: 'client.example.com', address: '192.0.2.99' });
+        assert.equal(blocked.greeting.code, 554);
+        assert.ok(blocked.isClosed);
+
+        const crowded = new SMTPServer({ maxConnections: 1 });
+        crowded.connect({ address: '198.51.100.1' });
+        assert.equal(crowded.connect({ address: '198.51.100.2' }).greeting.code, 421);
+    });
+
+    it('rejects a message over the SIZE limit with 552', () => {
+        server.extensions = ['SIZE 100'];
+        send('EHLO client.example.com');
+        assert.equal(send('MAIL FROM:<alice@example.com> SIZE=5000').code, 552);
+        assert.equal(send('MAIL FROM:<alice@example.com>').code, 250);
+        send('RCPT TO:<bob@example.com>');
+        send('DATA');
+        send('x'.repeat(200));
+        assert.equal(send('.').code, 552);
+    });
+});
@@ -0,0 +1,79 @@
+// Sender Authentication View
+// Shows the SPF, DKIM and DMARC verdicts of the receiving MX for every copy
+// it checked, with the Authentication-Results header it added.
+class AuthView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose checks are shown
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.container = document.getElementById('authResults');
+        // Concurrent sessions share the panel; the first one to start clears it
+        this.engine.on('sessionStart', (event) => {
+            if (event.active === 1) this.clear();
+        });
+        this.engine.on('authResults', (event) => this.render(event));
+    }
+
+    // Remove the results of the previous session
+    clear() {
+        this.container.innerHTML = '';
+        const empty = document.createElement('div');
+        empty.className = 'auth-empty';
+        empty.textContent = 'No message checked yet';
+        this.container.appendChild(empty);
+    }
+
+    /**
+     * Badge for one check, coloured by its result
+     * @param {string} label - Check name, e.g. 'SPF'
+     * @param {string} result - Result such as 'pass', 'fail' or 'none'
+     * @param {string} detail - Tooltip text
+     * @returns {HTMLElement} Badge element
+     */
+    badge(label, result, detail) {
+        const badge = document.createElement('span');
+        const tone = ['pass', 'deliver'].includes(result) ? 'pass' : ['fail', 'permerror', 'reject'].includes(result) ? 'fail' : 'neutral';
+        badge.className = `auth-badge ${tone}`;
+        badge.textContent = `${label}: ${result}`;
+        badge.title = detail || '';
+        return badge;
+    }
+
+    /**
+     * Add the verdict for one checked copy
+     * @param {Object} event - authResults event
+     */
+    render(event) {
+        const empty = this.container.querySelector('.auth-empty');
+        if (empty) empty.remove();
+
+        const entry = document.createElement('div');
+        entry.className = 'auth-entry';
+        const title = document.createElement('div');
+        title.className = 'auth-title';
+        title.textContent = `[${event.email.id}] <${event.email.recipient}> at ${event.host}, sent by ${event.email.relayHost} [${event.ip}]`;
+
+        const badges = document.createElement('div');
+        badges.className = 'auth-badges';
+        badges.appendChild(this.badge('SPF', event.spf.result, event.spf.reason));
+        if (event.dkim.length === 0) {
+            badges.appendChild(this.badge('DKIM', 'none', 'the message carries no DKIM-Signature'));
+        }
+        event.dkim.forEach(signature => {
+            badges.appendChild(this.badge(`DKIM ${signature.domain}`, signature.result, signature.reason));
+        });
+        badges.appendChild(this.badge('DMARC', event.dmarc.result, event.dmarc.reason));
+        const disposition = { none: 'deliver', quarantine: 'quarantine', reject: 'reject' }[event.dmarc.disposition];
+        badges.appendChild(this.badge('Action', disposition, event.dmarc.policy ? `p=${event.dmarc.policy}` : 'no DMARC policy'));
+
+        const header = document.createElement('pre');
+        header.className = 'auth-header';
+        header.textContent = event.header.join('\n');
+
+        entry.appendChild(title);
+        entry.appendChild(badges);
+        entry.appendChild(header);
+        this.container.appendChild(entry);
+    }
+}
@@ -0,0 +1,72 @@
+// Concurrent Clients View
+// Editable list of simulated mail clients. Each row overrides the sender,
+// To, subject and packet loss of the main form and connects from its
+// own host, so all of them can be started against the server at once.
+class ClientListView {
+    constructor() {
+        this.list = document.getElementById('clientList');
+        this.count = 0; // Rows added so far, numbers the client hosts
+        document.getElementById('addClientBtn').addEventListener('click', () => this.addClient());
+    }
+
+    /**
+     * Add a client row
+     * @param {Object} values - Initial { sender, to, subject, packetLoss }
+     */
+    addClient(values = {}) {
+        this.count++;
+        const row = document.createElement('li');
+        row.className = 'client-row';
+        row.dataset.host = `client${this.count}.example.com`;
+        row.dataset.address = `192.0.2.${100 + this.count}`;
+
+        const host = document.createElement('span');
+        host.className = 'client-host';
+        host.textContent = row.dataset.host;
+        row.appendChild(host);
+
+        const field = (name, value, placeholder, type = 'text') => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.name = name;
+            input.value = value;
+            input.placeholder = placeholder;
+            input.setAttribute('aria-label', placeholder);
+            row.appendChild(input);
+        };
+        field('sender', values.sender || '', 'Sender');
+        field('to', values.to || '', 'To');
+        field('subject', values.subject || '', 'Subject');
+        field('packetLoss', values.packetLoss === undefined ? '' : values.packetLoss, 'Loss %', 'number');
+
+        const remove = document.createElement('button');
+        remove.className = 'client-remove-btn';
+        remove.textContent = '✕';
+        remove.title = 'Remove this client';
+        remove.addEventListener('click', () => row.remove());
+        row.appendChild(remove);
+
+        this.list.appendChild(row);
+    }
+
+    /**
+     * Session configs of every client row
+     * Empty fields keep the value of the main form.
+     * @param {Object} base - Config from the main form
+     * @returns {Object[]} Configs for SMTPEngine.sendEmail()
+     */
+    configs(base) {
+        return Array.from(this.list.querySelectorAll('.client-row'), row => {
+            const value = name => row.querySelector(`[name="${name}"]`).value.trim();
+            const packetLoss = parseFloat(value('packetLoss'));
+            return {
+                ...base,
+                sender: value('sender') || base.sender,
+                to: value('to') || base.to,
+                subject: value('subject') || base.subject,
+                packetLoss: isNaN(packetLoss) ? base.packetLoss : packetLoss,
+                client: { hostname: row.dataset.host, address: row.dataset.address }
+            };
+        });
+    }
+}
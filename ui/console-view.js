@@ -0,0 +1,111 @@
+// SMTP Console View
+// Terminal-style panel where raw SMTP lines are typed and sent to the
+// simulated server through SMTPEngine.consoleCommand()
+class SMTPConsoleView {
+    /**
+     * @param {SMTPEngine} engine - Engine that owns the console session
+     * @param {Function} getTiming - Returns { networkDelay, packetLossRate, serverDelay }
+     * @param {Function} getPort - Returns the port new console connections use
+     */
+    constructor(engine, getTiming, getPort = () => 25) {
+        this.engine = engine;
+        this.getTiming = getTiming;
+        this.getPort = getPort;
+        this.output = document.getElementById('consoleOutput');
+        this.input = document.getElementById('consoleInput');
+        this.history = [];
+        this.historyIndex = 0;
+        this.bindEngine();
+        this.bindInput();
+    }
+
+    // Subscribe to console traffic from the engine
+    bindEngine() {
+        this.engine.on('consoleOpen', (event) => {
+            this.print(`--- Connecting to ${event.host} port ${event.port} ---`, 'info');
+        });
+
+        this.engine.on('command', (event) => {
+            if (event.source !== 'console') return;
+            this.print(`C: ${event.command}`, event.content ? 'content' : 'command');
+        });
+
+        this.engine.on('reply', (event) => {
+            if (event.source !== 'console') return;
+            const type = event.code >= 400 ? 'error' : 'response';
+            SMTPServer.formatReply(event).forEach(line => this.print(`S: ${line}`, type));
+            if (event.code === 334) {
+                // AUTH challenges are base64; show what they say
+                const decoded = Encoding.base64Decode(event.lines[0]);
+                this.print(`   (challenge decodes to "${decoded || ''}", answer in base64)`, 'info');
+            }
+            if (event.code === 221) {
+                this.print('--- Connection closed. Type a command to reconnect ---', 'info');
+            }
+        });
+
+        this.engine.on('consoleError', (event) => {
+            this.print(`--- ${event.message}. Type a command to reconnect ---`, 'error');
+        });
+    }
+
+    // Wire up the input line: Enter sends, arrow keys walk the history
+    bindInput() {
+        document.getElementById('consoleForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit(this.input.value);
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' && this.historyIndex > 0) {
+                this.historyIndex--;
+                this.input.value = this.history[this.historyIndex];
+                e.preventDefault();
+            } else if (e.key === 'ArrowDown' && this.historyIndex < this.history.length) {
+                this.historyIndex++;
+                this.input.value = this.history[this.historyIndex] || '';
+                e.preventDefault();
+            }
+        });
+
+        document.getElementById('consoleResetBtn').addEventListener('click', () => {
+            this.output.innerHTML = '';
+            this.engine.openConsole(this.getPort());
+            this.input.focus();
+        });
+    }
+
+    /**
+     * Send a typed line to the server
+     * @param {string} line - Raw SMTP line
+     */
+    async submit(line) {
+        if (this.input.disabled) return;
+        this.input.value = '';
+        if (line.trim()) {
+            this.history.push(line);
+        }
+        this.historyIndex = this.history.length;
+
+        this.input.disabled = true;
+        try {
+            await this.engine.consoleCommand(line, this.getTiming());
+        } finally {
+            this.input.disabled = false;
+            this.input.focus();
+        }
+    }
+
+    /**
+     * Append a line to the console output
+     * @param {string} text - Line to show
+     * @param {string} type - command, content, response, error or info
+     */
+    print(text, type) {
+        const line = document.createElement('div');
+        line.className = `console-line ${type}`;
+        line.textContent = text;
+        this.output.appendChild(line);
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+}
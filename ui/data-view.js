@@ -0,0 +1,87 @@
+// Raw DATA View
+// Shows the exact payload the client sends after the 354 reply: every line
+// with its CRLF, dot-stuffed lines marked, and the <CRLF>.<CRLF> terminator.
+// A message sent with BDAT is shown chunk by chunk, as it is: no stuffing, no dot.
+class RawDataView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose 'content' events are shown
+     * @param {number} maxLines - Lines rendered before the rest is summarised
+     */
+    constructor(engine, maxLines = 400) {
+        this.engine = engine;
+        this.maxLines = maxLines;
+        this.output = document.getElementById('rawDataOutput');
+        this.summary = document.getElementById('rawDataSummary');
+        this.engine.on('content', (event) => this.render(event));
+    }
+
+    /**
+     * Show the wire lines of one message
+     * @param {Object} event - 'content' event with lines and size
+     */
+    render(event) {
+        this.output.innerHTML = '';
+        if (event.chunks) {
+            this.renderChunks(event);
+            return;
+        }
+        const stuffed = event.lines.filter(line => line.startsWith('.')).length;
+        this.summary.textContent = `${event.lines.length} lines, ${event.size} bytes` +
+            (stuffed ? `, ${stuffed} dot-stuffed` : '');
+
+        event.lines.slice(0, this.maxLines).forEach(line => {
+            // A wire line starting with "." always carries an extra stuffed dot
+            this.printLine(line, line.startsWith('.') ? 'stuffed' : '', line.startsWith('.') ? 'dot-stuffed' : '');
+        });
+        if (event.lines.length > this.maxLines) {
+            this.printLine(`… ${event.lines.length - this.maxLines} more lines`, 'info', '');
+        }
+        this.printLine('.', 'terminator', 'end of data: <CRLF>.<CRLF>');
+    }
+
+    /**
+     * Show a message sent in BDAT chunks, each after its command
+     * @param {Object} event - 'content' event with chunks: [{ command, lines }]
+     */
+    renderChunks(event) {
+        this.summary.textContent = `${event.lines.length} lines, ${event.size} bytes in ${event.chunks.length} BDAT chunk(s)`;
+        let shown = 0;
+        let next = 0;
+        event.chunks.forEach((chunk) => {
+            this.printLine(chunk.command, 'chunk', 'size of the chunk that follows, counting every CRLF');
+            event.lines.slice(next, next + chunk.lines).forEach((line) => {
+                if (shown++ < this.maxLines) this.printLine(line, '', '');
+            });
+            next += chunk.lines;
+        });
+        if (shown > this.maxLines) {
+            this.printLine(`… ${shown - this.maxLines} lines not shown`, 'info', '');
+        }
+    }
+
+    /**
+     * Append one wire line followed by a visible CRLF marker
+     * @param {string} text - Line content
+     * @param {string} type - '', stuffed, terminator, chunk or info
+     * @param {string} note - Annotation shown after the line
+     */
+    printLine(text, type, note) {
+        const line = document.createElement('div');
+        line.className = `raw-line ${type}`.trim();
+        line.appendChild(document.createTextNode(text));
+
+        if (type !== 'info') {
+            const crlf = document.createElement('span');
+            crlf.className = 'raw-crlf';
+            crlf.textContent = '␍␊';
+            line.appendChild(crlf);
+        }
+        if (note) {
+            const label = document.createElement('span');
+            label.className = 'raw-note';
+            label.textContent = ` ← ${note}`;
+            line.appendChild(label);
+        }
+        this.output.appendChild(line);
+    }
+}
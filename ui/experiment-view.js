@@ -0,0 +1,300 @@
+// Experiment View
+// Batch experiment dialog: the grid of settings to vary, progress while the
+// runs go, a line chart per metric with one line per value of the second
+// setting, a summary table and the CSV download of every run.
+class ExperimentView {
+    /**
+     * @param {Object} hooks - { capture() }: scenario of the current form, the base every run starts from
+     */
+    constructor(hooks) {
+        this.hooks = hooks;
+        this.experiment = null; // Experiment in progress
+        this.result = null; // Result of the latest experiment
+
+        this.xParameter = document.getElementById('experimentX');
+        this.seriesParameter = document.getElementById('experimentSeries');
+        this.runButton = document.getElementById('runExperimentBtn');
+        this.cancelButton = document.getElementById('cancelExperimentBtn');
+        this.csvButton = document.getElementById('experimentCsvBtn');
+        this.status = document.getElementById('experimentStatus');
+        this.progress = document.getElementById('experimentProgress');
+        this.charts = document.getElementById('experimentCharts');
+        this.table = document.getElementById('experimentTable');
+
+        this.seriesParameter.add(new Option('Nothing (one line)', ''));
+        Object.entries(Experiment.PARAMETERS).forEach(([parameter, setting]) => {
+            this.xParameter.add(new Option(setting.label, parameter));
+            this.seriesParameter.add(new Option(setting.label, parameter));
+        });
+        this.xParameter.value = 'packetLoss';
+        this.seriesParameter.value = 'networkDelay';
+        this.seriesParameter.addEventListener('change', () => {
+            document.getElementById('experimentSeriesValues').disabled = !this.seriesParameter.value;
+        });
+
+        this.runButton.addEventListener('click', () => this.run());
+        this.cancelButton.addEventListener('click', () => {
+            if (this.experiment) this.experiment.cancel();
+        });
+        this.csvButton.addEventListener('click', () => {
+            if (this.result) this.download(Experiment.toCsv(this.result));
+        });
+    }
+
+    // Line colors, one per value of the second setting
+    static get COLORS() {
+        return ['#667eea', '#e53e3e', '#38a169', '#d69e2e', '#805ad5', '#319795', '#dd6b20', '#2d3748'];
+    }
+
+    /**
+     * Axes from the form
+     * @returns {Object[]} { parameter, values }
+     */
+    readAxes() {
+        const axes = [{ parameter: this.xParameter.value, values: Experiment.values(document.getElementById('experimentXValues').value, this.xParameter.value) }];
+        const series = this.seriesParameter.value;
+        if (series && series === this.xParameter.value) {
+            throw new Error('Pick two different settings for the x axis and the lines');
+        }
+        if (series) {
+            axes.push({ parameter: series, values: Experiment.values(document.getElementById('experimentSeriesValues').value, series) });
+        }
+        return axes;
+    }
+
+    // Run the grid and show the results
+    async run() {
+        let experiment;
+        try {
+            experiment = new Experiment(this.hooks.capture(), {
+                axes: this.readAxes(),
+                runs: Math.min(100, parseInt(document.getElementById('experimentRuns').value) || 1),
+                seed: parseInt(document.getElementById('experimentSeed').value) || 0
+            });
+        } catch (error) {
+            this.status.textContent = `❌ ${error.message}`;
+            return;
+        }
+        this.experiment = experiment;
+        this.runButton.disabled = true;
+        this.cancelButton.disabled = false;
+        this.csvButton.disabled = true;
+        this.setProgress(0, experiment.total);
+
+        const result = await experiment.run((done, total, settings) => {
+            this.setProgress(done, total);
+            this.status.textContent = `⏳ ${done}/${total} sends · ${ExperimentView.describe(settings)}`;
+        });
+        this.experiment = null;
+        this.runButton.disabled = false;
+        this.cancelButton.disabled = true;
+        this.show(result);
+    }
+
+    /**
+     * Move the progress bar
+     * @param {number} done - Sends finished
+     * @param {number} total - Sends in the experiment
+     */
+    setProgress(done, total) {
+        const percent = Math.round(done / total * 100);
+        this.progress.style.width = `${percent}%`;
+        this.progress.textContent = `${percent}%`;
+    }
+
+    /**
+     * Settings of a grid point as text
+     * @param {Object} settings - Parameter → value
+     * @returns {string} e.g. "Packet loss (%) 20, Network delay (ms) 500"
+     */
+    static describe(settings) {
+        return Object.entries(settings).map(([parameter, value]) => `${Experiment.PARAMETERS[parameter].label} ${value}`).join(', ');
+    }
+
+    /**
+     * Charts and table of a finished experiment
+     * @param {Object} result - Result of Experiment.run()
+     */
+    show(result) {
+        this.result = result;
+        const sends = result.points.reduce((sum, point) => sum + point.samples.length, 0);
+        this.status.textContent = result.cancelled ? `⏹️ Stopped after ${sends} sends` : `✅ ${sends} sends over ${result.points.length} settings`;
+        this.csvButton.disabled = sends === 0;
+        this.charts.innerHTML = '';
+        this.table.innerHTML = '';
+        if (sends === 0) return;
+
+        const [xAxis, seriesAxis] = result.axes;
+        const lines = (seriesAxis ? seriesAxis.values : [null]).map((value, index) => ({
+            label: seriesAxis ? `${Experiment.PARAMETERS[seriesAxis.parameter].label} ${value}` : 'All sends',
+            color: ExperimentView.COLORS[index % ExperimentView.COLORS.length],
+            points: result.points.filter(point => !seriesAxis || point.settings[seriesAxis.parameter] === value)
+        })).filter(line => line.points.length > 0);
+
+        const figures = {
+            latency: summary => summary.latency && summary.latency.mean,
+            retransmissions: summary => summary.retransmissions,
+            failureRate: summary => summary.failureRate
+        };
+        Object.entries(Experiment.METRICS).forEach(([metric, info]) => {
+            const series = lines.map(line => ({
+                ...line,
+                values: line.points.map(point => ({ x: point.settings[xAxis.parameter], y: figures[metric](point.summary) }))
+            }));
+            this.charts.appendChild(this.renderChart(info, Experiment.PARAMETERS[xAxis.parameter].label, series, metric === 'failureRate' ? 100 : null));
+        });
+        this.renderLegend(lines);
+        this.renderTable(result);
+    }
+
+    /**
+     * One line chart
+     * @param {Object} info - Metric from Experiment.METRICS
+     * @param {string} xLabel - Label of the x axis
+     * @param {Object[]} series - { label, color, values: [{ x, y }] }; y is null where nothing was measured
+     * @param {number|null} yMax - Fixed top of the y axis, or null to fit the data
+     * @returns {HTMLElement} Figure with the SVG chart
+     */
+    renderChart(info, xLabel, series, yMax) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const [width, height] = [460, 240];
+        const margin = { left: 52, right: 16, top: 14, bottom: 40 };
+        const plot = { width: width - margin.left - margin.right, height: height - margin.top - margin.bottom };
+        const xs = series.flatMap(line => line.values.map(value => value.x));
+        const ys = series.flatMap(line => line.values.map(value => value.y)).filter(y => y !== null);
+        const [xMin, xMax] = [Math.min(...xs), Math.max(...xs)];
+        const top = yMax !== null ? yMax : ExperimentView.niceCeiling(Math.max(0, ...ys));
+        const sx = x => margin.left + (xMax === xMin ? plot.width / 2 : (x - xMin) / (xMax - xMin) * plot.width);
+        const sy = y => margin.top + plot.height - (top === 0 ? 0 : y / top * plot.height);
+        const element = (name, attributes, text) => {
+            const node = document.createElementNS(svgNS, name);
+            Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+
+        const svg = element('svg', { viewBox: `0 0 ${width} ${height}`, class: 'experiment-chart', role: 'img', 'aria-label': info.label });
+        for (let i = 0; i <= 4; i++) {
+            const y = top / 4 * i;
+            svg.appendChild(element('line', { x1: margin.left, x2: width - margin.right, y1: sy(y), y2: sy(y), class: 'chart-grid' }));
+            svg.appendChild(element('text', { x: margin.left - 6, y: sy(y) + 4, class: 'chart-tick', 'text-anchor': 'end' }, ExperimentView.format(y)));
+        }
+        [...new Set(xs)].forEach((x) => {
+            svg.appendChild(element('text', { x: sx(x), y: height - margin.bottom + 16, class: 'chart-tick', 'text-anchor': 'middle' }, ExperimentView.format(x)));
+        });
+        svg.appendChild(element('text', { x: margin.left + plot.width / 2, y: height - 6, class: 'chart-axis', 'text-anchor': 'middle' }, xLabel));
+
+        series.forEach((line) => {
+            // A point without a measurement breaks the line, e.g. no latency when nothing arrived
+            const segments = [[]];
+            line.values.forEach((value) => {
+                if (value.y === null) {
+                    segments.push([]);
+                } else {
+                    segments[segments.length - 1].push(`${sx(value.x)},${sy(value.y)}`);
+                }
+            });
+            segments.filter(segment => segment.length > 1).forEach((segment) => {
+                svg.appendChild(element('polyline', { points: segment.join(' '), fill: 'none', stroke: line.color, 'stroke-width': 2 }));
+            });
+            line.values.filter(value => value.y !== null).forEach((value) => {
+                const dot = element('circle', { cx: sx(value.x), cy: sy(value.y), r: 3.5, fill: line.color });
+                dot.appendChild(element('title', {}, `${line.label}, ${xLabel} ${value.x}: ${ExperimentView.format(value.y)}`));
+                svg.appendChild(dot);
+            });
+        });
+
+        const figure = document.createElement('figure');
+        figure.className = 'experiment-figure';
+        const caption = document.createElement('figcaption');
+        caption.textContent = `${info.label} — ${info.note}`;
+        figure.append(caption, svg);
+        return figure;
+    }
+
+    /**
+     * Which color is which line
+     * @param {Object[]} lines - { label, color }
+     */
+    renderLegend(lines) {
+        const legend = document.createElement('div');
+        legend.className = 'experiment-legend';
+        lines.forEach((line) => {
+            const entry = document.createElement('span');
+            const swatch = document.createElement('i');
+            swatch.style.background = line.color;
+            entry.append(swatch, line.label);
+            legend.appendChild(entry);
+        });
+        this.charts.prepend(legend);
+    }
+
+    /**
+     * Figures of every grid point
+     * @param {Object} result - Result of Experiment.run()
+     */
+    renderTable(result) {
+        const table = document.createElement('table');
+        table.className = 'experiment-summary';
+        const head = table.createTHead().insertRow();
+        [...result.axes.map(axis => Experiment.PARAMETERS[axis.parameter].label), 'Sends', 'Delivered', 'Mean latency (s)', 'Median latency (s)', 'Retransmissions / message', 'Failure rate (%)']
+            .forEach((title) => {
+                const cell = document.createElement('th');
+                cell.textContent = title;
+                head.appendChild(cell);
+            });
+        const body = table.createTBody();
+        result.points.forEach((point) => {
+            const row = body.insertRow();
+            const { summary } = point;
+            [
+                ...result.axes.map(axis => point.settings[axis.parameter]),
+                summary.runs,
+                summary.delivered,
+                summary.latency ? ExperimentView.format(summary.latency.mean) : '—',
+                summary.latency ? ExperimentView.format(summary.latency.median) : '—',
+                ExperimentView.format(summary.retransmissions),
+                ExperimentView.format(summary.failureRate)
+            ].forEach((value) => {
+                row.insertCell().textContent = value;
+            });
+        });
+        this.table.appendChild(table);
+    }
+
+    /**
+     * Short number for ticks and cells
+     * @param {number} value - Number to show
+     * @returns {string} At most two decimals
+     */
+    static format(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    /**
+     * Round a chart's top up to 1, 2 or 5 times a power of ten
+     * @param {number} value - Largest value shown
+     * @returns {number} Top of the y axis
+     */
+    static niceCeiling(value) {
+        if (value <= 0) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        return [1, 2, 5, 10].map(step => step * power).find(step => step >= value);
+    }
+
+    /**
+     * Save the runs as CSV
+     * @param {string} content - CSV text
+     */
+    download(content) {
+        const blob = new Blob([content], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `SMTP_Experiment_${new Date().getTime()}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,75 @@
+// Fault Injection View
+// Arms a fault for one step of the next session and lists the faults still
+// waiting; the chance of random faults and their timing are form fields
+// read by script.js.
+class FaultView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose fault injector is driven
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.kind = document.getElementById('faultKind');
+        this.point = document.getElementById('faultPoint');
+        this.list = document.getElementById('faultList');
+        this.randomKinds = document.getElementById('faultKinds');
+
+        Object.entries(FaultInjector.KINDS).forEach(([kind, fault]) => {
+            this.kind.add(new Option(fault.label, kind));
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = kind;
+            input.checked = true;
+            label.append(input, ` ${fault.label}`);
+            this.randomKinds.appendChild(label);
+        });
+        this.fillPoints();
+
+        this.kind.addEventListener('change', () => this.fillPoints());
+        document.getElementById('armFaultBtn').addEventListener('click', () => {
+            this.engine.faults.arm(this.kind.value, this.point.value);
+        });
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button) this.engine.faults.disarm(parseInt(button.dataset.index));
+        });
+        this.engine.on('faultsChanged', event => this.render(event.armed));
+        this.render(this.engine.faults.armed);
+    }
+
+    // Offer only the steps the picked fault can strike at
+    fillPoints() {
+        this.point.innerHTML = '';
+        FaultInjector.KINDS[this.kind.value].points.forEach((point) => {
+            this.point.add(new Option(FaultInjector.POINTS[point], point));
+        });
+    }
+
+    /**
+     * List the faults waiting for their step
+     * @param {Object[]} armed - { kind, point }
+     */
+    render(armed) {
+        this.list.innerHTML = '';
+        if (armed.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'fault-empty';
+            empty.textContent = 'No fault armed';
+            this.list.appendChild(empty);
+            return;
+        }
+        armed.forEach((fault, index) => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = `💥 ${FaultInjector.KINDS[fault.kind].label} at ${FaultInjector.POINTS[fault.point]}`;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'fault-remove';
+            remove.dataset.index = index;
+            remove.title = 'Disarm';
+            remove.textContent = '✖';
+            item.append(text, remove);
+            this.list.appendChild(item);
+        });
+    }
+}
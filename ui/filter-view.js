@@ -0,0 +1,129 @@
+// Content Filter View
+// Shows the spam score of every copy the receiving MX filtered, rule by rule,
+// and the quarantine, where the administrator releases or deletes held mail.
+class ContentFilterView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose filter is shown
+     * @param {Function} onAction - Called with ('releaseQuarantined' or 'deleteQuarantined', id) before the engine acts
+     */
+    constructor(engine, onAction) {
+        this.engine = engine;
+        this.onAction = onAction;
+        this.container = document.getElementById('filterResults');
+        this.list = document.getElementById('quarantineList');
+        this.summary = document.getElementById('quarantineSummary');
+        // Concurrent sessions share the panel; the first one to start clears it
+        this.engine.on('sessionStart', (event) => {
+            if (event.active === 1) this.clear();
+        });
+        this.engine.on('contentFilter', (event) => this.render(event));
+        this.engine.on('quarantineChanged', (event) => this.renderQuarantine(event.quarantine));
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            this.onAction(button.dataset.action, button.dataset.id);
+            this.engine[button.dataset.action](button.dataset.id);
+        });
+    }
+
+    // Where each action sends a message, for the verdict badge
+    static get ACTIONS() {
+        return {
+            inbox: { text: 'Inbox', tone: 'pass' },
+            spam: { text: 'Junk folder', tone: 'neutral' },
+            quarantine: { text: 'Quarantine', tone: 'fail' },
+            reject: { text: 'Rejected (550)', tone: 'fail' }
+        };
+    }
+
+    // Remove the verdicts of the previous session
+    clear() {
+        this.container.innerHTML = '';
+        const empty = document.createElement('div');
+        empty.className = 'filter-empty';
+        empty.textContent = 'No message scored yet';
+        this.container.appendChild(empty);
+    }
+
+    /**
+     * Add the score breakdown of one filtered copy
+     * @param {Object} event - contentFilter event
+     */
+    render(event) {
+        const empty = this.container.querySelector('.filter-empty');
+        if (empty) empty.remove();
+
+        const entry = document.createElement('div');
+        entry.className = 'auth-entry';
+        const title = document.createElement('div');
+        title.className = 'auth-title';
+        title.textContent = `[${event.email.id}] <${event.email.recipient}> at ${event.host}`;
+
+        const action = ContentFilterView.ACTIONS[event.action];
+        const badges = document.createElement('div');
+        badges.className = 'auth-badges';
+        const badge = document.createElement('span');
+        badge.className = `auth-badge ${action.tone}`;
+        badge.textContent = `Score ${event.score} → ${action.text}`;
+        badges.appendChild(badge);
+
+        const table = document.createElement('table');
+        table.className = 'filter-table';
+        event.results.forEach(result => {
+            const row = table.insertRow();
+            row.insertCell().textContent = result.label;
+            const score = row.insertCell();
+            score.className = result.score > 0 ? 'filter-score spam' : result.score < 0 ? 'filter-score ham' : 'filter-score';
+            score.textContent = result.score > 0 ? `+${result.score}` : String(result.score);
+            row.insertCell().textContent = result.details.join(' · ') || '—';
+        });
+
+        const header = document.createElement('pre');
+        header.className = 'auth-header';
+        header.textContent = event.header.join('\n');
+
+        entry.appendChild(title);
+        entry.appendChild(badges);
+        entry.appendChild(table);
+        entry.appendChild(header);
+        this.container.appendChild(entry);
+    }
+
+    /**
+     * Redraw the held messages
+     * @param {Object[]} quarantine - Entries { id, email, score, heldAt }
+     */
+    renderQuarantine(quarantine) {
+        this.list.innerHTML = '';
+        this.summary.textContent = quarantine.length === 0
+            ? 'Quarantine is empty'
+            : `${quarantine.length} message(s) held for the administrator`;
+
+        quarantine.forEach(entry => {
+            const row = document.createElement('li');
+            const title = document.createElement('div');
+            title.className = 'queue-title';
+            const subject = MIME.decodeHeader(MailStore.headerValue(entry.email.message, 'Subject'));
+            title.textContent = `🔒 [${entry.id}] "${subject}" to <${entry.email.recipient}>`;
+
+            const detail = document.createElement('div');
+            detail.className = 'queue-detail';
+            detail.textContent = `From <${entry.email.sender}> · score ${entry.score} · held at ${new Date(entry.heldAt).toTimeString().split(' ')[0]}`;
+
+            const buttons = document.createElement('div');
+            buttons.className = 'quarantine-actions';
+            [['releaseQuarantined', '📥 Release to Inbox'], ['deleteQuarantined', '🗑️ Delete']].forEach(([name, text]) => {
+                const button = document.createElement('button');
+                button.dataset.action = name;
+                button.dataset.id = entry.id;
+                button.textContent = text;
+                buttons.appendChild(button);
+            });
+
+            row.appendChild(title);
+            row.appendChild(detail);
+            row.appendChild(buttons);
+            this.list.appendChild(row);
+        });
+    }
+}
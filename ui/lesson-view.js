@@ -0,0 +1,261 @@
+// Lesson View
+// Guided lessons in the page: the Learn modal lists the lessons with the
+// student's best scores and builds quizzes from the last run, and while a
+// lesson runs a coach panel above the diagram names the busy node, asks for
+// each reply code before the server sends it and explains the real one.
+class LessonView {
+    /**
+     * @param {SMTPEngine} engine - Engine running on the playback clock
+     * @param {Playback} playback - Clock the tutor pauses
+     * @param {Object} hooks - { start(lesson), load(), save(progress), nodeIds }: run a lesson's scenario, read and write the stored progress, diagram element of each node
+     */
+    constructor(engine, playback, hooks) {
+        this.engine = engine;
+        this.playback = playback;
+        this.hooks = hooks;
+        this.progress = hooks.load(); // { lessons, quizzes } as stored
+        this.questions = []; // Questions of the open quiz
+        this.tutor = new LessonTutor(engine, playback, {
+            prompt: prompt => this.showPrompt(prompt),
+            result: answer => this.showResult(answer),
+            finish: summary => this.finish(summary)
+        });
+
+        this.list = document.getElementById('lessonList');
+        this.status = document.getElementById('lessonStatus');
+        this.quizArea = document.getElementById('quizArea');
+        this.panel = document.getElementById('lessonPanel');
+        this.title = document.getElementById('lessonTitle');
+        this.score = document.getElementById('lessonScore');
+        this.narration = document.getElementById('lessonNarration');
+        this.nodeName = document.getElementById('lessonNode');
+        this.question = document.getElementById('lessonQuestion');
+        this.choices = document.getElementById('lessonChoices');
+        this.feedback = document.getElementById('lessonFeedback');
+
+        this.bindInput();
+        this.bindEngine();
+        this.renderLessons();
+    }
+
+    // Wire up the lesson list, the answer buttons and the quiz
+    bindInput() {
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button) this.start(button.dataset.lesson);
+        });
+        this.choices.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button || button.disabled) return;
+            button.classList.add('picked');
+            this.choices.querySelectorAll('button').forEach((choice) => {
+                choice.disabled = true;
+            });
+            this.tutor.answer(parseInt(button.dataset.code));
+        });
+        document.getElementById('quitLessonBtn').addEventListener('click', () => this.quit());
+        document.getElementById('quizBtn').addEventListener('click', () => this.openQuiz());
+        document.getElementById('resetLessonsBtn').addEventListener('click', () => {
+            this.progress = {};
+            this.hooks.save(this.progress);
+            this.renderLessons();
+            this.status.textContent = 'Progress cleared';
+        });
+    }
+
+    // Follow the busy node while a lesson runs
+    bindEngine() {
+        this.engine.on('node', (event) => {
+            if (this.tutor.isActive) this.focusNode(event.node);
+        });
+    }
+
+    // Best scores of the lessons, and the quiz total
+    renderLessons() {
+        const done = this.progress.lessons || {};
+        this.list.innerHTML = '';
+        Object.entries(Lesson.LIBRARY).forEach(([id, lesson]) => {
+            const item = document.createElement('li');
+            const title = document.createElement('strong');
+            title.textContent = lesson.title;
+            const intro = document.createElement('p');
+            intro.textContent = lesson.intro;
+            const best = document.createElement('span');
+            best.className = 'lesson-best';
+            best.textContent = done[id] ? `Best ${done[id].best}/${done[id].total} · ${done[id].attempts} attempt${done[id].attempts > 1 ? 's' : ''}` : 'Not taken yet';
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'playback-btn';
+            button.dataset.lesson = id;
+            button.textContent = '▶️ Start';
+            item.append(title, best, intro, button);
+            this.list.appendChild(item);
+        });
+        const quizzes = this.progress.quizzes || [];
+        if (quizzes.length > 0) {
+            const score = quizzes.reduce((sum, quiz) => sum + quiz.score, 0);
+            const total = quizzes.reduce((sum, quiz) => sum + quiz.total, 0);
+            this.status.textContent = `${quizzes.length} quiz${quizzes.length > 1 ? 'zes' : ''} taken, ${score}/${total} answers right`;
+        }
+    }
+
+    /**
+     * Run a lesson's scenario with the tutor asking along
+     * @param {string} id - Key of Lesson.LIBRARY
+     */
+    start(id) {
+        if (this.engine.isRunning) {
+            this.status.textContent = '⏳ Wait for the running session to finish first';
+            return;
+        }
+        const lesson = Lesson.get(id);
+        this.tutor.start(lesson);
+        this.panel.hidden = false;
+        this.title.textContent = `🎓 ${lesson.title}`;
+        this.score.textContent = '';
+        this.narration.textContent = lesson.intro;
+        this.clearPrompt();
+        this.feedback.textContent = '';
+        this.hooks.start(lesson);
+    }
+
+    // Leave the lesson; a paused run carries on by itself
+    quit() {
+        const running = this.tutor.isActive;
+        this.tutor.stop();
+        this.panel.hidden = true;
+        this.focusNode(null);
+        if (running && this.playback.paused) {
+            this.playback.play();
+        }
+    }
+
+    /**
+     * Mark the node that works now and name it
+     * @param {string|null} node - Engine node name, or null when none
+     */
+    focusNode(node) {
+        Object.values(this.hooks.nodeIds).forEach((id) => {
+            document.getElementById(id).parentElement.classList.remove('lesson-focus');
+        });
+        this.nodeName.textContent = '';
+        if (!node) return;
+        const element = document.getElementById(this.hooks.nodeIds[node]).parentElement;
+        element.classList.add('lesson-focus');
+        this.nodeName.textContent = `Now working: ${element.querySelector('.node-label').textContent}`;
+    }
+
+    /**
+     * Ask for the next reply code
+     * @param {Object} prompt - Prompt from LessonTutor
+     */
+    showPrompt(prompt) {
+        this.question.textContent = Lesson.question(prompt);
+        this.choices.innerHTML = '';
+        prompt.choices.forEach((code) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'lesson-choice';
+            button.dataset.code = code;
+            button.textContent = code;
+            this.choices.appendChild(button);
+        });
+    }
+
+    // No question open: the run plays on until the next one
+    clearPrompt() {
+        this.question.textContent = '';
+        this.choices.innerHTML = '';
+    }
+
+    /**
+     * Show whether the prediction was right and what the reply means
+     * @param {Object} answer - Graded answer from LessonTutor
+     */
+    showResult(answer) {
+        const verdict = answer.correct
+            ? '✅ Right:'
+            : answer.guess === null ? '⏭️ Not answered:' : `❌ You said ${answer.guess}, the server sent`;
+        this.feedback.textContent = `${verdict} ${answer.code} ${answer.text}. ${answer.explanation}`;
+        this.feedback.classList.toggle('wrong', !answer.correct);
+        const right = this.tutor.answers.filter(entry => entry.correct).length;
+        this.score.textContent = `${right}/${this.tutor.answers.length}`;
+        if (!this.tutor.current) this.clearPrompt();
+    }
+
+    /**
+     * Store the score of a finished lesson
+     * @param {Object} summary - { lesson, score, total, answers } from LessonTutor
+     */
+    finish(summary) {
+        this.progress = Lesson.recordLesson(this.progress, summary, new Date().toISOString());
+        this.hooks.save(this.progress);
+        this.clearPrompt();
+        this.focusNode(null);
+        this.narration.textContent = `🎓 Lesson complete: ${summary.score} of ${summary.total} replies predicted. Open 📚 Learn to take another lesson or a quiz on this run.`;
+        this.renderLessons();
+    }
+
+    // Questions about the run in the trace
+    openQuiz() {
+        this.questions = Quiz.fromTrace(this.engine.trace.records);
+        this.quizArea.innerHTML = '';
+        if (this.questions.length === 0) {
+            this.quizArea.textContent = 'Send an email first: the quiz asks about the last run.';
+            return;
+        }
+        this.questions.forEach((question) => {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'quiz-question';
+            fieldset.dataset.question = question.id;
+            const legend = document.createElement('legend');
+            legend.textContent = `${question.id}. ${question.text}`;
+            fieldset.appendChild(legend);
+            question.choices.forEach((choice, index) => {
+                const label = document.createElement('label');
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = `quiz-${question.id}`;
+                input.value = index;
+                label.append(input, ` ${choice}`);
+                fieldset.appendChild(label);
+            });
+            const detail = document.createElement('p');
+            detail.className = 'quiz-detail';
+            fieldset.appendChild(detail);
+            this.quizArea.appendChild(fieldset);
+        });
+        const check = document.createElement('button');
+        check.type = 'button';
+        check.className = 'playback-btn';
+        check.textContent = '✔️ Check answers';
+        check.addEventListener('click', () => this.checkQuiz(check));
+        this.quizArea.appendChild(check);
+    }
+
+    /**
+     * Grade the open quiz and store the result
+     * @param {HTMLButtonElement} check - The check button, disabled once graded
+     */
+    checkQuiz(check) {
+        const responses = {};
+        this.questions.forEach((question) => {
+            const picked = this.quizArea.querySelector(`input[name="quiz-${question.id}"]:checked`);
+            if (picked) responses[question.id] = question.choices[parseInt(picked.value)];
+        });
+        const result = Quiz.grade(this.questions, responses);
+        result.results.forEach((entry, index) => {
+            const fieldset = this.quizArea.querySelector(`[data-question="${entry.id}"]`);
+            fieldset.classList.add(entry.correct ? 'right' : 'wrong');
+            fieldset.querySelector('.quiz-detail').textContent = `${entry.correct ? '✅' : '❌'} ${this.questions[index].detail}`;
+            fieldset.querySelectorAll('input').forEach((input) => {
+                input.disabled = true;
+            });
+        });
+        check.disabled = true;
+        check.textContent = `Score: ${result.score}/${result.total}`;
+        this.progress = Lesson.recordQuiz(this.progress, result, new Date().toISOString());
+        this.hooks.save(this.progress);
+        this.renderLessons();
+    }
+}
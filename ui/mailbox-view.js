@@ -0,0 +1,89 @@
+// Recipient Mailbox View
+// Lists the messages the MDA filed in each recipient's folders, with the
+// flags POP3 and IMAP clients set on them, and shows a message as stored.
+class MailboxView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose mail store is shown
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.store = engine.mailStore;
+        this.addressSelect = document.getElementById('mailboxAddress');
+        this.folderSelect = document.getElementById('mailboxFolder');
+        this.summary = document.getElementById('mailboxSummary');
+        this.list = document.getElementById('mailboxList');
+        this.preview = document.getElementById('mailboxMessage');
+        this.selectedUid = null; // Message shown in the preview
+
+        this.engine.on('mailboxChanged', () => this.render());
+        this.addressSelect.addEventListener('change', () => this.showMessage(null));
+        this.folderSelect.addEventListener('change', () => this.showMessage(null));
+        this.render();
+    }
+
+    // Keep the address list in step with the store, preserving the choice
+    updateAddresses() {
+        const addresses = this.store.addresses();
+        const current = this.addressSelect.value;
+        if (addresses.join() === Array.from(this.addressSelect.options, option => option.value).join()) return;
+        this.addressSelect.innerHTML = '';
+        addresses.forEach(address => {
+            const option = document.createElement('option');
+            option.value = address;
+            option.textContent = address;
+            this.addressSelect.appendChild(option);
+        });
+        if (addresses.includes(current)) {
+            this.addressSelect.value = current;
+        }
+    }
+
+    /**
+     * Show a stored message as the MDA wrote it, or hide the preview
+     * @param {number|null} uid - UID of the message in the selected folder
+     */
+    showMessage(uid) {
+        this.selectedUid = uid;
+        this.render();
+    }
+
+    // Redraw the message list of the selected mailbox and folder
+    render() {
+        this.updateAddresses();
+        const address = this.addressSelect.value;
+        const folder = this.folderSelect.value;
+        const messages = address ? this.store.messages(address, folder) : [];
+        const unseen = messages.filter(message => !message.flags.includes('\\Seen')).length;
+
+        this.summary.textContent = !address
+            ? 'No mail delivered yet'
+            : `${messages.length} message(s) in ${folder}, ${unseen} unread`;
+        this.list.innerHTML = '';
+        messages.forEach(message => {
+            const row = document.createElement('li');
+            row.className = 'mailbox-entry';
+            row.classList.toggle('unseen', !message.flags.includes('\\Seen'));
+            row.classList.toggle('deleted', message.flags.includes('\\Deleted'));
+            row.classList.toggle('selected', message.uid === this.selectedUid);
+
+            const title = document.createElement('div');
+            title.className = 'mailbox-title';
+            title.textContent = `UID ${message.uid} · ${MIME.decodeHeader(message.subject) || '(no subject)'}`;
+
+            const detail = document.createElement('div');
+            detail.className = 'mailbox-detail';
+            const flags = message.flags.length ? message.flags.join(' ') : 'no flags';
+            detail.textContent = `From <${message.from}> · ${message.deliveredAt.toTimeString().split(' ')[0]} · ` +
+                `${message.size} bytes · ${flags}`;
+
+            row.appendChild(title);
+            row.appendChild(detail);
+            row.addEventListener('click', () => this.showMessage(message.uid === this.selectedUid ? null : message.uid));
+            this.list.appendChild(row);
+        });
+
+        const shown = messages.find(message => message.uid === this.selectedUid);
+        this.preview.hidden = !shown;
+        this.preview.textContent = shown ? shown.message.split('\r\n').join('\n') : '';
+    }
+}
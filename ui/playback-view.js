@@ -0,0 +1,248 @@
+// Playback View
+// Debugger controls for a run: play/pause, single-step to the next command
+// or reply, a speed multiplier, and a list of every step that can be clicked
+// to jump back (or forward) to it. A run records its seed, the form, the
+// engine state and every session and user action, so jumping replays it on
+// the virtual clock at full speed and stops at the chosen step, and a trace
+// file saved with the run can be replayed later.
+class PlaybackView {
+    /**
+     * @param {SMTPEngine} engine - Engine running on the playback clock
+     * @param {Playback} playback - Clock the engine waits on
+     * @param {Object} hooks - { capture, apply, replay }: read the form as a scenario, write one back into it, and hear of a replay before it starts
+     */
+    constructor(engine, playback, hooks) {
+        this.engine = engine;
+        this.playback = playback;
+        this.hooks = hooks;
+        this.run = null; // { seed, start, scenario, state, sessions, actions } of the latest run
+        this.steps = []; // Labels of the run's steps, in order
+        this.seeking = false; // True while a replay races to a step
+
+        this.playButton = document.getElementById('playPauseBtn');
+        this.speedSelect = document.getElementById('playbackSpeed');
+        this.seedInput = document.getElementById('playbackSeed');
+        this.status = document.getElementById('playbackStatus');
+        this.list = document.getElementById('stepList');
+
+        this.bindInput();
+        this.bindEngine();
+        this.render();
+    }
+
+    /**
+     * Attachments of a session config as base64, so a run survives JSON
+     * @param {Object} config - Session config
+     * @returns {Object} Copy with { name, type, base64 } attachments
+     */
+    static encodeConfig(config) {
+        const attachments = (config.attachments || []).map(file => ({ name: file.name, type: file.type, base64: Encoding.base64Encode(file.bytes) }));
+        return { ...config, attachments };
+    }
+
+    /**
+     * Session config back from encodeConfig()
+     * @param {Object} config - Encoded config
+     * @returns {Object} Config with { name, type, bytes } attachments
+     */
+    static decodeConfig(config) {
+        const attachments = (config.attachments || []).map(file => ({ name: file.name, type: file.type, bytes: Encoding.base64DecodeBytes(file.base64) }));
+        return { ...config, attachments };
+    }
+
+    /**
+     * Short label of a step event
+     * @param {Object} event - command or reply event
+     * @returns {string} e.g. "S1 C: EHLO client.example.com"
+     */
+    static label(event) {
+        const text = event.type === 'command' ? `C: ${event.command}` : `S: ${event.code} ${event.lines[0] || ''}`;
+        return `${event.sessionId} ${text}`;
+    }
+
+    // Wire up the buttons, the speed and the trace replay
+    bindInput() {
+        this.playButton.addEventListener('click', () => {
+            if (this.playback.paused) {
+                this.playback.play();
+            } else {
+                this.playback.pause();
+            }
+        });
+        document.getElementById('stepBtn').addEventListener('click', () => this.playback.step());
+        document.getElementById('replayBtn').addEventListener('click', () => {
+            if (this.run) this.replay(this.run);
+        });
+        this.speedSelect.addEventListener('change', () => {
+            if (!this.seeking) this.playback.setSpeed(this.selectedSpeed);
+        });
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('li');
+            if (item && this.run) this.replay(this.run, parseInt(item.dataset.step));
+        });
+        document.getElementById('replayTraceFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const data = JSON.parse(await file.text());
+                if (data.format !== TRACE_FORMAT || !data.run) {
+                    throw new Error('not a trace exported with its run');
+                }
+                this.steps = [];
+                this.replay(data.run);
+            } catch (error) {
+                this.status.textContent = `❌ ${file.name}: ${error.message}`;
+            }
+        });
+        this.playback.onChange = () => this.render();
+    }
+
+    // Collect the steps and finish a seek that ran out of steps
+    bindEngine() {
+        this.engine.on('*', (event) => {
+            if (Playback.isStep(event) && this.run) {
+                const index = this.playback.stepCount - 1;
+                if (index >= this.steps.length) {
+                    this.steps.push(PlaybackView.label(event));
+                    this.appendStep(index);
+                    this.render();
+                }
+            }
+            if (event.type === 'sessionEnd' && this.seeking && !this.engine.isRunning) {
+                this.finishSeek();
+            }
+        });
+    }
+
+    // Chosen speed multiplier
+    get selectedSpeed() {
+        return parseFloat(this.speedSelect.value) || 1;
+    }
+
+    /**
+     * Start sessions; on an idle engine they begin a new recorded run
+     * @param {Object[]} configs - Session configs for SMTPEngine.sendEmail()
+     */
+    start(configs) {
+        if (!this.engine.isRunning) {
+            const seed = parseInt(this.seedInput.value);
+            this.playback.hold();
+            this.run = {
+                seed: isNaN(seed) ? SeededRandom.randomSeed() : seed >>> 0,
+                start: this.playback.now(),
+                scenario: this.hooks.capture(),
+                state: this.engine.snapshot(),
+                sessions: [], // { at, config }, at in ms after the start
+                actions: [] // { at, action, id? }
+            };
+            this.engine.reseed(this.run.seed);
+            this.engine.trace.run = this.run;
+            this.playback.stepCount = 0;
+            this.steps = [];
+            this.list.innerHTML = '';
+        }
+        configs.forEach((config) => {
+            this.run.sessions.push({ at: this.playback.now() - this.run.start, config: PlaybackView.encodeConfig(config) });
+            this.engine.sendEmail(config);
+        });
+        this.render();
+    }
+
+    /**
+     * Record a user action of the run so a replay repeats it
+     * @param {string} action - 'toggleReceiver', 'flushQueue', 'releaseQuarantined' or 'deleteQuarantined'
+     * @param {string} id - Quarantine ID the last two act on
+     */
+    record(action, id) {
+        if (this.run) {
+            this.run.actions.push({ at: this.playback.now() - this.run.start, action, ...(id ? { id } : {}) });
+        }
+    }
+
+    /**
+     * Apply a recorded action
+     * @param {Object} entry - { action, id? }
+     */
+    perform(entry) {
+        if (entry.action === 'toggleReceiver') {
+            this.engine.toggleReceiverStatus();
+        } else if (entry.action === 'flushQueue') {
+            this.engine.flushQueue();
+        } else if (entry.action === 'releaseQuarantined' || entry.action === 'deleteQuarantined') {
+            this.engine[entry.action](entry.id);
+        }
+    }
+
+    /**
+     * Run a recorded run again from its start
+     * With a step number the replay races there and pauses, which restores
+     * every panel to how it looked at that step.
+     * @param {Object} run - Recorded run
+     * @param {number} step - Step to stop at, or undefined to replay at the chosen speed
+     */
+    replay(run, step) {
+        this.hooks.replay();
+        this.run = run;
+        this.playback.restart(run.start);
+        this.hooks.apply(run.scenario);
+        this.engine.restore(run.state);
+        this.engine.reseed(run.seed);
+        this.engine.trace.run = run;
+        this.playback.stepCount = 0;
+        this.list.innerHTML = '';
+        this.steps.forEach((label, index) => this.appendStep(index));
+
+        run.actions.forEach(entry => this.playback.setTimer(() => this.perform(entry), entry.at));
+        run.sessions.forEach(entry => this.playback.setTimer(() => this.engine.sendEmail(PlaybackView.decodeConfig(entry.config)), entry.at));
+
+        if (step) {
+            this.seeking = true;
+            this.playback.setSpeed(Infinity);
+            this.playback.runTo(step);
+        } else {
+            this.playback.setSpeed(this.selectedSpeed);
+        }
+        this.render();
+    }
+
+    // Back to the chosen speed once a seek reached its step or the run ended
+    finishSeek() {
+        this.seeking = false;
+        this.playback.setSpeed(this.selectedSpeed);
+    }
+
+    /**
+     * Add a step to the list
+     * @param {number} index - Index in this.steps
+     */
+    appendStep(index) {
+        const item = document.createElement('li');
+        item.dataset.step = index + 1;
+        item.textContent = this.steps[index];
+        item.title = 'Replay the run up to this step';
+        this.list.appendChild(item);
+    }
+
+    // Show the pause state and mark the current step
+    render() {
+        const { playback } = this;
+        if (this.seeking && playback.paused) {
+            this.finishSeek();
+            return;
+        }
+        this.playButton.textContent = playback.paused ? '▶️ Play' : '⏸️ Pause';
+        const state = this.seeking ? 'seeking' : playback.paused ? 'paused' : 'playing';
+        const seed = this.run ? ` · seed ${this.run.seed}` : '';
+        this.status.textContent = `Step ${playback.stepCount}/${this.steps.length} · ${state}${seed}`;
+        this.list.querySelectorAll('li').forEach((item) => {
+            const number = parseInt(item.dataset.step);
+            item.classList.toggle('current', number === playback.stepCount);
+            item.classList.toggle('future', number > playback.stepCount);
+        });
+        const current = this.list.querySelector('li.current');
+        if (current && playback.paused) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+}
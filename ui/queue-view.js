@@ -0,0 +1,64 @@
+// Mail Queue View
+// Lists the copies waiting in the relay MTA with their attempt count, the
+// time of the next attempt and when they expire into a bounce.
+class QueueView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose queue is shown
+     * @param {number} tick - Countdown refresh interval in ms
+     */
+    constructor(engine, tick = 1000) {
+        this.engine = engine;
+        this.list = document.getElementById('queueList');
+        this.summary = document.getElementById('queueSummary');
+        this.queue = [];
+        this.engine.on('queueChanged', (event) => {
+            this.queue = event.queue;
+            this.render();
+        });
+        setInterval(() => this.render(), tick);
+    }
+
+    /**
+     * Time until a moment, e.g. 'in 1m 05s' or 'now'
+     * @param {number} time - Target time in ms
+     * @returns {string} Countdown text
+     */
+    countdown(time) {
+        const seconds = Math.ceil((time - this.engine.now()) / 1000);
+        if (seconds <= 0) return 'now';
+        const minutes = Math.floor(seconds / 60);
+        return minutes > 0
+            ? `in ${minutes}m ${String(seconds % 60).padStart(2, '0')}s`
+            : `in ${seconds}s`;
+    }
+
+    // Redraw the queue entries and their countdowns
+    render() {
+        this.list.innerHTML = '';
+        this.summary.textContent = this.queue.length === 0
+            ? 'Queue is empty'
+            : `${this.queue.length} email(s) waiting for an MX host`;
+
+        this.queue.forEach(entry => {
+            const row = document.createElement('li');
+            const title = document.createElement('div');
+            title.className = 'queue-title';
+            title.textContent = `${entry.isBounce ? '↩️ Bounce' : '📧'} [${entry.id}] to <${entry.recipient}>`;
+
+            const next = new Date(entry.nextAttemptAt).toTimeString().split(' ')[0];
+            const detail = document.createElement('div');
+            detail.className = 'queue-detail';
+            detail.textContent = `${entry.attempts} failed attempt(s) · next attempt ${this.countdown(entry.nextAttemptAt)} (${next}) · ` +
+                `expires ${this.countdown(entry.expiresAt)}`;
+
+            const error = document.createElement('div');
+            error.className = 'queue-error';
+            error.textContent = entry.lastError || '';
+
+            row.appendChild(title);
+            row.appendChild(detail);
+            row.appendChild(error);
+            this.list.appendChild(row);
+        });
+    }
+}
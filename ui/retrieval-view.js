@@ -0,0 +1,137 @@
+// Mail Retrieval View
+// Terminal-style panel for the recipient's side: "Fetch Mail" runs the
+// POP3 or IMAP dialogue a mail program would, and typed lines go straight
+// to the mailbox server through MailRetrieval.command().
+class RetrievalView {
+    /**
+     * @param {SMTPEngine} engine - Engine that owns the retrieval client
+     * @param {Function} getTiming - Returns { networkDelay, packetLossRate, serverDelay }
+     */
+    constructor(engine, getTiming) {
+        this.engine = engine;
+        this.retrieval = engine.retrieval;
+        this.getTiming = getTiming;
+        this.output = document.getElementById('retrievalOutput');
+        this.input = document.getElementById('retrievalInput');
+        this.protocolSelect = document.getElementById('retrievalProtocol');
+        this.fetchButton = document.getElementById('fetchMailBtn');
+        this.history = [];
+        this.historyIndex = 0;
+        this.bindEngine();
+        this.bindInput();
+    }
+
+    // Subscribe to retrieval traffic from the engine
+    bindEngine() {
+        this.engine.on('retrievalOpen', (event) => {
+            this.print(`--- Connected to ${event.host} port ${event.port} (${MailRetrieval.label(event.protocol)}) ---`, 'info');
+        });
+
+        this.engine.on('retrievalCommand', (event) => {
+            this.print(`C: ${event.command}`, 'command');
+        });
+
+        this.engine.on('retrievalReply', (event) => {
+            event.lines.forEach(line => this.print(`S: ${line}`, event.ok ? 'response' : 'error'));
+        });
+
+        this.engine.on('retrievalEnd', () => {
+            this.print('--- Connection closed. Type a command to reconnect ---', 'info');
+        });
+
+        this.engine.on('retrievalError', (event) => {
+            this.print(`--- ${event.message}. Type a command to reconnect ---`, 'error');
+        });
+    }
+
+    // Wire up the controls: Fetch Mail, Reconnect and the command line
+    bindInput() {
+        this.fetchButton.addEventListener('click', () => this.fetchMail());
+
+        this.protocolSelect.addEventListener('change', () => this.reconnect());
+        document.getElementById('retrievalResetBtn').addEventListener('click', () => this.reconnect());
+
+        document.getElementById('retrievalForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit(this.input.value);
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' && this.historyIndex > 0) {
+                this.historyIndex--;
+                this.input.value = this.history[this.historyIndex];
+                e.preventDefault();
+            } else if (e.key === 'ArrowDown' && this.historyIndex < this.history.length) {
+                this.historyIndex++;
+                this.input.value = this.history[this.historyIndex] || '';
+                e.preventDefault();
+            }
+        });
+    }
+
+    // Open a fresh connection with the selected protocol
+    async reconnect() {
+        if (this.retrieval.isRunning) return;
+        this.output.innerHTML = '';
+        const protocol = this.protocolSelect.value;
+        this.input.placeholder = protocol === 'imap'
+            ? 'Type an IMAP command, e.g. a1 LOGIN bob@example.com builder'
+            : 'Type a POP3 command, e.g. USER bob@example.com';
+        await this.retrieval.connect(protocol, null);
+        this.input.focus();
+    }
+
+    // Download the mailbox with the credentials from the form
+    async fetchMail() {
+        this.output.innerHTML = '';
+        this.fetchButton.disabled = true;
+        this.input.disabled = true;
+        try {
+            await this.retrieval.fetchMail({
+                protocol: this.protocolSelect.value,
+                username: document.getElementById('retrievalUser').value,
+                password: document.getElementById('retrievalPassword').value,
+                remove: document.getElementById('retrievalDelete').checked
+            }, this.getTiming());
+        } finally {
+            this.fetchButton.disabled = false;
+            this.input.disabled = false;
+        }
+    }
+
+    /**
+     * Send a typed line to the mailbox server
+     * @param {string} line - Raw POP3 or IMAP line
+     */
+    async submit(line) {
+        if (this.input.disabled) return;
+        this.input.value = '';
+        if (line.trim()) {
+            this.history.push(line);
+        }
+        this.historyIndex = this.history.length;
+
+        this.input.disabled = true;
+        this.fetchButton.disabled = true;
+        try {
+            await this.retrieval.command(line, this.getTiming());
+        } finally {
+            this.input.disabled = false;
+            this.fetchButton.disabled = false;
+            this.input.focus();
+        }
+    }
+
+    /**
+     * Append a line to the retrieval output
+     * @param {string} text - Line to show
+     * @param {string} type - command, response, error or info
+     */
+    print(text, type) {
+        const line = document.createElement('div');
+        line.className = `console-line ${type}`;
+        line.textContent = text;
+        this.output.appendChild(line);
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+}
@@ -0,0 +1,263 @@
+// Scenario View
+// Reads the form into a Scenario and fills the form from one: the built-in
+// library of lab exercises, JSON files and shareable #scenario= links.
+class ScenarioView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose receiver state a scenario sets
+     * @param {Function} onApply - Called with the scenario after it was written into the form
+     */
+    constructor(engine, onApply) {
+        this.engine = engine;
+        this.onApply = onApply;
+        this.library = document.getElementById('scenarioLibrary');
+        this.description = document.getElementById('scenarioDescription');
+        this.status = document.getElementById('scenarioStatus');
+        this.name = 'Basic delivery'; // Name of the scenario the form was last filled from
+
+        Object.entries(Scenario.LIBRARY).forEach(([id, entry]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = entry.name;
+            this.library.appendChild(option);
+        });
+        this.bindInput();
+    }
+
+    // Wire up the library, export, import and share controls
+    bindInput() {
+        document.getElementById('loadScenarioBtn').addEventListener('click', () => {
+            this.apply(Scenario.fromLibrary(this.library.value));
+            this.setStatus(`Loaded "${this.name}" from the library`);
+        });
+
+        document.getElementById('exportScenarioBtn').addEventListener('click', () => this.exportFile());
+
+        document.getElementById('importScenario').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                this.apply(Scenario.parse(await file.text()));
+                this.setStatus(`Imported "${this.name}" from ${file.name}`);
+            } catch (error) {
+                this.setStatus(`❌ ${file.name}: ${error.message}`, true);
+            }
+        });
+
+        document.getElementById('shareScenarioBtn').addEventListener('click', () => this.share());
+    }
+
+    /**
+     * Show the outcome of the last scenario action
+     * @param {string} text - Message
+     * @param {boolean} isError - True for a failure
+     */
+    setStatus(text, isError = false) {
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Scenario of the current form
+     * @returns {Object} Complete scenario
+     */
+    capture() {
+        const value = id => document.getElementById(id).value;
+        const checked = id => document.getElementById(id).checked;
+        const zone = value('dnsZone');
+        const faults = readFaultSettings();
+        return Scenario.parse({
+            format: Scenario.DEFAULTS.format,
+            version: Scenario.VERSION,
+            name: this.name,
+            description: this.description.textContent,
+            email: {
+                sender: value('senderEmail'),
+                to: value('recipientEmail'),
+                cc: value('ccEmails'),
+                bcc: value('bccEmails'),
+                subject: value('subject'),
+                body: value('messageBody'),
+                bodyEncoding: value('bodyEncoding')
+            },
+            network: {
+                serverDelay: parseFloat(value('serverDelay')),
+                networkDelay: parseInt(value('networkDelay')),
+                packetLoss: parseFloat(value('packetLoss')),
+                tcp: readTcpOptions()
+            },
+            client: {
+                greeting: value('greetingMode'),
+                pipelining: checked('usePipelining'),
+                chunking: checked('useChunking'),
+                chunkSize: parseInt(value('chunkSize')) || 0,
+                port: parseInt(value('smtpPort')),
+                starttls: value('starttlsMode'),
+                auth: { username: value('authUsername'), password: value('authPassword'), mechanism: value('authMechanism') },
+                dkimSign: checked('dkimSign'),
+                spoofing: value('spoofMode'),
+                retry: { attempts: parseInt(value('clientRetries')) || 1, delay: parseFloat(value('clientRetryDelay')) || 0 }
+            },
+            attacks: { stripStarttls: checked('mitmStrip'), tamperBody: checked('mitmTamper') },
+            server: {
+                extensions: Array.from(document.querySelectorAll('#extensionList input:checked'), input => input.value),
+                sizeLimit: parseInt(value('sizeLimit')) || 0,
+                users: readUserStore(),
+                maxConnections: parseInt(value('maxConnections')) || 1,
+                relay: value('relayPolicy'),
+                greylisting: checked('serverGreylisting'),
+                greylistDelay: parseFloat(value('serverGreylistDelay')) || 0,
+                rateLimit: parseInt(value('rateLimit')) || 0,
+                rateWindow: parseFloat(value('rateWindow')) || 60,
+                blocklist: readClientBlocklist()
+            },
+            mx: {
+                greylisting: checked('mxGreylisting'),
+                greylistDelay: parseFloat(value('greylistDelay')) || 0,
+                fullMailboxes: readFullMailboxes()
+            },
+            filter: readContentFilter(),
+            receiver: {
+                online: this.engine.isReceiverOnline,
+                schedule: readReceiverSchedule().map(step => ({ at: step.at / 1000, online: step.online })),
+                downHosts: readDownHosts()
+            },
+            // The built-in zone is left out so the file stays short
+            dns: { zone: zone.trim() === DNS_DEFAULT_ZONE.trim() ? null : zone },
+            queue: {
+                minBackoff: parseFloat(value('queueMinBackoff')),
+                maxBackoff: parseFloat(value('queueMaxBackoff')),
+                lifetime: parseFloat(value('queueLifetime'))
+            },
+            faults: {
+                chance: faults.chance,
+                kinds: faults.kinds,
+                timeout: faults.timeout / 1000,
+                outage: faults.outage / 1000,
+                armed: this.engine.faults.armed.map(fault => ({ ...fault }))
+            }
+        });
+    }
+
+    /**
+     * Fill the form from a scenario
+     * @param {Object} scenario - Complete scenario from Scenario.parse() or Scenario.fromLibrary()
+     */
+    apply(scenario) {
+        const set = (id, value) => {
+            document.getElementById(id).value = value;
+        };
+        const check = (id, value) => {
+            document.getElementById(id).checked = !!value;
+        };
+        const { email, network, client, attacks, server, mx, filter, receiver, queue, faults } = scenario;
+
+        set('senderEmail', email.sender);
+        set('recipientEmail', email.to);
+        set('ccEmails', email.cc);
+        set('bccEmails', email.bcc);
+        set('subject', email.subject);
+        set('messageBody', email.body);
+        set('bodyEncoding', email.bodyEncoding);
+
+        set('serverDelay', network.serverDelay);
+        set('networkDelay', network.networkDelay);
+        set('packetLoss', network.packetLoss);
+        set('tcpMss', network.tcp.mss);
+        set('tcpRto', network.tcp.initialRto);
+        set('tcpRetries', network.tcp.maxRetries);
+
+        set('greetingMode', client.greeting);
+        check('usePipelining', client.pipelining);
+        check('useChunking', client.chunking);
+        set('chunkSize', client.chunkSize);
+        set('smtpPort', String(client.port));
+        set('starttlsMode', client.starttls);
+        set('authUsername', client.auth.username);
+        set('authPassword', client.auth.password);
+        set('authMechanism', client.auth.mechanism);
+        check('dkimSign', client.dkimSign);
+        set('spoofMode', client.spoofing);
+        set('clientRetries', client.retry.attempts);
+        set('clientRetryDelay', client.retry.delay);
+        check('mitmStrip', attacks.stripStarttls);
+        check('mitmTamper', attacks.tamperBody);
+
+        const extensions = server.extensions.map(keyword => keyword.toUpperCase());
+        document.querySelectorAll('#extensionList input').forEach(input => {
+            input.checked = extensions.includes(input.value);
+        });
+        set('sizeLimit', server.sizeLimit);
+        set('authUsers', server.users.map(user => `${user.username}:${user.password}`).join('\n'));
+        set('maxConnections', server.maxConnections);
+        set('relayPolicy', server.relay);
+        check('serverGreylisting', server.greylisting);
+        set('serverGreylistDelay', server.greylistDelay);
+        set('rateLimit', server.rateLimit);
+        set('rateWindow', server.rateWindow);
+        set('clientBlocklist', server.blocklist.join(', '));
+
+        check('mxGreylisting', mx.greylisting);
+        set('greylistDelay', mx.greylistDelay);
+        set('fullMailboxes', mx.fullMailboxes.join(', '));
+
+        check('contentFilterEnabled', filter.enabled);
+        document.querySelectorAll('#filterRules input').forEach(input => {
+            input.checked = !filter.disabledRules.includes(input.value);
+        });
+        set('spamThreshold', filter.thresholds.spam);
+        set('quarantineThreshold', filter.thresholds.quarantine);
+        set('rejectThreshold', filter.thresholds.reject);
+        set('blockedExtensions', filter.blockedExtensions.join(', '));
+        set('filterKeywords', filter.keywords.map(keyword => `${keyword.score} ${keyword.pattern}`).join('\n'));
+
+        set('receiverSchedule', receiver.schedule.map(step => `${step.at} ${step.online ? 'online' : 'offline'}`).join(', '));
+        set('downHosts', receiver.downHosts.join(', '));
+        set('dnsZone', scenario.dns.zone === null ? DNS_DEFAULT_ZONE : scenario.dns.zone);
+        set('queueMinBackoff', queue.minBackoff);
+        set('queueMaxBackoff', queue.maxBackoff);
+        set('queueLifetime', queue.lifetime);
+        set('faultChance', faults.chance);
+        document.querySelectorAll('#faultKinds input').forEach(input => {
+            input.checked = faults.kinds.includes(input.value);
+        });
+        set('faultTimeout', faults.timeout);
+        set('faultOutage', faults.outage);
+        this.engine.faults.setArmed(faults.armed);
+
+        if (this.engine.isReceiverOnline !== receiver.online) {
+            this.engine.setReceiverOnline(receiver.online);
+        }
+        this.name = scenario.name;
+        this.description.textContent = scenario.description;
+        this.onApply(scenario);
+    }
+
+    // Download the current setup as a JSON file
+    exportFile() {
+        const scenario = this.capture();
+        const blob = new Blob([Scenario.stringify(scenario)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${scenario.name.replace(/[^A-Za-z0-9]+/g, '_') || 'scenario'}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        this.setStatus(`Exported "${scenario.name}"`);
+    }
+
+    // Put the current setup into the address bar and copy the link
+    async share() {
+        const hash = Scenario.toHash(this.capture());
+        history.replaceState(null, '', hash);
+        try {
+            await navigator.clipboard.writeText(location.href);
+            this.setStatus(`Share link copied (${location.href.length} characters)`);
+        } catch (error) {
+            // Clipboard access can be refused; the link is still in the address bar
+            this.setStatus('Share link is in the address bar, copy it from there');
+        }
+    }
+}
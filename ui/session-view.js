@@ -0,0 +1,158 @@
+// Session Timeline View
+// One color-coded lane per Send Email session on a shared time axis, so
+// concurrent clients can be compared: every command, reply, lost segment and
+// delivery is a mark on its session's lane. Clicking a lane shows only that
+// session's lines in the SMTP log.
+class SessionTimelineView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose sessions are shown
+     * @param {Function} onSelect - Called with the selected session ID, or null for all sessions
+     */
+    constructor(engine, onSelect) {
+        this.engine = engine;
+        this.onSelect = onSelect;
+        this.container = document.getElementById('sessionTimeline');
+        this.summary = document.getElementById('sessionSummary');
+        this.sessions = new Map(); // Session ID → { id, client, startedAt, endedAt, outcome, marks }
+        this.selected = null;
+
+        document.getElementById('sessionAllBtn').addEventListener('click', () => this.select(null));
+        this.bindEngine();
+        this.render();
+    }
+
+    /**
+     * Lane color of a session
+     * @param {string} sessionId - Session ID such as 'S3'
+     * @returns {string} CSS color
+     */
+    static color(sessionId) {
+        const palette = ['#667eea', '#ed8936', '#38b2ac', '#e53e9e', '#48bb78', '#9f7aea', '#ecc94b', '#f56565'];
+        const number = parseInt(String(sessionId).slice(1), 10) || 1;
+        return palette[(number - 1) % palette.length];
+    }
+
+    /**
+     * Kind of mark an event leaves on its lane
+     * @param {Object} event - Engine event with a sessionId
+     * @returns {string|null} command, reply, error, lost, delivered, queued (also a client retry) or null for no mark
+     */
+    static markKind(event) {
+        switch (event.type) {
+            case 'command': return 'command';
+            case 'reply': return event.code >= 400 ? 'error' : 'reply';
+            case 'packetLost': return 'lost';
+            case 'sessionError': return 'error';
+            case 'delivered': return 'delivered';
+            case 'queued':
+            case 'clientRetry': return 'queued';
+            default: return null;
+        }
+    }
+
+    // Follow the session events and collect the marks
+    bindEngine() {
+        this.engine.on('sessionStart', (event) => {
+            // A new batch starts once every earlier session has finished
+            if (event.active === 1) {
+                this.sessions.clear();
+                this.select(null);
+            }
+            this.sessions.set(event.sessionId, {
+                id: event.sessionId,
+                client: event.client,
+                startedAt: event.time,
+                endedAt: null,
+                outcome: null,
+                marks: []
+            });
+            this.render();
+        });
+
+        this.engine.on('sessionEnd', (event) => {
+            const session = this.sessions.get(event.sessionId);
+            if (!session) return;
+            session.endedAt = event.time;
+            session.outcome = event.outcome;
+            session.stats = event.stats;
+            this.render();
+        });
+
+        this.engine.on('*', (event) => {
+            const session = this.sessions.get(event.sessionId);
+            const kind = SessionTimelineView.markKind(event);
+            if (!session || !kind) return;
+            const title = event.type === 'command' ? event.command
+                : event.type === 'reply' ? `${event.code} ${event.text}`
+                : event.type === 'sessionError' ? event.message
+                : event.type === 'packetLost' ? `Lost: ${event.command}`
+                : event.type === 'clientRetry' ? `Retry in ${event.wait / 1000} s`
+                : `${event.type} <${event.email.recipient}>`;
+            session.marks.push({ time: event.time, kind, title });
+            this.render();
+        });
+    }
+
+    /**
+     * Show one session's log lines, or all of them
+     * @param {string|null} sessionId - Session to show, or null for all
+     */
+    select(sessionId) {
+        this.selected = sessionId;
+        this.onSelect(sessionId);
+        this.render();
+    }
+
+    // Redraw the lanes on a common time axis
+    render() {
+        const sessions = [...this.sessions.values()];
+        this.container.innerHTML = '';
+        if (sessions.length === 0) {
+            this.summary.textContent = 'No sessions yet';
+            return;
+        }
+
+        const start = Math.min(...sessions.map(s => s.startedAt));
+        const end = Math.max(this.engine.now(), ...sessions.map(s => s.endedAt || 0));
+        const span = Math.max(end - start, 1);
+        const position = time => `${((time - start) / span) * 100}%`;
+        const running = sessions.filter(s => !s.endedAt).length;
+        this.summary.textContent = `${sessions.length} session(s), ${running} running · ${(span / 1000).toFixed(1)} s`;
+
+        sessions.forEach(session => {
+            const lane = document.createElement('div');
+            lane.className = 'session-lane';
+            lane.classList.toggle('selected', session.id === this.selected);
+            lane.style.setProperty('--session-color', SessionTimelineView.color(session.id));
+
+            const label = document.createElement('div');
+            label.className = 'session-label';
+            const state = session.outcome || 'running';
+            label.textContent = `${session.id} · ${session.client.hostname} · ${state}`;
+            if (session.stats) {
+                label.title = `${session.stats.totalPackets} segments, ${session.stats.lostPackets} lost, ` +
+                    `${session.stats.retransmissions} retransmitted`;
+            }
+
+            const track = document.createElement('div');
+            track.className = 'session-track';
+            const bar = document.createElement('div');
+            bar.className = `session-bar ${state}`;
+            bar.style.left = position(session.startedAt);
+            bar.style.width = `calc(${position(session.endedAt || end)} - ${position(session.startedAt)})`;
+            track.appendChild(bar);
+            session.marks.forEach(mark => {
+                const dot = document.createElement('span');
+                dot.className = `session-mark ${mark.kind}`;
+                dot.style.left = position(mark.time);
+                dot.title = mark.title;
+                track.appendChild(dot);
+            });
+
+            lane.appendChild(label);
+            lane.appendChild(track);
+            lane.addEventListener('click', () => this.select(session.id === this.selected ? null : session.id));
+            this.container.appendChild(lane);
+        });
+    }
+}
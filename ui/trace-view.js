@@ -0,0 +1,51 @@
+// Trace Export View
+// Download dialog for the engine's session trace: the raw JSON, a
+// self-contained HTML report with sequence diagrams, and a pcapng capture
+// that opens in Wireshark.
+class TraceExportView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose trace is exported
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.summary = document.getElementById('traceSummary');
+
+        document.getElementById('exportTraceJsonBtn').addEventListener('click', () => {
+            const data = this.engine.trace.toJSON();
+            this.download(JSON.stringify(data, null, 2), 'application/json', 'json');
+        });
+        document.getElementById('exportTraceHtmlBtn').addEventListener('click', () => {
+            this.download(SessionTrace.toHtml(this.engine.trace.toJSON()), 'text/html', 'html');
+        });
+        document.getElementById('exportTracePcapBtn').addEventListener('click', () => {
+            this.download(Pcapng.fromTrace(this.engine.trace.toJSON()), 'application/x-pcapng', 'pcapng');
+        });
+    }
+
+    // Describe what the trace holds before the user picks a format
+    refresh() {
+        const data = this.engine.trace.toJSON();
+        const sessions = new Set(data.records.filter(record => record.sessionId).map(record => record.sessionId));
+        this.summary.textContent = data.records.length > 0
+            ? `${data.records.length} events from ${sessions.size} session(s) on ${data.connections.length} TCP connection(s), recorded since ${new Date(data.startedAt).toLocaleTimeString()}.`
+            : 'Nothing recorded yet. Send an email or use a console first.';
+    }
+
+    /**
+     * Save a file
+     * @param {string|Uint8Array} content - File contents
+     * @param {string} type - MIME type
+     * @param {string} extension - File name extension
+     */
+    download(content, type, extension) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `SMTP_Session_Trace_${new Date().getTime()}.${extension}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,150 @@
+// Transfer Comparison View
+// Transfer mode dialog: the current message sent one command at a time,
+// with PIPELINING, with CHUNKING and with both, drawn as one timeline row
+// per mode (connection setup, then one block per round trip) next to a table
+// of round trips and time until the server accepted the message.
+class TransferComparisonView {
+    /**
+     * @param {Object} hooks - { capture() }: scenario of the current form, the base every mode starts from
+     */
+    constructor(hooks) {
+        this.hooks = hooks;
+        this.runButton = document.getElementById('runComparisonBtn');
+        this.status = document.getElementById('comparisonStatus');
+        this.timeline = document.getElementById('comparisonTimeline');
+        this.table = document.getElementById('comparisonTable');
+
+        this.runButton.addEventListener('click', () => this.run());
+    }
+
+    // Block colors of the round trips, alternating so neighbours stay apart
+    static get COLORS() {
+        return ['#667eea', '#805ad5'];
+    }
+
+    // Send the message in every mode and show the results
+    async run() {
+        let base;
+        try {
+            base = this.hooks.capture();
+        } catch (error) {
+            this.status.textContent = `❌ ${error.message}`;
+            return;
+        }
+        this.runButton.disabled = true;
+        this.status.textContent = '⏳ Sending…';
+        const result = await TransferComparison.run(base, { seed: parseInt(document.getElementById('comparisonSeed').value) || 0 }, (done, total, mode) => {
+            this.status.textContent = `⏳ ${done}/${total} · ${TransferComparison.MODES[mode].label} done`;
+        });
+        this.runButton.disabled = false;
+        this.show(result);
+    }
+
+    /**
+     * Timeline and table of a finished comparison
+     * @param {Object} result - Result of TransferComparison.run()
+     */
+    show(result) {
+        const failed = result.rows.filter(row => row.accepted === null);
+        this.status.textContent = failed.length === 0
+            ? `✅ Seed ${result.seed}, times until the server accepted the message`
+            : `⚠️ Not accepted in ${failed.map(row => row.label).join(', ')}`;
+        this.timeline.innerHTML = '';
+        this.table.innerHTML = '';
+        this.timeline.appendChild(this.renderTimeline(result.rows));
+        this.renderTable(result.rows);
+    }
+
+    /**
+     * One row per mode on a shared time axis
+     * @param {Object[]} rows - Results of TransferComparison.runMode()
+     * @returns {SVGElement} Timeline chart
+     */
+    renderTimeline(rows) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const margin = { left: 190, right: 16, top: 10, bottom: 34 };
+        const rowHeight = 40;
+        const width = 820;
+        const height = margin.top + rows.length * rowHeight + margin.bottom;
+        const plotWidth = width - margin.left - margin.right;
+        const end = Math.max(0, ...rows.flatMap(row => row.flights.map(flight => flight.end)));
+        // Five or fewer ticks at a round step, the axis ending on the first tick past the last reply
+        const step = ExperimentView.niceCeiling(end / 5);
+        const ticks = Math.max(1, Math.ceil(end / step));
+        const top = ticks * step;
+        const sx = seconds => margin.left + seconds / top * plotWidth;
+        const element = (name, attributes, text) => {
+            const node = document.createElementNS(svgNS, name);
+            Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+
+        const svg = element('svg', { viewBox: `0 0 ${width} ${height}`, class: 'comparison-chart', role: 'img', 'aria-label': 'Round trips per transfer mode' });
+        for (let i = 0; i <= ticks; i++) {
+            const x = sx(step * i);
+            svg.appendChild(element('line', { x1: x, x2: x, y1: margin.top, y2: height - margin.bottom, class: 'chart-grid' }));
+            svg.appendChild(element('text', { x, y: height - margin.bottom + 14, class: 'chart-tick', 'text-anchor': 'middle' }, ExperimentView.format(step * i)));
+        }
+        svg.appendChild(element('text', { x: margin.left + plotWidth / 2, y: height - 4, class: 'chart-axis', 'text-anchor': 'middle' }, 'Seconds since the client started'));
+
+        rows.forEach((row, index) => {
+            const y = margin.top + index * rowHeight + 6;
+            const barHeight = rowHeight - 12;
+            svg.appendChild(element('text', { x: margin.left - 10, y: y + 12, class: 'comparison-mode', 'text-anchor': 'end' }, row.label));
+            svg.appendChild(element('text', { x: margin.left - 10, y: y + 26, class: 'chart-tick', 'text-anchor': 'end' },
+                row.accepted === null ? 'not accepted' : `${row.roundTrips} round trips · ${ExperimentView.format(row.accepted)} s`));
+
+            // Before the first round trip: TCP handshake and the server's greeting
+            if (row.flights.length > 0 && row.flights[0].start > 0) {
+                const connect = element('rect', { x: sx(0), y, width: sx(row.flights[0].start) - sx(0), height: barHeight, class: 'comparison-connect' });
+                connect.appendChild(element('title', {}, `Connection and greeting: 0–${ExperimentView.format(row.flights[0].start)} s`));
+                svg.appendChild(connect);
+            }
+            row.flights.forEach((flight, number) => {
+                const x = sx(flight.start);
+                const blockWidth = Math.max(1, sx(flight.end) - x - 1);
+                const block = element('rect', { x, y, width: blockWidth, height: barHeight, rx: 3, fill: TransferComparisonView.COLORS[number % 2] });
+                block.appendChild(element('title', {}, `${flight.commands.join('\n')}\n${ExperimentView.format(flight.start)}–${ExperimentView.format(flight.end)} s`));
+                svg.appendChild(block);
+                // The label only goes where it fits, the tooltip always has it
+                const label = SMTPEngine.groupLabel(flight.commands);
+                if (label.length * 6.5 < blockWidth - 6) {
+                    svg.appendChild(element('text', { x: x + blockWidth / 2, y: y + barHeight / 2 + 4, class: 'comparison-flight', 'text-anchor': 'middle' }, label));
+                }
+            });
+        });
+        return svg;
+    }
+
+    /**
+     * Figures of every mode
+     * @param {Object[]} rows - Results of TransferComparison.runMode()
+     */
+    renderTable(rows) {
+        const standard = rows.find(row => row.mode === 'standard');
+        const table = document.createElement('table');
+        table.className = 'experiment-summary';
+        const head = table.createTHead().insertRow();
+        ['Mode', 'Round trips', 'Until accepted (s)', 'Saved vs. one at a time (s)', 'Retransmissions'].forEach((title) => {
+            const cell = document.createElement('th');
+            cell.textContent = title;
+            head.appendChild(cell);
+        });
+        const body = table.createTBody();
+        rows.forEach((row) => {
+            const line = body.insertRow();
+            const saved = row.accepted !== null && standard && standard.accepted !== null ? standard.accepted - row.accepted : null;
+            [
+                row.label,
+                row.roundTrips === null ? '—' : row.roundTrips,
+                row.accepted === null ? '—' : ExperimentView.format(row.accepted),
+                saved === null ? '—' : ExperimentView.format(saved),
+                row.retransmissions
+            ].forEach((value) => {
+                line.insertCell().textContent = value;
+            });
+        });
+        this.table.appendChild(table);
+    }
+}
@@ -0,0 +1,109 @@
+// Eavesdropper View
+// Shows the bytes someone tapping the client-server connection would capture,
+// from the 'wire' events of SMTPEngine: readable SMTP before STARTTLS, TLS
+// records of ciphertext afterwards. POP3 and IMAP traffic of the reader is
+// tapped too, and is always plaintext. Lines of concurrent Send Email
+// sessions are marked with their session ID.
+class WireView {
+    /**
+     * @param {SMTPEngine} engine - Engine whose traffic is shown
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.output = document.getElementById('wireOutput');
+        this.status = document.getElementById('wireStatus');
+        this.secure = { console: false }; // TLS state per connection: 'console' or a session ID
+        this.bindEngine();
+    }
+
+    // Subscribe to the engine events that describe the wire
+    bindEngine() {
+        this.engine.on('sessionStart', (event) => {
+            if (event.active === 1) {
+                this.output.innerHTML = '';
+            }
+            this.setSecure(event.sessionId, false);
+            this.print(`--- Tapping the Send Email connection of ${event.sessionId} (${event.client.hostname}) ---`, 'info');
+        });
+
+        this.engine.on('sessionEnd', (event) => {
+            delete this.secure[event.sessionId];
+        });
+
+        this.engine.on('consoleOpen', () => this.setSecure('console', false));
+
+        this.engine.on('wire', (event) => {
+            const prefix = this.prefix(event);
+            if (!event.encrypted) {
+                event.text.split('\r\n').forEach(line => this.print(`${prefix}${line}`, event.from));
+                return;
+            }
+            // Record header, then a preview of the ciphertext
+            const header = event.text.slice(0, 10);
+            const body = event.text.slice(10);
+            const preview = body.length > 64 ? `${body.slice(0, 64)}…` : body;
+            this.print(`${prefix}[TLS ${header}] ${preview} (${event.length} bytes)`, 'encrypted');
+        });
+
+        this.engine.on('tlsRecord', (event) => {
+            this.print(`${this.prefix(event)}[TLS handshake] ${event.records.join(', ')}`, 'handshake');
+        });
+
+        this.engine.on('tlsEstablished', (event) => {
+            this.setSecure(event.source === 'console' ? 'console' : event.sessionId, true);
+            this.print(`--- ${event.version} ${event.cipherSuite}: the rest of this connection is unreadable ---`, 'info');
+        });
+
+        this.engine.on('mitm', (event) => {
+            this.print(`!!! ${event.detail}`, 'leak');
+        });
+
+        this.engine.on('authStep', (event) => {
+            if (this.secure[event.sessionId] || event.from !== 'client' || event.decoded === null) return;
+            this.print(`!!! Captured credentials: "${event.decoded.replace(/\0/g, '␀')}"`, 'leak');
+        });
+
+        this.engine.on('retrievalCommand', (event) => {
+            // PASS and LOGIN carry the password itself, not even base64
+            const login = /^(?:PASS\s+(.*)|\S+\s+LOGIN\s+(.*))$/i.exec(event.command);
+            if (!login) return;
+            this.print(`!!! Captured ${MailRetrieval.label(event.protocol)} credentials: ${login[1] || login[2]}`, 'leak');
+        });
+    }
+
+    /**
+     * Direction marker for a captured line
+     * @param {Object} event - 'wire' or 'tlsRecord' event
+     * @returns {string} Marker such as '[S1] C→S ', '[console] S→C ' or '[POP3] C→S '
+     */
+    prefix(event) {
+        const arrow = event.from === 'client' ? 'C→S ' : 'S→C ';
+        if (event.source === 'retrieval') return `[${MailRetrieval.label(event.protocol)}] ${arrow}`;
+        if (event.sessionId) return `[${event.sessionId}] ${arrow}`;
+        return event.source === 'console' ? `[console] ${arrow}` : arrow;
+    }
+
+    /**
+     * Record whether a connection is protected and update the badge
+     * @param {string} connection - 'console' or the session ID
+     * @param {boolean} secure - True once TLS is established
+     */
+    setSecure(connection, secure) {
+        this.secure[connection] = secure;
+        this.status.textContent = secure ? `🔒 Encrypted (${connection})` : `🔓 Plaintext (${connection})`;
+        this.status.classList.toggle('secure', secure);
+    }
+
+    /**
+     * Append a captured line
+     * @param {string} text - Line to show
+     * @param {string} type - client, server, encrypted, handshake, leak or info
+     */
+    print(text, type) {
+        const line = document.createElement('div');
+        line.className = `wire-line ${type}`;
+        line.textContent = text;
+        this.output.appendChild(line);
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+}